@@ -0,0 +1,137 @@
+/**
+ * Payment reminder dispatcher.
+ *
+ * Sends queued reminders from the outbox (models/ReminderMessage) through the
+ * transport for their channel (utils/reminderTransport). Each message is
+ * claimed before sending so two servers never send it twice. A failed send is
+ * queued again after REMINDER.RETRY_DELAY_MINUTES, doubling each time, until
+ * `maxAttempts` is used up. The server runs it on a timer; it can also be run
+ * by hand:
+ *
+ *   npm run dispatch:reminders
+ */
+
+const mongoose = require('mongoose');
+const ReminderMessage = require('../models/ReminderMessage');
+const CONSTANTS = require('../utils/constants');
+const { getTransport } = require('../utils/reminderTransport');
+
+const MINUTE_MS = 60 * 1000;
+
+const historyEntry = (status, note = '') => ({ at: new Date(), status, note });
+
+const claimNext = (now) => ReminderMessage.findOneAndUpdate(
+    { status: 'queued', nextAttemptAt: { $lte: now } },
+    {
+        $set: { status: 'sending', claimedAt: now },
+        $inc: { attempts: 1 }
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+);
+
+// Messages whose sender died mid-send go back in the queue; the attempt still counts
+const requeueStale = (now) => ReminderMessage.updateMany(
+    {
+        status: 'sending',
+        claimedAt: { $lte: new Date(now.getTime() - CONSTANTS.REMINDER.STALE_SENDING_MINUTES * MINUTE_MS) }
+    },
+    {
+        $set: { status: 'queued', nextAttemptAt: now },
+        $push: { history: historyEntry('queued', 'Sending did not finish; queued again') }
+    }
+);
+
+const sendOne = async (message, now) => {
+    let transport = null;
+    try {
+        transport = getTransport(message.channel);
+        const { providerMessageId } = await transport.send(message);
+        await ReminderMessage.updateOne({ _id: message._id }, {
+            $set: {
+                status: 'sent',
+                sentAt: new Date(),
+                transport: transport.name,
+                providerMessageId: providerMessageId || '',
+                lastError: ''
+            },
+            $push: { history: historyEntry('sent', `via ${transport.name}`) }
+        });
+        return 'sent';
+    } catch (error) {
+        const retry = error.retryable !== false && message.attempts < message.maxAttempts;
+        const delay = CONSTANTS.REMINDER.RETRY_DELAY_MINUTES * 2 ** (message.attempts - 1) * MINUTE_MS;
+        const status = retry ? 'queued' : 'failed';
+        await ReminderMessage.updateOne({ _id: message._id }, {
+            $set: {
+                status,
+                transport: transport?.name || '',
+                lastError: error.message,
+                ...(retry ? { nextAttemptAt: new Date(now.getTime() + delay) } : {})
+            },
+            $push: { history: historyEntry(status, `Attempt ${message.attempts} failed: ${error.message}`) }
+        });
+        return retry ? 'retried' : 'failed';
+    }
+};
+
+/**
+ * Send up to REMINDER.DISPATCH_BATCH_SIZE due messages.
+ * @param {Date} [now]
+ * @returns {Promise<{ sent: number, retried: number, failed: number }>}
+ */
+const dispatchReminders = async (now = new Date()) => {
+    await requeueStale(now);
+
+    const result = { sent: 0, retried: 0, failed: 0 };
+    for (let i = 0; i < CONSTANTS.REMINDER.DISPATCH_BATCH_SIZE; i += 1) {
+        const message = await claimNext(now);
+        if (!message) break;
+        result[await sendOne(message, now)] += 1;
+    }
+    return result;
+};
+
+let running = false;
+
+const runDispatch = async () => {
+    // A slow provider can outlast the interval; never overlap runs
+    if (running) return;
+    running = true;
+    try {
+        const result = await dispatchReminders();
+        if (result.sent + result.retried + result.failed > 0) {
+            console.log(`Reminder dispatch: ${result.sent} sent, ${result.retried} to retry, ${result.failed} failed`);
+        }
+    } catch (error) {
+        console.error('Reminder dispatch error:', error);
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Run the dispatcher now and then every `REMINDER.DISPATCH_INTERVAL_MINUTES`.
+ * The timer does not keep the process alive on shutdown.
+ */
+const startDispatchRemindersJob = () => {
+    runDispatch();
+    const timer = setInterval(runDispatch, CONSTANTS.REMINDER.DISPATCH_INTERVAL_MINUTES * MINUTE_MS);
+    timer.unref();
+    return timer;
+};
+
+if (require.main === module) {
+    require('dotenv').config();
+    mongoose.connect(process.env.MONGODB_URI)
+        .then(runDispatch)
+        .catch((error) => {
+            console.error('MongoDB connection error:', error);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = {
+    dispatchReminders,
+    startDispatchRemindersJob
+};
@@ -0,0 +1,85 @@
+/**
+ * Recycle bin purge.
+ *
+ * Permanently removes deleted vouchers, settlements and credit notes once the
+ * owning shop's retention period (`recycleBinSettings.retentionDays`) has
+ * passed. The server runs it on a timer; it can also be run by hand:
+ *
+ *   npm run purge:recycle-bin
+ */
+
+const mongoose = require('mongoose');
+const Voucher = require('../models/Voucher');
+const Settlement = require('../models/Settlement');
+const CreditNote = require('../models/CreditNote');
+const User = require('../models/User');
+const CONSTANTS = require('../utils/constants');
+const { getRetentionDays } = require('../utils/recycleBin');
+
+const MODELS = { vouchers: Voucher, settlements: Settlement, creditNotes: CreditNote };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {Date} [now]
+ * @returns {Promise<{ vouchers: number, settlements: number, creditNotes: number }>} Documents removed.
+ */
+const purgeRecycleBin = async (now = new Date()) => {
+    const inBin = { deletedAt: { $ne: null } };
+    const userIdLists = await Promise.all(Object.values(MODELS).map((model) => model.distinct('userId', inBin)));
+    const userIds = [...new Set(userIdLists.flat().map(String))];
+
+    const users = await User.find({ _id: { $in: userIds } }).select('recycleBinSettings').lean();
+    const retentionByUser = new Map(users.map((user) => [String(user._id), getRetentionDays(user)]));
+
+    const purged = { vouchers: 0, settlements: 0, creditNotes: 0 };
+    for (const userId of userIds) {
+        // Shops that no longer exist fall back to the default period
+        const retentionDays = retentionByUser.get(userId) ?? CONSTANTS.RECYCLE_BIN.DEFAULT_RETENTION_DAYS;
+        const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+
+        for (const [key, model] of Object.entries(MODELS)) {
+            const result = await model.deleteMany({ userId, deletedAt: { $ne: null, $lte: cutoff } });
+            purged[key] += result.deletedCount;
+        }
+    }
+    return purged;
+};
+
+const runPurge = async () => {
+    try {
+        const purged = await purgeRecycleBin();
+        const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+        if (total > 0) {
+            console.log(`Recycle bin purge: removed ${purged.vouchers} voucher(s), ${purged.settlements} settlement(s) and ${purged.creditNotes} credit note(s)`);
+        }
+    } catch (error) {
+        console.error('Recycle bin purge error:', error);
+    }
+};
+
+/**
+ * Run the purge now and then every `RECYCLE_BIN.PURGE_INTERVAL_HOURS`.
+ * The timer does not keep the process alive on shutdown.
+ */
+const startPurgeRecycleBinJob = () => {
+    runPurge();
+    const timer = setInterval(runPurge, CONSTANTS.RECYCLE_BIN.PURGE_INTERVAL_HOURS * 60 * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+if (require.main === module) {
+    require('dotenv').config();
+    mongoose.connect(process.env.MONGODB_URI)
+        .then(runPurge)
+        .catch((error) => {
+            console.error('MongoDB connection error:', error);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = {
+    purgeRecycleBin,
+    startPurgeRecycleBinJob
+};
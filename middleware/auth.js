@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Staff = require('../models/Staff');
+const { runWithContext } = require('../utils/requestContext');
 
 const auth = async (req, res, next) => {
   try {
@@ -29,9 +31,31 @@ const auth = async (req, res, next) => {
       });
     }
 
+    // The shop (tenant) is always req.user; a staff login additionally sets req.staff
+    let staff = null;
+    if (decoded.staffId) {
+      staff = await Staff.findOne({ _id: decoded.staffId, userId: user._id });
+      if (!staff) {
+        return res.status(401).json({
+          success: false,
+          message: 'Staff account not found'
+        });
+      }
+      if (!staff.isActive) {
+        return res.status(403).json({
+          success: false,
+          message: 'Staff account is deactivated'
+        });
+      }
+    }
+
     req.user = user;
     req.userId = user._id;
-    next();
+    req.staff = staff;
+    req.actor = staff
+      ? { type: 'staff', id: staff._id, name: staff.name, role: staff.role }
+      : { type: 'user', id: user._id, name: user.shopName, role: 'owner' };
+    runWithContext({ actor: req.actor }, next);
   } catch (error) {
     res.status(401).json({ 
       success: false, 
@@ -65,7 +89,7 @@ const checkLicense = async (req, res, next) => {
 
 const isAdmin = async (req, res, next) => {
   try {
-    if (req.user.role !== 'admin') {
+    if (req.user.role !== 'admin' || req.staff) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. Admin only.'
@@ -0,0 +1,26 @@
+const CONSTANTS = require('../utils/constants');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// The shop's own login has every permission; staff are limited by their role
+const hasPermission = (req, permission) => !req.staff || req.staff.hasPermission(permission);
+
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.find((permission) => !hasPermission(req, permission));
+  if (!missing) {
+    return next();
+  }
+  return res.status(CONSTANTS.HTTP_STATUS.FORBIDDEN).json({
+    success: false,
+    message: 'You do not have permission to perform this action',
+    permission: missing
+  });
+};
+
+// Router-level guard for modules where anyone may read but only some may change data
+const requireWritePermission = (permission) => {
+  const guard = requirePermission(permission);
+  return (req, res, next) => (READ_METHODS.includes(req.method) ? next() : guard(req, res, next));
+};
+
+module.exports = { hasPermission, requirePermission, requireWritePermission };
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const CONSTANTS = require('../utils/constants');
+
+// Append-only: entries are written by utils/audit.js and never changed or removed
+const auditLogSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  entityType: {
+    type: String,
+    enum: CONSTANTS.AUDIT.ENTITY_TYPES,
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  actor: {
+    type: {
+      type: String,
+      enum: ['user', 'staff']
+    },
+    id: mongoose.Schema.Types.ObjectId,
+    name: String,
+    role: String
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ userId: 1, entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ userId: 1, 'actor.id': 1, createdAt: -1 });
+
+const rejectChange = function rejectAuditChange(next) {
+  next(new Error('Audit log entries cannot be modified'));
+};
+
+auditLogSchema.pre('save', function preventOverwrite(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  return next();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectChange
+);
+auditLogSchema.pre(
+  ['deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  rejectChange
+);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const actorStamp = require('./plugins/actorStamp');
+
+const denominationSchema = new mongoose.Schema({
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  count: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// A physical count of the cash drawer. `createdBy` (actor stamp) records who counted.
+const cashCountSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Business day the count belongs to (start of day)
+  date: {
+    type: Date,
+    required: true
+  },
+  countedAt: {
+    type: Date,
+    default: Date.now
+  },
+  denominations: [denominationSchema],
+  countedTotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Drawer cash per the day book when the count was saved
+  expectedCash: {
+    type: Number,
+    required: true
+  },
+  variance: {
+    type: Number,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+cashCountSchema.index({ userId: 1, date: -1, countedAt: -1 });
+
+cashCountSchema.plugin(actorStamp);
+
+module.exports = mongoose.model('CashCount', cashCountSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const actorStamp = require('./plugins/actorStamp');
 
 const categorySchema = new mongoose.Schema({
   userId: {
@@ -35,4 +36,6 @@ const categorySchema = new mongoose.Schema({
 // Compound index for uniqueness per user
 categorySchema.index({ userId: 1, name: 1, type: 1 }, { unique: true, sparse: true });
 
+categorySchema.plugin(actorStamp);
+
 module.exports = mongoose.model('Category', categorySchema);
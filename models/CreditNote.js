@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const actorStamp = require('./plugins/actorStamp');
+const softDelete = require('./plugins/softDelete');
+
+const creditNoteItemSchema = new mongoose.Schema({
+  // _id of the line inside the original voucher's items array
+  voucherItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  sourceItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item'
+  },
+  itemName: {
+    type: String,
+    required: true
+  },
+  metalType: {
+    type: String,
+    enum: ['gold', 'silver'],
+    required: true
+  },
+  pieces: {
+    type: Number,
+    default: 1
+  },
+  grossWeight: {
+    type: Number,
+    default: 0
+  },
+  lessWeight: {
+    type: Number,
+    default: 0
+  },
+  netWeight: {
+    type: Number,
+    required: true
+  },
+  melting: {
+    type: Number,
+    default: 0
+  },
+  wastage: {
+    type: Number,
+    default: 0
+  },
+  fineWeight: {
+    type: Number,
+    required: true
+  },
+  labourRate: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  hsnCode: {
+    type: String,
+    trim: true
+  }
+});
+
+const creditNoteSchema = new mongoose.Schema({
+  creditNoteNumber: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ledgerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    required: true
+  },
+  voucherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voucher',
+    required: true,
+    index: true
+  },
+  // Snapshot of the invoice being reversed (for printing and GSTR-1)
+  originalInvoice: {
+    voucherNumber: { type: String },
+    invoiceNumber: { type: String },
+    date: { type: Date },
+    total: { type: Number, default: 0 }
+  },
+  customerName: {
+    type: String,
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  invoiceType: {
+    type: String,
+    enum: ['normal', 'gst'],
+    default: 'normal'
+  },
+  // Mirrors the original voucher: 'sale' = sales return, 'purchase' = purchase return
+  voucherType: {
+    type: String,
+    enum: ['sale', 'purchase'],
+    default: 'sale'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  items: [creditNoteItemSchema],
+  totals: {
+    pieces: { type: Number, default: 0 },
+    grossWeight: { type: Number, default: 0 },
+    netWeight: { type: Number, default: 0 },
+    fineWeight: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 }
+  },
+  stoneAmount: {
+    type: Number,
+    default: 0
+  },
+  fineAmount: {
+    type: Number,
+    default: 0
+  },
+  gstDetails: {
+    sellerGSTNumber: { type: String, trim: true },
+    sellerState: { type: String, trim: true },
+    customerGSTNumber: { type: String, trim: true },
+    customerState: { type: String, trim: true },
+    gstType: { type: String, enum: ['IGST', 'CGST_SGST'] },
+    gstRate: { type: Number, default: 0 },
+    taxableValue: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    totalGST: { type: Number, default: 0 }
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  // Cash handed over at the counter when the goods came back (refund for sales returns)
+  cashSettled: {
+    type: Number,
+    default: 0
+  },
+  // Signed deltas applied to Ledger.balances so cancellation can undo them exactly
+  ledgerAdjustment: {
+    cashBalance: { type: Number, default: 0 },
+    goldFineWeight: { type: Number, default: 0 },
+    silverFineWeight: { type: Number, default: 0 }
+  },
+  stockAdjustment: {
+    gold: { type: Number, default: 0 },
+    silver: { type: Number, default: 0 }
+  },
+  stockAdjusted: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  cancelledReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+creditNoteSchema.index({ userId: 1, creditNoteNumber: 1 });
+creditNoteSchema.index({ userId: 1, ledgerId: 1 });
+creditNoteSchema.index({ userId: 1, date: -1 });
+
+creditNoteSchema.plugin(actorStamp);
+creditNoteSchema.plugin(softDelete);
+
+module.exports = mongoose.model('CreditNote', creditNoteSchema);
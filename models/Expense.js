@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const actorStamp = require('./plugins/actorStamp');
 
 const expenseSchema = new mongoose.Schema({
     userId: {
@@ -41,4 +42,6 @@ const expenseSchema = new mongoose.Schema({
 expenseSchema.index({ userId: 1, date: -1 });
 expenseSchema.index({ userId: 1, category: 1 });
 
+expenseSchema.plugin(actorStamp);
+
 module.exports = mongoose.model('Expense', expenseSchema);
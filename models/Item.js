@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const actorStamp = require('./plugins/actorStamp');
 
 const itemSchema = new mongoose.Schema({
   userId: {
@@ -29,6 +30,11 @@ const itemSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Purity master entry; when set, `purity` holds its name
+  purityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Purity'
+  },
   grossWeight: {
     type: Number,
     required: true,
@@ -55,6 +61,12 @@ const itemSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Computed on the server: netWeight × (meltingPercent + wastage) / 100
+  fineWeight: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   labour: {
     type: Number,
     default: 0,
@@ -148,4 +160,6 @@ itemSchema.index({ userId: 1, createdAt: -1 });
 // Compound unique index for item codes per tenant
 itemSchema.index({ userId: 1, itemCode: 1 }, { unique: true });
 
+itemSchema.plugin(actorStamp);
+
 module.exports = mongoose.model('Item', itemSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const actorStamp = require('./plugins/actorStamp');
 
 const itemTransactionSchema = new mongoose.Schema({
   itemId: {
@@ -15,7 +16,7 @@ const itemTransactionSchema = new mongoose.Schema({
   },
   action: {
     type: String,
-    enum: ['created', 'edited', 'sold', 'override', 'deleted'],
+    enum: ['created', 'edited', 'sold', 'override', 'deleted', 'returned'],
     required: true,
     index: true
   },
@@ -52,4 +53,6 @@ itemTransactionSchema.index({ itemId: 1, timestamp: -1 });
 itemTransactionSchema.index({ userId: 1, timestamp: -1 });
 itemTransactionSchema.index({ userId: 1, action: 1, timestamp: -1 });
 
+itemTransactionSchema.plugin(actorStamp);
+
 module.exports = mongoose.model('ItemTransaction', itemTransactionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const actorStamp = require('./plugins/actorStamp');
 
 const karigarTransactionSchema = new mongoose.Schema({
   userId: {
@@ -53,4 +54,6 @@ const karigarTransactionSchema = new mongoose.Schema({
 karigarTransactionSchema.index({ userId: 1, date: -1 });
 karigarTransactionSchema.index({ userId: 1, isDeleted: 1 });
 
+karigarTransactionSchema.plugin(actorStamp);
+
 module.exports = mongoose.model('Karigar', karigarTransactionSchema);
\ No newline at end of file
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const actorStamp = require('./plugins/actorStamp');
+const CONSTANTS = require('../utils/constants');
 
 const ledgerSchema = new mongoose.Schema({
   name: {
@@ -93,6 +95,56 @@ const ledgerSchema = new mongoose.Schema({
   hasVouchers: {
     type: Boolean,
     default: false
+  },
+  // Credit terms; null days fall back to CREDIT_PAYMENT.DUE_DAYS, null limits mean no limit
+  creditTerms: {
+    creditDays: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    amountLimit: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    goldLimit: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    silverLimit: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    limitAction: {
+      type: String,
+      enum: CONSTANTS.CREDIT_TERMS.LIMIT_ACTIONS,
+      default: 'warn'
+    }
+  },
+  // Per-ledger interest overrides; null falls back to the shop's interestSettings
+  interestSettings: {
+    enabled: {
+      type: Boolean,
+      default: null
+    },
+    monthlyRate: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    graceDays: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    method: {
+      type: String,
+      enum: [...CONSTANTS.INTEREST.METHODS, null],
+      default: null
+    }
   }
 }, {
   timestamps: true
@@ -116,4 +168,6 @@ ledgerSchema.index({ userId: 1, name: 1 });
 ledgerSchema.index({ userId: 1, phoneNumber: 1 });
 ledgerSchema.index({ userId: 1, ledgerType: 1 });
 
+ledgerSchema.plugin(actorStamp);
+
 module.exports = mongoose.model('Ledger', ledgerSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const actorStamp = require('./plugins/actorStamp');
+
+const numberSeriesSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  documentType: {
+    type: String,
+    enum: ['voucher', 'credit_note', 'receipt', 'pledge'],
+    default: 'voucher'
+  },
+  // Which vouchers the series applies to; 'any' matches every value
+  invoiceType: {
+    type: String,
+    enum: ['any', 'normal', 'gst'],
+    default: 'any'
+  },
+  voucherType: {
+    type: String,
+    enum: ['any', 'sale', 'purchase'],
+    default: 'any'
+  },
+  prefix: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Tokens: {PREFIX}, {FY} (25-26), {FYFULL} (2025-26), {SEQ}
+  format: {
+    type: String,
+    trim: true,
+    default: '{PREFIX}{SEQ}'
+  },
+  padding: {
+    type: Number,
+    min: 0,
+    max: 10,
+    default: 4
+  },
+  // Restart numbering on 1 April (Indian financial year)
+  resetYearly: {
+    type: Boolean,
+    default: true
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Last number issued per period: financial year key ('2025-26') or 'all' when not resetting
+  counters: {
+    type: Map,
+    of: Number,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+numberSeriesSchema.index({ userId: 1, documentType: 1, name: 1 }, { unique: true });
+
+numberSeriesSchema.plugin(actorStamp);
+
+module.exports = mongoose.model('NumberSeries', numberSeriesSchema);
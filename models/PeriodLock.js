@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const actorStamp = require('./plugins/actorStamp');
+
+// A closed day or month. Entries dated inside [start, end] cannot be posted,
+// changed or deleted while the lock is 'locked'. Unlocking keeps the document
+// (with who, when and why) so the period can be closed again later.
+const periodLockSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  periodType: {
+    type: String,
+    enum: ['day', 'month'],
+    required: true
+  },
+  // 'YYYY-MM-DD' for days, 'YYYY-MM' for months
+  periodKey: {
+    type: String,
+    required: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['locked', 'unlocked'],
+    default: 'locked'
+  },
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+  unlockedAt: {
+    type: Date,
+    default: null
+  },
+  unlockReason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Day book totals when a day was closed
+  summary: {
+    openingCash: Number,
+    closingCash: Number,
+    cashIn: Number,
+    cashOut: Number,
+    goldIn: Number,
+    goldOut: Number,
+    silverIn: Number,
+    silverOut: Number
+  }
+}, {
+  timestamps: true
+});
+
+periodLockSchema.index({ userId: 1, periodType: 1, periodKey: 1 }, { unique: true });
+periodLockSchema.index({ userId: 1, status: 1, start: 1, end: 1 });
+
+periodLockSchema.plugin(actorStamp);
+
+module.exports = mongoose.model('PeriodLock', periodLockSchema);
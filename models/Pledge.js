@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const actorStamp = require('./plugins/actorStamp');
+const CONSTANTS = require('../utils/constants');
+
+// One pledged ornament, valued at the pledge date's rate
+const pledgeItemSchema = new mongoose.Schema({
+  itemName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  metalType: {
+    type: String,
+    enum: ['gold', 'silver'],
+    required: true
+  },
+  pieces: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  grossWeight: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  netWeight: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  purityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Purity'
+  },
+  // Purity name at the time, e.g. "22K"
+  purity: {
+    type: String,
+    trim: true
+  },
+  // Touch percentage tested on the ornament
+  melting: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  fineWeight: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Fine rate per gram used for the valuation
+  rate: {
+    type: Number,
+    default: 0
+  },
+  value: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: CONSTANTS.PLEDGE.ITEM_STATUSES,
+    default: 'pledged'
+  },
+  releasedAt: {
+    type: Date
+  }
+});
+
+// A cash loan against ornaments the customer leaves with the shop (girvi).
+// It does not touch Ledger.balances; money moves through PledgeTransaction.
+const pledgeSchema = new mongoose.Schema({
+  pledgeNumber: {
+    type: String,
+    required: true
+  },
+  numberSeriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NumberSeries'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ledgerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    required: true
+  },
+  customerName: {
+    type: String,
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  items: [pledgeItemSchema],
+  goldRate: {
+    type: Number,
+    default: 0
+  },
+  silverRate: {
+    type: Number,
+    default: 0
+  },
+  // Value of all items at the pledge date
+  valuation: {
+    type: Number,
+    default: 0
+  },
+  ltvPercent: {
+    type: Number,
+    required: true
+  },
+  loanAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  principalOutstanding: {
+    type: Number,
+    default: 0
+  },
+  // Terms agreed when the loan was given
+  interest: {
+    monthlyRate: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    method: {
+      type: String,
+      enum: CONSTANTS.INTEREST.METHODS,
+      default: 'simple'
+    },
+    minimumDays: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Interest worked out up to `interestAccruedUntil` and not yet collected
+  interestDue: {
+    type: Number,
+    default: 0
+  },
+  interestAccruedUntil: {
+    type: Date
+  },
+  interestCollected: {
+    type: Number,
+    default: 0
+  },
+  maturityDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: CONSTANTS.PLEDGE.STATUSES,
+    default: 'active'
+  },
+  closedAt: {
+    type: Date
+  },
+  // How an auctioned or forfeited loan was closed
+  closure: {
+    dues: Number,
+    saleAmount: Number,
+    surplus: Number,
+    shortfall: Number
+  },
+  narration: {
+    type: String,
+    default: ''
+  },
+  cancelledReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+pledgeSchema.index({ userId: 1, pledgeNumber: 1 });
+pledgeSchema.index({ userId: 1, ledgerId: 1 });
+pledgeSchema.index({ userId: 1, status: 1, maturityDate: 1 });
+
+pledgeSchema.plugin(actorStamp);
+
+module.exports = mongoose.model('Pledge', pledgeSchema);
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const actorStamp = require('./plugins/actorStamp');
+const CONSTANTS = require('../utils/constants');
+
+const pledgePaymentSchema = new mongoose.Schema({
+  mode: {
+    type: String,
+    enum: CONSTANTS.VOUCHER_PAYMENT.MODES,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // UPI / card / transfer reference
+  reference: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  chequeNumber: {
+    type: String,
+    trim: true
+  },
+  chequeDate: {
+    type: Date
+  },
+  bankName: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// Money paid out on or collected against a pledge. The cash and bank books
+// read these; PLEDGE.OUTGOING_TYPES pay money out, the rest bring it in.
+const pledgeTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  pledgeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pledge',
+    required: true
+  },
+  ledgerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    required: true
+  },
+  pledgeNumber: {
+    type: String
+  },
+  customerName: {
+    type: String
+  },
+  type: {
+    type: String,
+    enum: CONSTANTS.PLEDGE.TRANSACTION_TYPES,
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // A plain cash amount is stored as one cash line; empty only when no money moved
+  payments: [pledgePaymentSchema],
+  // How a collection was split; interest is settled first
+  interestAmount: {
+    type: Number,
+    default: 0
+  },
+  principalAmount: {
+    type: Number,
+    default: 0
+  },
+  // Pledge items handed back (release, redemption) or sold (auction)
+  itemIds: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  // Fine taken into the shop's stock when a pledge is forfeited
+  fine: {
+    gold: { type: Number, default: 0 },
+    silver: { type: Number, default: 0 }
+  },
+  narration: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+pledgeTransactionSchema.index({ userId: 1, date: -1 });
+pledgeTransactionSchema.index({ userId: 1, pledgeId: 1, date: 1 });
+
+pledgeTransactionSchema.plugin(actorStamp);
+
+module.exports = mongoose.model('PledgeTransaction', pledgeTransactionSchema);
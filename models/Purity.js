@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const actorStamp = require('./plugins/actorStamp');
+
+const puritySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Label used at the counter, e.g. '22K' or '925'
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  metal: {
+    type: String,
+    enum: ['gold', 'silver'],
+    required: true
+  },
+  // Parts per thousand (916 for 22K)
+  fineness: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 1000
+  },
+  // Melting (touch) % applied to lines of this purity when none is entered
+  defaultMelting: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+puritySchema.pre('validate', function (next) {
+  if (this.defaultMelting === undefined || this.defaultMelting === null) {
+    this.defaultMelting = this.fineness / 10;
+  }
+  next();
+});
+
+puritySchema.index({ userId: 1, metal: 1, name: 1 }, { unique: true });
+
+puritySchema.plugin(actorStamp);
+
+module.exports = mongoose.model('Purity', puritySchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const actorStamp = require('./plugins/actorStamp');
+
+const purityRateSchema = new mongoose.Schema({
+  purityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Purity'
+  },
+  metalType: {
+    type: String,
+    enum: ['gold', 'silver'],
+    default: 'gold'
+  },
+  // Purity label as used at the counter, e.g. '22K' or '916'
+  purity: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// One entry per user per day; setting the rate again on the same day replaces it
+const rateHistorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Start of the day the rate applies from
+  date: {
+    type: Date,
+    required: true
+  },
+  goldRate: {
+    type: Number,
+    default: 0
+  },
+  silverRate: {
+    type: Number,
+    default: 0
+  },
+  purityRates: [purityRateSchema]
+}, {
+  timestamps: true
+});
+
+rateHistorySchema.index({ userId: 1, date: -1 }, { unique: true });
+
+// `updatedBy` is whoever set the day's rates last, shop login or staff member
+rateHistorySchema.plugin(actorStamp);
+
+module.exports = mongoose.model('RateHistory', rateHistorySchema);
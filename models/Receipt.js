@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const actorStamp = require('./plugins/actorStamp');
+const CONSTANTS = require('../utils/constants');
+
+const receiptPaymentSchema = new mongoose.Schema({
+  mode: {
+    type: String,
+    enum: CONSTANTS.VOUCHER_PAYMENT.MODES,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // UPI / card / transfer reference
+  reference: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  chequeNumber: {
+    type: String,
+    trim: true
+  },
+  chequeDate: {
+    type: Date
+  },
+  bankName: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// Part of the receipt applied to one outstanding bill
+const receiptAllocationSchema = new mongoose.Schema({
+  voucherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voucher',
+    required: true
+  },
+  // Snapshot of the bill for printing
+  voucherNumber: {
+    type: String
+  },
+  voucherDate: {
+    type: Date
+  },
+  billAmount: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// Money received from a customer against their balance. Replaces the item-less
+// add_cash voucher: it has its own number series and prints as a receipt slip.
+const receiptSchema = new mongoose.Schema({
+  receiptNumber: {
+    type: String,
+    required: true
+  },
+  numberSeriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NumberSeries'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ledgerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    required: true
+  },
+  customerName: {
+    type: String,
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  payments: [receiptPaymentSchema],
+  // Total of the payment lines
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  allocations: [receiptAllocationSchema],
+  // Left on account, not applied to any bill
+  unallocatedAmount: {
+    type: Number,
+    default: 0
+  },
+  narration: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Ledger balances before and after, for the slip
+  balanceBefore: {
+    type: Number,
+    default: 0
+  },
+  balanceAfter: {
+    type: Number,
+    default: 0
+  },
+  // Signed delta applied to Ledger.balances so cancellation can undo it exactly
+  ledgerAdjustment: {
+    cashBalance: { type: Number, default: 0 }
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  cancelledReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+receiptSchema.index({ userId: 1, receiptNumber: 1 });
+receiptSchema.index({ userId: 1, ledgerId: 1 });
+receiptSchema.index({ userId: 1, date: -1 });
+receiptSchema.index({ userId: 1, 'allocations.voucherId': 1 });
+
+receiptSchema.plugin(actorStamp);
+
+module.exports = mongoose.model('Receipt', receiptSchema);
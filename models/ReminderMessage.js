@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const actorStamp = require('./plugins/actorStamp');
+const CONSTANTS = require('../utils/constants');
+
+const historySchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: CONSTANTS.REMINDER.STATUSES,
+    required: true
+  },
+  note: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
+// One payment reminder in the outbox. jobs/dispatchReminders sends queued
+// messages through the channel's transport and retries failures with backoff.
+const reminderMessageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ledgerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: CONSTANTS.REMINDER.CHANNELS,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  // What the customer owed when the message was queued
+  dues: {
+    balanceAmount: { type: Number, default: 0 },
+    goldFineWeight: { type: Number, default: 0 },
+    silverFineWeight: { type: Number, default: 0 },
+    dueDate: { type: Date, default: null },
+    daysOverdue: { type: Number, default: 0 }
+  },
+  status: {
+    type: String,
+    enum: CONSTANTS.REMINDER.STATUSES,
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: CONSTANTS.REMINDER.MAX_ATTEMPTS
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when a dispatcher picks the message up
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  transport: {
+    type: String,
+    default: ''
+  },
+  providerMessageId: {
+    type: String,
+    default: ''
+  },
+  lastError: {
+    type: String,
+    default: ''
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  history: [historySchema]
+}, {
+  timestamps: true
+});
+
+reminderMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+reminderMessageSchema.index({ userId: 1, createdAt: -1 });
+reminderMessageSchema.index({ userId: 1, ledgerId: 1, status: 1 });
+
+reminderMessageSchema.plugin(actorStamp);
+
+module.exports = mongoose.model('ReminderMessage', reminderMessageSchema);
@@ -1,4 +1,31 @@
 const mongoose = require('mongoose');
+const actorStamp = require('./plugins/actorStamp');
+const softDelete = require('./plugins/softDelete');
+
+// Part of the settlement's money applied to one bill
+const settlementAllocationSchema = new mongoose.Schema({
+  voucherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voucher',
+    required: true
+  },
+  // Snapshot of the bill for printing
+  voucherNumber: {
+    type: String
+  },
+  voucherDate: {
+    type: Date
+  },
+  billAmount: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
 
 const settlementSchema = new mongoose.Schema({
   userId: {
@@ -61,7 +88,9 @@ const settlementSchema = new mongoose.Schema({
     required: true,
     default: 'payment',
     description: 'receipt = customer gave fine, payment = customer took fine'
-  }
+  },
+  // Bills the amount taken off the credit balance was applied to
+  allocations: [settlementAllocationSchema]
 }, {
   timestamps: true
 });
@@ -69,5 +98,9 @@ const settlementSchema = new mongoose.Schema({
 // Index for efficient queries
 settlementSchema.index({ userId: 1, ledgerId: 1 });
 settlementSchema.index({ userId: 1, date: -1 });
+settlementSchema.index({ userId: 1, 'allocations.voucherId': 1 });
+
+settlementSchema.plugin(actorStamp);
+settlementSchema.plugin(softDelete);
 
 module.exports = mongoose.model('Settlement', settlementSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const CONSTANTS = require('../utils/constants');
+const actorStamp = require('./plugins/actorStamp');
+
+// A login under a shop (User). Staff share the shop's data; what they may do
+// is limited by `permissions`, which defaults from the role.
+const staffSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  phoneNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: [/^[0-9]{10}$/, 'Phone number must be 10 digits']
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: 6
+  },
+  role: {
+    type: String,
+    enum: CONSTANTS.STAFF.ROLES,
+    required: true
+  },
+  permissions: [{
+    type: String,
+    enum: CONSTANTS.STAFF.PERMISSIONS
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+staffSchema.plugin(actorStamp);
+
+staffSchema.pre('validate', function normalizeStaff(next) {
+  if (this.phoneNumber) {
+    this.phoneNumber = String(this.phoneNumber).replace(/\D/g, '');
+  }
+  if (this.isNew && !this.permissions?.length) {
+    this.permissions = CONSTANTS.STAFF.ROLE_PERMISSIONS[this.role] || [];
+  }
+  next();
+});
+
+staffSchema.pre('save', async function hashPassword(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  try {
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+staffSchema.methods.comparePassword = async function (candidatePassword) {
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+// Owners can do everything the shop login can
+staffSchema.methods.hasPermission = function (permission) {
+  return this.role === 'owner' || (this.permissions || []).includes(permission);
+};
+
+staffSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Staff', staffSchema);
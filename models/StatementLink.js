@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const actorStamp = require('./plugins/actorStamp');
+
+const accessLogSchema = new mongoose.Schema({
+  accessedAt: {
+    type: Date,
+    default: Date.now
+  },
+  ipAddress: String,
+  userAgent: String,
+  format: String
+}, { _id: false });
+
+const statementLinkSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ledgerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger',
+    required: true
+  },
+  // SHA-256 of the token; the token itself is only shown once, when the link is created
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  accessCount: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  },
+  // Most recent accesses only (capped by CONSTANTS.STATEMENT_LINK.ACCESS_LOG_LIMIT)
+  accessLog: [accessLogSchema]
+}, {
+  timestamps: true
+});
+
+statementLinkSchema.index({ userId: 1, ledgerId: 1, createdAt: -1 });
+
+statementLinkSchema.methods.isUsable = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+statementLinkSchema.plugin(actorStamp);
+
+module.exports = mongoose.model('StatementLink', statementLinkSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const actorStamp = require('./plugins/actorStamp');
 
 const stockInputSchema = new mongoose.Schema({
   gold: { type: Number, default: 0 },
@@ -8,6 +9,7 @@ const stockInputSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
 });
 
+stockInputSchema.plugin(actorStamp);
 const StockInput = mongoose.model('StockInput', stockInputSchema);
 
 const stockSchema = new mongoose.Schema({
@@ -21,6 +23,7 @@ const stockSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now },
 });
 
+stockSchema.plugin(actorStamp);
 const Stock = mongoose.model('Stock', stockSchema);
 
 module.exports = { Stock, StockInput };
@@ -37,9 +37,20 @@ const userSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // Legacy counters: only used to seed the default numbering series (see utils/numbering.js)
     currentVoucherNumber: {
       type: Number,
       default: 1
+    },
+    lastCreditNoteNumber: {
+      type: Number,
+      default: 0
+    },
+    // What to do when submitted line numbers disagree with the server calculation
+    calculationMode: {
+      type: String,
+      enum: ['flag', 'reject'],
+      default: 'flag'
     }
   },
   gstEnabled: {
@@ -99,6 +110,93 @@ const userSchema = new mongoose.Schema({
       default: require('../utils/constants').REVERSAL_POLICY.WINDOW_HOURS
     }
   },
+  recycleBinSettings: {
+    retentionDays: {
+      type: Number,
+      min: 1,
+      max: require('../utils/constants').RECYCLE_BIN.MAX_RETENTION_DAYS,
+      default: require('../utils/constants').RECYCLE_BIN.DEFAULT_RETENTION_DAYS
+    }
+  },
+  // Defaults for new pledge loans; each pledge keeps its own copy of the terms
+  pledgeSettings: {
+    monthlyRate: {
+      type: Number,
+      min: 0,
+      max: require('../utils/constants').INTEREST.MAX_MONTHLY_RATE,
+      default: require('../utils/constants').PLEDGE.DEFAULT_MONTHLY_RATE
+    },
+    method: {
+      type: String,
+      enum: require('../utils/constants').INTEREST.METHODS,
+      default: 'simple'
+    },
+    minimumDays: {
+      type: Number,
+      min: 0,
+      default: require('../utils/constants').PLEDGE.DEFAULT_MINIMUM_DAYS
+    },
+    ltvPercent: {
+      type: Number,
+      min: 1,
+      max: 100,
+      default: require('../utils/constants').PLEDGE.DEFAULT_LTV_PERCENT
+    },
+    tenureMonths: {
+      type: Number,
+      min: 1,
+      default: require('../utils/constants').PLEDGE.DEFAULT_TENURE_MONTHS
+    }
+  },
+  // Payment reminders; an empty template uses REMINDER.DEFAULT_TEMPLATE
+  reminderSettings: {
+    channel: {
+      type: String,
+      enum: require('../utils/constants').REMINDER.CHANNELS,
+      default: 'whatsapp'
+    },
+    template: {
+      type: String,
+      trim: true,
+      maxlength: require('../utils/constants').REMINDER.MAX_TEMPLATE_LENGTH,
+      default: ''
+    }
+  },
+  // Interest on overdue cash balances; ledgers may override each field
+  interestSettings: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    monthlyRate: {
+      type: Number,
+      min: 0,
+      default: require('../utils/constants').CREDIT_PAYMENT.DEFAULT_INTEREST_RATE
+    },
+    graceDays: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    method: {
+      type: String,
+      enum: require('../utils/constants').INTEREST.METHODS,
+      default: 'simple'
+    }
+  },
+  // Payee for the UPI payment QR on invoices
+  paymentSettings: {
+    upiId: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    payeeName: {
+      type: String,
+      trim: true,
+      default: ''
+    }
+  },
   stockMode: {
     type: String,
     enum: ['bulk', 'item'],
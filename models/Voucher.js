@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const actorStamp = require('./plugins/actorStamp');
+const softDelete = require('./plugins/softDelete');
+const CONSTANTS = require('../utils/constants');
 
 const voucherItemSchema = new mongoose.Schema({
   sourceItemId: {
@@ -42,6 +45,15 @@ const voucherItemSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Metal rate used for this line (defaults to the voucher's gold/silver rate)
+  rate: {
+    type: Number,
+    default: 0
+  },
+  stoneAmount: {
+    type: Number,
+    default: 0
+  },
   amount: {
     type: Number,
     required: true
@@ -51,6 +63,21 @@ const voucherItemSchema = new mongoose.Schema({
     enum: ['gold', 'silver'],
     required: true
   },
+  // 'receipt' lines are old metal taken back in exchange; they count against the issue lines
+  lineType: {
+    type: String,
+    enum: ['issue', 'receipt'],
+    default: 'issue'
+  },
+  // Purity master entry; fine weight is then computed on the server
+  purityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Purity'
+  },
+  purity: {
+    type: String,
+    trim: true
+  },
   hsnCode: {
     type: String,
     default: '7108',
@@ -58,11 +85,72 @@ const voucherItemSchema = new mongoose.Schema({
   }
 });
 
+// One mode of a split payment; the lines add up to `cashReceived`
+const voucherPaymentSchema = new mongoose.Schema({
+  mode: {
+    type: String,
+    enum: CONSTANTS.VOUCHER_PAYMENT.MODES,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // UPI / card / transfer reference
+  reference: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  chequeNumber: {
+    type: String,
+    trim: true
+  },
+  chequeDate: {
+    type: Date
+  },
+  bankName: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// Part of an add_cash / money_to_gold / money_to_silver voucher applied to one bill
+const voucherAllocationSchema = new mongoose.Schema({
+  voucherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voucher',
+    required: true
+  },
+  // Snapshot of the bill for printing
+  voucherNumber: {
+    type: String
+  },
+  voucherDate: {
+    type: Date
+  },
+  billAmount: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
 const voucherSchema = new mongoose.Schema({
   voucherNumber: {
     type: String,
     required: true
   },
+  // Series the number was allocated from (absent for manually numbered vouchers)
+  numberSeriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NumberSeries'
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -151,7 +239,7 @@ const voucherSchema = new mongoose.Schema({
   },
   paymentType: {
     type: String,
-    enum: ['cash', 'credit', 'add_cash', 'add_gold', 'add_silver', 'money_to_gold', 'money_to_silver'],
+    enum: ['cash', 'credit', 'add_cash', 'add_gold', 'add_silver', 'money_to_gold', 'money_to_silver', 'interest'],
     required: true
   },
   goldRate: {
@@ -183,10 +271,16 @@ const voucherSchema = new mongoose.Schema({
     default: 0
   },
   issue: {
-    gross: { type: Number, default: 0 }
+    gross: { type: Number, default: 0 },
+    netWeight: { type: Number, default: 0 },
+    fineWeight: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 }
   },
   receipt: {
-    gross: { type: Number, default: 0 }
+    gross: { type: Number, default: 0 },
+    netWeight: { type: Number, default: 0 },
+    fineWeight: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 }
   },
   oldBalance: {
     amount: { type: Number, default: 0 },
@@ -220,6 +314,8 @@ const voucherSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Empty on vouchers paid wholly in cash (and on those saved before split payments)
+  payments: [voucherPaymentSchema],
   narration: {
     type: String,
     default: ''
@@ -277,6 +373,18 @@ const voucherSchema = new mongoose.Schema({
   creditDueDate: {
     type: Date
   },
+  // Bills this payment was applied to (money payment types only)
+  allocations: [voucherAllocationSchema],
+  // How much of this bill has been paid, kept up to date by utils/billAllocation
+  billSettlement: {
+    status: {
+      type: String,
+      enum: CONSTANTS.BILL_SETTLEMENT.STATUSES
+    },
+    billAmount: Number,
+    settledAmount: Number,
+    outstanding: Number
+  },
   status: {
     type: String,
     enum: ['active', 'cancelled'],
@@ -311,7 +419,27 @@ const voucherSchema = new mongoose.Schema({
   stockRestored: {
     type: Boolean,
     default: false
-  }
+  },
+  // How an 'interest' voucher was worked out; `to` is where the next charge starts
+  interestDetails: {
+    principal: Number,
+    monthlyRate: Number,
+    method: {
+      type: String,
+      enum: CONSTANTS.INTEREST.METHODS
+    },
+    days: Number,
+    from: Date,
+    to: Date
+  },
+  // Lines where the submitted numbers disagreed with the server calculation
+  calculationWarnings: [{
+    _id: false,
+    row: Number,
+    field: String,
+    submitted: Number,
+    computed: Number
+  }]
 }, {
   timestamps: true
 });
@@ -335,6 +463,11 @@ voucherSchema.index({ userId: 1, voucherNumber: 1 });
 voucherSchema.index({ userId: 1, ledgerId: 1 });
 voucherSchema.index({ userId: 1, date: -1 });
 voucherSchema.index({ userId: 1, creditDueDate: 1 });
+voucherSchema.index({ userId: 1, ledgerId: 1, 'billSettlement.status': 1 });
+voucherSchema.index({ userId: 1, 'allocations.voucherId': 1 });
 voucherSchema.index({ userId: 1, invoiceNumber: 1 });
 
+voucherSchema.plugin(actorStamp);
+voucherSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Voucher', voucherSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { getCurrentActor } = require('../../utils/requestContext');
+
+const actorSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['user', 'staff']
+  },
+  id: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  name: {
+    type: String
+  }
+}, { _id: false });
+
+const toStamp = (actor) => ({ type: actor.type, id: actor.id, name: actor.name });
+
+// Records who created and last changed a document. The actor comes from the
+// request context opened by the auth middleware; writes made outside a request
+// (jobs, scripts) are left unstamped.
+module.exports = function actorStamp(schema) {
+  schema.add({
+    createdBy: actorSchema,
+    updatedBy: actorSchema
+  });
+
+  schema.pre('save', function stampActor(next) {
+    const actor = getCurrentActor();
+    if (actor) {
+      if (this.isNew && !this.createdBy?.id) this.createdBy = toStamp(actor);
+      this.updatedBy = toStamp(actor);
+    }
+    next();
+  });
+
+  schema.pre('insertMany', function stampInsertedActor(next, docs) {
+    const actor = getCurrentActor();
+    if (actor && Array.isArray(docs)) {
+      docs.forEach((doc) => {
+        if (!doc.createdBy) doc.createdBy = toStamp(actor);
+        if (!doc.updatedBy) doc.updatedBy = toStamp(actor);
+      });
+    }
+    next();
+  });
+
+  schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function stampUpdatedActor(next) {
+    const actor = getCurrentActor();
+    const update = this.getUpdate();
+    // Aggregation-pipeline updates are left alone
+    if (actor && update && !Array.isArray(update)) {
+      this.set('updatedBy', toStamp(actor));
+      if (this.getOptions().upsert) {
+        update.$setOnInsert = { ...(update.$setOnInsert || {}), createdBy: toStamp(actor) };
+      }
+    }
+    next();
+  });
+};
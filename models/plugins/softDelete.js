@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const QUERY_HOOKS = [
+  'find', 'findOne', 'countDocuments', 'distinct',
+  'findOneAndUpdate', 'updateOne', 'updateMany',
+  'findOneAndDelete', 'deleteOne', 'deleteMany'
+];
+
+const balanceDeltaSchema = new mongoose.Schema({
+  cashBalance: { type: Number, default: 0 },
+  creditBalance: { type: Number, default: 0 },
+  goldFineWeight: { type: Number, default: 0 },
+  silverFineWeight: { type: Number, default: 0 }
+}, { _id: false });
+
+// Recycle bin support. A deleted document keeps `deletedAt` plus what the
+// delete undid on the ledger and in stock, so a restore can put it back.
+// Every query skips deleted documents unless its filter names `deletedAt`
+// itself, e.g. `{ deletedAt: { $ne: null } }` for the recycle bin, or it is
+// run with `.setOptions({ withDeleted: true })` to match both.
+module.exports = function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    },
+    deletion: {
+      by: {
+        type: { type: String, enum: ['user', 'staff'] },
+        id: mongoose.Schema.Types.ObjectId,
+        name: String
+      },
+      reason: String,
+      // Documents removed together (a ledger's whole history) share a batch and are restored together
+      batchId: mongoose.Schema.Types.ObjectId,
+      // Change the delete made to Ledger.balances; a restore adds it back
+      ledgerDelta: balanceDeltaSchema,
+      // Net fine added to (+) or taken from (-) stock by the delete
+      stockDelta: {
+        gold: { type: Number, default: 0 },
+        silver: { type: Number, default: 0 }
+      }
+    }
+  });
+
+  schema.pre(QUERY_HOOKS, function excludeDeleted(next) {
+    if (this.getOptions().withDeleted) {
+      // Ours, not a driver option
+      delete this.options.withDeleted;
+    } else if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+      this.where({ deletedAt: null });
+    }
+    next();
+  });
+
+  schema.pre('aggregate', function excludeDeletedFromPipeline(next) {
+    const [first] = this.pipeline();
+    if (!first?.$match || !Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt')) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+    next();
+  });
+};
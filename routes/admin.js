@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const Staff = require('../models/Staff');
 const Ledger = require('../models/Ledger');
 const Voucher = require('../models/Voucher');
 const Settlement = require('../models/Settlement');
@@ -8,6 +9,7 @@ const Karigar = require('../models/Karigar');
 const { Stock, StockInput } = require('../models/Stock');
 const { auth, isAdmin } = require('../middleware/auth');
 const { sanitizePhone } = require('../utils/helpers');
+const { recordAudit, toSnapshot } = require('../utils/audit');
 
 const mapUser = (user) => ({
   id: user._id,
@@ -53,8 +55,11 @@ router.post('/users', async (req, res) => {
       });
     }
 
-    const existingUser = await User.findOne({ phoneNumber });
-    if (existingUser) {
+    const [existingUser, existingStaff] = await Promise.all([
+      User.findOne({ phoneNumber }),
+      Staff.exists({ phoneNumber })
+    ]);
+    if (existingUser || existingStaff) {
       return res.status(400).json({
         success: false,
         message: 'User with this phone number already exists'
@@ -83,6 +88,7 @@ router.post('/users', async (req, res) => {
     });
 
     await user.save();
+    await recordAudit(req, { entityType: 'user', action: 'create', after: user });
 
     return res.status(201).json({
       success: true,
@@ -214,6 +220,7 @@ router.patch('/users/:id', async (req, res) => {
       });
     }
 
+    const beforeSnapshot = toSnapshot(user);
     if (shopName !== undefined) user.shopName = shopName.trim();
 
     if (phoneNumber !== undefined) {
@@ -269,6 +276,13 @@ router.patch('/users/:id', async (req, res) => {
     }
 
     await user.save();
+    await recordAudit(req, {
+      entityType: 'user',
+      action: 'update',
+      before: beforeSnapshot,
+      after: user,
+      reason: password ? 'Password reset' : undefined
+    });
 
     return res.json({
       success: true,
@@ -303,13 +317,15 @@ router.delete('/users/:id', async (req, res) => {
 
     await Promise.all([
       Ledger.deleteMany({ userId: req.params.id }),
-      Voucher.deleteMany({ userId: req.params.id }),
-      Settlement.deleteMany({ userId: req.params.id }),
+      Voucher.deleteMany({ userId: req.params.id }).setOptions({ withDeleted: true }),
+      Settlement.deleteMany({ userId: req.params.id }).setOptions({ withDeleted: true }),
       Karigar.deleteMany({ userId: req.params.id }),
       Stock.deleteMany({ userId: req.params.id }),
       StockInput.deleteMany({ userId: req.params.id }),
+      Staff.deleteMany({ userId: req.params.id }),
       User.findByIdAndDelete(req.params.id)
     ]);
+    await recordAudit(req, { entityType: 'user', action: 'delete', before: user });
 
     return res.json({
       success: true,
@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { auth, checkLicense } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const CONSTANTS = require('../utils/constants');
+const { badRequest, parsePagination, paginationMeta } = require('../utils/helpers');
+const { withCostVisibility: withVoucherCostVisibility } = require('./voucher');
+const { withCostVisibility: withItemCostVisibility } = require('./item');
+const { withCostVisibility: withCreditNoteCostVisibility } = require('./creditNote');
+
+router.use(auth);
+router.use(checkLicense);
+router.use(requirePermission('audit:view'));
+
+// Snapshots follow the same cost visibility as the documents they were taken from
+const COST_VISIBILITY = {
+  voucher: withVoucherCostVisibility,
+  item: withItemCostVisibility,
+  credit_note: withCreditNoteCostVisibility
+};
+
+const withSnapshotCostVisibility = (req, entry) => {
+  const hideCost = COST_VISIBILITY[entry.entityType];
+  if (!hideCost) return entry;
+  return {
+    ...entry,
+    before: entry.before && hideCost(req, entry.before),
+    after: entry.after && hideCost(req, entry.after)
+  };
+};
+
+const assertObjectId = (value, field) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw badRequest(`Invalid ${field}`);
+  }
+};
+
+router.get('/', async (req, res) => {
+  try {
+    const {
+      entityType, entityId, actorId, action, startDate, endDate
+    } = req.query;
+    const query = { userId: req.userId };
+
+    if (entityType) {
+      if (!CONSTANTS.AUDIT.ENTITY_TYPES.includes(entityType)) {
+        throw badRequest('Invalid entityType');
+      }
+      query.entityType = entityType;
+    }
+    if (entityId) {
+      assertObjectId(entityId, 'entityId');
+      query.entityId = entityId;
+    }
+    if (actorId) {
+      assertObjectId(actorId, 'actorId');
+      query['actor.id'] = actorId;
+    }
+    if (action) query.action = action;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.createdAt.$lte = end;
+      }
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    return res.json({
+      success: true,
+      entries: entries.map((entry) => withSnapshotCostVisibility(req, entry)),
+      pagination: paginationMeta(page, limit, total)
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error fetching audit log'
+    });
+  }
+});
+
+module.exports = router;
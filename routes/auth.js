@@ -3,12 +3,32 @@ const router = express.Router();
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Staff = require('../models/Staff');
 const { auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 const CONSTANTS = require('../utils/constants');
 const { sanitizePhone } = require('../utils/helpers');
+const { resolveSeries, previewNextNumber } = require('../utils/numbering');
+const { recordAudit, toSnapshot } = require('../utils/audit');
+const { isValidUpiId } = require('../utils/upiQr');
+const { parseInterestSettings } = require('../utils/interest');
+const { validateTemplate } = require('../utils/reminders');
+const { parsePledgeSettings } = require('../utils/pledges');
 
-const generateToken = (userId) => (
-  jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: CONSTANTS.JWT.EXPIRY })
+const SETTINGS_FIELDS = [
+  'theme', 'voucherSettings', 'gstSettings', 'labourChargeSettings', 'reversalSettings', 'recycleBinSettings',
+  'paymentSettings', 'interestSettings', 'pledgeSettings', 'reminderSettings'
+];
+
+// Only the settings blocks go into the audit trail, not the whole account
+const toSettingsSnapshot = (user) => {
+  const plain = toSnapshot(user);
+  return Object.fromEntries(SETTINGS_FIELDS.map((field) => [field, plain[field]]));
+};
+
+// Staff tokens carry the shop's userId (the tenant) plus the staff member's id
+const generateToken = (userId, staffId) => (
+  jwt.sign(staffId ? { userId, staffId } : { userId }, process.env.JWT_SECRET, { expiresIn: CONSTANTS.JWT.EXPIRY })
 );
 
 const validateLogin = [
@@ -45,23 +65,81 @@ const handleValidationErrors = (req, res, next) => {
   });
 };
 
-const mapUser = (user) => ({
+// Legacy counters on voucherSettings; numbers now come from the numbering series
+const LEGACY_VOUCHER_SETTINGS = ['currentVoucherNumber', 'lastCreditNoteNumber'];
+
+const withoutLegacyCounters = (voucherSettings) => {
+  const plain = voucherSettings?.toObject?.() || voucherSettings || {};
+  return Object.fromEntries(Object.entries(plain).filter(([key]) => !LEGACY_VOUCHER_SETTINGS.includes(key)));
+};
+
+// Next number of the series a new sale voucher would be numbered from
+const loadNextVoucherNumber = async (userId) => previewNextNumber(await resolveSeries(userId, 'voucher'));
+
+const mapUser = (user, nextVoucherNumber) => ({
   id: user._id,
   shopName: user.shopName,
   phoneNumber: user.phoneNumber,
   role: user.role,
   licenseExpiryDate: user.licenseExpiryDate,
   theme: user.theme,
-  voucherSettings: user.voucherSettings,
+  voucherSettings: { ...withoutLegacyCounters(user.voucherSettings), nextNumber: nextVoucherNumber },
   gstEnabled: user.gstEnabled,
   gstSettings: user.gstSettings,
   labourChargeSettings: user.labourChargeSettings,
   reversalSettings: user.reversalSettings,
+  recycleBinSettings: user.recycleBinSettings,
+  paymentSettings: user.paymentSettings,
+  interestSettings: user.interestSettings,
+  pledgeSettings: user.pledgeSettings,
+  reminderSettings: user.reminderSettings,
   stockMode: user.stockMode,
   daysUntilExpiry: user.getDaysUntilExpiry?.(),
   isLicenseExpired: user.isLicenseExpired?.()
 });
 
+const mapStaff = (staff) => (staff ? {
+  id: staff._id,
+  name: staff.name,
+  phoneNumber: staff.phoneNumber,
+  role: staff.role,
+  permissions: staff.role === 'owner' ? CONSTANTS.STAFF.PERMISSIONS : staff.permissions
+} : null);
+
+const invalidCredentials = (res) => res.status(CONSTANTS.HTTP_STATUS.UNAUTHORIZED).json({
+  success: false,
+  message: CONSTANTS.ERROR_MESSAGES.INVALID_CREDENTIALS
+});
+
+// Phone numbers that are not a shop login may belong to a staff member
+const loginStaff = async (phoneNumber, password, res) => {
+  const staff = await Staff.findOne({ phoneNumber });
+  if (!staff || !(await staff.comparePassword(password))) {
+    return invalidCredentials(res);
+  }
+
+  const user = await User.findById(staff.userId);
+  if (!user) {
+    return invalidCredentials(res);
+  }
+  if (!staff.isActive || !user.isActive) {
+    return res.status(CONSTANTS.HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      message: 'Account is deactivated. Please contact admin.'
+    });
+  }
+
+  staff.lastLoginAt = new Date();
+  await staff.save();
+
+  return res.json({
+    success: true,
+    token: generateToken(user._id, staff._id),
+    user: mapUser(user, await loadNextVoucherNumber(user._id)),
+    staff: mapStaff(staff)
+  });
+};
+
 router.post('/login', validateLogin, handleValidationErrors, async (req, res) => {
   try {
     const phoneNumber = sanitizePhone(req.body.phoneNumber);
@@ -69,10 +147,7 @@ router.post('/login', validateLogin, handleValidationErrors, async (req, res) =>
 
     const user = await User.findOne({ phoneNumber });
     if (!user) {
-      return res.status(CONSTANTS.HTTP_STATUS.UNAUTHORIZED).json({
-        success: false,
-        message: CONSTANTS.ERROR_MESSAGES.INVALID_CREDENTIALS
-      });
+      return await loginStaff(phoneNumber, password, res);
     }
 
     const isPasswordValid = await user.comparePassword(password);
@@ -93,7 +168,8 @@ router.post('/login', validateLogin, handleValidationErrors, async (req, res) =>
     return res.json({
       success: true,
       token: generateToken(user._id),
-      user: mapUser(user)
+      user: mapUser(user, await loadNextVoucherNumber(user._id)),
+      staff: null
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -116,7 +192,8 @@ router.get('/me', auth, async (req, res) => {
 
     return res.json({
       success: true,
-      user: mapUser(user)
+      user: mapUser(user, await loadNextVoucherNumber(user._id)),
+      staff: mapStaff(req.staff)
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -127,9 +204,12 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
-router.patch('/settings', auth, async (req, res) => {
+router.patch('/settings', auth, requirePermission('settings:manage'), async (req, res) => {
   try {
-    const { theme, voucherSettings, gstSettings, labourChargeSettings, reversalSettings } = req.body;
+    const {
+      theme, voucherSettings, gstSettings, labourChargeSettings, reversalSettings, recycleBinSettings,
+      paymentSettings, interestSettings, pledgeSettings, reminderSettings
+    } = req.body;
     const user = await User.findById(req.userId);
 
     if (!user) {
@@ -138,6 +218,7 @@ router.patch('/settings', auth, async (req, res) => {
         message: 'User not found'
       });
     }
+    const beforeSnapshot = toSettingsSnapshot(user);
 
     if (theme !== undefined) {
       if (!['light', 'dark', 'system'].includes(theme)) {
@@ -150,9 +231,18 @@ router.patch('/settings', auth, async (req, res) => {
     }
 
     if (voucherSettings) {
+      if (voucherSettings.calculationMode !== undefined
+        && !CONSTANTS.VOUCHER_CALCULATION.MODES.includes(voucherSettings.calculationMode)) {
+        return res.status(CONSTANTS.HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: 'Invalid calculation mode. Must be "flag" or "reject"'
+        });
+      }
+      // The legacy counters the client echoes back are ignored; the next
+      // number is set on the series (PUT /api/number-series/:id)
       user.voucherSettings = {
         ...(user.voucherSettings?.toObject?.() || user.voucherSettings || {}),
-        ...voucherSettings
+        ...withoutLegacyCounters(voucherSettings)
       };
     }
 
@@ -215,11 +305,93 @@ router.patch('/settings', auth, async (req, res) => {
       };
     }
 
+    if (recycleBinSettings?.retentionDays !== undefined) {
+      const days = Number(recycleBinSettings.retentionDays);
+      if (!Number.isInteger(days) || days < 1 || days > CONSTANTS.RECYCLE_BIN.MAX_RETENTION_DAYS) {
+        return res.status(CONSTANTS.HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: `recycleBinSettings.retentionDays must be a whole number from 1 to ${CONSTANTS.RECYCLE_BIN.MAX_RETENTION_DAYS}`
+        });
+      }
+      user.recycleBinSettings = { retentionDays: days };
+    }
+
+    if (paymentSettings) {
+      // An empty UPI ID turns the payment QR off
+      if (paymentSettings.upiId && !isValidUpiId(paymentSettings.upiId)) {
+        return res.status(CONSTANTS.HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: 'paymentSettings.upiId must be a valid UPI ID such as shopname@bank'
+        });
+      }
+      user.paymentSettings = {
+        ...(user.paymentSettings?.toObject?.() || user.paymentSettings || {}),
+        ...paymentSettings
+      };
+    }
+
+    if (interestSettings) {
+      const parsed = parseInterestSettings(interestSettings);
+      if (parsed.error) {
+        return res.status(CONSTANTS.HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      user.interestSettings = {
+        ...(user.interestSettings?.toObject?.() || user.interestSettings || {}),
+        ...parsed.value
+      };
+    }
+
+    if (pledgeSettings) {
+      const parsed = parsePledgeSettings(pledgeSettings);
+      if (parsed.error) {
+        return res.status(CONSTANTS.HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      user.pledgeSettings = {
+        ...(user.pledgeSettings?.toObject?.() || user.pledgeSettings || {}),
+        ...parsed.value
+      };
+    }
+
+    if (reminderSettings) {
+      if (reminderSettings.channel !== undefined && !CONSTANTS.REMINDER.CHANNELS.includes(reminderSettings.channel)) {
+        return res.status(CONSTANTS.HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: `reminderSettings.channel must be one of ${CONSTANTS.REMINDER.CHANNELS.join(', ')}`
+        });
+      }
+      // An empty template goes back to the default wording
+      const templateError = reminderSettings.template ? validateTemplate(reminderSettings.template) : null;
+      if (templateError) {
+        return res.status(CONSTANTS.HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: templateError
+        });
+      }
+      user.reminderSettings = {
+        ...(user.reminderSettings?.toObject?.() || user.reminderSettings || {}),
+        ...(reminderSettings.channel !== undefined ? { channel: reminderSettings.channel } : {}),
+        ...(reminderSettings.template !== undefined ? { template: reminderSettings.template || '' } : {})
+      };
+    }
+
     await user.save();
+    await recordAudit(req, {
+      entityType: 'settings',
+      action: 'update',
+      entityId: user._id,
+      before: beforeSnapshot,
+      after: toSettingsSnapshot(user)
+    });
 
     return res.json({
       success: true,
-      user: mapUser(user)
+      user: mapUser(user, await loadNextVoucherNumber(user._id))
     });
   } catch (error) {
     console.error('Update settings error:', error);
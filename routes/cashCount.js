@@ -0,0 +1,193 @@
+const express = require('express');
+const router = express.Router();
+const CashCount = require('../models/CashCount');
+const { auth, checkLicense } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const CONSTANTS = require('../utils/constants');
+const { toNumber, badRequest, parsePagination, paginationMeta } = require('../utils/helpers');
+const { recordAudit } = require('../utils/audit');
+const { parseDay, toDayKey, buildDayBook, buildDailyCash } = require('../utils/cashBook');
+
+const roundAmount = (value) => Math.round(toNumber(value) * 100) / 100;
+
+// Denomination rows with a zero count are dropped; the total is their sum
+const cleanDenominations = (denominations) => {
+  if (!Array.isArray(denominations)) {
+    throw badRequest('denominations must be an array');
+  }
+  return denominations.map((row, index) => {
+    const value = toNumber(row?.value, -1);
+    const count = toNumber(row?.count, -1);
+    if (value <= 0 || count < 0 || !Number.isInteger(count)) {
+      throw badRequest(`Invalid denomination at row ${index + 1}`);
+    }
+    return { value, count };
+  }).filter((row) => row.count > 0);
+};
+
+router.use(auth);
+router.use(checkLicense);
+
+router.get('/', requirePermission('cash:count'), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const query = { userId: req.userId };
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.date.$lte = end;
+      }
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [counts, total] = await Promise.all([
+      CashCount.find(query)
+        .sort({ date: -1, countedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      CashCount.countDocuments(query)
+    ]);
+
+    return res.json({
+      success: true,
+      counts,
+      denominations: CONSTANTS.CASH_COUNT.DENOMINATIONS,
+      pagination: paginationMeta(page, limit, total)
+    });
+  } catch (error) {
+    console.error('Get cash counts error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error fetching cash counts'
+    });
+  }
+});
+
+// GET /api/cash-count/report?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
+// Per day: drawer cash per the books against the last count of that day
+router.get('/report', requirePermission('reports:view'), async (req, res) => {
+  try {
+    const first = parseDay(req.query.startDate);
+    const last = parseDay(req.query.endDate || req.query.startDate);
+    if (!first || !last) {
+      throw badRequest('startDate and endDate must be in YYYY-MM-DD format');
+    }
+    if (first.start > last.start) {
+      throw badRequest('startDate must not be after endDate');
+    }
+    const dayCount = Math.round((last.start - first.start) / (24 * 60 * 60 * 1000)) + 1;
+    if (dayCount > CONSTANTS.CASH_COUNT.MAX_REPORT_DAYS) {
+      throw badRequest(`The report covers at most ${CONSTANTS.CASH_COUNT.MAX_REPORT_DAYS} days`);
+    }
+
+    const [dailyCash, counts] = await Promise.all([
+      buildDailyCash(req.userId, first.start, last.end),
+      CashCount.find({ userId: req.userId, date: { $gte: first.start, $lte: last.end } })
+        .sort({ countedAt: 1 })
+        .lean()
+    ]);
+
+    // Counts are sorted oldest first, so the last one of each day wins
+    const countsByDay = new Map();
+    counts.forEach((count) => {
+      const key = toDayKey(count.date);
+      countsByDay.set(key, [...(countsByDay.get(key) || []), count]);
+    });
+
+    const days = dailyCash.map((day) => {
+      const dayCounts = countsByDay.get(day.date) || [];
+      const count = dayCounts[dayCounts.length - 1];
+      return {
+        ...day,
+        expectedCash: day.closingCash,
+        countedTotal: count ? count.countedTotal : null,
+        countedAt: count?.countedAt || null,
+        countedBy: count?.createdBy?.name || null,
+        expectedAtCount: count ? count.expectedCash : null,
+        countCount: dayCounts.length,
+        variance: count ? roundAmount(count.countedTotal - day.closingCash) : null
+      };
+    });
+    const counted = days.filter((day) => day.variance !== null);
+
+    return res.json({
+      success: true,
+      days,
+      summary: {
+        daysCounted: counted.length,
+        shortDays: counted.filter((day) => day.variance < 0).length,
+        totalShortage: roundAmount(counted.reduce((sum, day) => sum + Math.min(day.variance, 0), 0)),
+        totalExcess: roundAmount(counted.reduce((sum, day) => sum + Math.max(day.variance, 0), 0))
+      }
+    });
+  } catch (error) {
+    console.error('Cash count report error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error generating cash count report'
+    });
+  }
+});
+
+// POST /api/cash-count { date?, denominations: [{ value, count }], countedTotal?, note? }
+router.post('/', requirePermission('cash:count'), async (req, res) => {
+  try {
+    const day = parseDay(req.body.date);
+    if (!day) {
+      throw badRequest('date must be in YYYY-MM-DD format');
+    }
+
+    const denominations = req.body.denominations !== undefined
+      ? cleanDenominations(req.body.denominations)
+      : [];
+    const denominationTotal = roundAmount(denominations.reduce((sum, row) => sum + row.value * row.count, 0));
+
+    let countedTotal = denominationTotal;
+    if (req.body.countedTotal !== undefined) {
+      countedTotal = roundAmount(req.body.countedTotal);
+      if (countedTotal < 0) {
+        throw badRequest('countedTotal cannot be negative');
+      }
+      if (denominations.length > 0 && countedTotal !== denominationTotal) {
+        throw badRequest(`countedTotal ${countedTotal} does not match the denominations (${denominationTotal})`);
+      }
+    } else if (denominations.length === 0) {
+      throw badRequest('Enter the denominations or the counted total');
+    }
+
+    const { closingCash } = await buildDayBook(req.userId, day);
+    const expectedCash = roundAmount(closingCash);
+
+    const cashCount = await CashCount.create({
+      userId: req.userId,
+      date: day.start,
+      countedAt: new Date(),
+      denominations,
+      countedTotal,
+      expectedCash,
+      variance: roundAmount(countedTotal - expectedCash),
+      note: req.body.note || ''
+    });
+    await recordAudit(req, { entityType: 'cash_count', action: 'create', after: cashCount });
+
+    return res.status(201).json({
+      success: true,
+      message: cashCount.variance === 0
+        ? 'Cash count saved. Drawer matches the books'
+        : `Cash count saved. Drawer is ${cashCount.variance < 0 ? 'short' : 'over'} by ${Math.abs(cashCount.variance).toFixed(2)}`,
+      cashCount
+    });
+  } catch (error) {
+    console.error('Create cash count error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error saving cash count'
+    });
+  }
+});
+
+module.exports = router;
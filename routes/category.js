@@ -4,12 +4,15 @@ const mongoose = require('mongoose');
 const Category = require('../models/Category');
 const User = require('../models/User');
 const { auth, checkLicense } = require('../middleware/auth');
+const { requireWritePermission } = require('../middleware/permissions');
+const { recordAudit, toSnapshot } = require('../utils/audit');
 const checkItemMode = require('../middleware/checkItemMode');
 const { createError } = require('../utils/helpers');
 
 // Apply middleware to all routes
 router.use(auth);
 router.use(checkLicense);
+router.use(requireWritePermission('stock:manage'));
 
 // Get all categories for user
 router.get('/', checkItemMode, async (req, res) => {
@@ -105,6 +108,7 @@ router.post('/', checkItemMode, async (req, res) => {
     });
 
     await category.save();
+    await recordAudit(req, { entityType: 'category', action: 'create', after: category });
 
     res.status(201).json({
       success: true,
@@ -156,9 +160,11 @@ router.put('/:id', checkItemMode, async (req, res) => {
       });
     }
 
+    const beforeSnapshot = toSnapshot(category);
     category.name = name.trim();
     category.type = type;
     await category.save();
+    await recordAudit(req, { entityType: 'category', action: 'update', before: beforeSnapshot, after: category });
 
     res.json({
       success: true,
@@ -215,8 +221,10 @@ router.delete('/:id', checkItemMode, async (req, res) => {
       });
     }
 
+    const beforeSnapshot = toSnapshot(category);
     category.isActive = false;
     await category.save();
+    await recordAudit(req, { entityType: 'category', action: 'delete', before: beforeSnapshot, after: category });
 
     res.json({
       success: true,
@@ -0,0 +1,500 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const CreditNote = require('../models/CreditNote');
+const Voucher = require('../models/Voucher');
+const Ledger = require('../models/Ledger');
+const User = require('../models/User');
+const Item = require('../models/Item');
+const ItemTransaction = require('../models/ItemTransaction');
+const { auth, checkLicense } = require('../middleware/auth');
+const { requirePermission, hasPermission } = require('../middleware/permissions');
+const {
+  calculateGSTBreakdown, getFineByMetal,
+  hasNonZeroStockAdjustment, applyStockAdjustmentForVoucher
+} = require('./voucher');
+const {
+  toNumber, badRequest, notFound, createError, startOptionalSession,
+  canReverseWithWindow, getReversalWindowHours, calculateUnifiedAmount,
+  parsePagination, paginationMeta
+} = require('../utils/helpers');
+const { allocateNumber } = require('../utils/numbering');
+const { recordAudit, toSnapshot } = require('../utils/audit');
+const { assertPeriodOpen } = require('../utils/periodLock');
+const { refreshBillSettlement } = require('../utils/billAllocation');
+
+// Tolerance when comparing returned weights against the original line (grams)
+const WEIGHT_EPSILON = 0.0005;
+
+// Staff without 'purchase:view_cost' see purchase returns without any money figures
+const withCostVisibility = (req, creditNote) => {
+  if (creditNote.voucherType !== 'purchase' || hasPermission(req, 'purchase:view_cost')) return creditNote;
+  const {
+    total, cashSettled, stoneAmount, fineAmount, gstDetails, ledgerAdjustment, ...rest
+  } = typeof creditNote.toObject === 'function' ? creditNote.toObject() : creditNote;
+  return {
+    ...rest,
+    items: (rest.items || []).map(({ amount, rate, labourRate, ...item }) => item),
+    totals: { ...rest.totals, amount: undefined },
+    originalInvoice: { ...rest.originalInvoice, total: undefined },
+    costHidden: true
+  };
+};
+
+const getWindowHours = (user) => {
+  if (!user?.reversalSettings) return getReversalWindowHours();
+  if (user.reversalSettings.enabled === false) return 0;
+  return user.reversalSettings.windowHours ?? getReversalWindowHours();
+};
+
+const getReturnedWeights = async (voucherId, session) => {
+  const creditNotes = await CreditNote.find({ voucherId, status: 'active' })
+    .select('items.voucherItemId items.netWeight')
+    .session(session)
+    .lean();
+
+  const returned = new Map();
+  creditNotes.forEach((creditNote) => {
+    creditNote.items.forEach((item) => {
+      const key = String(item.voucherItemId);
+      returned.set(key, (returned.get(key) || 0) + toNumber(item.netWeight));
+    });
+  });
+  return returned;
+};
+
+/**
+ * Build credit note lines from the requested voucher lines. Each request may
+ * return part of a line by net weight; fine, gross and amount are scaled
+ * proportionally. Tagged items (item mode) can only be returned whole.
+ */
+const buildReturnLines = (voucher, requestedItems, returnedWeights) => {
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    throw badRequest('At least one item to return is required');
+  }
+
+  const seen = new Set();
+  return requestedItems.map((requested, index) => {
+    const row = index + 1;
+    const key = String(requested?.voucherItemId || '');
+    const line = voucher.items.find((item) => String(item._id) === key);
+    if (!line) {
+      throw badRequest(`Row ${row}: item not found on the original voucher`);
+    }
+    if (seen.has(key)) {
+      throw badRequest(`Row ${row}: item is listed more than once`);
+    }
+    seen.add(key);
+
+    if (line.lineType === 'receipt') {
+      throw badRequest(`Row ${row}: old metal taken in exchange cannot be returned`);
+    }
+
+    const originalNet = toNumber(line.netWeight);
+    if (originalNet <= 0) {
+      throw badRequest(`Row ${row}: adjustment lines cannot be returned`);
+    }
+
+    const remaining = originalNet - toNumber(returnedWeights.get(key));
+    const netWeight = requested.netWeight === undefined || requested.netWeight === null || requested.netWeight === ''
+      ? remaining
+      : toNumber(requested.netWeight);
+
+    if (netWeight <= 0 || netWeight > remaining + WEIGHT_EPSILON) {
+      throw badRequest(`Row ${row}: return weight must be between 0 and ${remaining.toFixed(3)} g`);
+    }
+    if (line.sourceItemId && Math.abs(netWeight - originalNet) > WEIGHT_EPSILON) {
+      throw badRequest(`Row ${row}: tagged items must be returned in full`);
+    }
+
+    const ratio = netWeight / originalNet;
+    return {
+      voucherItemId: line._id,
+      sourceItemId: line.sourceItemId,
+      itemName: line.itemName,
+      metalType: line.metalType,
+      pieces: requested.pieces !== undefined
+        ? Math.max(1, Math.floor(toNumber(requested.pieces, 1)))
+        : Math.max(1, Math.round(toNumber(line.pieces, 1) * ratio)),
+      grossWeight: toNumber(line.grossWeight) * ratio,
+      lessWeight: toNumber(line.lessWeight) * ratio,
+      netWeight,
+      melting: toNumber(line.melting),
+      wastage: toNumber(line.wastage),
+      fineWeight: toNumber(line.fineWeight) * ratio,
+      labourRate: toNumber(line.labourRate),
+      amount: toNumber(line.amount) * ratio,
+      hsnCode: line.hsnCode
+    };
+  });
+};
+
+const sumLines = (lines) => lines.reduce((acc, line) => ({
+  pieces: acc.pieces + toNumber(line.pieces),
+  grossWeight: acc.grossWeight + toNumber(line.grossWeight),
+  netWeight: acc.netWeight + toNumber(line.netWeight),
+  fineWeight: acc.fineWeight + toNumber(line.fineWeight),
+  amount: acc.amount + toNumber(line.amount)
+}), { pieces: 0, grossWeight: 0, netWeight: 0, fineWeight: 0, amount: 0 });
+
+const applyLedgerAdjustment = (ledger, adjustment, direction = 1) => {
+  ledger.balances.cashBalance = toNumber(ledger.balances.cashBalance) + direction * toNumber(adjustment.cashBalance);
+  ledger.balances.goldFineWeight = toNumber(ledger.balances.goldFineWeight) + direction * toNumber(adjustment.goldFineWeight);
+  ledger.balances.silverFineWeight = toNumber(ledger.balances.silverFineWeight) + direction * toNumber(adjustment.silverFineWeight);
+  ledger.balances.amount = calculateUnifiedAmount(ledger.balances);
+};
+
+const logItemReturn = async (itemIds, req, newValues, reason, session) => {
+  if (!itemIds.length) return;
+  try {
+    await ItemTransaction.create(itemIds.map((itemId) => ({
+      itemId,
+      userId: req.userId,
+      action: 'returned',
+      performedBy: req.userId,
+      newValues,
+      metadata: {
+        reason,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }
+    })), session ? { session } : {});
+  } catch (error) {
+    console.error('Error logging item return:', error.message);
+  }
+};
+
+router.use(auth);
+router.use(checkLicense);
+
+router.post('/', requirePermission('voucher:create'), async (req, res) => {
+  const session = await startOptionalSession();
+  try {
+    const { voucherId, items, date, reason } = req.body;
+    const cashSettled = Math.max(0, toNumber(req.body.cashSettled));
+
+    if (!voucherId) {
+      throw badRequest('Original voucher is required');
+    }
+    await assertPeriodOpen(req.userId, [date || new Date()], session);
+
+    const voucher = await Voucher.findOne({
+      _id: voucherId,
+      userId: req.userId
+    }).session(session);
+    if (!voucher) {
+      throw notFound('Voucher not found');
+    }
+    if (voucher.status !== 'active') {
+      throw badRequest('Credit notes can only be raised against active vouchers');
+    }
+    if (!['cash', 'credit'].includes(voucher.paymentType) || !voucher.items?.length) {
+      throw badRequest('Only billing vouchers with items can be returned');
+    }
+
+    const ledger = await Ledger.findOne({
+      _id: voucher.ledgerId,
+      userId: req.userId
+    }).session(session);
+    if (!ledger) {
+      throw notFound('Ledger not found');
+    }
+
+    const user = await User.findById(req.userId).select('stockMode').session(session);
+
+    const returnedWeights = await getReturnedWeights(voucher._id, session);
+    const lines = buildReturnLines(voucher, items, returnedWeights);
+    const totals = sumLines(lines);
+
+    // Stone and fine adjustments are returned in proportion to the returned amount
+    // (of the issue side only, when old metal was taken in exchange)
+    const voucherAmount = toNumber(voucher.issue?.amount) || toNumber(voucher.totals?.amount);
+    const voucherNet = toNumber(voucher.issue?.netWeight) || toNumber(voucher.totals?.netWeight);
+    const share = voucherAmount
+      ? totals.amount / voucherAmount
+      : (voucherNet ? totals.netWeight / voucherNet : 0);
+    const stoneAmount = toNumber(voucher.stoneAmount) * share;
+    const fineAmount = toNumber(voucher.fineAmount) * share;
+
+    const isGST = voucher.invoiceType === 'gst';
+    const taxableValue = totals.amount + stoneAmount;
+    const gstCalc = isGST
+      ? calculateGSTBreakdown(taxableValue, voucher.gstDetails?.gstRate, voucher.gstDetails?.gstType)
+      : { igst: 0, cgst: 0, sgst: 0, totalGST: 0 };
+    const total = taxableValue + fineAmount + toNumber(gstCalc.totalGST);
+
+    if (cashSettled > total) {
+      throw badRequest('Cash settled cannot exceed the credit note total');
+    }
+
+    // Sales returns reduce what the customer owes; purchase returns do the opposite.
+    const sign = voucher.voucherType === 'purchase' ? -1 : 1;
+    const fineByMetal = getFineByMetal(lines);
+    const ledgerAdjustment = { cashBalance: 0, goldFineWeight: 0, silverFineWeight: 0 };
+    if (!isGST && ledger.ledgerType !== 'gst') {
+      ledgerAdjustment.cashBalance = -sign * (total - cashSettled);
+      if (voucher.paymentType === 'credit') {
+        ledgerAdjustment.goldFineWeight = -sign * fineByMetal.gold;
+        ledgerAdjustment.silverFineWeight = -sign * fineByMetal.silver;
+      }
+      applyLedgerAdjustment(ledger, ledgerAdjustment);
+    }
+
+    let stockAdjustment = { gold: 0, silver: 0 };
+    const voucherMovedStock = hasNonZeroStockAdjustment(voucher.stockAdjustment) && !voucher.stockRestored;
+    if (user?.stockMode !== 'item' && voucherMovedStock) {
+      stockAdjustment = fineByMetal;
+      await applyStockAdjustmentForVoucher(req.userId, stockAdjustment, voucher.voucherType || 'sale', {
+        session,
+        reverse: true
+      });
+    }
+
+    const taggedItemIds = lines.filter((line) => line.sourceItemId).map((line) => line.sourceItemId);
+    if (taggedItemIds.length) {
+      await Item.updateMany(
+        { _id: { $in: taggedItemIds }, userId: req.userId, invoiceId: voucher._id },
+        { $set: { status: 'available', invoiceId: null, soldAt: null } },
+        { session }
+      );
+    }
+
+    const { number: creditNoteNumber } = await allocateNumber(req.userId, 'credit_note', {
+      seriesId: req.body.seriesId,
+      invoiceType: voucher.invoiceType,
+      voucherType: voucher.voucherType,
+      date: date || new Date()
+    }, session);
+
+    const creditNote = new CreditNote({
+      creditNoteNumber,
+      userId: req.userId,
+      ledgerId: ledger._id,
+      voucherId: voucher._id,
+      originalInvoice: {
+        voucherNumber: voucher.voucherNumber,
+        invoiceNumber: voucher.invoiceNumber,
+        date: voucher.date,
+        total: voucher.total
+      },
+      customerName: voucher.customerName,
+      date: date || new Date(),
+      invoiceType: voucher.invoiceType || 'normal',
+      voucherType: voucher.voucherType || 'sale',
+      reason: reason || '',
+      items: lines,
+      totals,
+      stoneAmount,
+      fineAmount,
+      gstDetails: isGST ? {
+        sellerGSTNumber: voucher.gstDetails?.sellerGSTNumber,
+        sellerState: voucher.gstDetails?.sellerState,
+        customerGSTNumber: voucher.gstDetails?.customerGSTNumber,
+        customerState: voucher.gstDetails?.customerState,
+        gstType: voucher.gstDetails?.gstType,
+        gstRate: toNumber(voucher.gstDetails?.gstRate),
+        taxableValue,
+        igst: gstCalc.igst,
+        cgst: gstCalc.cgst,
+        sgst: gstCalc.sgst,
+        totalGST: gstCalc.totalGST
+      } : undefined,
+      total,
+      cashSettled,
+      ledgerAdjustment,
+      stockAdjustment,
+      stockAdjusted: hasNonZeroStockAdjustment(stockAdjustment)
+    });
+
+    await creditNote.save({ session });
+    await ledger.save({ session });
+    await refreshBillSettlement(req.userId, [creditNote.voucherId], session);
+
+    await logItemReturn(taggedItemIds, req, { status: 'available', creditNoteId: creditNote._id }, reason || 'Sales return', session);
+
+    if (session?.inTransaction()) {
+      await session.commitTransaction();
+    }
+    await recordAudit(req, { entityType: 'credit_note', action: 'create', after: creditNote, reason });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Credit note created successfully',
+      creditNote
+    });
+  } catch (error) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error('Create credit note error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error creating credit note'
+    });
+  } finally {
+    if (session) {
+      await session.endSession();
+    }
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const { startDate, endDate, ledgerId, voucherId } = req.query;
+    const query = { userId: req.userId };
+
+    if (ledgerId) {
+      if (!mongoose.Types.ObjectId.isValid(ledgerId)) throw badRequest('Invalid ledgerId');
+      query.ledgerId = ledgerId;
+    }
+    if (voucherId) {
+      if (!mongoose.Types.ObjectId.isValid(voucherId)) throw badRequest('Invalid voucherId');
+      query.voucherId = voucherId;
+    }
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.date.$lte = end;
+      }
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [creditNotes, total] = await Promise.all([
+      CreditNote.find(query)
+        .populate('ledgerId', 'name phoneNumber')
+        .sort({ date: -1 })
+        .skip(skip)
+        .limit(limit),
+      CreditNote.countDocuments(query)
+    ]);
+
+    return res.json({
+      success: true,
+      creditNotes: creditNotes.map((creditNote) => withCostVisibility(req, creditNote)),
+      pagination: paginationMeta(page, limit, total)
+    });
+  } catch (error) {
+    console.error('Get credit notes error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error fetching credit notes'
+    });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findOne({
+      _id: req.params.id,
+      userId: req.userId
+    }).populate('ledgerId', 'name phoneNumber');
+
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+
+    return res.json({
+      success: true,
+      creditNote: withCostVisibility(req, creditNote)
+    });
+  } catch (error) {
+    console.error('Get credit note error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error fetching credit note'
+    });
+  }
+});
+
+// PATCH /api/credit-note/:id — cancel a credit note and put the goods back on the bill
+router.patch('/:id', requirePermission('voucher:cancel'), async (req, res) => {
+  const session = await startOptionalSession();
+  try {
+    const { status, cancelledReason } = req.body;
+    if (status !== 'cancelled') {
+      throw badRequest('Only cancellation is supported via PATCH');
+    }
+
+    const creditNote = await CreditNote.findOne({
+      _id: req.params.id,
+      userId: req.userId
+    }).session(session);
+    if (!creditNote) {
+      throw notFound('Credit note not found');
+    }
+    if (creditNote.status === 'cancelled') {
+      throw badRequest('Credit note already cancelled');
+    }
+    await assertPeriodOpen(req.userId, [creditNote.date], session);
+    const beforeSnapshot = toSnapshot(creditNote);
+
+    const currentUser = await User.findById(req.userId).select('reversalSettings');
+    const windowHours = getWindowHours(currentUser);
+    if (!canReverseWithWindow(creditNote.createdAt, windowHours)) {
+      throw badRequest(`Credit note cannot be cancelled after ${windowHours} hours`);
+    }
+
+    const taggedItemIds = creditNote.items.filter((item) => item.sourceItemId).map((item) => item.sourceItemId);
+    if (taggedItemIds.length) {
+      const result = await Item.updateMany(
+        { _id: { $in: taggedItemIds }, userId: req.userId, status: 'available' },
+        { $set: { status: 'sold', invoiceId: creditNote.voucherId, soldAt: new Date() } },
+        { session }
+      );
+      if (result.modifiedCount !== taggedItemIds.length) {
+        throw createError(409, 'A returned item has already been sold again');
+      }
+    }
+
+    if (creditNote.stockAdjusted) {
+      await applyStockAdjustmentForVoucher(req.userId, creditNote.stockAdjustment, creditNote.voucherType, { session });
+    }
+
+    const ledger = await Ledger.findById(creditNote.ledgerId).session(session);
+    if (ledger) {
+      applyLedgerAdjustment(ledger, creditNote.ledgerAdjustment, -1);
+      await ledger.save({ session });
+    }
+
+    creditNote.status = 'cancelled';
+    creditNote.cancelledReason = cancelledReason || 'Cancelled by user';
+    await creditNote.save({ session });
+    await refreshBillSettlement(req.userId, [creditNote.voucherId], session);
+
+    if (session?.inTransaction()) {
+      await session.commitTransaction();
+    }
+    await recordAudit(req, {
+      entityType: 'credit_note', action: 'cancel', before: beforeSnapshot, after: creditNote, reason: creditNote.cancelledReason
+    });
+
+    return res.json({
+      success: true,
+      message: 'Credit note cancelled successfully',
+      creditNote
+    });
+  } catch (error) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error('Cancel credit note error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error cancelling credit note'
+    });
+  } finally {
+    if (session) {
+      await session.endSession();
+    }
+  }
+});
+
+module.exports = router;
+module.exports.withCostVisibility = withCostVisibility;
@@ -3,9 +3,13 @@ const router = express.Router();
 const Expense = require('../models/Expense');
 const { Stock } = require('../models/Stock');
 const { auth, checkLicense } = require('../middleware/auth');
+const { requireWritePermission } = require('../middleware/permissions');
+const { recordAudit, toSnapshot } = require('../utils/audit');
+const { assertPeriodOpen } = require('../utils/periodLock');
 
 router.use(auth);
 router.use(checkLicense);
+router.use(requireWritePermission('expense:manage'));
 
 // Create new expense
 router.post('/', async (req, res) => {
@@ -25,6 +29,7 @@ router.post('/', async (req, res) => {
                 message: 'Amount must be greater than 0'
             });
         }
+        await assertPeriodOpen(req.userId, [date || new Date()]);
 
         const expense = new Expense({
             userId: req.userId,
@@ -46,6 +51,8 @@ router.post('/', async (req, res) => {
             );
         }
 
+        await recordAudit(req, { entityType: 'expense', action: 'create', after: expense });
+
         return res.status(201).json({
             success: true,
             message: 'Expense created successfully',
@@ -53,9 +60,9 @@ router.post('/', async (req, res) => {
         });
     } catch (error) {
         console.error('Create expense error:', error);
-        return res.status(500).json({
+        return res.status(error.status || 500).json({
             success: false,
-            message: 'Server error creating expense'
+            message: error.message || 'Server error creating expense'
         });
     }
 });
@@ -146,7 +153,9 @@ router.put('/:id', async (req, res) => {
             });
         }
 
+        const beforeSnapshot = toSnapshot(expense);
         const { date, category, amount, description, paymentMethod } = req.body;
+        await assertPeriodOpen(req.userId, [expense.date, date]);
 
         if (amount !== undefined && amount <= 0) {
             return res.status(400).json({
@@ -178,6 +187,7 @@ router.put('/:id', async (req, res) => {
         expense.paymentMethod = newPaymentMethod;
 
         await expense.save();
+        await recordAudit(req, { entityType: 'expense', action: 'update', before: beforeSnapshot, after: expense });
 
         return res.json({
             success: true,
@@ -186,9 +196,9 @@ router.put('/:id', async (req, res) => {
         });
     } catch (error) {
         console.error('Edit expense error:', error);
-        return res.status(500).json({
+        return res.status(error.status || 500).json({
             success: false,
-            message: 'Server error updating expense'
+            message: error.message || 'Server error updating expense'
         });
     }
 });
@@ -207,6 +217,7 @@ router.delete('/:id', async (req, res) => {
                 message: 'Expense not found'
             });
         }
+        await assertPeriodOpen(req.userId, [expense.date]);
 
         // If payment method was cash, add back to Stock.cashInHand (atomic)
         if (expense.paymentMethod === 'cash') {
@@ -218,6 +229,7 @@ router.delete('/:id', async (req, res) => {
         }
 
         await Expense.findByIdAndDelete(req.params.id);
+        await recordAudit(req, { entityType: 'expense', action: 'delete', before: expense });
 
         return res.json({
             success: true,
@@ -225,9 +237,9 @@ router.delete('/:id', async (req, res) => {
         });
     } catch (error) {
         console.error('Delete expense error:', error);
-        return res.status(500).json({
+        return res.status(error.status || 500).json({
             success: false,
-            message: 'Server error deleting expense'
+            message: error.message || 'Server error deleting expense'
         });
     }
 });
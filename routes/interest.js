@@ -0,0 +1,207 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Voucher = require('../models/Voucher');
+const Ledger = require('../models/Ledger');
+const User = require('../models/User');
+const { auth, checkLicense } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const {
+  toNumber, badRequest, notFound, startOptionalSession, calculateUnifiedAmount
+} = require('../utils/helpers');
+const { allocateNumber } = require('../utils/numbering');
+const { recordAudit } = require('../utils/audit');
+const { assertPeriodOpen } = require('../utils/periodLock');
+const { parseDay } = require('../utils/cashBook');
+const { formatDate } = require('../utils/pdfHelpers');
+const { loadAccruals } = require('../utils/interest');
+const { toBillSettlement } = require('../utils/billAllocation');
+
+router.use(auth);
+router.use(checkLicense);
+
+// Interest is worked out up to the start of `asOf` (default today); future dates are refused
+const parseAsOf = (value) => {
+  const day = parseDay(value);
+  if (!day) {
+    throw badRequest('asOf must be in YYYY-MM-DD format');
+  }
+  if (day.start > new Date()) {
+    throw badRequest('asOf cannot be in the future');
+  }
+  return day;
+};
+
+const loadUser = async (userId) => {
+  const user = await User.findById(userId).select('interestSettings');
+  if (!user) {
+    throw notFound('User not found');
+  }
+  return user;
+};
+
+// GET /api/interest/accrued?asOf=YYYY-MM-DD — preview; nothing is posted
+router.get('/accrued', requirePermission('reports:view'), async (req, res) => {
+  try {
+    const asOf = parseAsOf(req.query.asOf);
+    const user = await loadUser(req.userId);
+    const accruals = await loadAccruals(user, asOf.start);
+
+    return res.json({
+      success: true,
+      asOf: asOf.key,
+      accruals,
+      totalInterest: Math.round(accruals.reduce((sum, row) => sum + row.interest, 0) * 100) / 100
+    });
+  } catch (error) {
+    console.error('Accrued interest error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error calculating interest'
+    });
+  }
+});
+
+// POST /api/interest/post { asOf?, ledgerIds: [...] }
+// Books one 'interest' voucher per listed ledger that has interest due, as previewed above.
+router.post('/post', requirePermission('voucher:create', 'ledger:manage'), async (req, res) => {
+  const session = await startOptionalSession();
+  try {
+    const asOf = parseAsOf(req.body.asOf);
+    const { ledgerIds } = req.body;
+    if (!Array.isArray(ledgerIds) || ledgerIds.length === 0) {
+      throw badRequest('Select the ledgers to charge interest to');
+    }
+    if (ledgerIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      throw badRequest('Invalid ledger id');
+    }
+    await assertPeriodOpen(req.userId, [asOf.start], session);
+
+    const user = await loadUser(req.userId);
+    const accruals = await loadAccruals(
+      user,
+      asOf.start,
+      ledgerIds.map((id) => new mongoose.Types.ObjectId(id))
+    );
+    if (accruals.length === 0) {
+      throw badRequest('No interest is due on the selected ledgers');
+    }
+
+    const vouchers = [];
+    for (const accrual of accruals) {
+      const ledger = await Ledger.findOne({ _id: accrual.ledgerId, userId: req.userId }).session(session);
+      if (!ledger) {
+        throw notFound('Ledger not found');
+      }
+
+      const allocated = await allocateNumber(req.userId, 'voucher', {
+        invoiceType: 'normal',
+        voucherType: 'sale',
+        date: asOf.start
+      }, session);
+      const duplicateVoucher = await Voucher.findOne({
+        userId: req.userId,
+        voucherNumber: allocated.number,
+        status: 'active'
+      }).session(session);
+      if (duplicateVoucher) {
+        throw badRequest('Voucher number already exists');
+      }
+
+      const previousLedgerState = {
+        goldFineWeight: toNumber(ledger.balances.goldFineWeight),
+        silverFineWeight: toNumber(ledger.balances.silverFineWeight),
+        amount: toNumber(ledger.balances.amount),
+        cashBalance: toNumber(ledger.balances.cashBalance),
+        creditBalance: toNumber(ledger.balances.creditBalance)
+      };
+      const oldAmount = calculateUnifiedAmount(ledger.balances);
+
+      ledger.balances.cashBalance = toNumber(ledger.balances.cashBalance) + accrual.interest;
+      ledger.balances.amount = calculateUnifiedAmount(ledger.balances);
+      ledger.hasVouchers = true;
+
+      const voucher = new Voucher({
+        voucherNumber: allocated.number,
+        numberSeriesId: allocated.seriesId,
+        userId: req.userId,
+        ledgerId: ledger._id,
+        customerName: ledger.name,
+        date: asOf.start,
+        invoiceType: 'normal',
+        paymentType: 'interest',
+        voucherType: 'sale',
+        items: [],
+        total: accrual.interest,
+        cashReceived: 0,
+        narration: `Interest @ ${accrual.monthlyRate}% p.m. (${accrual.method}) on ${accrual.principal.toFixed(2)} overdue `
+          + `across ${accrual.bills.map((bill) => bill.voucherNumber).join(', ')}, ${formatDate(accrual.from)} to ${formatDate(accrual.to)}`,
+        oldBalance: {
+          amount: oldAmount,
+          fineWeight: previousLedgerState.goldFineWeight + previousLedgerState.silverFineWeight
+        },
+        currentBalance: {
+          amount: ledger.balances.amount,
+          netWeight: 0
+        },
+        balanceSnapshot: {
+          oldBalance: {
+            creditAmount: previousLedgerState.creditBalance,
+            cashAmount: previousLedgerState.cashBalance,
+            totalAmount: oldAmount,
+            goldFineWeight: previousLedgerState.goldFineWeight,
+            silverFineWeight: previousLedgerState.silverFineWeight
+          },
+          currentBalance: {
+            amount: ledger.balances.amount,
+            goldFineWeight: previousLedgerState.goldFineWeight,
+            silverFineWeight: previousLedgerState.silverFineWeight
+          }
+        },
+        previousLedgerState,
+        interestDetails: {
+          principal: accrual.principal,
+          monthlyRate: accrual.monthlyRate,
+          method: accrual.method,
+          days: accrual.days,
+          from: accrual.from,
+          to: accrual.to
+        }
+      });
+      // Interest charges are bills in their own right, open until paid
+      voucher.billSettlement = toBillSettlement(voucher);
+
+      await ledger.save({ session });
+      await voucher.save({ session });
+      vouchers.push(voucher);
+    }
+
+    if (session?.inTransaction()) {
+      await session.commitTransaction();
+    }
+    for (const voucher of vouchers) {
+      await recordAudit(req, { entityType: 'voucher', action: 'create', after: voucher });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: `Interest posted to ${vouchers.length} ledger${vouchers.length === 1 ? '' : 's'}`,
+      vouchers
+    });
+  } catch (error) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error('Post interest error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error posting interest'
+    });
+  } finally {
+    if (session) {
+      await session.endSession();
+    }
+  }
+});
+
+module.exports = router;
@@ -6,12 +6,22 @@ const ItemTransaction = require('../models/ItemTransaction');
 const Category = require('../models/Category');
 const User = require('../models/User');
 const { auth, checkLicense } = require('../middleware/auth');
+const { requirePermission, hasPermission } = require('../middleware/permissions');
 const checkItemMode = require('../middleware/checkItemMode');
 const { generateItemQRCode, deleteItemQRCode } = require('../utils/qrCodeGenerator');
 const CONSTANTS = require('../utils/constants');
 const { createError, supportsTransactions, startOptionalSession } = require('../utils/helpers');
+const { computeFineWeight, loadPurities, applyPurity } = require('../utils/purity');
+const { recordAudit, toSnapshot } = require('../utils/audit');
 
 // Apply middleware to all routes
+// Staff without 'purchase:view_cost' get items without their cost
+const withCostVisibility = (req, item) => {
+  if (hasPermission(req, 'purchase:view_cost')) return item;
+  const { purchaseRate, costPrice, ...rest } = typeof item.toObject === 'function' ? item.toObject() : item;
+  return rest;
+};
+
 router.use(auth);
 router.use(checkLicense);
 
@@ -66,7 +76,7 @@ router.get('/', checkItemMode, async (req, res) => {
 
     res.json({
       success: true,
-      items
+      items: items.map((item) => withCostVisibility(req, item))
     });
   } catch (error) {
     res.status(500).json({
@@ -100,7 +110,7 @@ router.get('/:id', checkItemMode, async (req, res) => {
 
     res.json({
       success: true,
-      item
+      item: withCostVisibility(req, item)
     });
   } catch (error) {
     res.status(500).json({
@@ -111,7 +121,7 @@ router.get('/:id', checkItemMode, async (req, res) => {
 });
 
 // Create new item
-router.post('/', checkItemMode, async (req, res) => {
+router.post('/', checkItemMode, requirePermission('stock:manage'), async (req, res) => {
   let session = null;
   try {
     const {
@@ -119,6 +129,7 @@ router.post('/', checkItemMode, async (req, res) => {
       name,
       metal,
       purity,
+      purityId,
       grossWeight,
       lessWeight = 0,
       meltingPercent = 0,
@@ -132,7 +143,7 @@ router.post('/', checkItemMode, async (req, res) => {
     } = req.body;
 
     // Validation
-    if (!name || !metal || !purity || grossWeight === undefined || !categoryId) {
+    if (!name || !metal || (!purity && !purityId) || grossWeight === undefined || !categoryId) {
       return res.status(400).json({
         success: false,
         message: 'Required fields: name, metal, purity, grossWeight, categoryId'
@@ -207,6 +218,19 @@ router.post('/', checkItemMode, async (req, res) => {
       });
     }
 
+    // Fine weight comes from the purity master when one is chosen
+    let finalPurity = purity ? String(purity).trim() : '';
+    let finalMelting = parseFloat(meltingPercent) || 0;
+    let fineWeight = computeFineWeight(netWeight, finalMelting, wastage);
+    if (purityId) {
+      const purities = await loadPurities(req.userId, [{ purityId }]);
+      const master = purities.get(String(purityId));
+      const applied = applyPurity({ metal, netWeight, meltingPercent: finalMelting, wastage }, master, 'Item');
+      finalPurity = master.name;
+      finalMelting = applied.melting;
+      fineWeight = applied.fineWeight;
+    }
+
     // Calculate cost price: (netWeight × purchaseRate) + labour
     const parsedPurchaseRate = parseFloat(purchaseRate) || 0;
     const parsedLabour = parseFloat(labour) || 0;
@@ -218,11 +242,13 @@ router.post('/', checkItemMode, async (req, res) => {
       itemCode: finalItemCode,
       name: name.trim(),
       metal,
-      purity: purity.trim(),
+      purity: finalPurity,
+      ...(purityId ? { purityId } : {}),
       grossWeight: parseFloat(grossWeight),
       lessWeight: parseFloat(lessWeight),
       netWeight,
-      meltingPercent: parseFloat(meltingPercent),
+      meltingPercent: finalMelting,
+      fineWeight,
       wastage: parseFloat(wastage),
       labour: parsedLabour,
       purchaseRate: parsedPurchaseRate,
@@ -267,6 +293,7 @@ router.post('/', checkItemMode, async (req, res) => {
     if (session) {
       await session.commitTransaction();
     }
+    await recordAudit(req, { entityType: 'item', action: 'create', after: item });
 
     await item.populate('categoryId', 'name type');
 
@@ -288,9 +315,9 @@ router.post('/', checkItemMode, async (req, res) => {
     }
 
     console.error('Error creating item:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Error creating item'
+      message: error.status ? error.message : 'Error creating item'
     });
   } finally {
     if (session) {
@@ -300,7 +327,7 @@ router.post('/', checkItemMode, async (req, res) => {
 });
 
 // Update item (only if status = available)
-router.put('/:id', checkItemMode, async (req, res) => {
+router.put('/:id', checkItemMode, requirePermission('stock:manage'), async (req, res) => {
   let session = null;
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -337,6 +364,7 @@ router.put('/:id', checkItemMode, async (req, res) => {
       name,
       metal,
       purity,
+      purityId,
       grossWeight,
       lessWeight = item.lessWeight,
       meltingPercent = item.meltingPercent,
@@ -379,6 +407,23 @@ router.put('/:id', checkItemMode, async (req, res) => {
         item.categoryId = categoryId;
       }
     }
+    if (purityId !== undefined) {
+      // A new purity brings its own default melting unless one is entered
+      if (String(purityId || '') !== String(item.purityId || '') && req.body.meltingPercent === undefined) {
+        item.meltingPercent = 0;
+      }
+      item.purityId = purityId || undefined;
+    }
+    if (item.purityId) {
+      const purities = await loadPurities(req.userId, [{ purityId: item.purityId }]);
+      const master = purities.get(String(item.purityId));
+      const applied = applyPurity(item, master, 'Item');
+      item.purity = master.name;
+      item.meltingPercent = applied.melting;
+      item.fineWeight = applied.fineWeight;
+    } else {
+      item.fineWeight = computeFineWeight(item.netWeight, item.meltingPercent, item.wastage);
+    }
     if (huid !== undefined) item.huid = huid ? String(huid).toUpperCase().trim() : '';
     if (hallmarkDate !== undefined) item.hallmarkDate = hallmarkDate ? new Date(hallmarkDate) : null;
     if (hsnCode !== undefined) item.hsnCode = hsnCode ? String(hsnCode).trim() : '';
@@ -404,6 +449,7 @@ router.put('/:id', checkItemMode, async (req, res) => {
     if (session) {
       await session.commitTransaction();
     }
+    await recordAudit(req, { entityType: 'item', action: 'update', before: previousValues, after: item });
 
     await item.populate('categoryId', 'name type');
 
@@ -418,9 +464,9 @@ router.put('/:id', checkItemMode, async (req, res) => {
     }
 
     console.error('Error updating item:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Error updating item'
+      message: error.status ? error.message : 'Error updating item'
     });
   } finally {
     if (session) {
@@ -430,7 +476,7 @@ router.put('/:id', checkItemMode, async (req, res) => {
 });
 
 // Delete item (only if status = available)
-router.delete('/:id', checkItemMode, async (req, res) => {
+router.delete('/:id', checkItemMode, requirePermission('stock:manage'), async (req, res) => {
   let session = null;
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -484,6 +530,7 @@ router.delete('/:id', checkItemMode, async (req, res) => {
     if (session) {
       await session.commitTransaction();
     }
+    await recordAudit(req, { entityType: 'item', action: 'delete', before: item });
 
     res.json({
       success: true,
@@ -526,13 +573,13 @@ router.get('/code/:itemCode', checkItemMode, async (req, res) => {
       return res.status(400).json({
         success: false,
         message: 'This item has already been sold',
-        item
+        item: withCostVisibility(req, item)
       });
     }
 
     res.json({
       success: true,
-      item
+      item: withCostVisibility(req, item)
     });
   } catch (error) {
     res.status(500).json({
@@ -543,7 +590,7 @@ router.get('/code/:itemCode', checkItemMode, async (req, res) => {
 });
 
 // Override item status (audit logged)
-router.post('/:id/override', checkItemMode, async (req, res) => {
+router.post('/:id/override', checkItemMode, requirePermission('stock:manage'), async (req, res) => {
   let session = null;
   try {
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -630,6 +677,13 @@ router.post('/:id/override', checkItemMode, async (req, res) => {
     if (session) {
       await session.commitTransaction();
     }
+    await recordAudit(req, {
+      entityType: 'item',
+      action: 'override',
+      before: previousValues,
+      after: item,
+      reason: String(reason).trim()
+    });
 
     await item.populate('categoryId', 'name type');
 
@@ -655,7 +709,7 @@ router.post('/:id/override', checkItemMode, async (req, res) => {
 });
 
 // Mark items as sold (bulk operation for invoice creation)
-router.post('/mark-sold/batch', checkItemMode, async (req, res) => {
+router.post('/mark-sold/batch', checkItemMode, requirePermission('voucher:create'), async (req, res) => {
   let session = null;
   try {
     const { itemIds, invoiceId } = req.body;
@@ -780,6 +834,15 @@ router.post('/mark-sold/batch', checkItemMode, async (req, res) => {
     if (session) {
       await session.commitTransaction();
     }
+    for (const itemId of results.success) {
+      const item = itemsById.get(itemId);
+      await recordAudit(req, {
+        entityType: 'item',
+        action: 'sell',
+        before: item,
+        after: { ...toSnapshot(item), status: 'sold', invoiceId, soldAt: now }
+      });
+    }
 
     res.json({
       success: true,
@@ -804,3 +867,4 @@ router.post('/mark-sold/batch', checkItemMode, async (req, res) => {
 });
 
 module.exports = router;
+module.exports.withCostVisibility = withCostVisibility;
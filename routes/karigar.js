@@ -2,8 +2,11 @@ const express = require('express');
 const router = express.Router();
 const Karigar = require('../models/Karigar');
 const { auth, checkLicense } = require('../middleware/auth');
+const { requireWritePermission } = require('../middleware/permissions');
 const { deductFromStock, addBackToStock } = require('./stock');
 const CONSTANTS = require('../utils/constants');
+const { recordAudit, toSnapshot } = require('../utils/audit');
+const { assertPeriodOpen } = require('../utils/periodLock');
 const { toNumber, canReverse, canReverseWithWindow, getReversalWindowHours, parsePagination, paginationMeta } = require('../utils/helpers');
 
 
@@ -23,6 +26,7 @@ const canReverseForKarigar = (transaction, user) => {
 
 router.use(auth);
 router.use(checkLicense);
+router.use(requireWritePermission('karigar:manage'));
 
 router.post('/', async (req, res) => {
   try {
@@ -65,6 +69,7 @@ router.post('/', async (req, res) => {
         message: 'fineWeight must be greater than 0'
       });
     }
+    await assertPeriodOpen(req.userId, [date || new Date()]);
 
     if (type === 'given') {
       await deductFromStock(req.userId, metalType === 'gold' ? fineWeight : 0, metalType === 'silver' ? fineWeight : 0);
@@ -85,6 +90,7 @@ router.post('/', async (req, res) => {
     });
 
     await transaction.save();
+    await recordAudit(req, { entityType: 'karigar', action: 'create', after: transaction });
 
     return res.status(201).json({
       success: true,
@@ -178,6 +184,7 @@ router.delete('/:id', async (req, res) => {
         message: 'Transaction already deleted'
       });
     }
+    await assertPeriodOpen(req.userId, [transaction.date]);
 
     const currentUser = await require('../models/User').findById(req.userId).select('reversalSettings');
     if (!canReverseForKarigar(transaction, currentUser)) {
@@ -206,8 +213,10 @@ router.delete('/:id', async (req, res) => {
       );
     }
 
+    const beforeSnapshot = toSnapshot(transaction);
     transaction.isDeleted = true;
     await transaction.save();
+    await recordAudit(req, { entityType: 'karigar', action: 'delete', before: beforeSnapshot, after: transaction });
 
     return res.json({
       success: true,
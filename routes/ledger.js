@@ -1,10 +1,29 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Ledger = require('../models/Ledger');
 const Voucher = require('../models/Voucher');
 const Settlement = require('../models/Settlement');
+const CreditNote = require('../models/CreditNote');
+const Receipt = require('../models/Receipt');
+const Pledge = require('../models/Pledge');
+const User = require('../models/User');
+const StatementLink = require('../models/StatementLink');
+const CONSTANTS = require('../utils/constants');
 const { auth, checkLicense, isAdmin } = require('../middleware/auth');
+const { requireWritePermission } = require('../middleware/permissions');
 const { toNumber, sanitizePhone, calculateUnifiedAmount, parsePagination, paginationMeta } = require('../utils/helpers');
+const { loadLedgerStatement, STATEMENT_CSV_COLUMNS, getStatementCsvRows } = require('../utils/ledgerStatement');
+const { buildStatementPdf } = require('../utils/statementPdf');
+const { sendPdf } = require('../utils/pdfHelpers');
+const { toCsv, sendCsv } = require('../utils/csv');
+const { generateStatementToken, hashToken } = require('../utils/statementLink');
+const { getLineSign } = require('../utils/voucherCalculator');
+const { recordAudit, toSnapshot } = require('../utils/audit');
+const { captureBalances, buildDeletedBy } = require('../utils/recycleBin');
+const { assertNoneLocked } = require('../utils/periodLock');
+const { parseInterestSettings } = require('../utils/interest');
+const { parseCreditTerms } = require('../utils/creditTerms');
 
 
 const resetBalances = () => ({
@@ -17,6 +36,7 @@ const resetBalances = () => ({
 
 router.use(auth);
 router.use(checkLicense);
+router.use(requireWritePermission('ledger:manage'));
 
 router.post('/', async (req, res) => {
   try {
@@ -51,6 +71,18 @@ router.post('/', async (req, res) => {
         : undefined
     );
 
+    let creditTerms;
+    if (req.body.creditTerms !== undefined) {
+      const parsed = parseCreditTerms(req.body.creditTerms);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      creditTerms = parsed.value;
+    }
+
     // Parse opening balance values
     const obAmount = toNumber(incomingOpeningBalance?.amount);
     const obGold = toNumber(incomingOpeningBalance?.goldFineWeight);
@@ -73,6 +105,7 @@ router.post('/', async (req, res) => {
         goldFineWeight: obGold,
         silverFineWeight: obSilver
       },
+      ...(creditTerms && { creditTerms }),
       // Initialize balances to match opening balance
       balances: {
         goldFineWeight: obGold,
@@ -84,6 +117,7 @@ router.post('/', async (req, res) => {
     });
 
     await ledger.save();
+    await recordAudit(req, { entityType: 'ledger', action: 'create', after: ledger });
 
     return res.status(201).json({
       success: true,
@@ -198,9 +232,17 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/ledger/:id/transactions?startDate=&endDate=&format=json|csv|pdf
 router.get('/:id/transactions', async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, format = 'json' } = req.query;
+
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid format. Must be json, csv or pdf'
+      });
+    }
 
     const ledger = await Ledger.findOne({
       _id: req.params.id,
@@ -246,6 +288,24 @@ router.get('/:id/transactions', async (req, res) => {
       settlementQuery.date = dateQuery;
     }
 
+    const statement = await loadLedgerStatement(ledger, {
+      startDate,
+      endDate: voucherQuery.date?.$lte
+    });
+
+    const filename = `statement-${ledger.name}`;
+    if (format === 'csv') {
+      return sendCsv(res, toCsv(STATEMENT_CSV_COLUMNS, getStatementCsvRows(statement)), filename);
+    }
+    if (format === 'pdf') {
+      const user = await User.findById(req.userId).select('shopName phoneNumber');
+      const doc = buildStatementPdf(statement, ledger, user, {
+        startDate,
+        endDate: voucherQuery.date?.$lte
+      });
+      return sendPdf(res, doc, filename);
+    }
+
     const vouchers = await Voucher.find(voucherQuery).sort({ date: -1 });
     const settlements = await Settlement.find(settlementQuery).sort({ date: -1 });
 
@@ -257,7 +317,8 @@ router.get('/:id/transactions', async (req, res) => {
     return res.json({
       success: true,
       ledger,
-      transactions
+      transactions,
+      statement
     });
   } catch (error) {
     console.error('Get transactions error:', error);
@@ -268,6 +329,128 @@ router.get('/:id/transactions', async (req, res) => {
   }
 });
 
+// ───────────────────────── Shareable statement links ──────────────
+
+const toLinkSummary = (link) => ({
+  _id: link._id,
+  label: link.label,
+  expiresAt: link.expiresAt,
+  revokedAt: link.revokedAt,
+  active: link.isUsable(),
+  accessCount: link.accessCount,
+  lastAccessedAt: link.lastAccessedAt,
+  createdAt: link.createdAt
+});
+
+// POST /api/ledger/:id/share-links { expiresInDays, label } — the token is returned only once
+router.post('/:id/share-links', async (req, res) => {
+  try {
+    const ledger = await Ledger.findOne({ _id: req.params.id, userId: req.userId });
+    if (!ledger) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ledger not found'
+      });
+    }
+
+    const { DEFAULT_EXPIRY_DAYS, MAX_EXPIRY_DAYS } = CONSTANTS.STATEMENT_LINK;
+    const expiresInDays = req.body.expiresInDays === undefined
+      ? DEFAULT_EXPIRY_DAYS
+      : toNumber(req.body.expiresInDays);
+    if (expiresInDays <= 0 || expiresInDays > MAX_EXPIRY_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`
+      });
+    }
+
+    const token = generateStatementToken();
+    const link = await StatementLink.create({
+      userId: req.userId,
+      ledgerId: ledger._id,
+      tokenHash: hashToken(token),
+      label: req.body.label || '',
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+    await recordAudit(req, {
+      entityType: 'ledger', entityId: ledger._id, action: 'share_link_create', after: toLinkSummary(link)
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Statement link created successfully',
+      token,
+      url: `${req.protocol}://${req.get('host')}/api/public/statement/${token}`,
+      link: toLinkSummary(link)
+    });
+  } catch (error) {
+    console.error('Create statement link error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error creating statement link'
+    });
+  }
+});
+
+router.get('/:id/share-links', async (req, res) => {
+  try {
+    const links = await StatementLink.find({
+      userId: req.userId,
+      ledgerId: req.params.id
+    }).sort({ createdAt: -1 });
+
+    return res.json({
+      success: true,
+      links: links.map((link) => ({
+        ...toLinkSummary(link),
+        accessLog: link.accessLog
+      }))
+    });
+  } catch (error) {
+    console.error('Get statement links error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error fetching statement links'
+    });
+  }
+});
+
+router.delete('/:id/share-links/:linkId', async (req, res) => {
+  try {
+    const link = await StatementLink.findOne({
+      _id: req.params.linkId,
+      userId: req.userId,
+      ledgerId: req.params.id
+    });
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement link not found'
+      });
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+      await recordAudit(req, {
+        entityType: 'ledger', entityId: link.ledgerId, action: 'share_link_revoke', after: toLinkSummary(link)
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: 'Statement link revoked successfully',
+      link: toLinkSummary(link)
+    });
+  } catch (error) {
+    console.error('Revoke statement link error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error revoking statement link'
+    });
+  }
+});
+
 router.patch('/:id', async (req, res) => {
   try {
     const updates = {};
@@ -299,6 +482,33 @@ router.patch('/:id', async (req, res) => {
       };
     }
 
+    if (req.body.creditTerms !== undefined) {
+      const parsed = parseCreditTerms(req.body.creditTerms);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      Object.entries(parsed.value).forEach(([field, value]) => {
+        updates[`creditTerms.${field}`] = value;
+      });
+    }
+
+    // Interest overrides; null puts a field back on the shop setting
+    if (req.body.interestSettings !== undefined) {
+      const parsed = parseInterestSettings(req.body.interestSettings, { allowInherit: true });
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error
+        });
+      }
+      Object.entries(parsed.value).forEach(([field, value]) => {
+        updates[`interestSettings.${field}`] = value;
+      });
+    }
+
     // Allow updating opening balance
     const incomingOpeningBalance = req.body.openingBalance ?? (
       req.body.oldBalAmount !== undefined ||
@@ -320,6 +530,7 @@ router.patch('/:id', async (req, res) => {
       };
     }
 
+    const before = await Ledger.findOne({ _id: req.params.id, userId: req.userId }).lean();
     const ledger = await Ledger.findOneAndUpdate(
       { _id: req.params.id, userId: req.userId },
       updates,
@@ -357,6 +568,7 @@ router.patch('/:id', async (req, res) => {
         await ledger.save();
       }
     }
+    await recordAudit(req, { entityType: 'ledger', action: 'update', before, after: ledger });
 
     return res.json({
       success: true,
@@ -386,19 +598,38 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    const [voucherCount, settlementCount] = await Promise.all([
+    const [voucherCount, settlementCount, creditNoteCount, receiptCount, pledgeCount] = await Promise.all([
       Voucher.countDocuments({ userId: req.userId, ledgerId: req.params.id }),
-      Settlement.countDocuments({ userId: req.userId, ledgerId: req.params.id })
+      Settlement.countDocuments({ userId: req.userId, ledgerId: req.params.id }),
+      CreditNote.countDocuments({ userId: req.userId, ledgerId: req.params.id }),
+      Receipt.countDocuments({ userId: req.userId, ledgerId: req.params.id }),
+      Pledge.countDocuments({ userId: req.userId, ledgerId: req.params.id })
     ]);
 
-    if (voucherCount > 0 || settlementCount > 0) {
+    if (voucherCount > 0 || settlementCount > 0 || creditNoteCount > 0 || receiptCount > 0 || pledgeCount > 0) {
       return res.status(400).json({
         success: false,
         message: 'Cannot delete ledger with transactions. Delete vouchers/settlements first.'
       });
     }
 
+    // Deleted transactions could no longer be restored once their ledger is gone
+    const binFilter = { userId: req.userId, ledgerId: req.params.id, deletedAt: { $ne: null } };
+    const [binnedVouchers, binnedSettlements, binnedCreditNotes] = await Promise.all([
+      Voucher.countDocuments(binFilter),
+      Settlement.countDocuments(binFilter),
+      CreditNote.countDocuments(binFilter)
+    ]);
+    if (binnedVouchers > 0 || binnedSettlements > 0 || binnedCreditNotes > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ledger has deleted transactions in the recycle bin. Restore or purge them first.'
+      });
+    }
+
     await Ledger.findByIdAndDelete(req.params.id);
+    await StatementLink.deleteMany({ userId: req.userId, ledgerId: req.params.id });
+    await recordAudit(req, { entityType: 'ledger', action: 'delete', before: ledger });
 
     return res.json({
       success: true,
@@ -427,24 +658,55 @@ router.delete('/:id/vouchers', async (req, res) => {
       });
     }
 
-    await Promise.all([
-      Voucher.deleteMany({ userId: req.userId, ledgerId: req.params.id }),
-      Settlement.deleteMany({ userId: req.userId, ledgerId: req.params.id })
+    await assertNoneLocked(req.userId, [Voucher, Settlement, CreditNote], { userId: req.userId, ledgerId: req.params.id });
+    // Receipts have no recycle bin; resetting the balances would silently drop them
+    if (await Receipt.exists({ userId: req.userId, ledgerId: req.params.id, status: 'active' })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ledger has active payment receipts. Cancel them first.'
+      });
+    }
+    const beforeSnapshot = toSnapshot(ledger);
+
+    // Everything goes to the recycle bin as one batch. Resetting the balances to
+    // zero is the whole ledger effect, so the batch carries the old balances as
+    // its delta and restoring it adds them back on top of anything posted since.
+    const deletion = {
+      by: buildDeletedBy(),
+      reason: req.body?.reason || 'Ledger history cleared',
+      batchId: new mongoose.Types.ObjectId(),
+      ledgerDelta: captureBalances(ledger),
+      stockDelta: { gold: 0, silver: 0 }
+    };
+    const filter = { userId: req.userId, ledgerId: req.params.id };
+    const update = { $set: { deletedAt: new Date(), deletion } };
+    const [vouchersDeleted, settlementsDeleted, creditNotesDeleted] = await Promise.all([
+      Voucher.updateMany(filter, update),
+      Settlement.updateMany(filter, update),
+      CreditNote.updateMany(filter, update)
     ]);
 
     ledger.balances = resetBalances();
     ledger.hasVouchers = false;
     await ledger.save();
+    await recordAudit(req, {
+      entityType: 'ledger',
+      action: 'delete_transactions',
+      before: beforeSnapshot,
+      after: ledger,
+      reason: `Moved ${vouchersDeleted.modifiedCount} voucher(s), ${settlementsDeleted.modifiedCount} settlement(s) and ${creditNotesDeleted.modifiedCount} credit note(s) to the recycle bin (batch ${deletion.batchId})`
+    });
 
     return res.json({
       success: true,
-      message: 'All vouchers and settlements deleted successfully'
+      message: 'All vouchers and settlements moved to the recycle bin',
+      batchId: deletion.batchId
     });
   } catch (error) {
     console.error('Delete vouchers error:', error);
-    return res.status(500).json({
+    return res.status(error.status || 500).json({
       success: false,
-      message: 'Server error deleting vouchers'
+      message: error.message || 'Server error deleting vouchers'
     });
   }
 });
@@ -462,8 +724,9 @@ router.post('/:id/recalculate-balance', async (req, res) => {
         message: 'Ledger not found'
       });
     }
+    const beforeSnapshot = toSnapshot(ledger);
 
-    const [vouchers, settlements] = await Promise.all([
+    const [vouchers, settlements, creditNotes, receipts] = await Promise.all([
       Voucher.find({
         ledgerId: req.params.id,
         userId: req.userId,
@@ -472,7 +735,17 @@ router.post('/:id/recalculate-balance', async (req, res) => {
       Settlement.find({
         ledgerId: req.params.id,
         userId: req.userId
-      })
+      }),
+      CreditNote.find({
+        ledgerId: req.params.id,
+        userId: req.userId,
+        status: 'active'
+      }).select('ledgerAdjustment'),
+      Receipt.find({
+        ledgerId: req.params.id,
+        userId: req.userId,
+        status: 'active'
+      }).select('ledgerAdjustment')
     ]);
 
     // Fix vouchers with missing or zero total field
@@ -480,7 +753,7 @@ router.post('/:id/recalculate-balance', async (req, res) => {
     for (const voucher of vouchers) {
       if (!voucher.total || voucher.total === 0) {
         // Calculate total from items
-        const itemsTotal = (voucher.items || []).reduce((sum, item) => sum + toNumber(item.amount), 0);
+        const itemsTotal = (voucher.items || []).reduce((sum, item) => sum + getLineSign(item) * toNumber(item.amount), 0);
         const stoneAmount = toNumber(voucher.stoneAmount);
         const fineAmount = toNumber(voucher.fineAmount);
         const gstTotal = toNumber(voucher.gstDetails?.totalGST);
@@ -496,6 +769,7 @@ router.post('/:id/recalculate-balance', async (req, res) => {
       ledger.balances = resetBalances();
       ledger.hasVouchers = vouchers.length > 0;
       await ledger.save();
+      await recordAudit(req, { entityType: 'ledger', action: 'recalculate', before: beforeSnapshot, after: ledger });
       return res.json({
         success: true,
         message: `Ledger is GST type, balances remains zero${vouchersFixed > 0 ? `. Fixed ${vouchersFixed} voucher(s) with missing totals.` : ''}`,
@@ -519,9 +793,9 @@ router.post('/:id/recalculate-balance', async (req, res) => {
       if (voucher.paymentType === 'credit') {
         voucher.items?.forEach((item) => {
           if (item.metalType === 'gold') {
-            ledger.balances.goldFineWeight += toNumber(item.fineWeight);
+            ledger.balances.goldFineWeight += getLineSign(item) * toNumber(item.fineWeight);
           } else if (item.metalType === 'silver') {
-            ledger.balances.silverFineWeight += toNumber(item.fineWeight);
+            ledger.balances.silverFineWeight += getLineSign(item) * toNumber(item.fineWeight);
           }
         });
         // Credit bills use cashBalance, not creditBalance
@@ -550,6 +824,9 @@ router.post('/:id/recalculate-balance', async (req, res) => {
         const amountPaid = toNumber(voucher.cashReceived);
         const silverRate = toNumber(voucher.silverRate) || 1;
         ledger.balances.silverFineWeight -= (amountPaid / silverRate);
+      } else if (voucher.paymentType === 'interest') {
+        // Interest charged on an overdue balance
+        ledger.balances.cashBalance += toNumber(voucher.total);
       }
     });
 
@@ -568,10 +845,24 @@ router.post('/:id/recalculate-balance', async (req, res) => {
       ledger.balances.creditBalance += multiplier * amount;
     });
 
+    // Credit notes store the exact deltas they applied
+    creditNotes.forEach((creditNote) => {
+      const adjustment = creditNote.ledgerAdjustment || {};
+      ledger.balances.cashBalance += toNumber(adjustment.cashBalance);
+      ledger.balances.goldFineWeight += toNumber(adjustment.goldFineWeight);
+      ledger.balances.silverFineWeight += toNumber(adjustment.silverFineWeight);
+    });
+
+    // So do payment receipts
+    receipts.forEach((receipt) => {
+      ledger.balances.cashBalance += toNumber(receipt.ledgerAdjustment?.cashBalance);
+    });
+
     ledger.balances.amount = calculateUnifiedAmount(ledger.balances);
     ledger.hasVouchers = vouchers.length > 0;
 
     await ledger.save();
+    await recordAudit(req, { entityType: 'ledger', action: 'recalculate', before: beforeSnapshot, after: ledger });
 
     return res.json({
       success: true,
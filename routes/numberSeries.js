@@ -0,0 +1,189 @@
+const express = require('express');
+const router = express.Router();
+const NumberSeries = require('../models/NumberSeries');
+const { auth, checkLicense } = require('../middleware/auth');
+const { requireWritePermission } = require('../middleware/permissions');
+const { toNumber, badRequest, notFound } = require('../utils/helpers');
+const {
+  getPeriodKey, validateFormat, ensureDefaultSeries, previewNextNumber
+} = require('../utils/numbering');
+const { recordAudit, toSnapshot } = require('../utils/audit');
+
+const DOCUMENT_TYPES = ['voucher', 'credit_note', 'receipt', 'pledge'];
+const EDITABLE_FIELDS = ['name', 'invoiceType', 'voucherType', 'prefix', 'format', 'padding', 'resetYearly', 'isActive'];
+
+const withPreview = (series) => ({
+  ...series.toObject(),
+  nextNumber: previewNextNumber(series)
+});
+
+// Only one default per document type
+const clearOtherDefaults = (userId, documentType, keepId) => NumberSeries.updateMany(
+  { userId, documentType, isDefault: true, _id: { $ne: keepId } },
+  { $set: { isDefault: false } }
+);
+
+const applyNextNumber = (series, nextNumber) => {
+  const next = Math.floor(toNumber(nextNumber));
+  if (next < 1) {
+    throw badRequest('Next number must be at least 1');
+  }
+  series.counters.set(getPeriodKey(series, new Date()), next - 1);
+};
+
+router.use(auth);
+router.use(checkLicense);
+router.use(requireWritePermission('settings:manage'));
+
+router.get('/', async (req, res) => {
+  try {
+    const { documentType } = req.query;
+    if (documentType && !DOCUMENT_TYPES.includes(documentType)) {
+      throw badRequest('Invalid documentType');
+    }
+
+    await Promise.all(DOCUMENT_TYPES.map((type) => ensureDefaultSeries(req.userId, type)));
+
+    const query = { userId: req.userId };
+    if (documentType) query.documentType = documentType;
+
+    const series = await NumberSeries.find(query).sort({ documentType: 1, isDefault: -1, name: 1 });
+
+    return res.json({
+      success: true,
+      series: series.map(withPreview)
+    });
+  } catch (error) {
+    console.error('Get number series error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error fetching number series'
+    });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const { documentType = 'voucher', isDefault, nextNumber } = req.body;
+    if (!DOCUMENT_TYPES.includes(documentType)) {
+      throw badRequest('Invalid documentType');
+    }
+    if (!String(req.body.name || '').trim()) {
+      throw badRequest('Series name is required');
+    }
+    if (req.body.format !== undefined) {
+      validateFormat(req.body.format);
+    }
+
+    const series = new NumberSeries({
+      userId: req.userId,
+      documentType,
+      isDefault: Boolean(isDefault)
+    });
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) series[field] = req.body[field];
+    });
+    if (nextNumber !== undefined) {
+      applyNextNumber(series, nextNumber);
+    }
+
+    await series.save();
+    if (series.isDefault) {
+      await clearOtherDefaults(req.userId, documentType, series._id);
+    }
+    await recordAudit(req, { entityType: 'number_series', action: 'create', after: series });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Number series created successfully',
+      series: withPreview(series)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      error.status = 400;
+      error.message = 'A series with this name already exists';
+    }
+    console.error('Create number series error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error creating number series'
+    });
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  try {
+    const series = await NumberSeries.findOne({ _id: req.params.id, userId: req.userId });
+    if (!series) {
+      throw notFound('Numbering series not found');
+    }
+    if (req.body.format !== undefined) {
+      validateFormat(req.body.format);
+    }
+    if (series.isDefault && (req.body.isActive === false || req.body.isDefault === false)) {
+      throw badRequest('Mark another series as default first');
+    }
+    const beforeSnapshot = toSnapshot(series);
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) series[field] = req.body[field];
+    });
+    if (req.body.isDefault === true) {
+      series.isDefault = true;
+      series.isActive = true;
+    }
+    if (req.body.nextNumber !== undefined) {
+      applyNextNumber(series, req.body.nextNumber);
+    }
+
+    await series.save();
+    if (series.isDefault) {
+      await clearOtherDefaults(req.userId, series.documentType, series._id);
+    }
+    await recordAudit(req, { entityType: 'number_series', action: 'update', before: beforeSnapshot, after: series });
+
+    return res.json({
+      success: true,
+      message: 'Number series updated successfully',
+      series: withPreview(series)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      error.status = 400;
+      error.message = 'A series with this name already exists';
+    }
+    console.error('Update number series error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error updating number series'
+    });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const series = await NumberSeries.findOne({ _id: req.params.id, userId: req.userId });
+    if (!series) {
+      throw notFound('Numbering series not found');
+    }
+    if (series.isDefault) {
+      throw badRequest('The default series cannot be deleted');
+    }
+
+    await series.deleteOne();
+    await recordAudit(req, { entityType: 'number_series', action: 'delete', before: series });
+
+    return res.json({
+      success: true,
+      message: 'Number series deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete number series error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error deleting number series'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+const PeriodLock = require('../models/PeriodLock');
+const { auth, checkLicense } = require('../middleware/auth');
+const { requireWritePermission } = require('../middleware/permissions');
+const { badRequest, notFound } = require('../utils/helpers');
+const { recordAudit, toSnapshot } = require('../utils/audit');
+const { parsePeriod } = require('../utils/periodLock');
+const { buildDayBook } = require('../utils/cashBook');
+
+router.use(auth);
+router.use(checkLicense);
+router.use(requireWritePermission('period:close'));
+
+router.get('/', async (req, res) => {
+  try {
+    const { periodType, status } = req.query;
+    const query = { userId: req.userId };
+    if (periodType) query.periodType = periodType;
+    if (status) query.status = status;
+
+    const locks = await PeriodLock.find(query).sort({ start: -1 });
+
+    return res.json({
+      success: true,
+      locks
+    });
+  } catch (error) {
+    console.error('Get period locks error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error fetching period locks'
+    });
+  }
+});
+
+// POST /api/period-locks/close { periodType: 'day'|'month', period: 'YYYY-MM-DD'|'YYYY-MM' }
+router.post('/close', async (req, res) => {
+  try {
+    const { periodType, period } = req.body;
+    if (!['day', 'month'].includes(periodType)) {
+      throw badRequest('periodType must be day or month');
+    }
+    const bounds = parsePeriod(periodType, period);
+    if (!bounds) {
+      throw badRequest(periodType === 'day' ? 'period must be in YYYY-MM-DD format' : 'period must be in YYYY-MM format');
+    }
+    if (bounds.start > new Date()) {
+      throw badRequest('A period cannot be closed before it starts');
+    }
+
+    let lock = await PeriodLock.findOne({ userId: req.userId, periodType, periodKey: bounds.key });
+    if (lock?.status === 'locked') {
+      throw badRequest(`The ${periodType} ${bounds.key} is already closed`);
+    }
+    const beforeSnapshot = toSnapshot(lock);
+
+    if (!lock) {
+      lock = new PeriodLock({
+        userId: req.userId,
+        periodType,
+        periodKey: bounds.key,
+        start: bounds.start,
+        end: bounds.end
+      });
+    }
+    lock.status = 'locked';
+    lock.lockedAt = new Date();
+    lock.unlockedAt = null;
+    lock.unlockReason = '';
+
+    // Keep the day's figures as they stood at closing
+    if (periodType === 'day') {
+      const dayBook = await buildDayBook(req.userId, bounds);
+      lock.summary = {
+        openingCash: dayBook.openingCash,
+        closingCash: dayBook.closingCash,
+        ...dayBook.totals
+      };
+    }
+
+    await lock.save();
+    await recordAudit(req, { entityType: 'period_lock', action: 'lock', before: beforeSnapshot, after: lock });
+
+    return res.status(201).json({
+      success: true,
+      message: `${periodType === 'day' ? 'Day' : 'Month'} ${bounds.key} closed successfully`,
+      lock
+    });
+  } catch (error) {
+    console.error('Close period error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error closing period'
+    });
+  }
+});
+
+// Unlocking needs a reason; it is kept on the lock and in the audit trail
+router.post('/:id/unlock', async (req, res) => {
+  try {
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) {
+      throw badRequest('A reason is required to unlock a closed period');
+    }
+
+    const lock = await PeriodLock.findOne({ _id: req.params.id, userId: req.userId });
+    if (!lock) {
+      throw notFound('Period lock not found');
+    }
+    if (lock.status !== 'locked') {
+      throw badRequest(`The ${lock.periodType} ${lock.periodKey} is not closed`);
+    }
+    const beforeSnapshot = toSnapshot(lock);
+
+    lock.status = 'unlocked';
+    lock.unlockedAt = new Date();
+    lock.unlockReason = reason;
+    await lock.save();
+    await recordAudit(req, {
+      entityType: 'period_lock', action: 'unlock', before: beforeSnapshot, after: lock, reason
+    });
+
+    return res.json({
+      success: true,
+      message: `${lock.periodType === 'day' ? 'Day' : 'Month'} ${lock.periodKey} unlocked`,
+      lock
+    });
+  } catch (error) {
+    console.error('Unlock period error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error unlocking period'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,724 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Pledge = require('../models/Pledge');
+const PledgeTransaction = require('../models/PledgeTransaction');
+const Ledger = require('../models/Ledger');
+const User = require('../models/User');
+const { auth, checkLicense } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { addBackToStock, getEffectiveRates } = require('./stock');
+const CONSTANTS = require('../utils/constants');
+const {
+  toNumber, badRequest, notFound, startOptionalSession, canReverseWithWindow, getReversalWindowHours,
+  parsePagination, paginationMeta
+} = require('../utils/helpers');
+const { allocateNumber } = require('../utils/numbering');
+const { recordAudit, toSnapshot } = require('../utils/audit');
+const { assertPeriodOpen } = require('../utils/periodLock');
+const { sendPdf } = require('../utils/pdfHelpers');
+const {
+  resolvePledgeTerms, buildPledgeItems, getPledgedItems, sumFine, getMaxLoan, getPledgePosition,
+  assertCollectionDate, accrueInterest, applyCollection, resolvePledgePayments, addMonths
+} = require('../utils/pledges');
+const { buildPledgeTicketPdf } = require('../utils/pledgeTicketPdf');
+
+const roundAmount = (value) => Math.round(toNumber(value) * 100) / 100;
+
+const getWindowHours = (user) => {
+  if (!user?.reversalSettings) return getReversalWindowHours();
+  if (user.reversalSettings.enabled === false) return 0;
+  return user.reversalSettings.windowHours ?? getReversalWindowHours();
+};
+
+const parseDate = (value) => {
+  const date = value ? new Date(value) : new Date();
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest('Invalid date');
+  }
+  return date;
+};
+
+const loadPledge = async (req, session = null) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw notFound('Pledge not found');
+  }
+  const pledge = await Pledge.findOne({ _id: req.params.id, userId: req.userId }).session(session);
+  if (!pledge) {
+    throw notFound('Pledge not found');
+  }
+  return pledge;
+};
+
+const loadActivePledge = async (req, session = null) => {
+  const pledge = await loadPledge(req, session);
+  if (pledge.status !== 'active') {
+    throw badRequest(`Pledge is already ${pledge.status}`);
+  }
+  return pledge;
+};
+
+// Rates sent with the request win; otherwise the day's effective rates
+const resolveRates = async (userId, date, body, session = null) => {
+  const rates = await getEffectiveRates(userId, date, { session });
+  return {
+    goldRate: toNumber(body.goldRate) > 0 ? toNumber(body.goldRate) : toNumber(rates.goldRate),
+    silverRate: toNumber(body.silverRate) > 0 ? toNumber(body.silverRate) : toNumber(rates.silverRate),
+    purityRates: rates.purityRates
+  };
+};
+
+// Auction and forfeit are only open once the loan has run past its maturity date
+const assertMatured = (pledge, date) => {
+  if (!getPledgePosition(pledge, date).isMatured) {
+    throw badRequest('Pledge can only be auctioned or forfeited after its maturity date');
+  }
+};
+
+const recordTransaction = (pledge, fields, session) => new PledgeTransaction({
+  userId: pledge.userId,
+  pledgeId: pledge._id,
+  ledgerId: pledge.ledgerId,
+  pledgeNumber: pledge.pledgeNumber,
+  customerName: pledge.customerName,
+  ...fields
+}).save({ session });
+
+router.use(auth);
+router.use(checkLicense);
+router.use(requirePermission('pledge:manage'));
+
+// POST /api/pledge/preview { date?, items, terms?, goldRate?, silverRate? } — value items before lending
+router.post('/preview', async (req, res) => {
+  try {
+    const date = parseDate(req.body.date);
+    const user = await User.findById(req.userId).select('pledgeSettings');
+    const terms = resolvePledgeTerms(user, req.body.terms);
+    const rates = await resolveRates(req.userId, date, req.body);
+    const { items, valuation } = await buildPledgeItems(req.userId, req.body.items, rates);
+
+    return res.json({
+      success: true,
+      rates,
+      items,
+      valuation,
+      fine: sumFine(items),
+      terms,
+      maxLoan: getMaxLoan(items, terms.ltvPercent),
+      maturityDate: addMonths(date, terms.tenureMonths)
+    });
+  } catch (error) {
+    console.error('Preview pledge error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error valuing pledge'
+    });
+  }
+});
+
+// POST /api/pledge { ledgerId, date?, items, loanAmount, payments?, terms?, goldRate?, silverRate?, narration?, seriesId? }
+// Without payments the loan is paid out in cash.
+router.post('/', async (req, res) => {
+  const session = await startOptionalSession();
+  try {
+    const { ledgerId, narration, seriesId } = req.body;
+    const date = parseDate(req.body.date);
+    await assertPeriodOpen(req.userId, [date], session);
+
+    if (!mongoose.Types.ObjectId.isValid(ledgerId)) {
+      throw badRequest('Valid ledgerId is required');
+    }
+    const ledger = await Ledger.findOne({ _id: ledgerId, userId: req.userId }).session(session);
+    if (!ledger) {
+      throw notFound('Ledger not found');
+    }
+    if (ledger.ledgerType === 'gst') {
+      throw badRequest('Pledges can only be recorded on regular ledgers');
+    }
+
+    const user = await User.findById(req.userId).select('pledgeSettings').session(session);
+    const terms = resolvePledgeTerms(user, req.body.terms);
+    const rates = await resolveRates(req.userId, date, req.body, session);
+    const { items, valuation } = await buildPledgeItems(req.userId, req.body.items, rates, session);
+
+    const { amount: loanAmount, payments } = resolvePledgePayments(req.body.loanAmount, req.body.payments);
+    if (!(loanAmount > 0)) {
+      throw badRequest('Loan amount must be greater than zero');
+    }
+    const maxLoan = getMaxLoan(items, terms.ltvPercent);
+    if (loanAmount > maxLoan + 0.005) {
+      throw badRequest(`Loan amount cannot exceed ${maxLoan.toFixed(2)} (${terms.ltvPercent}% of the ${valuation.toFixed(2)} valuation)`);
+    }
+
+    const allocated = await allocateNumber(req.userId, 'pledge', { seriesId, date }, session);
+
+    const pledge = new Pledge({
+      pledgeNumber: allocated.number,
+      numberSeriesId: allocated.seriesId,
+      userId: req.userId,
+      ledgerId: ledger._id,
+      customerName: ledger.name,
+      date,
+      items,
+      goldRate: rates.goldRate,
+      silverRate: rates.silverRate,
+      valuation,
+      ltvPercent: terms.ltvPercent,
+      loanAmount,
+      principalOutstanding: loanAmount,
+      interest: {
+        monthlyRate: terms.monthlyRate,
+        method: terms.method,
+        minimumDays: terms.minimumDays
+      },
+      interestAccruedUntil: date,
+      maturityDate: addMonths(date, terms.tenureMonths),
+      narration: narration || ''
+    });
+
+    await pledge.save({ session });
+    await recordTransaction(pledge, {
+      type: 'disbursement', date, amount: loanAmount, payments, principalAmount: loanAmount, narration: narration || ''
+    }, session);
+
+    if (session?.inTransaction()) {
+      await session.commitTransaction();
+    }
+    await recordAudit(req, { entityType: 'pledge', action: 'create', after: pledge });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Pledge created successfully',
+      pledge
+    });
+  } catch (error) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error('Create pledge error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error creating pledge'
+    });
+  } finally {
+    if (session) {
+      await session.endSession();
+    }
+  }
+});
+
+// GET /api/pledge?status=&ledgerId=&overdue=true&startDate=&endDate= — each row carries what is due today
+router.get('/', async (req, res) => {
+  try {
+    const {
+      startDate, endDate, ledgerId, status, overdue
+    } = req.query;
+    const query = { userId: req.userId };
+
+    if (ledgerId) {
+      if (!mongoose.Types.ObjectId.isValid(ledgerId)) throw badRequest('Invalid ledgerId');
+      query.ledgerId = ledgerId;
+    }
+    if (status) {
+      if (!CONSTANTS.PLEDGE.STATUSES.includes(status)) {
+        throw badRequest(`status must be one of ${CONSTANTS.PLEDGE.STATUSES.join(', ')}`);
+      }
+      query.status = status;
+    }
+    if (overdue === 'true') {
+      query.status = 'active';
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      query.maturityDate = { $lt: today };
+    }
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.date.$lte = end;
+      }
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [pledges, total] = await Promise.all([
+      Pledge.find(query)
+        .populate('ledgerId', 'name phoneNumber')
+        .sort({ date: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Pledge.countDocuments(query)
+    ]);
+
+    const now = new Date();
+    return res.json({
+      success: true,
+      pledges: pledges.map((pledge) => ({ ...pledge.toObject(), position: getPledgePosition(pledge, now) })),
+      pagination: paginationMeta(page, limit, total)
+    });
+  } catch (error) {
+    console.error('Get pledges error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error fetching pledges'
+    });
+  }
+});
+
+// GET /api/pledge/:id?asOf= — the pledge, its transactions, what is due and what redeeming would cost
+router.get('/:id', async (req, res) => {
+  try {
+    const pledge = await loadPledge(req);
+    const asOf = parseDate(req.query.asOf);
+    const transactions = await PledgeTransaction.find({ userId: req.userId, pledgeId: pledge._id, status: 'active' })
+      .sort({ date: 1, createdAt: 1 });
+
+    return res.json({
+      success: true,
+      pledge,
+      transactions,
+      position: getPledgePosition(pledge, asOf),
+      redemption: pledge.status === 'active' ? getPledgePosition(pledge, asOf, { closing: true }) : null
+    });
+  } catch (error) {
+    console.error('Get pledge error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error fetching pledge'
+    });
+  }
+});
+
+// GET /api/pledge/:id/ticket?format=a4|thermal — the pledge ticket handed to the customer
+router.get('/:id/ticket', async (req, res) => {
+  try {
+    const pledge = await loadPledge(req);
+    const [transactions, user, ledger] = await Promise.all([
+      PledgeTransaction.find({ userId: req.userId, pledgeId: pledge._id, status: 'active' }).sort({ date: 1, createdAt: 1 }),
+      User.findById(req.userId).select('shopName phoneNumber'),
+      Ledger.findById(pledge.ledgerId).select('phoneNumber')
+    ]);
+    const doc = buildPledgeTicketPdf(pledge, transactions, getPledgePosition(pledge, new Date()), user, ledger, {
+      format: req.query.format
+    });
+    return sendPdf(res, doc, `pledge-${pledge.pledgeNumber}`);
+  } catch (error) {
+    console.error('Pledge ticket error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error generating pledge ticket'
+    });
+  }
+});
+
+// POST /api/pledge/:id/interest { date?, amount?, payments?, narration? } — collect interest; defaults to all that is due
+router.post('/:id/interest', async (req, res) => {
+  const session = await startOptionalSession();
+  try {
+    const date = parseDate(req.body.date);
+    const pledge = await loadActivePledge(req, session);
+    assertCollectionDate(pledge, date);
+    await assertPeriodOpen(req.userId, [date], session);
+    const beforeSnapshot = toSnapshot(pledge);
+
+    accrueInterest(pledge, date);
+    const { amount, payments } = resolvePledgePayments(req.body.amount, req.body.payments, pledge.interestDue);
+    if (!(amount > 0)) {
+      throw badRequest('No interest is due');
+    }
+    if (amount > roundAmount(pledge.interestDue) + 0.005) {
+      throw badRequest(`Only ${roundAmount(pledge.interestDue).toFixed(2)} interest is due. Use release or redeem to repay principal`);
+    }
+
+    const { interestAmount } = applyCollection(pledge, amount);
+    await pledge.save({ session });
+    const transaction = await recordTransaction(pledge, {
+      type: 'interest', date, amount, payments, interestAmount, narration: req.body.narration || ''
+    }, session);
+
+    if (session?.inTransaction()) {
+      await session.commitTransaction();
+    }
+    await recordAudit(req, { entityType: 'pledge', action: 'interest', before: beforeSnapshot, after: pledge });
+
+    return res.json({
+      success: true,
+      message: 'Interest collected successfully',
+      pledge,
+      transaction
+    });
+  } catch (error) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error('Collect pledge interest error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error collecting interest'
+    });
+  } finally {
+    if (session) {
+      await session.endSession();
+    }
+  }
+});
+
+// POST /api/pledge/:id/release { itemIds, date?, amount?, payments?, narration? }
+// Hands some items back. The collection must clear interest due and bring the
+// principal within the loan the remaining items can carry; it defaults to that minimum.
+router.post('/:id/release', async (req, res) => {
+  const session = await startOptionalSession();
+  try {
+    const date = parseDate(req.body.date);
+    const pledge = await loadActivePledge(req, session);
+    assertCollectionDate(pledge, date);
+    await assertPeriodOpen(req.userId, [date], session);
+    const beforeSnapshot = toSnapshot(pledge);
+
+    const itemIds = Array.isArray(req.body.itemIds) ? req.body.itemIds.map(String) : [];
+    if (itemIds.length === 0) {
+      throw badRequest('Select the items to release');
+    }
+    const pledged = getPledgedItems(pledge);
+    const releasing = pledged.filter((item) => itemIds.includes(String(item._id)));
+    if (releasing.length !== new Set(itemIds).size) {
+      throw badRequest('Only items still pledged can be released');
+    }
+    const remaining = pledged.filter((item) => !itemIds.includes(String(item._id)));
+    if (remaining.length === 0) {
+      throw badRequest('Releasing every item closes the loan. Use redeem instead');
+    }
+
+    accrueInterest(pledge, date);
+    const minimum = roundAmount(
+      toNumber(pledge.interestDue) + Math.max(0, toNumber(pledge.principalOutstanding) - getMaxLoan(remaining, pledge.ltvPercent))
+    );
+    const { amount, payments } = resolvePledgePayments(req.body.amount, req.body.payments, minimum);
+    if (amount + 0.005 < minimum) {
+      throw badRequest(`At least ${minimum.toFixed(2)} must be paid to release these items`);
+    }
+
+    const { interestAmount, principalAmount } = applyCollection(pledge, amount);
+    releasing.forEach((item) => {
+      item.status = 'released';
+      item.releasedAt = date;
+    });
+    await pledge.save({ session });
+    const transaction = await recordTransaction(pledge, {
+      type: 'release',
+      date,
+      amount,
+      payments,
+      interestAmount,
+      principalAmount,
+      itemIds: releasing.map((item) => item._id),
+      narration: req.body.narration || ''
+    }, session);
+
+    if (session?.inTransaction()) {
+      await session.commitTransaction();
+    }
+    await recordAudit(req, { entityType: 'pledge', action: 'release', before: beforeSnapshot, after: pledge });
+
+    return res.json({
+      success: true,
+      message: 'Items released successfully',
+      pledge,
+      transaction
+    });
+  } catch (error) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error('Release pledge items error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error releasing items'
+    });
+  } finally {
+    if (session) {
+      await session.endSession();
+    }
+  }
+});
+
+// POST /api/pledge/:id/redeem { date?, amount?, payments?, narration? } — repay everything and take every item back
+router.post('/:id/redeem', async (req, res) => {
+  const session = await startOptionalSession();
+  try {
+    const date = parseDate(req.body.date);
+    const pledge = await loadActivePledge(req, session);
+    assertCollectionDate(pledge, date);
+    await assertPeriodOpen(req.userId, [date], session);
+    const beforeSnapshot = toSnapshot(pledge);
+
+    accrueInterest(pledge, date, { closing: true });
+    const totalDue = roundAmount(toNumber(pledge.principalOutstanding) + toNumber(pledge.interestDue));
+    const { amount, payments } = resolvePledgePayments(req.body.amount, req.body.payments, totalDue);
+    if (Math.abs(amount - totalDue) > 0.005) {
+      throw badRequest(`Redemption needs exactly ${totalDue.toFixed(2)} (principal and interest due)`);
+    }
+
+    const { interestAmount, principalAmount } = applyCollection(pledge, amount);
+    const items = getPledgedItems(pledge);
+    items.forEach((item) => {
+      item.status = 'released';
+      item.releasedAt = date;
+    });
+    pledge.status = 'redeemed';
+    pledge.closedAt = date;
+    await pledge.save({ session });
+    const transaction = await recordTransaction(pledge, {
+      type: 'redemption',
+      date,
+      amount,
+      payments,
+      interestAmount,
+      principalAmount,
+      itemIds: items.map((item) => item._id),
+      narration: req.body.narration || ''
+    }, session);
+
+    if (session?.inTransaction()) {
+      await session.commitTransaction();
+    }
+    await recordAudit(req, { entityType: 'pledge', action: 'redeem', before: beforeSnapshot, after: pledge });
+
+    return res.json({
+      success: true,
+      message: 'Pledge redeemed successfully',
+      pledge,
+      transaction
+    });
+  } catch (error) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error('Redeem pledge error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error redeeming pledge'
+    });
+  } finally {
+    if (session) {
+      await session.endSession();
+    }
+  }
+});
+
+// POST /api/pledge/:id/forfeit { date?, narration? } — take the items into the shop's own stock after maturity
+router.post('/:id/forfeit', async (req, res) => {
+  const session = await startOptionalSession();
+  try {
+    const date = parseDate(req.body.date);
+    const pledge = await loadActivePledge(req, session);
+    assertCollectionDate(pledge, date);
+    assertMatured(pledge, date);
+    await assertPeriodOpen(req.userId, [date], session);
+    const beforeSnapshot = toSnapshot(pledge);
+
+    accrueInterest(pledge, date, { closing: true });
+    const dues = roundAmount(toNumber(pledge.principalOutstanding) + toNumber(pledge.interestDue));
+    const items = getPledgedItems(pledge);
+    const fine = sumFine(items);
+    await addBackToStock(req.userId, fine.gold, fine.silver, { session });
+
+    items.forEach((item) => {
+      item.status = 'forfeited';
+    });
+    pledge.closure = {
+      dues, saleAmount: 0, surplus: 0, shortfall: 0
+    };
+    pledge.principalOutstanding = 0;
+    pledge.interestDue = 0;
+    pledge.status = 'forfeited';
+    pledge.closedAt = date;
+    await pledge.save({ session });
+    const transaction = await recordTransaction(pledge, {
+      type: 'forfeit',
+      date,
+      amount: 0,
+      itemIds: items.map((item) => item._id),
+      fine,
+      narration: req.body.narration || ''
+    }, session);
+
+    if (session?.inTransaction()) {
+      await session.commitTransaction();
+    }
+    await recordAudit(req, { entityType: 'pledge', action: 'forfeit', before: beforeSnapshot, after: pledge });
+
+    return res.json({
+      success: true,
+      message: 'Pledge forfeited and items taken into stock',
+      pledge,
+      transaction
+    });
+  } catch (error) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error('Forfeit pledge error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error forfeiting pledge'
+    });
+  } finally {
+    if (session) {
+      await session.endSession();
+    }
+  }
+});
+
+// POST /api/pledge/:id/auction { date?, saleAmount, payments?, refundPayments?, narration? }
+// Sells the items after maturity. The sale settles what is due; any surplus is
+// paid back to the customer (in cash unless refundPayments say otherwise).
+router.post('/:id/auction', async (req, res) => {
+  const session = await startOptionalSession();
+  try {
+    const date = parseDate(req.body.date);
+    const pledge = await loadActivePledge(req, session);
+    assertCollectionDate(pledge, date);
+    assertMatured(pledge, date);
+    await assertPeriodOpen(req.userId, [date], session);
+    const beforeSnapshot = toSnapshot(pledge);
+
+    const { amount: saleAmount, payments } = resolvePledgePayments(req.body.saleAmount, req.body.payments);
+    if (!(saleAmount > 0)) {
+      throw badRequest('Sale amount must be greater than zero');
+    }
+
+    accrueInterest(pledge, date, { closing: true });
+    const dues = roundAmount(toNumber(pledge.principalOutstanding) + toNumber(pledge.interestDue));
+    const surplus = roundAmount(Math.max(0, saleAmount - dues));
+    const shortfall = roundAmount(Math.max(0, dues - saleAmount));
+
+    const refund = resolvePledgePayments(undefined, req.body.refundPayments, surplus);
+    if (Math.abs(refund.amount - surplus) > 0.005) {
+      throw badRequest(`Surplus refund must be exactly ${surplus.toFixed(2)}`);
+    }
+
+    const { interestAmount, principalAmount } = applyCollection(pledge, Math.min(saleAmount, dues));
+    const items = getPledgedItems(pledge);
+    items.forEach((item) => {
+      item.status = 'auctioned';
+    });
+    pledge.closure = {
+      dues, saleAmount, surplus, shortfall
+    };
+    pledge.principalOutstanding = 0;
+    pledge.interestDue = 0;
+    pledge.status = 'auctioned';
+    pledge.closedAt = date;
+    await pledge.save({ session });
+
+    const narration = req.body.narration || '';
+    const transaction = await recordTransaction(pledge, {
+      type: 'auction',
+      date,
+      amount: saleAmount,
+      payments,
+      interestAmount,
+      principalAmount,
+      itemIds: items.map((item) => item._id),
+      narration
+    }, session);
+    const refundTransaction = surplus > 0
+      ? await recordTransaction(pledge, {
+        type: 'refund', date, amount: surplus, payments: refund.payments, narration
+      }, session)
+      : null;
+
+    if (session?.inTransaction()) {
+      await session.commitTransaction();
+    }
+    await recordAudit(req, { entityType: 'pledge', action: 'auction', before: beforeSnapshot, after: pledge });
+
+    return res.json({
+      success: true,
+      message: 'Pledge auctioned successfully',
+      pledge,
+      transaction,
+      refundTransaction
+    });
+  } catch (error) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error('Auction pledge error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error auctioning pledge'
+    });
+  } finally {
+    if (session) {
+      await session.endSession();
+    }
+  }
+});
+
+// PATCH /api/pledge/:id — cancel a pledge entered by mistake, before anything was collected on it
+router.patch('/:id', async (req, res) => {
+  const session = await startOptionalSession();
+  try {
+    const { status, cancelledReason } = req.body;
+    if (status !== 'cancelled') {
+      throw badRequest('Only cancellation is supported via PATCH');
+    }
+
+    const pledge = await loadActivePledge(req, session);
+    await assertPeriodOpen(req.userId, [pledge.date], session);
+    const collections = await PledgeTransaction.countDocuments({
+      userId: req.userId, pledgeId: pledge._id, status: 'active', type: { $ne: 'disbursement' }
+    }).session(session);
+    if (collections > 0) {
+      throw badRequest('Pledge has collections recorded against it and cannot be cancelled');
+    }
+    const beforeSnapshot = toSnapshot(pledge);
+
+    const currentUser = await User.findById(req.userId).select('reversalSettings');
+    const windowHours = getWindowHours(currentUser);
+    if (!canReverseWithWindow(pledge.createdAt, windowHours)) {
+      throw badRequest(`Pledge cannot be cancelled after ${windowHours} hours`);
+    }
+
+    pledge.status = 'cancelled';
+    pledge.cancelledReason = cancelledReason || 'Cancelled by user';
+    await pledge.save({ session });
+    await PledgeTransaction.updateMany(
+      { userId: req.userId, pledgeId: pledge._id },
+      { $set: { status: 'cancelled' } },
+      { session }
+    );
+
+    if (session?.inTransaction()) {
+      await session.commitTransaction();
+    }
+    await recordAudit(req, {
+      entityType: 'pledge', action: 'cancel', before: beforeSnapshot, after: pledge, reason: pledge.cancelledReason
+    });
+
+    return res.json({
+      success: true,
+      message: 'Pledge cancelled successfully',
+      pledge
+    });
+  } catch (error) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error('Cancel pledge error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error cancelling pledge'
+    });
+  } finally {
+    if (session) {
+      await session.endSession();
+    }
+  }
+});
+
+module.exports = router;
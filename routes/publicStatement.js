@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const StatementLink = require('../models/StatementLink');
+const Ledger = require('../models/Ledger');
+const User = require('../models/User');
+const CONSTANTS = require('../utils/constants');
+const { toNumber } = require('../utils/helpers');
+const { verifyStatementToken } = require('../utils/statementLink');
+const { loadLedgerStatement, STATEMENT_CSV_COLUMNS, getStatementCsvRows } = require('../utils/ledgerStatement');
+const { buildStatementPdf } = require('../utils/statementPdf');
+const { sendPdf } = require('../utils/pdfHelpers');
+const { toCsv, sendCsv } = require('../utils/csv');
+
+const linkUnavailable = (res) => res.status(404).json({
+  success: false,
+  message: 'This statement link is invalid or has expired'
+});
+
+// Internal ids stay private; the customer only sees what is printed on the statement
+const toPublicStatement = (statement) => ({
+  ...statement,
+  lines: statement.lines.map(({ id, ...line }) => line)
+});
+
+// GET /api/public/statement/:token?startDate=&endDate=&format=json|csv|pdf — no login required
+router.get('/:token', async (req, res) => {
+  try {
+    const { startDate, endDate, format = 'json' } = req.query;
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid format. Must be json, csv or pdf'
+      });
+    }
+
+    const tokenHash = verifyStatementToken(req.params.token);
+    if (!tokenHash) {
+      return linkUnavailable(res);
+    }
+
+    const link = await StatementLink.findOne({ tokenHash });
+    if (!link || !link.isUsable()) {
+      return linkUnavailable(res);
+    }
+
+    const [ledger, user] = await Promise.all([
+      Ledger.findOne({ _id: link.ledgerId, userId: link.userId }),
+      User.findById(link.userId).select('shopName phoneNumber isActive')
+    ]);
+    if (!ledger || !user?.isActive) {
+      return linkUnavailable(res);
+    }
+
+    let end;
+    if (endDate) {
+      end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+    }
+    const statement = await loadLedgerStatement(ledger, { startDate, endDate: end });
+
+    await StatementLink.updateOne({ _id: link._id }, {
+      $inc: { accessCount: 1 },
+      $set: { lastAccessedAt: new Date() },
+      $push: {
+        accessLog: {
+          $each: [{
+            accessedAt: new Date(),
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            format
+          }],
+          $slice: -CONSTANTS.STATEMENT_LINK.ACCESS_LOG_LIMIT
+        }
+      }
+    });
+
+    const filename = `statement-${ledger.name}`;
+    if (format === 'csv') {
+      return sendCsv(res, toCsv(STATEMENT_CSV_COLUMNS, getStatementCsvRows(statement)), filename);
+    }
+    if (format === 'pdf') {
+      return sendPdf(res, buildStatementPdf(statement, ledger, user, { startDate, endDate: end }), filename);
+    }
+
+    return res.json({
+      success: true,
+      shop: {
+        name: user.shopName,
+        phoneNumber: user.phoneNumber
+      },
+      ledger: {
+        name: ledger.name,
+        balances: {
+          amount: toNumber(ledger.balances?.amount),
+          goldFineWeight: toNumber(ledger.balances?.goldFineWeight),
+          silverFineWeight: toNumber(ledger.balances?.silverFineWeight)
+        }
+      },
+      expiresAt: link.expiresAt,
+      statement: toPublicStatement(statement)
+    });
+  } catch (error) {
+    console.error('Public statement error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error fetching statement'
+    });
+  }
+});
+
+module.exports = router;
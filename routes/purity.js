@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const Purity = require('../models/Purity');
+const { auth, checkLicense } = require('../middleware/auth');
+const { requireWritePermission } = require('../middleware/permissions');
+const { toNumber, badRequest, notFound } = require('../utils/helpers');
+const { ensureDefaultPurities } = require('../utils/purity');
+const { recordAudit, toSnapshot } = require('../utils/audit');
+
+const validatePurityFields = (fields) => {
+  if (fields.metal !== undefined && !['gold', 'silver'].includes(fields.metal)) {
+    throw badRequest('Metal must be gold or silver');
+  }
+  if (fields.fineness !== undefined) {
+    const fineness = toNumber(fields.fineness);
+    if (fineness <= 0 || fineness > 1000) {
+      throw badRequest('Fineness must be between 1 and 1000');
+    }
+  }
+  if (fields.defaultMelting !== undefined && fields.defaultMelting !== null) {
+    const melting = toNumber(fields.defaultMelting, -1);
+    if (melting < 0 || melting > 100) {
+      throw badRequest('Default melting must be between 0 and 100');
+    }
+  }
+};
+
+const handleDuplicate = (error) => {
+  if (error.code === 11000) {
+    error.status = 400;
+    error.message = 'A purity with this name already exists for the metal';
+  }
+  return error;
+};
+
+router.use(auth);
+router.use(checkLicense);
+router.use(requireWritePermission('stock:manage'));
+
+router.get('/', async (req, res) => {
+  try {
+    await ensureDefaultPurities(req.userId);
+
+    const query = { userId: req.userId };
+    if (req.query.metal) query.metal = req.query.metal;
+    if (req.query.includeInactive !== 'true') query.isActive = true;
+
+    const purities = await Purity.find(query).sort({ metal: 1, fineness: -1 });
+
+    return res.json({
+      success: true,
+      purities
+    });
+  } catch (error) {
+    console.error('Get purities error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error fetching purities'
+    });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const { name, metal, fineness, defaultMelting } = req.body;
+    if (!String(name || '').trim() || !metal || fineness === undefined) {
+      throw badRequest('Required fields: name, metal, fineness');
+    }
+    validatePurityFields(req.body);
+
+    const purity = await Purity.create({
+      userId: req.userId,
+      name: String(name).trim(),
+      metal,
+      fineness: toNumber(fineness),
+      ...(defaultMelting !== undefined && defaultMelting !== null
+        ? { defaultMelting: toNumber(defaultMelting) }
+        : {})
+    });
+    await recordAudit(req, { entityType: 'purity', action: 'create', after: purity });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Purity created successfully',
+      purity
+    });
+  } catch (error) {
+    handleDuplicate(error);
+    console.error('Create purity error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error creating purity'
+    });
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  try {
+    const purity = await Purity.findOne({ _id: req.params.id, userId: req.userId });
+    if (!purity) {
+      throw notFound('Purity not found');
+    }
+    validatePurityFields(req.body);
+    const beforeSnapshot = toSnapshot(purity);
+
+    const { name, metal, fineness, defaultMelting, isActive } = req.body;
+    if (name !== undefined) {
+      if (!String(name).trim()) throw badRequest('Name is required');
+      purity.name = String(name).trim();
+    }
+    if (metal !== undefined) purity.metal = metal;
+    if (fineness !== undefined) purity.fineness = toNumber(fineness);
+    if (defaultMelting !== undefined) purity.defaultMelting = toNumber(defaultMelting);
+    if (isActive !== undefined) purity.isActive = Boolean(isActive);
+
+    await purity.save();
+    await recordAudit(req, { entityType: 'purity', action: 'update', before: beforeSnapshot, after: purity });
+
+    return res.json({
+      success: true,
+      message: 'Purity updated successfully',
+      purity
+    });
+  } catch (error) {
+    handleDuplicate(error);
+    console.error('Update purity error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error updating purity'
+    });
+  }
+});
+
+// Purities stay referenced by items and bills, so deleting only deactivates them
+router.delete('/:id', async (req, res) => {
+  try {
+    const purity = await Purity.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId },
+      { $set: { isActive: false } },
+      { new: true }
+    );
+    if (!purity) {
+      throw notFound('Purity not found');
+    }
+    await recordAudit(req, { entityType: 'purity', action: 'delete', after: purity });
+
+    return res.json({
+      success: true,
+      message: 'Purity deactivated successfully',
+      purity
+    });
+  } catch (error) {
+    console.error('Delete purity error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error deleting purity'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,330 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Receipt = require('../models/Receipt');
+const Ledger = require('../models/Ledger');
+const User = require('../models/User');
+const { auth, checkLicense } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const {
+  toNumber, badRequest, notFound, startOptionalSession, canReverseWithWindow, getReversalWindowHours,
+  calculateUnifiedAmount, parsePagination, paginationMeta
+} = require('../utils/helpers');
+const { allocateNumber } = require('../utils/numbering');
+const { recordAudit, toSnapshot } = require('../utils/audit');
+const { assertPeriodOpen } = require('../utils/periodLock');
+const { resolvePayments } = require('../utils/payments');
+const {
+  loadOutstandingBills, allocatePayment, refreshBillSettlement, getAllocatedVoucherIds
+} = require('../utils/billAllocation');
+const { buildReceiptPdf } = require('../utils/receiptPdf');
+const { sendPdf } = require('../utils/pdfHelpers');
+
+const roundAmount = (value) => Math.round(toNumber(value) * 100) / 100;
+
+const getWindowHours = (user) => {
+  if (!user?.reversalSettings) return getReversalWindowHours();
+  if (user.reversalSettings.enabled === false) return 0;
+  return user.reversalSettings.windowHours ?? getReversalWindowHours();
+};
+
+const loadRegularLedger = async (userId, ledgerId, session = null) => {
+  if (!mongoose.Types.ObjectId.isValid(ledgerId)) {
+    throw badRequest('Valid ledgerId is required');
+  }
+  const ledger = await Ledger.findOne({ _id: ledgerId, userId }).session(session);
+  if (!ledger) {
+    throw notFound('Ledger not found');
+  }
+  // GST ledgers carry no running balance to receive against
+  if (ledger.ledgerType === 'gst') {
+    throw badRequest('Receipts can only be recorded on regular ledgers');
+  }
+  return ledger;
+};
+
+const assertObjectId = (value, field) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw badRequest(`Invalid ${field}`);
+  }
+};
+
+router.use(auth);
+router.use(checkLicense);
+
+// GET /api/receipt/outstanding-bills?ledgerId= — bills a new receipt can be applied to
+router.get('/outstanding-bills', async (req, res) => {
+  try {
+    const ledger = await loadRegularLedger(req.userId, req.query.ledgerId);
+    const bills = await loadOutstandingBills(req.userId, ledger._id);
+
+    return res.json({
+      success: true,
+      bills,
+      totalOutstanding: roundAmount(bills.reduce((sum, bill) => sum + bill.outstanding, 0)),
+      ledgerBalance: calculateUnifiedAmount(ledger.balances)
+    });
+  } catch (error) {
+    console.error('Get outstanding bills error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error fetching outstanding bills'
+    });
+  }
+});
+
+// POST /api/receipt { ledgerId, date?, amount?, payments?, allocations?: [{ voucherId, amount? }] | 'auto', narration?, seriesId? }
+// Without payments the whole amount is cash; without allocations it stays on account.
+router.post('/', requirePermission('voucher:create'), async (req, res) => {
+  const session = await startOptionalSession();
+  try {
+    const { ledgerId, date, narration, seriesId } = req.body;
+    const receiptDate = date ? new Date(date) : new Date();
+    if (Number.isNaN(receiptDate.getTime())) {
+      throw badRequest('Invalid date');
+    }
+    await assertPeriodOpen(req.userId, [receiptDate], session);
+
+    const resolved = resolvePayments('add_cash', req.body.payments, req.body.amount);
+    const amount = roundAmount(resolved.cashReceived);
+    if (!(amount > 0)) {
+      throw badRequest('Amount received must be greater than zero');
+    }
+    const payments = resolved.payments.length > 0 ? resolved.payments : [{ mode: 'cash', amount, reference: '' }];
+
+    const ledger = await loadRegularLedger(req.userId, ledgerId, session);
+    const bills = req.body.allocations === undefined || req.body.allocations === null
+      ? []
+      : await loadOutstandingBills(req.userId, ledger._id, session);
+    const { allocations, unallocatedAmount } = allocatePayment(amount, req.body.allocations, bills);
+
+    const allocated = await allocateNumber(req.userId, 'receipt', { seriesId, date: receiptDate }, session);
+
+    const balanceBefore = calculateUnifiedAmount(ledger.balances);
+    const ledgerAdjustment = { cashBalance: -amount };
+    ledger.balances.cashBalance = toNumber(ledger.balances.cashBalance) + ledgerAdjustment.cashBalance;
+    ledger.balances.amount = calculateUnifiedAmount(ledger.balances);
+
+    const receipt = new Receipt({
+      receiptNumber: allocated.number,
+      numberSeriesId: allocated.seriesId,
+      userId: req.userId,
+      ledgerId: ledger._id,
+      customerName: ledger.name,
+      date: receiptDate,
+      payments,
+      amount,
+      allocations,
+      unallocatedAmount,
+      narration: narration || '',
+      balanceBefore,
+      balanceAfter: ledger.balances.amount,
+      ledgerAdjustment
+    });
+
+    await receipt.save({ session });
+    await ledger.save({ session });
+    await refreshBillSettlement(req.userId, getAllocatedVoucherIds(receipt), session);
+
+    if (session?.inTransaction()) {
+      await session.commitTransaction();
+    }
+    await recordAudit(req, { entityType: 'receipt', action: 'create', after: receipt });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Receipt created successfully',
+      receipt
+    });
+  } catch (error) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error('Create receipt error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error creating receipt'
+    });
+  } finally {
+    if (session) {
+      await session.endSession();
+    }
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const {
+      startDate, endDate, ledgerId, voucherId, status
+    } = req.query;
+    const query = { userId: req.userId };
+
+    if (ledgerId) {
+      assertObjectId(ledgerId, 'ledgerId');
+      query.ledgerId = ledgerId;
+    }
+    if (voucherId) {
+      assertObjectId(voucherId, 'voucherId');
+      query['allocations.voucherId'] = voucherId;
+    }
+    if (status) {
+      if (!['active', 'cancelled'].includes(status)) throw badRequest('Invalid status');
+      query.status = status;
+    }
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.date.$lte = end;
+      }
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [receipts, total] = await Promise.all([
+      Receipt.find(query)
+        .populate('ledgerId', 'name phoneNumber')
+        .sort({ date: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Receipt.countDocuments(query)
+    ]);
+
+    return res.json({
+      success: true,
+      receipts,
+      pagination: paginationMeta(page, limit, total)
+    });
+  } catch (error) {
+    console.error('Get receipts error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error fetching receipts'
+    });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    assertObjectId(req.params.id, 'receipt ID');
+    const receipt = await Receipt.findOne({
+      _id: req.params.id,
+      userId: req.userId
+    }).populate('ledgerId', 'name phoneNumber');
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt not found'
+      });
+    }
+
+    return res.json({
+      success: true,
+      receipt
+    });
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error fetching receipt'
+    });
+  }
+});
+
+// GET /api/receipt/:id/pdf?format=a4|thermal — the "payment received" slip
+router.get('/:id/pdf', async (req, res) => {
+  try {
+    assertObjectId(req.params.id, 'receipt ID');
+    const receipt = await Receipt.findOne({ _id: req.params.id, userId: req.userId });
+    if (!receipt) {
+      throw notFound('Receipt not found');
+    }
+
+    const [user, ledger] = await Promise.all([
+      User.findById(req.userId).select('shopName phoneNumber'),
+      Ledger.findById(receipt.ledgerId).select('phoneNumber')
+    ]);
+    const doc = buildReceiptPdf(receipt, user, ledger, { format: req.query.format });
+    return sendPdf(res, doc, `receipt-${receipt.receiptNumber}`);
+  } catch (error) {
+    console.error('Receipt PDF error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error generating receipt PDF'
+    });
+  }
+});
+
+// PATCH /api/receipt/:id — cancel a receipt; the money goes back on the customer's balance
+router.patch('/:id', requirePermission('voucher:cancel'), async (req, res) => {
+  const session = await startOptionalSession();
+  try {
+    const { status, cancelledReason } = req.body;
+    if (status !== 'cancelled') {
+      throw badRequest('Only cancellation is supported via PATCH');
+    }
+    assertObjectId(req.params.id, 'receipt ID');
+
+    const receipt = await Receipt.findOne({
+      _id: req.params.id,
+      userId: req.userId
+    }).session(session);
+    if (!receipt) {
+      throw notFound('Receipt not found');
+    }
+    if (receipt.status === 'cancelled') {
+      throw badRequest('Receipt already cancelled');
+    }
+    await assertPeriodOpen(req.userId, [receipt.date], session);
+    const beforeSnapshot = toSnapshot(receipt);
+
+    const currentUser = await User.findById(req.userId).select('reversalSettings');
+    const windowHours = getWindowHours(currentUser);
+    if (!canReverseWithWindow(receipt.createdAt, windowHours)) {
+      throw badRequest(`Receipt cannot be cancelled after ${windowHours} hours`);
+    }
+
+    const ledger = await Ledger.findById(receipt.ledgerId).session(session);
+    if (ledger) {
+      ledger.balances.cashBalance = toNumber(ledger.balances.cashBalance) - toNumber(receipt.ledgerAdjustment?.cashBalance);
+      ledger.balances.amount = calculateUnifiedAmount(ledger.balances);
+      await ledger.save({ session });
+    }
+
+    receipt.status = 'cancelled';
+    receipt.cancelledReason = cancelledReason || 'Cancelled by user';
+    await receipt.save({ session });
+    await refreshBillSettlement(req.userId, getAllocatedVoucherIds(receipt), session);
+
+    if (session?.inTransaction()) {
+      await session.commitTransaction();
+    }
+    await recordAudit(req, {
+      entityType: 'receipt', action: 'cancel', before: beforeSnapshot, after: receipt, reason: receipt.cancelledReason
+    });
+
+    return res.json({
+      success: true,
+      message: 'Receipt cancelled successfully',
+      receipt
+    });
+  } catch (error) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error('Cancel receipt error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error cancelling receipt'
+    });
+  } finally {
+    if (session) {
+      await session.endSession();
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,270 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Voucher = require('../models/Voucher');
+const Settlement = require('../models/Settlement');
+const CreditNote = require('../models/CreditNote');
+const Ledger = require('../models/Ledger');
+const User = require('../models/User');
+const { auth, checkLicense } = require('../middleware/auth');
+const { hasPermission } = require('../middleware/permissions');
+const { deductFromStock, addBackToStock } = require('./stock');
+const { withCostVisibility } = require('./voucher');
+const { withCostVisibility: withCreditNoteCostVisibility } = require('./creditNote');
+const CONSTANTS = require('../utils/constants');
+const { recordAudit, toSnapshot } = require('../utils/audit');
+const {
+  toNumber, createError, badRequest, notFound, startOptionalSession, parsePagination, paginationMeta
+} = require('../utils/helpers');
+const {
+  getRetentionDays, getPurgeDate, applyBalanceDelta, clearDeleted
+} = require('../utils/recycleBin');
+const { assertPeriodOpen } = require('../utils/periodLock');
+const { refreshBillSettlement, getAllocatedVoucherIds } = require('../utils/billAllocation');
+
+// Credit notes only reach the bin when a ledger's whole history is cleared
+const BIN_TYPES = {
+  voucher: { model: Voucher, entityType: 'voucher', permission: 'voucher:delete', label: 'Voucher' },
+  settlement: { model: Settlement, entityType: 'settlement', permission: 'settlement:manage', label: 'Settlement' },
+  credit_note: { model: CreditNote, entityType: 'credit_note', permission: 'voucher:delete', label: 'Credit note' }
+};
+
+const IN_BIN = { deletedAt: { $ne: null } };
+
+const getBinType = (req) => {
+  const binType = BIN_TYPES[req.params.type || req.query.type || 'voucher'];
+  if (!binType) {
+    throw badRequest('Invalid type. Must be voucher, settlement or credit_note');
+  }
+  if (!hasPermission(req, binType.permission)) {
+    throw createError(CONSTANTS.HTTP_STATUS.FORBIDDEN, 'You do not have permission to perform this action');
+  }
+  return binType;
+};
+
+const findBinned = async (req, binType, session) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw badRequest('Invalid id');
+  }
+  const doc = await binType.model.findOne({
+    _id: req.params.id,
+    userId: req.userId,
+    ...IN_BIN
+  }).session(session);
+  if (!doc) {
+    throw notFound(`${binType.label} not found in the recycle bin`);
+  }
+  return doc;
+};
+
+// Everything deleted in one batch, grouped by bin type. Batches come from
+// clearing a ledger's history, so handling one needs 'ledger:manage' too.
+const loadBatch = async (req, batchId, session) => {
+  if (!hasPermission(req, 'ledger:manage')) {
+    throw createError(CONSTANTS.HTTP_STATUS.FORBIDDEN, 'You do not have permission to perform this action');
+  }
+  const { userId } = req;
+  const entries = await Promise.all(Object.entries(BIN_TYPES).map(async ([type, binType]) => [
+    type,
+    await binType.model.find({ userId, 'deletion.batchId': batchId, ...IN_BIN }).session(session)
+  ]));
+  return Object.fromEntries(entries);
+};
+
+const toBinItem = (req, binType, doc, retentionDays) => {
+  let visible = doc;
+  if (binType.model === Voucher) visible = withCostVisibility(req, doc);
+  if (binType.model === CreditNote) visible = withCreditNoteCostVisibility(req, doc);
+  const item = typeof visible.toObject === 'function' ? visible.toObject() : visible;
+  if (item.costHidden && item.deletion) {
+    item.deletion = { ...item.deletion, ledgerDelta: undefined };
+  }
+  return { ...item, purgesAt: getPurgeDate(doc.deletedAt, retentionDays) };
+};
+
+// Undo the stock side of a delete: take back what it added, add back what it took
+const reapplyStock = async (userId, stockDelta = {}, session) => {
+  const gold = toNumber(stockDelta.gold);
+  const silver = toNumber(stockDelta.silver);
+  if (gold > 0 || silver > 0) {
+    await deductFromStock(userId, Math.max(gold, 0), Math.max(silver, 0), { session });
+  }
+  if (gold < 0 || silver < 0) {
+    await addBackToStock(userId, Math.max(-gold, 0), Math.max(-silver, 0), { session });
+  }
+};
+
+const ensureVoucherNumbersFree = async (userId, vouchers, session) => {
+  const numbers = vouchers
+    .filter((voucher) => voucher.status === 'active')
+    .map((voucher) => voucher.voucherNumber);
+  if (numbers.length === 0) return;
+
+  const taken = await Voucher.findOne({
+    userId,
+    voucherNumber: { $in: numbers },
+    status: 'active'
+  }).session(session);
+  if (taken) {
+    throw createError(
+      CONSTANTS.HTTP_STATUS.CONFLICT,
+      `Voucher number ${taken.voucherNumber} is in use again. Cancel or renumber that voucher first`
+    );
+  }
+};
+
+router.use(auth);
+router.use(checkLicense);
+
+router.get('/', async (req, res) => {
+  try {
+    const binType = getBinType(req);
+    const query = { userId: req.userId, ...IN_BIN };
+    if (req.query.ledgerId) query.ledgerId = req.query.ledgerId;
+
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [docs, total, user] = await Promise.all([
+      binType.model.find(query)
+        .populate('ledgerId', 'name phoneNumber')
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      binType.model.countDocuments(query),
+      User.findById(req.userId).select('recycleBinSettings')
+    ]);
+    const retentionDays = getRetentionDays(user);
+
+    return res.json({
+      success: true,
+      type: binType.entityType,
+      retentionDays,
+      items: docs.map((doc) => toBinItem(req, binType, doc, retentionDays)),
+      pagination: paginationMeta(page, limit, total)
+    });
+  } catch (error) {
+    console.error('Get recycle bin error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error fetching recycle bin'
+    });
+  }
+});
+
+router.post('/:type/:id/restore', async (req, res) => {
+  const session = await startOptionalSession();
+  try {
+    const binType = getBinType(req);
+    const doc = await findBinned(req, binType, session);
+
+    // A batch (cleared ledger history) comes back as a whole, with one ledger delta
+    const batchId = doc.deletion?.batchId;
+    const batch = batchId
+      ? await loadBatch(req, batchId, session)
+      : { [req.params.type]: [doc] };
+    const docs = Object.entries(batch).flatMap(([type, list]) => list.map((item) => ({ type, item })));
+    const vouchers = batch.voucher || [];
+
+    const ledger = await Ledger.findOne({ _id: doc.ledgerId, userId: req.userId }).session(session);
+    if (!ledger) {
+      throw notFound('Ledger not found');
+    }
+    await ensureVoucherNumbersFree(req.userId, vouchers, session);
+    await assertPeriodOpen(req.userId, docs.map(({ item }) => item.date), session);
+
+    const beforeSnapshots = docs.map(({ item }) => toSnapshot(item));
+    if (!batchId) {
+      await reapplyStock(req.userId, doc.deletion?.stockDelta, session);
+    }
+    applyBalanceDelta(ledger, doc.deletion?.ledgerDelta);
+    if (vouchers.some((voucher) => voucher.status === 'active')) {
+      ledger.hasVouchers = true;
+    }
+    await ledger.save({ session });
+
+    for (const { item } of docs) {
+      clearDeleted(item);
+      await item.save({ session });
+    }
+    // Restored bills and the bills restored payments were applied to
+    await refreshBillSettlement(req.userId, docs.flatMap(({ type, item }) => [
+      type === 'voucher' ? item._id : null,
+      type === 'credit_note' ? item.voucherId : null,
+      ...getAllocatedVoucherIds(item)
+    ]), session);
+
+    if (session?.inTransaction()) {
+      await session.commitTransaction();
+    }
+    for (const [index, { type, item }] of docs.entries()) {
+      await recordAudit(req, {
+        entityType: BIN_TYPES[type].entityType,
+        action: 'restore',
+        before: beforeSnapshots[index],
+        after: item
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: batchId
+        ? `Restored ${docs.length} deleted record(s) for ${ledger.name}`
+        : `${binType.label} restored successfully`,
+      restored: docs.map(({ type, item }) => ({ type, id: item._id })),
+      ledger
+    });
+  } catch (error) {
+    if (session?.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error('Restore from recycle bin error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error restoring from recycle bin'
+    });
+  } finally {
+    if (session) {
+      await session.endSession();
+    }
+  }
+});
+
+// Purge now instead of waiting for the retention period. Batches go together.
+router.delete('/:type/:id', async (req, res) => {
+  try {
+    const binType = getBinType(req);
+    const doc = await findBinned(req, binType, null);
+
+    const batchId = doc.deletion?.batchId;
+    const batch = batchId
+      ? await loadBatch(req, batchId, null)
+      : { [req.params.type]: [doc] };
+
+    let purged = 0;
+    for (const [type, list] of Object.entries(batch)) {
+      if (list.length === 0) continue;
+      const result = await BIN_TYPES[type].model.deleteMany({
+        _id: { $in: list.map((item) => item._id) },
+        userId: req.userId,
+        ...IN_BIN
+      });
+      purged += result.deletedCount;
+      for (const item of list) {
+        await recordAudit(req, { entityType: BIN_TYPES[type].entityType, action: 'purge', before: item });
+      }
+    }
+
+    return res.json({
+      success: true,
+      message: `Permanently deleted ${purged} record(s)`
+    });
+  } catch (error) {
+    console.error('Purge from recycle bin error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error purging from recycle bin'
+    });
+  }
+});
+
+module.exports = router;
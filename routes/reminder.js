@@ -0,0 +1,255 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ReminderMessage = require('../models/ReminderMessage');
+const User = require('../models/User');
+const { auth, checkLicense } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const CONSTANTS = require('../utils/constants');
+const { badRequest, notFound, parsePagination, paginationMeta } = require('../utils/helpers');
+const { buildDueCredits } = require('../utils/dueCredits');
+const { recordAudit, toSnapshot } = require('../utils/audit');
+const {
+  getTemplate, validateTemplate, getTemplateValues, renderReminder, toRecipient
+} = require('../utils/reminders');
+
+router.use(auth);
+router.use(checkLicense);
+router.use(requirePermission('reminder:send'));
+
+const PENDING_STATUSES = ['queued', 'sending'];
+
+// Body: { ledgerIds?, channel?, template? } — no ledgerIds means every overdue ledger
+const parseReminderRequest = async (req) => {
+  const { ledgerIds } = req.body;
+  if (ledgerIds !== undefined) {
+    if (!Array.isArray(ledgerIds) || ledgerIds.length === 0) {
+      throw badRequest('ledgerIds must be a non-empty array');
+    }
+    if (ledgerIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      throw badRequest('Invalid ledger id');
+    }
+  }
+
+  const user = await User.findById(req.userId).select('shopName interestSettings reminderSettings').lean();
+  if (!user) {
+    throw notFound('User not found');
+  }
+
+  const channel = req.body.channel || user.reminderSettings?.channel || 'whatsapp';
+  if (!CONSTANTS.REMINDER.CHANNELS.includes(channel)) {
+    throw badRequest(`Invalid channel. Must be one of ${CONSTANTS.REMINDER.CHANNELS.join(', ')}`);
+  }
+  const template = req.body.template || getTemplate(user);
+  const templateError = validateTemplate(template);
+  if (templateError) {
+    throw badRequest(templateError);
+  }
+
+  const dueCredits = await buildDueCredits(user, {
+    ledgerIds: ledgerIds && ledgerIds.map((id) => new mongoose.Types.ObjectId(id))
+  });
+  return { user, channel, template, dueCredits };
+};
+
+// Each overdue ledger with its message, or why it cannot be reminded
+const prepareMessages = async (req, { user, channel, template, dueCredits }) => {
+  const pending = await ReminderMessage.find({
+    userId: req.userId,
+    ledgerId: { $in: dueCredits.map((row) => row.ledgerId) },
+    status: { $in: PENDING_STATUSES }
+  }).select('ledgerId').lean();
+  const pendingLedgers = new Set(pending.map((message) => String(message.ledgerId)));
+
+  return dueCredits.map((row) => {
+    const to = toRecipient(row.phoneNumber);
+    let skipReason = null;
+    if (!to) skipReason = 'No valid phone number';
+    else if (pendingLedgers.has(row.ledgerId)) skipReason = 'A reminder is already waiting to be sent';
+
+    return {
+      ledgerId: row.ledgerId,
+      name: row.name,
+      channel,
+      to,
+      body: renderReminder(template, getTemplateValues(user.shopName, row)),
+      dueCredit: row,
+      skipReason
+    };
+  });
+};
+
+router.get('/', async (req, res) => {
+  try {
+    const { status, ledgerId } = req.query;
+    const query = { userId: req.userId };
+    if (status) {
+      if (!CONSTANTS.REMINDER.STATUSES.includes(status)) {
+        throw badRequest(`Invalid status. Must be one of ${CONSTANTS.REMINDER.STATUSES.join(', ')}`);
+      }
+      query.status = status;
+    }
+    if (ledgerId) {
+      if (!mongoose.Types.ObjectId.isValid(ledgerId)) {
+        throw badRequest('Invalid ledger id');
+      }
+      query.ledgerId = ledgerId;
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const [messages, total] = await Promise.all([
+      ReminderMessage.find(query)
+        .populate('ledgerId', 'name phoneNumber')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      ReminderMessage.countDocuments(query)
+    ]);
+
+    return res.json({
+      success: true,
+      messages,
+      pagination: paginationMeta(page, limit, total)
+    });
+  } catch (error) {
+    console.error('Get reminders error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error fetching reminders'
+    });
+  }
+});
+
+// POST /api/reminders/preview { ledgerIds?, channel?, template? } — nothing is queued
+router.post('/preview', async (req, res) => {
+  try {
+    const prepared = await prepareMessages(req, await parseReminderRequest(req));
+
+    return res.json({
+      success: true,
+      messages: prepared
+    });
+  } catch (error) {
+    console.error('Preview reminders error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error preparing reminders'
+    });
+  }
+});
+
+// POST /api/reminders { ledgerIds?, channel?, template? }
+// Queues one message per overdue ledger; the dispatcher job sends them.
+router.post('/', async (req, res) => {
+  try {
+    const prepared = await prepareMessages(req, await parseReminderRequest(req));
+    const ready = prepared.filter((row) => !row.skipReason);
+
+    const messages = [];
+    for (const row of ready) {
+      messages.push(await ReminderMessage.create({
+        userId: req.userId,
+        ledgerId: row.ledgerId,
+        channel: row.channel,
+        to: row.to,
+        body: row.body,
+        dues: {
+          balanceAmount: row.dueCredit.balanceAmount,
+          goldFineWeight: row.dueCredit.goldFineWeight,
+          silverFineWeight: row.dueCredit.silverFineWeight,
+          dueDate: row.dueCredit.dueDate,
+          daysOverdue: row.dueCredit.daysOverdue
+        },
+        history: [{ status: 'queued', note: 'Queued' }]
+      }));
+    }
+    for (const message of messages) {
+      await recordAudit(req, { entityType: 'reminder', action: 'create', after: message });
+    }
+
+    return res.status(messages.length > 0 ? 201 : 200).json({
+      success: true,
+      message: `${messages.length} reminder${messages.length === 1 ? '' : 's'} queued`,
+      messages,
+      skipped: prepared
+        .filter((row) => row.skipReason)
+        .map(({ ledgerId, name, skipReason }) => ({ ledgerId, name, reason: skipReason }))
+    });
+  } catch (error) {
+    console.error('Queue reminders error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error queueing reminders'
+    });
+  }
+});
+
+// POST /api/reminders/:id/retry — a failed or cancelled message gets a fresh set of attempts
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const message = await ReminderMessage.findOne({ _id: req.params.id, userId: req.userId });
+    if (!message) {
+      throw notFound('Reminder not found');
+    }
+    if (!['failed', 'cancelled'].includes(message.status)) {
+      throw badRequest(`A ${message.status} reminder cannot be retried`);
+    }
+
+    const beforeSnapshot = toSnapshot(message);
+    message.status = 'queued';
+    message.attempts = 0;
+    message.nextAttemptAt = new Date();
+    message.lastError = '';
+    message.history.push({ status: 'queued', note: 'Queued again by hand' });
+    await message.save();
+    await recordAudit(req, {
+      entityType: 'reminder', action: 'retry', before: beforeSnapshot, after: message
+    });
+
+    return res.json({
+      success: true,
+      message: 'Reminder queued again',
+      reminder: message
+    });
+  } catch (error) {
+    console.error('Retry reminder error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error retrying reminder'
+    });
+  }
+});
+
+// POST /api/reminders/:id/cancel — only while it is still waiting in the queue
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const message = await ReminderMessage.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId, status: 'queued' },
+      {
+        $set: { status: 'cancelled' },
+        $push: { history: { at: new Date(), status: 'cancelled', note: 'Cancelled' } }
+      },
+      { new: true }
+    );
+    if (!message) {
+      const exists = await ReminderMessage.exists({ _id: req.params.id, userId: req.userId });
+      throw exists ? badRequest('Only queued reminders can be cancelled') : notFound('Reminder not found');
+    }
+    await recordAudit(req, { entityType: 'reminder', action: 'cancel', after: message });
+
+    return res.json({
+      success: true,
+      message: 'Reminder cancelled',
+      reminder: message
+    });
+  } catch (error) {
+    console.error('Cancel reminder error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error cancelling reminder'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,216 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Voucher = require('../models/Voucher');
+const CreditNote = require('../models/CreditNote');
+const User = require('../models/User');
+const { auth, checkLicense } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { badRequest } = require('../utils/helpers');
+const { toCsv, sendCsv } = require('../utils/csv');
+const { parseReturnPeriod, buildGstr1, CSV_COLUMNS } = require('../utils/gstr1');
+const {
+  parseDay, buildDayBook, DAY_BOOK_CSV_COLUMNS, getDayBookCsvRows
+} = require('../utils/cashBook');
+const {
+  BANK_MODES, buildBankBook, BANK_BOOK_CSV_COLUMNS, getBankBookCsvRows
+} = require('../utils/bankBook');
+const { buildAgeing, getAgeingCsvColumns, getAgeingCsvRows } = require('../utils/ageing');
+const CONSTANTS = require('../utils/constants');
+
+router.use(auth);
+router.use(checkLicense);
+router.use(requirePermission('reports:view'));
+
+// GET /api/reports/gstr1?month=YYYY-MM&format=summary|json|csv&section=b2b|b2cl|b2cs|cdnr|cdnur|hsn
+router.get('/gstr1', async (req, res) => {
+  try {
+    const { month, format = 'summary', section = 'b2b' } = req.query;
+
+    const period = parseReturnPeriod(month);
+    if (!period) {
+      throw badRequest('month is required in YYYY-MM format');
+    }
+    if (!['summary', 'json', 'csv'].includes(format)) {
+      throw badRequest('Invalid format. Must be summary, json or csv');
+    }
+
+    const user = await User.findById(req.userId).select('gstSettings');
+    const gstin = user?.gstSettings?.gstNumber;
+    if (!gstin) {
+      throw badRequest('GST number is not configured for this account');
+    }
+
+    const periodQuery = {
+      userId: req.userId,
+      invoiceType: 'gst',
+      voucherType: { $ne: 'purchase' },
+      status: 'active',
+      date: { $gte: period.start, $lte: period.end }
+    };
+    const [vouchers, creditNotes] = await Promise.all([
+      Voucher.find(periodQuery).sort({ date: 1 }).lean(),
+      CreditNote.find(periodQuery).sort({ date: 1 }).lean()
+    ]);
+
+    const gstr1 = buildGstr1({
+      gstin,
+      fp: period.fp,
+      sellerState: user.gstSettings.businessState,
+      vouchers,
+      creditNotes
+    });
+
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="GSTR1_${gstin}_${period.fp}.json"`);
+      return res.json(gstr1.json);
+    }
+
+    if (format === 'csv') {
+      if (!CSV_COLUMNS[section]) {
+        throw badRequest(`Invalid section. Must be one of ${Object.keys(CSV_COLUMNS).join(', ')}`);
+      }
+      return sendCsv(res, toCsv(CSV_COLUMNS[section], gstr1.rows[section]), `${section}_${period.fp}`);
+    }
+
+    return res.json({
+      success: true,
+      period: period.fp,
+      summary: gstr1.summary,
+      gstr1: gstr1.json
+    });
+  } catch (error) {
+    console.error('GSTR-1 report error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error generating GSTR-1'
+    });
+  }
+});
+
+// GET /api/reports/daybook?date=YYYY-MM-DD&book=day|cash&format=json|csv
+// Everything posted on one day in time order, with drawer cash carried in and out.
+// book=cash keeps only the entries that moved drawer cash.
+router.get('/daybook', async (req, res) => {
+  try {
+    const { format = 'json', book = 'day' } = req.query;
+    const day = parseDay(req.query.date);
+    if (!day) {
+      throw badRequest('date must be in YYYY-MM-DD format');
+    }
+    if (!['json', 'csv'].includes(format)) {
+      throw badRequest('Invalid format. Must be json or csv');
+    }
+    if (!['day', 'cash'].includes(book)) {
+      throw badRequest('Invalid book. Must be day or cash');
+    }
+
+    const dayBook = await buildDayBook(req.userId, day);
+    if (book === 'cash') {
+      dayBook.entries = dayBook.entries.filter((entry) => entry.cashIn || entry.cashOut);
+    }
+
+    if (format === 'csv') {
+      return sendCsv(res, toCsv(DAY_BOOK_CSV_COLUMNS, getDayBookCsvRows(dayBook)), `${book}book_${day.key}`);
+    }
+
+    return res.json({
+      success: true,
+      date: day.key,
+      book,
+      ...dayBook
+    });
+  } catch (error) {
+    console.error('Day book report error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error generating day book'
+    });
+  }
+});
+
+// GET /api/reports/bankbook?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&mode=upi|card|bank_transfer|cheque&format=json|csv
+// UPI, card, transfer and cheque receipts and payments on vouchers plus online
+// expenses, with the running bank balance. Defaults to today.
+router.get('/bankbook', async (req, res) => {
+  try {
+    const { format = 'json', mode } = req.query;
+    const first = parseDay(req.query.startDate);
+    const last = parseDay(req.query.endDate || req.query.startDate);
+    if (!first || !last) {
+      throw badRequest('startDate and endDate must be in YYYY-MM-DD format');
+    }
+    if (first.start > last.start) {
+      throw badRequest('startDate must not be after endDate');
+    }
+    const dayCount = Math.round((last.start - first.start) / (24 * 60 * 60 * 1000)) + 1;
+    if (dayCount > CONSTANTS.VOUCHER_PAYMENT.MAX_BANK_BOOK_DAYS) {
+      throw badRequest(`The bank book covers at most ${CONSTANTS.VOUCHER_PAYMENT.MAX_BANK_BOOK_DAYS} days`);
+    }
+    if (mode && !BANK_MODES.includes(mode)) {
+      throw badRequest(`Invalid mode. Must be one of ${BANK_MODES.join(', ')}`);
+    }
+    if (!['json', 'csv'].includes(format)) {
+      throw badRequest('Invalid format. Must be json or csv');
+    }
+
+    const bankBook = await buildBankBook(req.userId, { start: first.start, end: last.end, mode });
+
+    if (format === 'csv') {
+      return sendCsv(res, toCsv(BANK_BOOK_CSV_COLUMNS, getBankBookCsvRows(bankBook)), `bankbook_${first.key}_${last.key}`);
+    }
+
+    return res.json({
+      success: true,
+      startDate: first.key,
+      endDate: last.key,
+      mode: mode || 'all',
+      ...bankBook
+    });
+  } catch (error) {
+    console.error('Bank book report error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error generating bank book'
+    });
+  }
+});
+
+// GET /api/reports/ageing?asOf=YYYY-MM-DD&ledgerId=&format=json|csv
+// Outstanding amount and gold/silver fine per ledger split into age bands,
+// receipts clearing the oldest debits first. Defaults to today.
+router.get('/ageing', async (req, res) => {
+  try {
+    const { format = 'json', ledgerId } = req.query;
+    const asOf = parseDay(req.query.asOf);
+    if (!asOf) {
+      throw badRequest('asOf must be in YYYY-MM-DD format');
+    }
+    if (ledgerId && !mongoose.Types.ObjectId.isValid(ledgerId)) {
+      throw badRequest('Invalid ledger id');
+    }
+    if (!['json', 'csv'].includes(format)) {
+      throw badRequest('Invalid format. Must be json or csv');
+    }
+
+    const ageing = await buildAgeing(req.userId, { asOf: asOf.end, ledgerId });
+
+    if (format === 'csv') {
+      return sendCsv(res, toCsv(getAgeingCsvColumns(ageing.buckets), getAgeingCsvRows(ageing)), `ageing_${asOf.key}`);
+    }
+
+    return res.json({
+      success: true,
+      asOf: asOf.key,
+      ...ageing
+    });
+  } catch (error) {
+    console.error('Ageing report error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error generating ageing report'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,9 +3,18 @@ const router = express.Router();
 const Settlement = require('../models/Settlement');
 const Ledger = require('../models/Ledger');
 const { auth, checkLicense } = require('../middleware/auth');
+const { requireWritePermission } = require('../middleware/permissions');
 const { deductFromStock, addBackToStock } = require('./stock');
 const CONSTANTS = require('../utils/constants');
-const { toNumber, canReverse, canReverseWithWindow, getReversalWindowHours, calculateUnifiedAmount } = require('../utils/helpers');
+const { recordAudit, toSnapshot } = require('../utils/audit');
+const { captureBalances, getBalanceDelta, markDeleted } = require('../utils/recycleBin');
+const { assertPeriodOpen } = require('../utils/periodLock');
+const {
+  toNumber, badRequest, canReverse, canReverseWithWindow, getReversalWindowHours, calculateUnifiedAmount
+} = require('../utils/helpers');
+const {
+  loadOutstandingBills, allocatePayment, refreshBillSettlement, getAllocatedVoucherIds
+} = require('../utils/billAllocation');
 
 // user-aware reversal helper
 const canReverseForSettlement = (settlement, user) => {
@@ -25,6 +34,7 @@ const canReverseForSettlement = (settlement, user) => {
 
 router.use(auth);
 router.use(checkLicense);
+router.use(requireWritePermission('settlement:manage'));
 
 router.post('/', async (req, res) => {
   let stockAdjusted = false;
@@ -54,6 +64,7 @@ router.post('/', async (req, res) => {
     }
 
     // Allow negative fineGiven and metalRate for settlement adjustments
+    await assertPeriodOpen(req.userId, [date || new Date()]);
 
     const ledger = await Ledger.findOne({
       _id: ledgerId,
@@ -97,6 +108,19 @@ router.post('/', async (req, res) => {
       }
     }
 
+    // Only the amount taken off the credit balance can be applied to bills
+    let allocations = [];
+    if (req.body.allocations !== undefined && req.body.allocations !== null) {
+      if (direction !== 'payment' && !isMoneyConversion) {
+        throw badRequest('Only settlements that reduce the credit balance can be applied to bills');
+      }
+      if (ledger.ledgerType === 'gst') {
+        throw badRequest('Payments can only be applied to bills on regular ledgers');
+      }
+      const bills = await loadOutstandingBills(req.userId, ledger._id);
+      ({ allocations } = allocatePayment(amount, req.body.allocations, bills));
+    }
+
     if (direction === 'payment' && !isMoneyConversion) {
       if (metalType === 'gold') {
         await deductFromStock(req.userId, fineGiven, 0);
@@ -164,10 +188,12 @@ router.post('/', async (req, res) => {
         amount: updatedCredit,
         fineWeight: updatedFine
       },
-      narration: narration || ''
+      narration: narration || '',
+      allocations
     });
 
     await settlement.save();
+    await refreshBillSettlement(req.userId, getAllocatedVoucherIds(settlement));
 
     if (metalType === 'gold') {
       ledger.balances.goldFineWeight = updatedFine;
@@ -177,6 +203,7 @@ router.post('/', async (req, res) => {
     ledger.balances.creditBalance = updatedCredit;
     ledger.balances.amount = calculateUnifiedAmount(ledger.balances);
     await ledger.save();
+    await recordAudit(req, { entityType: 'settlement', action: 'create', after: settlement });
 
     return res.status(201).json({
       success: true,
@@ -276,6 +303,7 @@ router.delete('/:id', async (req, res) => {
         message: 'Settlement not found'
       });
     }
+    await assertPeriodOpen(req.userId, [settlement.date]);
 
     // retrieve user-specific policy
     const currentUser = await require('../models/User').findById(req.userId).select('reversalSettings');
@@ -291,7 +319,9 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    const beforeSnapshot = toSnapshot(settlement);
     const ledger = await Ledger.findById(settlement.ledgerId);
+    const balancesBefore = captureBalances(ledger);
     if (ledger) {
       const fineMultiplier = settlement.direction === 'receipt' ? -1 : 1;
       const amountMultiplier = settlement.direction === 'receipt' ? -1 : 1;
@@ -306,6 +336,7 @@ router.delete('/:id', async (req, res) => {
       await ledger.save();
     }
 
+    const stockSign = settlement.direction === 'payment' ? 1 : -1;
     if (settlement.direction === 'payment') {
       await addBackToStock(
         req.userId,
@@ -320,11 +351,24 @@ router.delete('/:id', async (req, res) => {
       );
     }
 
-    await Settlement.findByIdAndDelete(req.params.id);
+    // Kept in the recycle bin with what was reversed, so it can be restored
+    markDeleted(settlement, {
+      ledgerDelta: ledger ? getBalanceDelta(balancesBefore, ledger) : undefined,
+      stockDelta: {
+        gold: settlement.metalType === 'gold' ? stockSign * toNumber(settlement.fineGiven) : 0,
+        silver: settlement.metalType === 'silver' ? stockSign * toNumber(settlement.fineGiven) : 0
+      },
+      reason: req.body?.reason
+    });
+    await settlement.save();
+    await refreshBillSettlement(req.userId, getAllocatedVoucherIds(settlement));
+    await recordAudit(req, {
+      entityType: 'settlement', action: 'delete', before: beforeSnapshot, after: settlement, reason: settlement.deletion.reason
+    });
 
     return res.json({
       success: true,
-      message: 'Settlement deleted successfully'
+      message: 'Settlement moved to the recycle bin'
     });
   } catch (error) {
     console.error('Delete settlement error:', error);
@@ -0,0 +1,226 @@
+const express = require('express');
+const router = express.Router();
+const Staff = require('../models/Staff');
+const User = require('../models/User');
+const { auth, checkLicense } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const CONSTANTS = require('../utils/constants');
+const { recordAudit, toSnapshot } = require('../utils/audit');
+const {
+  createError, badRequest, notFound, sanitizePhone
+} = require('../utils/helpers');
+
+const validatePassword = (password) => {
+  if (String(password || '').length < CONSTANTS.VALIDATION.PASSWORD_MIN_LENGTH) {
+    throw badRequest(`Password must be at least ${CONSTANTS.VALIDATION.PASSWORD_MIN_LENGTH} characters`);
+  }
+};
+
+const validateRoleAndPermissions = ({ role, permissions }) => {
+  if (role !== undefined && !CONSTANTS.STAFF.ROLES.includes(role)) {
+    throw badRequest(`Role must be one of: ${CONSTANTS.STAFF.ROLES.join(', ')}`);
+  }
+  if (permissions !== undefined) {
+    if (!Array.isArray(permissions)) {
+      throw badRequest('Permissions must be a list');
+    }
+    const unknown = permissions.find((permission) => !CONSTANTS.STAFF.PERMISSIONS.includes(permission));
+    if (unknown) {
+      throw badRequest(`Unknown permission: ${unknown}`);
+    }
+  }
+};
+
+// Staff who manage other staff cannot hand out more than they hold themselves
+const assertCanGrant = (req, role, permissions = []) => {
+  if (!req.staff || req.staff.role === 'owner') return;
+  if (role === 'owner' || permissions.some((permission) => !req.staff.hasPermission(permission))) {
+    throw createError(CONSTANTS.HTTP_STATUS.FORBIDDEN, 'You cannot grant permissions you do not have');
+  }
+};
+
+const assertPhoneAvailable = async (phoneNumber, excludeStaffId) => {
+  const [user, staff] = await Promise.all([
+    User.exists({ phoneNumber }),
+    Staff.exists({ phoneNumber, ...(excludeStaffId ? { _id: { $ne: excludeStaffId } } : {}) })
+  ]);
+  if (user || staff) {
+    throw badRequest('This phone number is already registered');
+  }
+};
+
+router.use(auth);
+router.use(checkLicense);
+router.use(requirePermission('staff:manage'));
+
+router.get('/', async (req, res) => {
+  try {
+    const query = { userId: req.userId };
+    if (req.query.includeInactive !== 'true') query.isActive = true;
+
+    const staff = await Staff.find(query).sort({ name: 1 });
+
+    return res.json({
+      success: true,
+      staff,
+      roles: CONSTANTS.STAFF.ROLES,
+      permissions: CONSTANTS.STAFF.PERMISSIONS,
+      rolePermissions: CONSTANTS.STAFF.ROLE_PERMISSIONS
+    });
+  } catch (error) {
+    console.error('Get staff error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error fetching staff'
+    });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const { name, password, role, permissions } = req.body;
+    const phoneNumber = sanitizePhone(req.body.phoneNumber);
+
+    if (!String(name || '').trim() || !role) {
+      throw badRequest('Required fields: name, phoneNumber, password, role');
+    }
+    if (!CONSTANTS.VALIDATION.PHONE_REGEX.test(phoneNumber)) {
+      throw badRequest(CONSTANTS.ERROR_MESSAGES.INVALID_PHONE);
+    }
+    validatePassword(password);
+    validateRoleAndPermissions(req.body);
+
+    const granted = permissions ?? CONSTANTS.STAFF.ROLE_PERMISSIONS[role] ?? [];
+    assertCanGrant(req, role, granted);
+    await assertPhoneAvailable(phoneNumber);
+
+    const staff = await Staff.create({
+      userId: req.userId,
+      name: String(name).trim(),
+      phoneNumber,
+      password,
+      role,
+      permissions: granted
+    });
+    await recordAudit(req, { entityType: 'staff', action: 'create', after: staff });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Staff member created successfully',
+      staff
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      error.status = 400;
+      error.message = 'This phone number is already registered';
+    }
+    console.error('Create staff error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error creating staff'
+    });
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  try {
+    const staff = await Staff.findOne({ _id: req.params.id, userId: req.userId });
+    if (!staff) {
+      throw notFound('Staff member not found');
+    }
+    validateRoleAndPermissions(req.body);
+
+    const { name, role, permissions, isActive, password } = req.body;
+    if (req.staff && String(req.staff._id) === String(staff._id)
+      && (role !== undefined || permissions !== undefined || isActive === false)) {
+      throw badRequest('You cannot change your own role, permissions or status');
+    }
+    assertCanGrant(req, role ?? staff.role, permissions ?? staff.permissions);
+    const beforeSnapshot = toSnapshot(staff);
+
+    if (name !== undefined) {
+      if (!String(name).trim()) throw badRequest('Name is required');
+      staff.name = String(name).trim();
+    }
+    if (req.body.phoneNumber !== undefined) {
+      const phoneNumber = sanitizePhone(req.body.phoneNumber);
+      if (!CONSTANTS.VALIDATION.PHONE_REGEX.test(phoneNumber)) {
+        throw badRequest(CONSTANTS.ERROR_MESSAGES.INVALID_PHONE);
+      }
+      await assertPhoneAvailable(phoneNumber, staff._id);
+      staff.phoneNumber = phoneNumber;
+    }
+    if (role !== undefined) {
+      staff.role = role;
+      // Changing the role without an explicit list resets to the role's defaults
+      if (permissions === undefined) staff.permissions = CONSTANTS.STAFF.ROLE_PERMISSIONS[role] || [];
+    }
+    if (permissions !== undefined) staff.permissions = permissions;
+    if (isActive !== undefined) staff.isActive = Boolean(isActive);
+    if (password !== undefined) {
+      validatePassword(password);
+      staff.password = password;
+    }
+
+    await staff.save();
+    await recordAudit(req, {
+      entityType: 'staff',
+      action: password !== undefined ? 'update_with_password' : 'update',
+      before: beforeSnapshot,
+      after: staff
+    });
+
+    return res.json({
+      success: true,
+      message: 'Staff member updated successfully',
+      staff
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      error.status = 400;
+      error.message = 'This phone number is already registered';
+    }
+    console.error('Update staff error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error updating staff'
+    });
+  }
+});
+
+// Staff stay referenced by the records they created, so deleting only deactivates them
+router.delete('/:id', async (req, res) => {
+  try {
+    if (req.staff && String(req.staff._id) === String(req.params.id)) {
+      throw badRequest('You cannot deactivate your own account');
+    }
+
+    const staff = await Staff.findOne({ _id: req.params.id, userId: req.userId });
+    if (!staff) {
+      throw notFound('Staff member not found');
+    }
+    // Only someone who could have granted this role and these permissions may revoke them
+    assertCanGrant(req, staff.role, staff.permissions);
+    const beforeSnapshot = toSnapshot(staff);
+
+    staff.isActive = false;
+    await staff.save();
+    await recordAudit(req, {
+      entityType: 'staff', action: 'deactivate', before: beforeSnapshot, after: staff
+    });
+
+    return res.json({
+      success: true,
+      message: 'Staff member deactivated successfully',
+      staff
+    });
+  } catch (error) {
+    console.error('Delete staff error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error deleting staff'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,11 +3,21 @@ const router = express.Router();
 const mongoose = require('mongoose');
 const { Stock, StockInput } = require('../models/Stock');
 const Voucher = require('../models/Voucher');
+const Receipt = require('../models/Receipt');
+const PledgeTransaction = require('../models/PledgeTransaction');
 const Karigar = require('../models/Karigar');
 const Ledger = require('../models/Ledger');
+const RateHistory = require('../models/RateHistory');
+const Purity = require('../models/Purity');
 const { auth, checkLicense } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 const CONSTANTS = require('../utils/constants');
-const { createError, supportsTransactions, startOptionalSession } = require('../utils/helpers');
+const {
+  createError, supportsTransactions, startOptionalSession, parsePagination, paginationMeta
+} = require('../utils/helpers');
+const { loadPurities } = require('../utils/purity');
+const { recordAudit } = require('../utils/audit');
+const { CASH_PORTION_EXPRESSION } = require('../utils/payments');
 
 // Stock-specific toNumber that throws on invalid values (stricter than the shared version)
 const toNumber = (value, fieldName) => {
@@ -49,6 +59,110 @@ const ensureUserStock = async (userId, options = {}) => {
   return stock;
 };
 
+const startOfDay = (value) => {
+  const date = value ? new Date(value) : new Date();
+  if (Number.isNaN(date.getTime())) {
+    throw createError(CONSTANTS.HTTP_STATUS.BAD_REQUEST, 'Invalid date', 'INVALID_DATE');
+  }
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+/**
+ * Per-purity rates for every active purity of the shop: the rate set for the
+ * day when there is one, otherwise derived from the fine rate by fineness.
+ */
+const buildPurityRates = async (userId, baseRates, explicitRates = [], session = null) => {
+  let purityQuery = Purity.find({ userId, isActive: true }).sort({ metal: 1, fineness: -1 });
+  if (session) {
+    purityQuery = purityQuery.session(session);
+  }
+  const purities = await purityQuery;
+
+  return purities.map((purity) => {
+    const explicit = explicitRates.find((entry) => (
+      entry.purityId
+        ? String(entry.purityId) === String(purity._id)
+        : entry.metalType === purity.metal && entry.purity === purity.name
+    ));
+    const fineRate = purity.metal === 'silver' ? baseRates.silverRate : baseRates.goldRate;
+    return {
+      purityId: purity._id,
+      purity: purity.name,
+      metalType: purity.metal,
+      fineness: purity.fineness,
+      rate: explicit ? toFiniteNumber(explicit.rate) : Math.round(fineRate * purity.fineness / 1000 * 100) / 100,
+      derived: !explicit
+    };
+  });
+};
+
+/**
+ * Rates in effect on a date: the latest history entry on or before that day,
+ * falling back to the current rates on the Stock document.
+ * @returns {Promise<{ goldRate: number, silverRate: number, purityRates: Array, date: Date|null, source: 'history'|'stock' }>}
+ */
+const getEffectiveRates = async (userId, date = new Date(), options = {}) => {
+  const { session } = options;
+  const endOfDay = startOfDay(date);
+  endOfDay.setHours(23, 59, 59, 999);
+
+  let historyQuery = RateHistory.findOne({ userId, date: { $lte: endOfDay } }).sort({ date: -1 });
+  if (session) {
+    historyQuery = historyQuery.session(session);
+  }
+  const entry = await historyQuery;
+
+  let rates;
+  if (entry) {
+    rates = {
+      goldRate: toFiniteNumber(entry.goldRate),
+      silverRate: toFiniteNumber(entry.silverRate),
+      date: entry.date,
+      source: 'history'
+    };
+  } else {
+    let stockQuery = Stock.findOne({ userId });
+    if (session) {
+      stockQuery = stockQuery.session(session);
+    }
+    const stock = await stockQuery;
+    rates = {
+      goldRate: toFiniteNumber(stock?.goldRate),
+      silverRate: toFiniteNumber(stock?.silverRate),
+      date: stock?.ratesUpdatedAt || null,
+      source: 'stock'
+    };
+  }
+
+  rates.purityRates = await buildPurityRates(userId, rates, entry?.purityRates || [], session);
+  return rates;
+};
+
+/**
+ * Validate per-purity rates from the request. Entries may reference the
+ * purity master by `purityId` (name and metal are then taken from the master)
+ * or carry a free-text `purity` label.
+ */
+const resolvePurityRates = async (userId, purityRates) => {
+  if (purityRates === undefined || purityRates === null) return [];
+  if (!Array.isArray(purityRates)) {
+    throw createError(CONSTANTS.HTTP_STATUS.BAD_REQUEST, 'purityRates must be an array', 'INVALID_RATE');
+  }
+
+  const purities = await loadPurities(userId, purityRates);
+  return purityRates.map((entry, index) => {
+    const rate = toNumber(entry?.rate, `purity rate at row ${index + 1}`);
+    const master = entry?.purityId ? purities.get(String(entry.purityId)) : null;
+    const purity = master ? master.name : String(entry?.purity || '').trim();
+    const metalType = master ? master.metal : (entry?.metalType || 'gold');
+    if (!purity || !['gold', 'silver'].includes(metalType) || rate < 0) {
+      throw createError(CONSTANTS.HTTP_STATUS.BAD_REQUEST, `Invalid purity rate at row ${index + 1}`, 'INVALID_RATE');
+    }
+    return { ...(master ? { purityId: master._id } : {}), metalType, purity, rate };
+  });
+};
+
 // All stock routes require authentication and valid license
 router.use(auth);
 router.use(checkLicense);
@@ -61,20 +175,14 @@ router.get('/', async (req, res) => {
     // Separate cash flows by voucherType:
     // SALE vouchers: cashReceived from customer → CASH IN
     // PURCHASE vouchers: cashReceived = cash paid TO customer → CASH OUT
+    // Split payments count only their cash lines; UPI, card, transfer and cheque go to the bank book
     const voucherAgg = await Voucher.aggregate([
       { $match: { userId: stock.userId, status: 'active' } },
       {
         $project: {
           voucherType: 1,
           paymentType: 1,
-          cashReceivedNumeric: {
-            $convert: {
-              input: '$cashReceived',
-              to: 'double',
-              onError: 0,
-              onNull: 0
-            }
-          }
+          cashPortion: CASH_PORTION_EXPRESSION
         }
       },
       {
@@ -89,7 +197,7 @@ router.get('/', async (req, res) => {
                     { $in: ['$paymentType', ['cash', 'add_cash', 'money_to_gold', 'money_to_silver']] }
                   ]
                 },
-                '$cashReceivedNumeric',
+                '$cashPortion',
                 0
               ]
             }
@@ -98,7 +206,7 @@ router.get('/', async (req, res) => {
             $sum: {
               $cond: [
                 { $eq: ['$voucherType', 'purchase'] },
-                '$cashReceivedNumeric',
+                '$cashPortion',
                 0
               ]
             }
@@ -110,6 +218,26 @@ router.get('/', async (req, res) => {
     const totalSaleCash = voucherAgg[0]?.totalSaleCash || 0;
     const totalPurchasePaid = voucherAgg[0]?.totalPurchasePaid || 0;
 
+    // Cash lines of payment receipts
+    const receiptAgg = await Receipt.aggregate([
+      { $match: { userId: stock.userId, status: 'active' } },
+      { $group: { _id: null, totalCash: { $sum: CASH_PORTION_EXPRESSION } } }
+    ]);
+    const totalReceiptCash = receiptAgg[0]?.totalCash || 0;
+
+    // Cash lines of pledge transactions: loans and surplus refunds out, collections in
+    const pledgeAgg = await PledgeTransaction.aggregate([
+      { $match: { userId: stock.userId, status: 'active' } },
+      {
+        $group: {
+          _id: null,
+          cashIn: { $sum: { $cond: [{ $in: ['$type', CONSTANTS.PLEDGE.OUTGOING_TYPES] }, 0, CASH_PORTION_EXPRESSION] } },
+          cashOut: { $sum: { $cond: [{ $in: ['$type', CONSTANTS.PLEDGE.OUTGOING_TYPES] }, CASH_PORTION_EXPRESSION, 0] } }
+        }
+      }
+    ]);
+    const pledgeCash = (pledgeAgg[0]?.cashIn || 0) - (pledgeAgg[0]?.cashOut || 0);
+
     const ledgers = await Ledger.find({
       userId: stock.userId,
       ledgerType: { $ne: 'gst' }
@@ -141,13 +269,15 @@ router.get('/', async (req, res) => {
     const totalKarigarCharges = karigarAgg[0]?.totalCharges || 0;
 
     // Net Cash in Hand (can be negative if shop has overpaid or has unpaid obligations)
-    const calculatedCashInHand = totalSaleCash - totalPurchasePaid - stockCashOutflow - totalKarigarCharges;
+    const calculatedCashInHand = totalSaleCash + totalReceiptCash + pledgeCash - totalPurchasePaid - stockCashOutflow - totalKarigarCharges;
 
     const stockObj = stock.toObject();
     stockObj.calculatedCashInHand = calculatedCashInHand;
     // Expose breakdown so frontend can show details
     stockObj.cashBreakdown = {
       cashFromSales: totalSaleCash,
+      cashFromReceipts: totalReceiptCash,
+      pledgeCash,
       customerLiabilities,
       paidForPurchases: totalPurchasePaid,
       stockAndExpenses: stockCashOutflow,
@@ -165,7 +295,7 @@ router.get('/', async (req, res) => {
 });
 
 // Add stock for user
-router.post('/add', async (req, res) => {
+router.post('/add', requirePermission('stock:manage'), async (req, res) => {
   const session = await startOptionalSession();
   try {
     const gold = toNumber(req.body.gold, 'gold');
@@ -193,7 +323,7 @@ router.post('/add', async (req, res) => {
     if (session) stockUpdateQuery = stockUpdateQuery.session(session);
     const stock = await stockUpdateQuery;
 
-    await StockInput.create([{
+    const [input] = await StockInput.create([{
       userId: req.userId,
       gold,
       silver,
@@ -204,6 +334,7 @@ router.post('/add', async (req, res) => {
     if (session?.inTransaction()) {
       await session.commitTransaction();
     }
+    await recordAudit(req, { entityType: 'stock', action: 'add', after: input });
 
     res.json({ success: true, stock });
   } catch (error) {
@@ -257,7 +388,7 @@ router.get('/history', async (req, res) => {
 });
 
 // Undo last stock input for user
-router.post('/undo', async (req, res) => {
+router.post('/undo', requirePermission('stock:manage'), async (req, res) => {
   const session = await startOptionalSession();
   try {
     const lastInput = await StockInput.findOne({ userId: req.userId }).sort({ date: -1 }).session(session);
@@ -287,6 +418,7 @@ router.post('/undo', async (req, res) => {
     if (session?.inTransaction()) {
       await session.commitTransaction();
     }
+    await recordAudit(req, { entityType: 'stock', action: 'undo', before: lastInput, after: stock });
 
     res.json({ success: true, stock });
   } catch (error) {
@@ -367,26 +499,41 @@ const addBackToStock = async (userId, goldFineWeight = 0, silverFineWeight = 0,
   return stock;
 };
 
-// PUT /api/stock/daily-rates — Set today's gold/silver rates
-router.put('/daily-rates', auth, checkLicense, async (req, res, next) => {
+// PUT /api/stock/daily-rates — Set the gold/silver rates for a day (today by default)
+router.put('/daily-rates', auth, checkLicense, requirePermission('rates:edit'), async (req, res) => {
   try {
-    const { goldRate, silverRate } = req.body;
+    const { goldRate, silverRate, date } = req.body;
 
     const gold = toNumber(goldRate ?? 0, 'gold rate');
     const silver = toNumber(silverRate ?? 0, 'silver rate');
 
     if (gold < 0 || silver < 0) {
-      return next(createError(CONSTANTS.HTTP_STATUS.BAD_REQUEST, 'Rates cannot be negative', 'INVALID_RATE'));
+      throw createError(CONSTANTS.HTTP_STATUS.BAD_REQUEST, 'Rates cannot be negative', 'INVALID_RATE');
     }
 
-    await ensureUserStock(req.userId);
+    const purityRates = await resolvePurityRates(req.userId, req.body.purityRates);
+    const rateDate = startOfDay(date);
+    const previous = await RateHistory.findOne({ userId: req.userId, date: rateDate }).lean();
 
-    const stock = await Stock.findOneAndUpdate(
-      { userId: req.userId },
-      { $set: { goldRate: gold, silverRate: silver, ratesUpdatedAt: new Date(), updatedAt: new Date() } },
-      { new: true }
+    const history = await RateHistory.findOneAndUpdate(
+      { userId: req.userId, date: rateDate },
+      { $set: { goldRate: gold, silverRate: silver, purityRates } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
     );
 
+    // Back-dated corrections only go into the history; the current rates
+    // follow the most recent day.
+    const latest = await RateHistory.findOne({ userId: req.userId }).sort({ date: -1 }).select('_id');
+    let stock = await ensureUserStock(req.userId);
+    if (String(latest?._id) === String(history._id)) {
+      stock = await Stock.findOneAndUpdate(
+        { userId: req.userId },
+        { $set: { goldRate: gold, silverRate: silver, ratesUpdatedAt: new Date(), updatedAt: new Date() } },
+        { new: true }
+      );
+    }
+    await recordAudit(req, { entityType: 'rates', action: 'update', before: previous, after: history });
+
     res.json({
       success: true,
       message: 'Daily rates updated successfully',
@@ -394,13 +541,71 @@ router.put('/daily-rates', auth, checkLicense, async (req, res, next) => {
         goldRate: stock.goldRate,
         silverRate: stock.silverRate,
         updatedAt: stock.ratesUpdatedAt
+      },
+      history
+    });
+  } catch (error) {
+    res.status(error.status || CONSTANTS.HTTP_STATUS.INTERNAL_ERROR).json({
+      success: false,
+      message: error.message || 'Error updating daily rates'
+    });
+  }
+});
+
+// GET /api/stock/rates/history?startDate=&endDate=&page=&limit= — each entry's `updatedBy` says who set it
+router.get('/rates/history', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const query = { userId: req.userId };
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = startOfDay(startDate);
+      if (endDate) {
+        const end = startOfDay(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.date.$lte = end;
       }
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const [history, total] = await Promise.all([
+      RateHistory.find(query)
+        .sort({ date: -1 })
+        .skip(skip)
+        .limit(limit),
+      RateHistory.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      history,
+      pagination: paginationMeta(page, limit, total)
+    });
+  } catch (error) {
+    res.status(error.status || CONSTANTS.HTTP_STATUS.INTERNAL_ERROR).json({
+      success: false,
+      message: error.message || 'Error fetching rate history'
+    });
+  }
+});
+
+// GET /api/stock/rates/effective?date=YYYY-MM-DD — rates that applied on a date
+router.get('/rates/effective', async (req, res) => {
+  try {
+    const rates = await getEffectiveRates(req.userId, req.query.date || new Date());
+    res.json({
+      success: true,
+      rates
     });
   } catch (error) {
-    next(error);
+    res.status(error.status || CONSTANTS.HTTP_STATUS.INTERNAL_ERROR).json({
+      success: false,
+      message: error.message || 'Error fetching rates'
+    });
   }
 });
 
 module.exports = router;
 module.exports.deductFromStock = deductFromStock;
 module.exports.addBackToStock = addBackToStock;
+module.exports.getEffectiveRates = getEffectiveRates;
@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const Voucher = require('../models/Voucher');
+const Ledger = require('../models/Ledger');
+const User = require('../models/User');
+const { auth, checkLicense } = require('../middleware/auth');
+const { badRequest, notFound } = require('../utils/helpers');
+const {
+  getPayee, getLedgerOutstanding, loadVoucherOutstanding, buildUpiUri, generateUpiQrPng, generateUpiQrDataUrl
+} = require('../utils/upiQr');
+
+router.use(auth);
+router.use(checkLicense);
+
+// ?amount= asks for part of the outstanding amount; it cannot exceed it
+const resolveAmount = (requested, outstanding) => {
+  if (outstanding <= 0) {
+    throw badRequest('Nothing is outstanding');
+  }
+  if (requested === undefined || requested === '') return outstanding;
+  const amount = Math.round(Number(requested) * 100) / 100;
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw badRequest('amount must be greater than zero');
+  }
+  if (amount > outstanding) {
+    throw badRequest(`amount cannot exceed the outstanding ${outstanding.toFixed(2)}`);
+  }
+  return amount;
+};
+
+const loadPayee = async (userId, voucher = null) => {
+  const user = await User.findById(userId).select('shopName paymentSettings');
+  const payee = getPayee(user, voucher);
+  if (!payee) {
+    throw badRequest('Set a UPI ID in payment settings to generate payment QR codes');
+  }
+  return payee;
+};
+
+// format=png streams the image; json returns the URI and a data URL
+const sendQr = async (res, { format = 'png', uri, amount, outstanding, filename }) => {
+  if (format === 'json') {
+    return res.json({
+      success: true,
+      amount,
+      outstanding,
+      upiUri: uri,
+      qrCode: await generateUpiQrDataUrl(uri)
+    });
+  }
+  const png = await generateUpiQrPng(uri);
+  res.setHeader('Content-Type', 'image/png');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}.png"`);
+  return res.send(png);
+};
+
+// GET /api/upi-qr/voucher/:id?format=png|json&amount=
+router.get('/voucher/:id', async (req, res) => {
+  try {
+    const { format = 'png' } = req.query;
+    if (!['png', 'json'].includes(format)) {
+      throw badRequest('Invalid format. Must be png or json');
+    }
+
+    const voucher = await Voucher.findOne({ _id: req.params.id, userId: req.userId });
+    if (!voucher) {
+      throw notFound('Voucher not found');
+    }
+    if (voucher.voucherType === 'purchase') {
+      throw badRequest('Payment QR codes are only for sale vouchers');
+    }
+
+    const payee = await loadPayee(req.userId, voucher);
+    const outstanding = await loadVoucherOutstanding(voucher);
+    const amount = resolveAmount(req.query.amount, outstanding);
+
+    return await sendQr(res, {
+      format,
+      uri: buildUpiUri(payee, amount, voucher.voucherNumber),
+      amount,
+      outstanding,
+      filename: `upi-${voucher.voucherNumber}`
+    });
+  } catch (error) {
+    console.error('Voucher UPI QR error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error generating payment QR'
+    });
+  }
+});
+
+// GET /api/upi-qr/ledger/:id?format=png|json&amount= — for the ledger's whole balance
+router.get('/ledger/:id', async (req, res) => {
+  try {
+    const { format = 'png' } = req.query;
+    if (!['png', 'json'].includes(format)) {
+      throw badRequest('Invalid format. Must be png or json');
+    }
+
+    const ledger = await Ledger.findOne({ _id: req.params.id, userId: req.userId });
+    if (!ledger) {
+      throw notFound('Ledger not found');
+    }
+
+    const payee = await loadPayee(req.userId);
+    const outstanding = getLedgerOutstanding(ledger);
+    const amount = resolveAmount(req.query.amount, outstanding);
+
+    return await sendQr(res, {
+      format,
+      uri: buildUpiUri(payee, amount, `Balance - ${ledger.name}`),
+      amount,
+      outstanding,
+      filename: `upi-ledger-${ledger._id}`
+    });
+  } catch (error) {
+    console.error('Ledger UPI QR error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error generating payment QR'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,11 +4,33 @@ const mongoose = require('mongoose');
 const Voucher = require('../models/Voucher');
 const Ledger = require('../models/Ledger');
 const User = require('../models/User');
+const CreditNote = require('../models/CreditNote');
 const { auth, checkLicense } = require('../middleware/auth');
-const { deductFromStock, addBackToStock } = require('./stock');
+const { requirePermission, hasPermission } = require('../middleware/permissions');
+const { deductFromStock, addBackToStock, getEffectiveRates } = require('./stock');
 const CONSTANTS = require('../utils/constants');
+const { buildVoucherPdf } = require('../utils/invoicePdf');
+const { sendPdf } = require('../utils/pdfHelpers');
+const { allocateNumber } = require('../utils/numbering');
+const { loadPurities, applyPurity } = require('../utils/purity');
+const { recordAudit, toSnapshot } = require('../utils/audit');
+const { captureBalances, getBalanceDelta, markDeleted } = require('../utils/recycleBin');
+const { assertPeriodOpen } = require('../utils/periodLock');
+const { MONEY_PAYMENT_TYPES, resolvePayments } = require('../utils/payments');
+const { buildDueCredits } = require('../utils/dueCredits');
+const { getCreditDueDate, checkCreditLimit } = require('../utils/creditTerms');
 const {
-  toNumber, pickNumber, badRequest, notFound,
+  ALLOCATING_PAYMENT_TYPES, isBill, toBillSettlement, loadOutstandingBills, refreshBillSettlement,
+  getAllocatedVoucherIds, countAppliedPayments, allocatePayment
+} = require('../utils/billAllocation');
+const {
+  getPayee, loadVoucherOutstanding, buildUpiUri, generateUpiQrPng
+} = require('../utils/upiQr');
+const {
+  calculateVoucherLines, describeWarnings, getLineSign, summarizeExchange
+} = require('../utils/voucherCalculator');
+const {
+  toNumber, pickNumber, createError, badRequest, notFound,
   supportsTransactions, startOptionalSession,
   getReversalWindowHours, canReverse, canReverseWithWindow,
   calculateUnifiedAmount, parsePagination, paginationMeta
@@ -59,9 +81,170 @@ const getCashBalanceDelta = (total, cashReceived) => (
   toNumber(total) - toNumber(cashReceived)
 );
 
+const cleanVoucherItem = (item, index) => {
+  const cleaned = {
+    sourceItemId: mongoose.Types.ObjectId.isValid(item.sourceItemId) ? item.sourceItemId : undefined,
+    itemName: String(item.itemName || '').trim(),
+    metalType: item.metalType,
+    lineType: item.lineType || 'issue',
+    pieces: Math.max(1, Math.floor(toNumber(item.pieces, 1))),
+    grossWeight: toNumber(item.grossWeight),
+    lessWeight: Math.max(0, toNumber(item.lessWeight)),
+    netWeight: toNumber(item.netWeight),
+    melting: Math.max(0, toNumber(item.melting)),
+    wastage: Math.max(0, toNumber(item.wastage)),
+    fineWeight: toNumber(item.fineWeight),
+    labourRate: toNumber(item.labourRate),
+    rate: item.rate,
+    stoneAmount: toNumber(item.stoneAmount),
+    amount: toNumber(item.amount),
+    purityId: item.purityId || undefined,
+    hsnCode: item.hsnCode || (item.metalType === 'silver' ? '7106' : '7108')
+  };
+  if (!cleaned.itemName || !['gold', 'silver'].includes(cleaned.metalType)) {
+    throw badRequest(`Invalid item at row ${index + 1}`);
+  }
+  if (!['issue', 'receipt'].includes(cleaned.lineType)) {
+    throw badRequest(`Invalid line type at row ${index + 1}`);
+  }
+  if (cleaned.lineType === 'receipt' && cleaned.sourceItemId) {
+    throw badRequest(`Row ${index + 1}: stock items cannot be taken back on a receipt line`);
+  }
+  // Allow negative weights for adjustments - toNumber() already ensures values are finite
+  return cleaned;
+};
+
+// Lines that pick a purity get their melting default and fine weight from the
+// purity master; the client's fineWeight is ignored for them.
+const cleanVoucherItems = async (userId, items, session) => {
+  const cleanedItems = items.map(cleanVoucherItem);
+  if (cleanedItems.every((item) => item.lineType === 'receipt')) {
+    throw badRequest('At least one issue line is required; use a purchase voucher to only take metal in');
+  }
+  const purities = await loadPurities(userId, cleanedItems, session);
+
+  return cleanedItems.map((item, index) => {
+    if (!item.purityId) return item;
+    const purity = purities.get(String(item.purityId));
+    const { melting, fineWeight } = applyPurity(item, purity, `Row ${index + 1}`);
+    return { ...item, purity: purity.name, melting, fineWeight };
+  });
+};
+
+// Staff without 'purchase:view_cost' see purchase vouchers without any money figures
+const withCostVisibility = (req, voucher) => {
+  if (voucher.voucherType !== 'purchase' || hasPermission(req, 'purchase:view_cost')) return voucher;
+  const {
+    total, cashReceived, payments, stoneAmount, fineAmount, goldRate, silverRate, gstDetails,
+    oldBalance, currentBalance, balanceSnapshot, previousLedgerState, ...rest
+  } = typeof voucher.toObject === 'function' ? voucher.toObject() : voucher;
+  return {
+    ...rest,
+    items: (rest.items || []).map(({ amount, rate, labourRate, stoneAmount: lineStone, ...item }) => item),
+    totals: { ...rest.totals, amount: undefined, labourRate: undefined },
+    issue: { ...rest.issue, amount: undefined },
+    receipt: { ...rest.receipt, amount: undefined },
+    costHidden: true
+  };
+};
+
+const isBlankRate = (value) => value === undefined || value === null || value === '';
+
+// Rates left blank by the client default to the rate effective on the voucher
+// date. Lines with a purity and no rate of their own also need that day's
+// purity rates.
+const resolveVoucherRates = async (userId, date, { goldRate, silverRate, items }, session = null) => {
+  const needsPurityRates = Array.isArray(items) && items.some((item) => item?.purityId && isBlankRate(item.rate));
+  if (!isBlankRate(goldRate) && !isBlankRate(silverRate) && !needsPurityRates) {
+    return { goldRate, silverRate, purityRates: [] };
+  }
+  const effectiveRates = await getEffectiveRates(userId, date || new Date(), { session });
+  return {
+    goldRate: isBlankRate(goldRate) ? effectiveRates.goldRate : goldRate,
+    silverRate: isBlankRate(silverRate) ? effectiveRates.silverRate : silverRate,
+    purityRates: effectiveRates.purityRates
+  };
+};
+
+// Recompute net, fine and amount on every line. In 'reject' mode a mismatch
+// with what the client sent fails the request; otherwise it is recorded and the
+// client's amount kept. Credit bills owe the fine as metal, so it is not priced.
+const calculateItemsForUser = (user, rawItems, cleanedItems, rates, { enforce = true, paymentType } = {}) => {
+  const rejectMismatches = user.voucherSettings?.calculationMode === 'reject';
+  const { items, warnings } = calculateVoucherLines(cleanedItems, rawItems, {
+    goldRate: toNumber(rates.goldRate),
+    silverRate: toNumber(rates.silverRate),
+    purityRates: rates.purityRates,
+    labourType: user.labourChargeSettings?.type,
+    priceFine: paymentType !== 'credit',
+    keepSubmittedAmounts: !rejectMismatches
+  });
+  if (enforce && warnings.length > 0 && rejectMismatches) {
+    throw badRequest(`Line calculation mismatch. ${describeWarnings(warnings)}`);
+  }
+  return { items, warnings };
+};
+
+// Weights and amount are net of receipt (exchange) lines
+const sumVoucherItems = (items = []) => items.reduce((acc, item) => {
+  const sign = getLineSign(item);
+  return {
+    pieces: acc.pieces + toNumber(item.pieces),
+    grossWeight: acc.grossWeight + sign * toNumber(item.grossWeight),
+    lessWeight: acc.lessWeight + sign * toNumber(item.lessWeight),
+    netWeight: acc.netWeight + sign * toNumber(item.netWeight),
+    melting: acc.melting + toNumber(item.melting),
+    wastage: acc.wastage + toNumber(item.wastage),
+    fineWeight: acc.fineWeight + sign * toNumber(item.fineWeight),
+    labourRate: acc.labourRate + toNumber(item.labourRate),
+    amount: acc.amount + sign * toNumber(item.amount)
+  };
+}, {
+  pieces: 0,
+  grossWeight: 0,
+  lessWeight: 0,
+  netWeight: 0,
+  melting: 0,
+  wastage: 0,
+  fineWeight: 0,
+  labourRate: 0,
+  amount: 0
+});
+
+// Voucher totals, GST and grand total from the calculated lines. GST is charged
+// on the issue side only; old metal taken in exchange is deducted after tax.
+const calculateVoucherTotals = ({
+  paymentType, invoiceType, items, stoneAmount, fineAmount, gstDetails, cashReceived
+}) => {
+  const billedItems = BILLING_TYPES.includes(paymentType) ? items : [];
+  const totals = sumVoucherItems(billedItems);
+  const exchange = summarizeExchange(billedItems);
+  const stone = toNumber(stoneAmount);
+  const fineAdj = toNumber(fineAmount);
+  const taxableValue = exchange.issue.amount + stone;
+
+  let gstType = gstDetails?.gstType;
+  const gstRate = toNumber(gstDetails?.gstRate);
+  if (invoiceType === 'gst' && !['IGST', 'CGST_SGST'].includes(gstType)) {
+    gstType = null;
+  }
+  if (invoiceType === 'gst' && !gstType) {
+    throw badRequest('Invalid GST type for GST invoice');
+  }
+  const gstCalc = calculateGSTBreakdown(taxableValue, gstRate, gstType);
+
+  const totalBeforeGST = totals.amount + stone + fineAdj;
+  const total = SETTLEMENT_TYPES.includes(paymentType)
+    ? toNumber(cashReceived)
+    : totalBeforeGST + toNumber(gstCalc.totalGST);
+
+  return { totals, exchange, stone, fineAdj, taxableValue, gstType, gstRate, gstCalc, total };
+};
+
+// Net fine per metal; receipt lines count negative
 const getFineByMetal = (items = []) => items.reduce(
   (acc, item) => {
-    const fine = toNumber(item.fineWeight);
+    const fine = getLineSign(item) * toNumber(item.fineWeight);
     if (item.metalType === 'gold') acc.gold += fine;
     if (item.metalType === 'silver') acc.silver += fine;
     return acc;
@@ -143,25 +326,29 @@ const getVoucherStockAdjustment = (voucher) => {
   return getFineByMetal(voucher?.items || []);
 };
 
+// Put back the stock a voucher moved, unless that was already done
+const restoreVoucherStock = async (voucher, options = {}) => {
+  const { session, markRestored = false } = options;
+  const stockAdjustment = getVoucherStockAdjustment(voucher);
+  if (voucher.stockRestored || !hasNonZeroStockAdjustment(stockAdjustment)) return;
+
+  await applyStockAdjustmentForVoucher(
+    voucher.userId,
+    stockAdjustment,
+    voucher.voucherType || 'sale',
+    { session, reverse: true }
+  );
+  if (markRestored) {
+    voucher.stockRestored = true;
+  }
+};
+
 const reverseVoucherEffects = async (voucher, ledger, options = {}) => {
   const { session, restoreStock = true, markRestored = false } = options;
   if (!voucher || !ledger) return;
 
-  const stockAdjustment = getVoucherStockAdjustment(voucher);
-  const shouldRestoreStock = restoreStock
-    && !voucher.stockRestored
-    && hasNonZeroStockAdjustment(stockAdjustment);
-
-  if (shouldRestoreStock) {
-    await applyStockAdjustmentForVoucher(
-      voucher.userId,
-      stockAdjustment,
-      voucher.voucherType || 'sale',
-      { session, reverse: true }
-    );
-    if (markRestored) {
-      voucher.stockRestored = true;
-    }
+  if (restoreStock) {
+    await restoreVoucherStock(voucher, { session, markRestored });
   }
 
   // If voucher has previousLedgerState saved, use it to restore the exact previous state
@@ -210,13 +397,9 @@ const reverseVoucherEffects = async (voucher, ledger, options = {}) => {
 
   // Handle regular billing vouchers
   if (voucher.paymentType === 'credit') {
-    voucher.items.forEach((item) => {
-      if (item.metalType === 'gold') {
-        ledger.balances.goldFineWeight -= toNumber(item.fineWeight);
-      } else if (item.metalType === 'silver') {
-        ledger.balances.silverFineWeight -= toNumber(item.fineWeight);
-      }
-    });
+    const fine = getFineByMetal(voucher.items);
+    ledger.balances.goldFineWeight -= fine.gold;
+    ledger.balances.silverFineWeight -= fine.silver;
     // Credit bills use cashBalance, not creditBalance
     ledger.balances.cashBalance -= toNumber(voucher.total);
     ledger.balances.amount = calculateUnifiedAmount(ledger.balances);
@@ -224,13 +407,125 @@ const reverseVoucherEffects = async (voucher, ledger, options = {}) => {
     const balanceDelta = getCashBalanceDelta(voucher.total, voucher.cashReceived);
     ledger.balances.cashBalance -= balanceDelta;
     ledger.balances.amount = calculateUnifiedAmount(ledger.balances);
+  } else if (voucher.paymentType === 'interest') {
+    ledger.balances.cashBalance -= toNumber(voucher.total);
+    ledger.balances.amount = calculateUnifiedAmount(ledger.balances);
+  }
+};
+
+// A voucher with live credit notes cannot be edited, cancelled or deleted: restoring its
+// previousLedgerState would silently discard the returns booked against it.
+const ensureNoActiveCreditNotes = async (voucherId, session) => {
+  const activeCreditNotes = await CreditNote.countDocuments({
+    voucherId,
+    status: 'active'
+  }).session(session);
+  if (activeCreditNotes > 0) {
+    throw badRequest('Voucher has active credit notes. Cancel them first');
   }
 };
 
+// Likewise a bill that receipts, payment vouchers or settlements were applied to keeps
+// its total and ledger until those payments are cancelled.
+const ensureNoPaymentsApplied = async (voucher, session) => {
+  if (await countAppliedPayments(voucher.userId, voucher._id, session) > 0) {
+    throw badRequest('Payments are applied to this voucher. Cancel them first');
+  }
+};
+
+// Bills an add_cash / money_to_gold / money_to_silver voucher is applied to, from
+// `allocations` in the request body (see utils/billAllocation)
+const resolveAllocations = async (userId, {
+  paymentType, invoiceType, ledger, amount, requested, exclude
+}, session) => {
+  if (requested === undefined || requested === null) return [];
+  if (!ALLOCATING_PAYMENT_TYPES.includes(paymentType)) {
+    throw badRequest(`Only ${ALLOCATING_PAYMENT_TYPES.join(', ')} vouchers can be applied to bills`);
+  }
+  if (invoiceType === 'gst' || ledger.ledgerType === 'gst') {
+    throw badRequest('Payments can only be applied to bills on regular ledgers');
+  }
+  const bills = await loadOutstandingBills(userId, ledger._id, session, exclude);
+  return allocatePayment(toNumber(amount), requested, bills).allocations;
+};
+
 router.use(auth);
 router.use(checkLicense);
 
-router.post('/', async (req, res) => {
+// Run the line calculation without saving anything, so the billing screen can
+// show the server's numbers before the voucher is posted
+router.post('/preview', async (req, res) => {
+  try {
+    const {
+      date,
+      paymentType = 'cash',
+      invoiceType = 'normal',
+      goldRate: requestedGoldRate,
+      silverRate: requestedSilverRate,
+      items,
+      stoneAmount,
+      fineAmount,
+      gstDetails,
+      payments: requestedPayments,
+      cashReceived: requestedCashReceived
+    } = req.body;
+
+    if (!BILLING_TYPES.includes(paymentType)) {
+      throw badRequest('Preview is only available for cash and credit vouchers');
+    }
+    const { cashReceived } = resolvePayments(paymentType, requestedPayments, requestedCashReceived);
+    if (!Array.isArray(items) || items.length === 0) {
+      throw badRequest('At least one item is required for this payment type');
+    }
+
+    const user = await User.findById(req.userId).select('voucherSettings labourChargeSettings');
+    if (!user) {
+      throw notFound('User not found');
+    }
+
+    const { goldRate, silverRate, purityRates } = await resolveVoucherRates(req.userId, date, {
+      goldRate: requestedGoldRate, silverRate: requestedSilverRate, items
+    });
+
+    const cleanedItems = await cleanVoucherItems(req.userId, items, null);
+    const { items: calculatedItems, warnings } = calculateItemsForUser(
+      user, items, cleanedItems, { goldRate, silverRate, purityRates }, { enforce: false, paymentType }
+    );
+    const {
+      totals, exchange, stone, fineAdj, taxableValue, gstType, gstRate, gstCalc, total
+    } = calculateVoucherTotals({
+      paymentType, invoiceType, items: calculatedItems, stoneAmount, fineAmount, gstDetails, cashReceived
+    });
+
+    return res.json({
+      success: true,
+      preview: {
+        goldRate: toNumber(goldRate),
+        silverRate: toNumber(silverRate),
+        labourType: user.labourChargeSettings?.type || 'full',
+        items: calculatedItems,
+        totals,
+        issue: exchange.issue,
+        receipt: exchange.receipt,
+        stoneAmount: stone,
+        fineAmount: fineAdj,
+        gstDetails: invoiceType === 'gst' ? { gstType, gstRate, taxableValue, ...gstCalc } : undefined,
+        total,
+        balanceDue: paymentType === 'cash' ? getCashBalanceDelta(total, cashReceived) : total
+      },
+      calculationWarnings: warnings,
+      calculationMode: user.voucherSettings?.calculationMode || CONSTANTS.VOUCHER_CALCULATION.DEFAULT_MODE
+    });
+  } catch (error) {
+    console.error('Preview voucher error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error previewing voucher'
+    });
+  }
+});
+
+router.post('/', requirePermission('voucher:create'), async (req, res) => {
   const session = await startOptionalSession();
   try {
     const {
@@ -241,8 +536,8 @@ router.post('/', async (req, res) => {
       invoiceNumber,
       referenceNo,
       eWayBillNo,
-      goldRate,
-      silverRate,
+      goldRate: requestedGoldRate,
+      silverRate: requestedSilverRate,
       items,
       stoneAmount,
       fineAmount,
@@ -250,7 +545,9 @@ router.post('/', async (req, res) => {
       receipt,
       narration,
       voucherNumber,
-      cashReceived,
+      seriesId,
+      payments: requestedPayments,
+      cashReceived: requestedCashReceived,
       bankName,
       accountNumber,
       ifscCode,
@@ -274,11 +571,13 @@ router.post('/', async (req, res) => {
     if (!ledgerId) {
       throw badRequest('Ledger is required');
     }
+    await assertPeriodOpen(req.userId, [date || new Date()], session);
 
     // Validate paymentType
     if (!ALLOWED_TYPES.includes(paymentType)) {
       throw badRequest('Invalid paymentType');
     }
+    const { payments, cashReceived } = resolvePayments(paymentType, requestedPayments, requestedCashReceived);
 
     // For non-settlement types, items are required
     if (!isSettlementType) {
@@ -289,28 +588,7 @@ router.post('/', async (req, res) => {
 
     let cleanedItems = [];
     if (BILLING_TYPES.includes(paymentType)) {
-      cleanedItems = items.map((item, index) => {
-        const cleaned = {
-          sourceItemId: mongoose.Types.ObjectId.isValid(item.sourceItemId) ? item.sourceItemId : undefined,
-          itemName: String(item.itemName || '').trim(),
-          metalType: item.metalType,
-          pieces: Math.max(1, Math.floor(toNumber(item.pieces, 1))),
-          grossWeight: toNumber(item.grossWeight),
-          lessWeight: Math.max(0, toNumber(item.lessWeight)),
-          netWeight: toNumber(item.netWeight),
-          melting: Math.max(0, toNumber(item.melting)),
-          wastage: Math.max(0, toNumber(item.wastage)),
-          fineWeight: toNumber(item.fineWeight),
-          labourRate: toNumber(item.labourRate),
-          amount: toNumber(item.amount),
-          hsnCode: item.hsnCode || (item.metalType === 'silver' ? '7106' : '7108')
-        };
-        if (!cleaned.itemName || !['gold', 'silver'].includes(cleaned.metalType)) {
-          throw badRequest(`Invalid item at row ${index + 1}`);
-        }
-        // Allow negative weights for adjustments - toNumber() already ensures values are finite
-        return cleaned;
-      });
+      cleanedItems = await cleanVoucherItems(req.userId, items, session);
     } else {
       // For settlement types, no items required
       cleanedItems = [];
@@ -329,6 +607,21 @@ router.post('/', async (req, res) => {
       throw notFound('User not found');
     }
 
+    const allocations = await resolveAllocations(req.userId, {
+      paymentType, invoiceType, ledger, amount: cashReceived, requested: req.body.allocations
+    }, session);
+
+    const { goldRate, silverRate, purityRates } = await resolveVoucherRates(req.userId, date, {
+      goldRate: requestedGoldRate, silverRate: requestedSilverRate, items
+    }, session);
+
+    let calculationWarnings = [];
+    if (BILLING_TYPES.includes(paymentType)) {
+      const calculated = calculateItemsForUser(user, items, cleanedItems, { goldRate, silverRate, purityRates }, { paymentType });
+      cleanedItems = calculated.items;
+      calculationWarnings = calculated.warnings;
+    }
+
     const normalizedInvoiceNumber = invoiceNumber ? String(invoiceNumber).trim() : '';
     if (normalizedInvoiceNumber) {
       const existingInvoice = await Voucher.findOne({
@@ -341,45 +634,11 @@ router.post('/', async (req, res) => {
       }
     }
 
-    let finalVoucherNumber = String(voucherNumber || '').trim();
-    const shouldAutoIncrement = user.voucherSettings?.autoIncrement || !finalVoucherNumber;
-    if (shouldAutoIncrement) {
-      finalVoucherNumber = String(user.voucherSettings.currentVoucherNumber || 1);
-    }
-
-    const duplicateVoucher = await Voucher.findOne({
-      userId: req.userId,
-      voucherNumber: finalVoucherNumber,
-      status: 'active'
-    }).session(session);
-    if (duplicateVoucher) {
-      throw badRequest('Voucher number already exists');
-    }
-
-    let totals = {
-      pieces: 0,
-      grossWeight: 0,
-      lessWeight: 0,
-      netWeight: 0,
-      melting: 0,
-      wastage: 0,
-      fineWeight: 0,
-      labourRate: 0,
-      amount: 0
-    };
-    if (BILLING_TYPES.includes(paymentType)) {
-      totals = cleanedItems.reduce((acc, item) => ({
-        pieces: acc.pieces + toNumber(item.pieces),
-        grossWeight: acc.grossWeight + toNumber(item.grossWeight),
-        lessWeight: acc.lessWeight + toNumber(item.lessWeight),
-        netWeight: acc.netWeight + toNumber(item.netWeight),
-        melting: acc.melting + toNumber(item.melting),
-        wastage: acc.wastage + toNumber(item.wastage),
-        fineWeight: acc.fineWeight + toNumber(item.fineWeight),
-        labourRate: acc.labourRate + toNumber(item.labourRate),
-        amount: acc.amount + toNumber(item.amount)
-      }), totals);
-    }
+    const {
+      totals, exchange, stone, fineAdj, taxableValue, gstType, gstRate, gstCalc, total
+    } = calculateVoucherTotals({
+      paymentType, invoiceType, items: cleanedItems, stoneAmount, fineAmount, gstDetails, cashReceived
+    });
 
     const oldBalance = {
       amount: paymentType === 'cash' ? toNumber(ledger.balances.cashBalance)
@@ -390,26 +649,6 @@ router.post('/', async (req, res) => {
       fineWeight: toNumber(ledger.balances.goldFineWeight) + toNumber(ledger.balances.silverFineWeight)
     };
 
-    const stone = toNumber(stoneAmount);
-    const fineAdj = toNumber(fineAmount);
-    const taxableValue = totals.amount + stone;
-
-    let gstType = gstDetails?.gstType;
-    const gstRate = toNumber(gstDetails?.gstRate);
-    if (invoiceType === 'gst' && !['IGST', 'CGST_SGST'].includes(gstType)) {
-      gstType = null;
-    }
-    if (invoiceType === 'gst' && !gstType) {
-      throw badRequest('Invalid GST type for GST invoice');
-    }
-    const gstCalc = calculateGSTBreakdown(taxableValue, gstRate, gstType);
-
-    let totalBeforeGST = totals.amount + stone + fineAdj;
-    let total = totalBeforeGST + toNumber(gstCalc.totalGST);
-    if (SETTLEMENT_TYPES.includes(paymentType)) {
-      total = toNumber(cashReceived);
-    }
-
     let currentBalance = {
       amount: 0,
       netWeight: totals.netWeight
@@ -451,9 +690,6 @@ router.post('/', async (req, res) => {
     // Only adjust bulk stock if user is NOT in item mode
     if (user.stockMode !== 'item' && usesStockAdjustment(paymentType)) {
       stockAdjustment = getFineByMetal(cleanedItems);
-      if (hasNonZeroStockAdjustment(stockAdjustment)) {
-        await applyStockAdjustmentForVoucher(req.userId, stockAdjustment, voucherType, { session });
-      }
     }
 
     const stockAdjusted = hasNonZeroStockAdjustment(stockAdjustment);
@@ -470,8 +706,8 @@ router.post('/', async (req, res) => {
         // Purchase on credit: customer gives us fine metal → reduces what they're owed
         // (from shop's perspective: shop received metal, not the other way)
         cleanedItems.forEach((item) => {
-          if (item.metalType === 'gold') currentGoldFineWeight -= toNumber(item.fineWeight);
-          else if (item.metalType === 'silver') currentSilverFineWeight -= toNumber(item.fineWeight);
+          if (item.metalType === 'gold') currentGoldFineWeight -= getLineSign(item) * toNumber(item.fineWeight);
+          else if (item.metalType === 'silver') currentSilverFineWeight -= getLineSign(item) * toNumber(item.fineWeight);
         });
       } else {
         // Sale on credit: customer owes us fine metal
@@ -523,8 +759,90 @@ router.post('/', async (req, res) => {
       creditBalance: toNumber(ledger.balances.creditBalance)
     };
 
+    // Skip balance updates for GST invoices or GST-type ledgers
+    if (invoiceType !== 'gst' && ledger.ledgerType !== 'gst') {
+      if (paymentType === 'credit') {
+        cleanedItems.forEach((item) => {
+          if (item.metalType === 'gold') {
+            if (voucherType === 'purchase') {
+              // Purchase: shop received gold from customer → store's gold increased, customer's owed fine DECREASES
+              ledger.balances.goldFineWeight -= getLineSign(item) * toNumber(item.fineWeight);
+            } else {
+              // Sale: customer owes us gold fine
+              ledger.balances.goldFineWeight += getLineSign(item) * toNumber(item.fineWeight);
+            }
+          } else if (item.metalType === 'silver') {
+            if (voucherType === 'purchase') {
+              ledger.balances.silverFineWeight -= getLineSign(item) * toNumber(item.fineWeight);
+            } else {
+              ledger.balances.silverFineWeight += getLineSign(item) * toNumber(item.fineWeight);
+            }
+          }
+        });
+        // Credit bills update cashBalance
+        ledger.balances.cashBalance = currentBalance.amount;
+      } else if (paymentType === 'cash') {
+        ledger.balances.cashBalance = currentBalance.amount;
+      } else if (paymentType === 'add_cash') {
+        // For add_cash, determine which balance to update based on which one is being used
+        if (toNumber(ledger.balances.cashBalance) !== 0 || toNumber(ledger.balances.creditBalance) === 0) {
+          ledger.balances.cashBalance = currentBalance.amount;
+        } else {
+          ledger.balances.creditBalance = currentBalance.amount;
+        }
+      } else if (paymentType === 'add_gold') {
+        // Customer gives gold to settle debt - reduces gold owed
+        ledger.balances.goldFineWeight -= toNumber(cashReceived);
+      } else if (paymentType === 'add_silver') {
+        // Customer gives silver to settle debt - reduces silver owed
+        ledger.balances.silverFineWeight -= toNumber(cashReceived);
+      } else if (paymentType === 'money_to_gold') {
+        // Customer pays cash to settle gold fine debt - reduces gold owed
+        ledger.balances.goldFineWeight -= (toNumber(cashReceived) / (toNumber(goldRate) || 1));
+      } else if (paymentType === 'money_to_silver') {
+        // Customer pays cash to settle silver fine debt - reduces silver owed
+        ledger.balances.silverFineWeight -= (toNumber(cashReceived) / (toNumber(silverRate) || 1));
+      }
+      ledger.balances.amount = calculateUnifiedAmount(ledger.balances);
+    }
+
+    // Credit sales are checked against the ledger's limits (warn or block)
+    const creditLimitWarnings = voucherType === 'sale' && BILLING_TYPES.includes(paymentType)
+      ? checkCreditLimit(ledger, previousLedgerState)
+      : [];
+
+    // Nothing is written before this point, so a refused sale leaves the
+    // numbering series and stock untouched even without a transaction
+    let finalVoucherNumber = String(voucherNumber || '').trim();
+    let numberSeriesId;
+    const shouldAutoIncrement = user.voucherSettings?.autoIncrement || !finalVoucherNumber;
+    if (shouldAutoIncrement) {
+      const allocated = await allocateNumber(req.userId, 'voucher', {
+        seriesId,
+        invoiceType,
+        voucherType,
+        date: date || new Date()
+      }, session);
+      finalVoucherNumber = allocated.number;
+      numberSeriesId = allocated.seriesId;
+    }
+
+    const duplicateVoucher = await Voucher.findOne({
+      userId: req.userId,
+      voucherNumber: finalVoucherNumber,
+      status: 'active'
+    }).session(session);
+    if (duplicateVoucher) {
+      throw badRequest('Voucher number already exists');
+    }
+
+    if (hasNonZeroStockAdjustment(stockAdjustment)) {
+      await applyStockAdjustmentForVoucher(req.userId, stockAdjustment, voucherType, { session });
+    }
+
     const voucher = new Voucher({
       voucherNumber: finalVoucherNumber,
+      numberSeriesId,
       userId: req.userId,
       ledgerId,
       customerName: ledger.name,
@@ -539,13 +857,14 @@ router.post('/', async (req, res) => {
       totals,
       stoneAmount: stone,
       fineAmount: fineAdj,
-      issue: issue || { gross: 0 },
-      receipt: receipt || { gross: 0 },
+      issue: BILLING_TYPES.includes(paymentType) ? exchange.issue : (issue || { gross: 0 }),
+      receipt: BILLING_TYPES.includes(paymentType) ? exchange.receipt : (receipt || { gross: 0 }),
       oldBalance,
       currentBalance,
       balanceSnapshot,
       total,
       cashReceived: toNumber(cashReceived),
+      payments,
       narration: narration || '',
       eWayBillNo: eWayBillNo || '',
       bankName: bankName || '',
@@ -568,80 +887,34 @@ router.post('/', async (req, res) => {
         sgst: gstCalc.sgst,
         totalGST: gstCalc.totalGST
       } : undefined,
-      creditDueDate: paymentType === 'credit'
-        ? new Date(Date.now() + CONSTANTS.CREDIT_PAYMENT.DUE_DAYS * 24 * 60 * 60 * 1000)
-        : null,
+      creditDueDate: paymentType === 'credit' ? getCreditDueDate(ledger, date || new Date()) : null,
       previousLedgerState,
       stockAdjusted,
       stockAdjustment,
       voucherType,
-      stockRestored: false
+      stockRestored: false,
+      calculationWarnings,
+      allocations
     });
-
-    // Skip balance updates for GST invoices or GST-type ledgers
-    if (invoiceType !== 'gst' && ledger.ledgerType !== 'gst') {
-      if (paymentType === 'credit') {
-        cleanedItems.forEach((item) => {
-          if (item.metalType === 'gold') {
-            if (voucherType === 'purchase') {
-              // Purchase: shop received gold from customer → store's gold increased, customer's owed fine DECREASES
-              ledger.balances.goldFineWeight -= toNumber(item.fineWeight);
-            } else {
-              // Sale: customer owes us gold fine
-              ledger.balances.goldFineWeight += toNumber(item.fineWeight);
-            }
-          } else if (item.metalType === 'silver') {
-            if (voucherType === 'purchase') {
-              ledger.balances.silverFineWeight -= toNumber(item.fineWeight);
-            } else {
-              ledger.balances.silverFineWeight += toNumber(item.fineWeight);
-            }
-          }
-        });
-        // Credit bills update cashBalance
-        ledger.balances.cashBalance = currentBalance.amount;
-      } else if (paymentType === 'cash') {
-        ledger.balances.cashBalance = currentBalance.amount;
-      } else if (paymentType === 'add_cash') {
-        // For add_cash, determine which balance to update based on which one is being used
-        if (toNumber(ledger.balances.cashBalance) !== 0 || toNumber(ledger.balances.creditBalance) === 0) {
-          ledger.balances.cashBalance = currentBalance.amount;
-        } else {
-          ledger.balances.creditBalance = currentBalance.amount;
-        }
-      } else if (paymentType === 'add_gold') {
-        // Customer gives gold to settle debt - reduces gold owed
-        ledger.balances.goldFineWeight -= toNumber(cashReceived);
-      } else if (paymentType === 'add_silver') {
-        // Customer gives silver to settle debt - reduces silver owed
-        ledger.balances.silverFineWeight -= toNumber(cashReceived);
-      } else if (paymentType === 'money_to_gold') {
-        // Customer pays cash to settle gold fine debt - reduces gold owed
-        ledger.balances.goldFineWeight -= (toNumber(cashReceived) / (toNumber(goldRate) || 1));
-      } else if (paymentType === 'money_to_silver') {
-        // Customer pays cash to settle silver fine debt - reduces silver owed
-        ledger.balances.silverFineWeight -= (toNumber(cashReceived) / (toNumber(silverRate) || 1));
-      }
-      ledger.balances.amount = calculateUnifiedAmount(ledger.balances);
+    if (isBill(voucher)) {
+      voucher.billSettlement = toBillSettlement(voucher);
     }
 
     ledger.hasVouchers = true;
     await ledger.save({ session });
     await voucher.save({ session });
-
-    if (shouldAutoIncrement) {
-      user.voucherSettings.currentVoucherNumber = toNumber(user.voucherSettings.currentVoucherNumber, 1) + 1;
-      await user.save({ session });
-    }
+    await refreshBillSettlement(req.userId, getAllocatedVoucherIds(voucher), session);
 
     if (session?.inTransaction()) {
       await session.commitTransaction();
     }
+    await recordAudit(req, { entityType: 'voucher', action: 'create', after: voucher });
 
     return res.status(201).json({
       success: true,
       message: 'Voucher created successfully',
-      voucher
+      voucher,
+      creditLimitWarnings
     });
   } catch (error) {
     if (session?.inTransaction()) {
@@ -661,10 +934,14 @@ router.post('/', async (req, res) => {
 
 router.get('/', async (req, res) => {
   try {
-    const { startDate, endDate, ledgerId } = req.query;
+    const {
+      startDate, endDate, ledgerId, billStatus
+    } = req.query;
     const query = { userId: req.userId };
 
     if (ledgerId) query.ledgerId = ledgerId;
+    // e.g. billStatus=unpaid,partial for the bills still open
+    if (billStatus) query['billSettlement.status'] = { $in: String(billStatus).split(',') };
     if (startDate || endDate) {
       query.date = {};
       if (startDate) query.date.$gte = new Date(startDate);
@@ -688,7 +965,7 @@ router.get('/', async (req, res) => {
 
     return res.json({
       success: true,
-      vouchers,
+      vouchers: vouchers.map((voucher) => withCostVisibility(req, voucher)),
       pagination: paginationMeta(page, limit, total)
     });
   } catch (error) {
@@ -702,95 +979,11 @@ router.get('/', async (req, res) => {
 
 router.get('/due-credits', async (req, res) => {
   try {
-    const dueDays = toNumber(CONSTANTS.CREDIT_PAYMENT?.DUE_DAYS, 5);
-    const msPerDay = 24 * 60 * 60 * 1000;
-    const startOfToday = new Date();
-    startOfToday.setHours(0, 0, 0, 0);
-    const endOfToday = new Date(startOfToday);
-    endOfToday.setHours(23, 59, 59, 999);
-
-    // Build earliest due date per ledger from active credit vouchers.
-    const creditVouchers = await Voucher.find({
-      userId: req.userId,
-      paymentType: 'credit',
-      status: 'active',
-      invoiceType: { $ne: 'gst' }
-    }).select('ledgerId date creditDueDate').lean();
-
-    const dueDateByLedger = new Map();
-    for (const voucher of creditVouchers) {
-      if (!voucher?.ledgerId) continue;
-
-      let dueDate = voucher.creditDueDate ? new Date(voucher.creditDueDate) : null;
-      if (!dueDate || Number.isNaN(dueDate.getTime())) {
-        const baseDate = voucher.date ? new Date(voucher.date) : null;
-        if (!baseDate || Number.isNaN(baseDate.getTime())) continue;
-        dueDate = new Date(baseDate);
-        dueDate.setDate(dueDate.getDate() + dueDays);
-      }
-
-      const ledgerId = String(voucher.ledgerId);
-      const existing = dueDateByLedger.get(ledgerId);
-      if (!existing || dueDate.getTime() < existing.getTime()) {
-        dueDateByLedger.set(ledgerId, dueDate);
-      }
-    }
-
-    // Evaluate all regular ledgers (including older ledgers with missing ledgerType).
-    const ledgers = await Ledger.find({
-      userId: req.userId,
-      ledgerType: { $ne: 'gst' }
-    }).select('name phoneNumber balances openingBalance createdAt').lean();
-
-    const dueCredits = [];
-    for (const ledger of ledgers) {
-      const ledgerId = String(ledger._id);
-
-      // Prefer credit voucher due date. If none, fall back to opening balance age.
-      let dueDate = dueDateByLedger.get(ledgerId);
-      if (!dueDate) {
-        const openingAmount = toNumber(ledger?.openingBalance?.amount);
-        const openingGold = toNumber(ledger?.openingBalance?.goldFineWeight);
-        const openingSilver = toNumber(ledger?.openingBalance?.silverFineWeight);
-        const hasOpeningBalance = openingAmount > 0 || openingGold > 0 || openingSilver > 0;
-        if (!hasOpeningBalance) continue;
-
-        const baseDate = ledger.createdAt ? new Date(ledger.createdAt) : null;
-        if (!baseDate || Number.isNaN(baseDate.getTime())) continue;
-        dueDate = new Date(baseDate);
-        dueDate.setDate(dueDate.getDate() + dueDays);
-      }
-
-      if (dueDate.getTime() > endOfToday.getTime()) continue;
-
-      const cashBalance = toNumber(ledger?.balances?.cashBalance);
-      const creditBalance = toNumber(ledger?.balances?.creditBalance);
-      const balanceAmount = cashBalance + creditBalance;
-      const goldFineWeight = toNumber(ledger?.balances?.goldFineWeight);
-      const silverFineWeight = toNumber(ledger?.balances?.silverFineWeight);
-
-      // Auto-remove from due list once all dues are cleared.
-      if (balanceAmount <= 0 && goldFineWeight <= 0 && silverFineWeight <= 0) continue;
-
-      const dueDateStart = new Date(dueDate);
-      dueDateStart.setHours(0, 0, 0, 0);
-      const daysOverdue = Math.max(0, Math.floor((startOfToday.getTime() - dueDateStart.getTime()) / msPerDay));
-
-      dueCredits.push({
-        ledgerId,
-        name: ledger.name,
-        phoneNumber: ledger.phoneNumber || '',
-        balanceAmount,
-        goldFineWeight,
-        silverFineWeight,
-        dueDate,
-        daysOverdue
-      });
-    }
+    const user = await User.findById(req.userId).select('interestSettings').lean();
 
     return res.json({
       success: true,
-      dueCredits: dueCredits.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate))
+      dueCredits: await buildDueCredits({ ...user, _id: req.userId })
     });
   } catch (error) {
     console.error('Get due credits error:', error);
@@ -817,7 +1010,7 @@ router.get('/:id', async (req, res) => {
 
     return res.json({
       success: true,
-      voucher
+      voucher: withCostVisibility(req, voucher)
     });
   } catch (error) {
     console.error('Get voucher error:', error);
@@ -828,7 +1021,45 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-router.put('/:id', async (req, res) => {
+// Payment QR for what is still owed on a sale voucher; null when there is nothing to collect
+const buildVoucherUpiQr = async (voucher, user) => {
+  const payee = getPayee(user, voucher);
+  if (!payee || voucher.voucherType === 'purchase') return null;
+  const amount = await loadVoucherOutstanding(voucher);
+  if (amount <= 0) return null;
+  return { png: await generateUpiQrPng(buildUpiUri(payee, amount, voucher.voucherNumber)), amount };
+};
+
+// GET /api/voucher/:id/pdf?format=a4|thermal&qr=false — printable invoice rendered from the stored voucher.
+// Prints a UPI QR for the outstanding amount unless qr=false.
+router.get('/:id/pdf', async (req, res) => {
+  try {
+    const voucher = await Voucher.findOne({
+      _id: req.params.id,
+      userId: req.userId
+    }).populate('ledgerId', 'name phoneNumber gstDetails');
+
+    if (!voucher) {
+      throw notFound('Voucher not found');
+    }
+    if (voucher.voucherType === 'purchase' && !hasPermission(req, 'purchase:view_cost')) {
+      throw createError(403, 'You do not have permission to view purchase costs');
+    }
+
+    const user = await User.findById(req.userId).select('shopName phoneNumber gstSettings paymentSettings');
+    const upiQr = req.query.qr === 'false' ? null : await buildVoucherUpiQr(voucher, user);
+    const doc = buildVoucherPdf(voucher, user, { format: req.query.format, upiQr });
+    return sendPdf(res, doc, `voucher-${voucher.voucherNumber}`);
+  } catch (error) {
+    console.error('Voucher PDF error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Server error generating voucher PDF'
+    });
+  }
+});
+
+router.put('/:id', requirePermission('voucher:edit'), async (req, res) => {
   const session = await startOptionalSession();
   try {
     const existingVoucher = await Voucher.findOne({
@@ -842,10 +1073,17 @@ router.put('/:id', async (req, res) => {
         message: 'Voucher not found'
       });
     }
+    const beforeSnapshot = toSnapshot(existingVoucher);
 
     if (existingVoucher.status === 'cancelled') {
       throw badRequest('Cancelled vouchers cannot be edited');
     }
+    if (existingVoucher.paymentType === 'interest') {
+      throw badRequest('Interest vouchers cannot be edited. Cancel it and post interest again');
+    }
+    await ensureNoActiveCreditNotes(existingVoucher._id, session);
+    await ensureNoPaymentsApplied(existingVoucher, session);
+    await assertPeriodOpen(req.userId, [existingVoucher.date, req.body.date], session);
 
     // load current user's reversal policy
     const currentUser = await User.findById(req.userId).select('reversalSettings');
@@ -868,13 +1106,12 @@ router.put('/:id', async (req, res) => {
       throw notFound('Existing voucher ledger not found');
     }
 
-    // Undo old voucher effects first so update is applied on a clean base state.
+    // Undo the old voucher's balances first so the update is applied on a clean
+    // base state. Stock is only restored once the new voucher has passed its checks.
     await reverseVoucherEffects(existingVoucher, previousLedger, {
       session,
-      restoreStock: true,
-      markRestored: false
+      restoreStock: false
     });
-    await previousLedger.save({ session });
 
     const {
       ledgerId,
@@ -884,8 +1121,8 @@ router.put('/:id', async (req, res) => {
       invoiceNumber,
       referenceNo,
       eWayBillNo,
-      goldRate,
-      silverRate,
+      goldRate: requestedGoldRate,
+      silverRate: requestedSilverRate,
       items,
       stoneAmount,
       fineAmount,
@@ -893,7 +1130,8 @@ router.put('/:id', async (req, res) => {
       receipt,
       narration,
       voucherNumber,
-      cashReceived,
+      payments: requestedPayments,
+      cashReceived: requestedCashReceived,
       bankName,
       accountNumber,
       ifscCode,
@@ -913,6 +1151,11 @@ router.put('/:id', async (req, res) => {
     if (!ALLOWED_TYPES.includes(paymentType)) {
       throw badRequest('Invalid paymentType');
     }
+    // A client that does not send `payments` keeps the voucher's split as it is
+    const keptPayments = requestedPayments === undefined && MONEY_PAYMENT_TYPES.includes(paymentType)
+      ? existingVoucher.payments.map((payment) => payment.toObject())
+      : requestedPayments;
+    const { payments, cashReceived } = resolvePayments(paymentType, keptPayments, requestedCashReceived);
     if (!['sale', 'purchase'].includes(voucherType)) {
       throw badRequest('Invalid voucherType. Must be sale or purchase');
     }
@@ -920,29 +1163,22 @@ router.put('/:id', async (req, res) => {
       throw badRequest('At least one item is required for this payment type');
     }
 
+    const voucherUser = await User.findById(req.userId).session(session);
+    if (!voucherUser) {
+      throw notFound('User not found');
+    }
+
+    const { goldRate, silverRate, purityRates } = await resolveVoucherRates(req.userId, date, {
+      goldRate: requestedGoldRate, silverRate: requestedSilverRate, items
+    }, session);
+
     let cleanedItems = [];
+    let calculationWarnings = [];
     if (BILLING_TYPES.includes(paymentType)) {
-      cleanedItems = items.map((item, index) => {
-        const cleaned = {
-          sourceItemId: mongoose.Types.ObjectId.isValid(item.sourceItemId) ? item.sourceItemId : undefined,
-          itemName: String(item.itemName || '').trim(),
-          metalType: item.metalType,
-          pieces: Math.max(1, Math.floor(toNumber(item.pieces, 1))),
-          grossWeight: toNumber(item.grossWeight),
-          lessWeight: Math.max(0, toNumber(item.lessWeight)),
-          netWeight: toNumber(item.netWeight),
-          melting: Math.max(0, toNumber(item.melting)),
-          wastage: Math.max(0, toNumber(item.wastage)),
-          fineWeight: toNumber(item.fineWeight),
-          labourRate: toNumber(item.labourRate),
-          amount: toNumber(item.amount),
-          hsnCode: item.hsnCode || (item.metalType === 'silver' ? '7106' : '7108')
-        };
-        if (!cleaned.itemName || !['gold', 'silver'].includes(cleaned.metalType)) {
-          throw badRequest(`Invalid item at row ${index + 1}`);
-        }
-        return cleaned;
-      });
+      cleanedItems = await cleanVoucherItems(req.userId, items, session);
+      const calculated = calculateItemsForUser(voucherUser, items, cleanedItems, { goldRate, silverRate, purityRates }, { paymentType });
+      cleanedItems = calculated.items;
+      calculationWarnings = calculated.warnings;
     }
 
     const targetLedger = String(previousLedger._id) === String(ledgerId)
@@ -955,6 +1191,23 @@ router.put('/:id', async (req, res) => {
       throw notFound('Ledger not found');
     }
 
+    // Without new allocations the payment stays on the bills it was applied to
+    const previouslyAllocated = getAllocatedVoucherIds(existingVoucher);
+    const keepAllocations = req.body.allocations === undefined
+      && previouslyAllocated.length > 0
+      && targetLedger === previousLedger
+      && ALLOCATING_PAYMENT_TYPES.includes(paymentType);
+    const allocations = await resolveAllocations(req.userId, {
+      paymentType,
+      invoiceType,
+      ledger: targetLedger,
+      amount: cashReceived,
+      requested: keepAllocations
+        ? existingVoucher.allocations.map((allocation) => ({ voucherId: allocation.voucherId, amount: allocation.amount }))
+        : req.body.allocations,
+      exclude: { voucherId: existingVoucher._id }
+    }, session);
+
     const normalizedInvoiceNumber = invoiceNumber ? String(invoiceNumber).trim() : '';
     if (normalizedInvoiceNumber) {
       const existingInvoice = await Voucher.findOne({
@@ -983,30 +1236,11 @@ router.put('/:id', async (req, res) => {
       throw badRequest('Voucher number already exists');
     }
 
-    let totals = {
-      pieces: 0,
-      grossWeight: 0,
-      lessWeight: 0,
-      netWeight: 0,
-      melting: 0,
-      wastage: 0,
-      fineWeight: 0,
-      labourRate: 0,
-      amount: 0
-    };
-    if (BILLING_TYPES.includes(paymentType)) {
-      totals = cleanedItems.reduce((acc, item) => ({
-        pieces: acc.pieces + toNumber(item.pieces),
-        grossWeight: acc.grossWeight + toNumber(item.grossWeight),
-        lessWeight: acc.lessWeight + toNumber(item.lessWeight),
-        netWeight: acc.netWeight + toNumber(item.netWeight),
-        melting: acc.melting + toNumber(item.melting),
-        wastage: acc.wastage + toNumber(item.wastage),
-        fineWeight: acc.fineWeight + toNumber(item.fineWeight),
-        labourRate: acc.labourRate + toNumber(item.labourRate),
-        amount: acc.amount + toNumber(item.amount)
-      }), totals);
-    }
+    const {
+      totals, exchange, stone, fineAdj, taxableValue, gstType, gstRate, gstCalc, total
+    } = calculateVoucherTotals({
+      paymentType, invoiceType, items: cleanedItems, stoneAmount, fineAmount, gstDetails, cashReceived
+    });
 
     const oldBalance = {
       amount: paymentType === 'cash' ? toNumber(targetLedger.balances.cashBalance)
@@ -1017,26 +1251,6 @@ router.put('/:id', async (req, res) => {
       fineWeight: toNumber(targetLedger.balances.goldFineWeight) + toNumber(targetLedger.balances.silverFineWeight)
     };
 
-    const stone = toNumber(stoneAmount);
-    const fineAdj = toNumber(fineAmount);
-    const taxableValue = totals.amount + stone;
-
-    let gstType = gstDetails?.gstType;
-    const gstRate = toNumber(gstDetails?.gstRate);
-    if (invoiceType === 'gst' && !['IGST', 'CGST_SGST'].includes(gstType)) {
-      gstType = null;
-    }
-    if (invoiceType === 'gst' && !gstType) {
-      throw badRequest('Invalid GST type for GST invoice');
-    }
-    const gstCalc = calculateGSTBreakdown(taxableValue, gstRate, gstType);
-
-    let totalBeforeGST = totals.amount + stone + fineAdj;
-    let total = totalBeforeGST + toNumber(gstCalc.totalGST);
-    if (SETTLEMENT_TYPES.includes(paymentType)) {
-      total = toNumber(cashReceived);
-    }
-
     let currentBalance = {
       amount: 0,
       netWeight: totals.netWeight
@@ -1062,19 +1276,10 @@ router.put('/:id', async (req, res) => {
       currentBalance.amount = oldBalance.amount - total;
     }
 
-    // Fetch user to check stockMode
-    const voucherUser = await User.findById(req.userId).session(session);
-    if (!voucherUser) {
-      throw notFound('User not found');
-    }
-
     let stockAdjustment = { gold: 0, silver: 0 };
     // Item mode tracks items individually, not bulk stock
     if (voucherUser.stockMode !== 'item' && usesStockAdjustment(paymentType)) {
       stockAdjustment = getFineByMetal(cleanedItems);
-      if (hasNonZeroStockAdjustment(stockAdjustment)) {
-        await applyStockAdjustmentForVoucher(req.userId, stockAdjustment, voucherType, { session });
-      }
     }
 
     const stockAdjusted = hasNonZeroStockAdjustment(stockAdjustment);
@@ -1089,8 +1294,8 @@ router.put('/:id', async (req, res) => {
     if (paymentType === 'credit') {
       if (voucherType === 'purchase') {
         cleanedItems.forEach((item) => {
-          if (item.metalType === 'gold') currentGoldFineWeight -= toNumber(item.fineWeight);
-          else if (item.metalType === 'silver') currentSilverFineWeight -= toNumber(item.fineWeight);
+          if (item.metalType === 'gold') currentGoldFineWeight -= getLineSign(item) * toNumber(item.fineWeight);
+          else if (item.metalType === 'silver') currentSilverFineWeight -= getLineSign(item) * toNumber(item.fineWeight);
         });
       } else {
         currentGoldFineWeight += stockAdjustment.gold;
@@ -1146,15 +1351,15 @@ router.put('/:id', async (req, res) => {
         cleanedItems.forEach((item) => {
           if (item.metalType === 'gold') {
             if (voucherType === 'purchase') {
-              targetLedger.balances.goldFineWeight -= toNumber(item.fineWeight);
+              targetLedger.balances.goldFineWeight -= getLineSign(item) * toNumber(item.fineWeight);
             } else {
-              targetLedger.balances.goldFineWeight += toNumber(item.fineWeight);
+              targetLedger.balances.goldFineWeight += getLineSign(item) * toNumber(item.fineWeight);
             }
           } else if (item.metalType === 'silver') {
             if (voucherType === 'purchase') {
-              targetLedger.balances.silverFineWeight -= toNumber(item.fineWeight);
+              targetLedger.balances.silverFineWeight -= getLineSign(item) * toNumber(item.fineWeight);
             } else {
-              targetLedger.balances.silverFineWeight += toNumber(item.fineWeight);
+              targetLedger.balances.silverFineWeight += getLineSign(item) * toNumber(item.fineWeight);
             }
           }
         });
@@ -1179,6 +1384,17 @@ router.put('/:id', async (req, res) => {
       targetLedger.balances.amount = calculateUnifiedAmount(targetLedger.balances);
     }
 
+    const creditLimitWarnings = voucherType === 'sale' && BILLING_TYPES.includes(paymentType)
+      ? checkCreditLimit(targetLedger, previousLedgerState)
+      : [];
+
+    // Nothing is written before this point, so a refused edit leaves the old
+    // voucher, its ledger and stock as they were even without a transaction
+    await restoreVoucherStock(existingVoucher, { session });
+    if (hasNonZeroStockAdjustment(stockAdjustment)) {
+      await applyStockAdjustmentForVoucher(req.userId, stockAdjustment, voucherType, { session });
+    }
+
     targetLedger.hasVouchers = true;
 
     if (String(previousLedger._id) !== String(targetLedger._id)) {
@@ -1207,13 +1423,14 @@ router.put('/:id', async (req, res) => {
       totals,
       stoneAmount: stone,
       fineAmount: fineAdj,
-      issue: issue || { gross: 0 },
-      receipt: receipt || { gross: 0 },
+      issue: BILLING_TYPES.includes(paymentType) ? exchange.issue : (issue || { gross: 0 }),
+      receipt: BILLING_TYPES.includes(paymentType) ? exchange.receipt : (receipt || { gross: 0 }),
       oldBalance,
       currentBalance,
       balanceSnapshot,
       total,
       cashReceived: toNumber(cashReceived),
+      payments,
       narration: narration || '',
       eWayBillNo: eWayBillNo || '',
       bankName: bankName || '',
@@ -1236,28 +1453,34 @@ router.put('/:id', async (req, res) => {
         sgst: gstCalc.sgst,
         totalGST: gstCalc.totalGST
       } : undefined,
-      creditDueDate: paymentType === 'credit'
-        ? new Date(Date.now() + CONSTANTS.CREDIT_PAYMENT.DUE_DAYS * 24 * 60 * 60 * 1000)
-        : null,
+      creditDueDate: paymentType === 'credit' ? getCreditDueDate(targetLedger, date || new Date()) : null,
       previousLedgerState,
       stockAdjusted,
       stockAdjustment,
       voucherType,
       stockRestored: false,
+      calculationWarnings,
+      allocations,
       status: 'active',
       cancelledReason: undefined
     });
+    existingVoucher.billSettlement = isBill(existingVoucher) ? toBillSettlement(existingVoucher) : undefined;
 
     await targetLedger.save({ session });
     await existingVoucher.save({ session });
+    await refreshBillSettlement(req.userId, [...previouslyAllocated, ...getAllocatedVoucherIds(existingVoucher)], session);
     if (session?.inTransaction()) {
       await session.commitTransaction();
     }
+    await recordAudit(req, {
+      entityType: 'voucher', action: 'update', before: beforeSnapshot, after: existingVoucher
+    });
 
     return res.json({
       success: true,
       message: 'Voucher updated successfully',
-      voucher: existingVoucher
+      voucher: existingVoucher,
+      creditLimitWarnings
     });
   } catch (error) {
     if (session?.inTransaction()) {
@@ -1275,7 +1498,7 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-router.patch('/:id', async (req, res) => {
+router.patch('/:id', requirePermission('voucher:cancel'), async (req, res) => {
   const session = await startOptionalSession();
   try {
     const { status, cancelledReason } = req.body;
@@ -1300,6 +1523,10 @@ router.patch('/:id', async (req, res) => {
         message: 'Voucher already cancelled'
       });
     }
+    await ensureNoActiveCreditNotes(voucher._id, session);
+    await ensureNoPaymentsApplied(voucher, session);
+    await assertPeriodOpen(req.userId, [voucher.date], session);
+    const beforeSnapshot = toSnapshot(voucher);
 
     // use current user's reversal window
     const currentUser = await User.findById(req.userId).select('reversalSettings');
@@ -1324,10 +1551,14 @@ router.patch('/:id', async (req, res) => {
     voucher.status = 'cancelled';
     voucher.cancelledReason = cancelledReason || 'Cancelled by user';
     await voucher.save({ session });
+    await refreshBillSettlement(req.userId, [voucher._id, ...getAllocatedVoucherIds(voucher)], session);
 
     if (session?.inTransaction()) {
       await session.commitTransaction();
     }
+    await recordAudit(req, {
+      entityType: 'voucher', action: 'cancel', before: beforeSnapshot, after: voucher, reason: voucher.cancelledReason
+    });
 
     const windowHours = currentUser?.reversalSettings
       ? (currentUser.reversalSettings.enabled === false
@@ -1358,7 +1589,7 @@ router.patch('/:id', async (req, res) => {
   }
 });
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('voucher:delete'), async (req, res) => {
   const session = await startOptionalSession();
   try {
     const voucher = await Voucher.findOne({
@@ -1373,11 +1604,28 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    await ensureNoActiveCreditNotes(voucher._id, session);
+    await ensureNoPaymentsApplied(voucher, session);
+    await assertPeriodOpen(req.userId, [voucher.date], session);
+    const beforeSnapshot = toSnapshot(voucher);
+
     const currentUser = await User.findById(req.userId).select('reversalSettings');
     const canReverse = canReverseForVoucher(voucher, currentUser);
 
     const ledger = await Ledger.findById(voucher.ledgerId).session(session);
+    const balancesBefore = captureBalances(ledger);
+    let stockDelta = { gold: 0, silver: 0 };
     if (ledger) {
+      // Both branches below put the voucher's fine back into stock under the same condition
+      const stockAdjustment = getVoucherStockAdjustment(voucher);
+      if (canReverse && !voucher.stockRestored && hasNonZeroStockAdjustment(stockAdjustment)) {
+        const direction = voucher.voucherType === 'purchase' ? -1 : 1;
+        stockDelta = {
+          gold: direction * toNumber(stockAdjustment.gold),
+          silver: direction * toNumber(stockAdjustment.silver)
+        };
+      }
+
       if (canReverse && voucher.status !== 'cancelled') {
         await reverseVoucherEffects(voucher, ledger, { session, restoreStock: true, markRestored: false });
       } else if (canReverse && !voucher.stockRestored) {
@@ -1404,11 +1652,21 @@ router.delete('/:id', async (req, res) => {
       await ledger.save({ session });
     }
 
-    await Voucher.findByIdAndDelete(req.params.id).session(session);
+    // Kept in the recycle bin with what was reversed, so it can be restored
+    markDeleted(voucher, {
+      ledgerDelta: ledger ? getBalanceDelta(balancesBefore, ledger) : undefined,
+      stockDelta,
+      reason: req.body?.reason
+    });
+    await voucher.save({ session });
+    await refreshBillSettlement(req.userId, [voucher._id, ...getAllocatedVoucherIds(voucher)], session);
 
     if (session?.inTransaction()) {
       await session.commitTransaction();
     }
+    await recordAudit(req, {
+      entityType: 'voucher', action: 'delete', before: beforeSnapshot, after: voucher, reason: voucher.deletion.reason
+    });
 
     const windowHours = currentUser?.reversalSettings
       ? (currentUser.reversalSettings.enabled === false
@@ -1419,8 +1677,8 @@ router.delete('/:id', async (req, res) => {
     return res.json({
       success: true,
       message: canReverse
-        ? 'Voucher deleted successfully'
-        : `Voucher deleted without reversal (older than ${windowHours} hours)`
+        ? 'Voucher moved to the recycle bin'
+        : `Voucher moved to the recycle bin without reversal (older than ${windowHours} hours)`
     });
   } catch (error) {
     if (session?.inTransaction()) {
@@ -1439,3 +1697,8 @@ router.delete('/:id', async (req, res) => {
 });
 
 module.exports = router;
+module.exports.calculateGSTBreakdown = calculateGSTBreakdown;
+module.exports.getFineByMetal = getFineByMetal;
+module.exports.hasNonZeroStockAdjustment = hasNonZeroStockAdjustment;
+module.exports.applyStockAdjustmentForVoucher = applyStockAdjustmentForVoucher;
+module.exports.withCostVisibility = withCostVisibility;
@@ -95,12 +95,27 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/ledger', require('./routes/ledger'));
 app.use('/api/voucher', require('./routes/voucher'));
+app.use('/api/credit-note', require('./routes/creditNote'));
+app.use('/api/receipt', require('./routes/receipt'));
+app.use('/api/pledge', require('./routes/pledge'));
 app.use('/api/settlement', require('./routes/settlement'));
 app.use('/api/stock', require('./routes/stock'));
 app.use('/api/karigar', require('./routes/karigar'));
 app.use('/api/expense', require('./routes/expense'));
 app.use('/api/category', require('./routes/category'));
 app.use('/api/item', require('./routes/item'));
+app.use('/api/purity', require('./routes/purity'));
+app.use('/api/reports', require('./routes/reports'));
+app.use('/api/number-series', require('./routes/numberSeries'));
+app.use('/api/staff', require('./routes/staff'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/recycle-bin', require('./routes/recycleBin'));
+app.use('/api/period-locks', require('./routes/periodLock'));
+app.use('/api/cash-count', require('./routes/cashCount'));
+app.use('/api/upi-qr', require('./routes/upiQr'));
+app.use('/api/interest', require('./routes/interest'));
+app.use('/api/reminders', require('./routes/reminder'));
+app.use('/api/public/statement', require('./routes/publicStatement'));
 
 // Serve uploaded files (QR codes, etc.) — protected by JWT
 const jwt = require('jsonwebtoken');
@@ -153,6 +168,8 @@ const PORT = process.env.PORT || 5000;
 mongoose.connect(process.env.MONGODB_URI)
   .then(() => {
     console.log('Connected to MongoDB');
+    require('./jobs/purgeRecycleBin').startPurgeRecycleBinJob();
+    require('./jobs/dispatchReminders').startDispatchRemindersJob();
     app.listen(PORT, () => {
       console.log('Server running');
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
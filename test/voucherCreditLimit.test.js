@@ -0,0 +1,136 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Voucher = require('../models/Voucher');
+const Ledger = require('../models/Ledger');
+const User = require('../models/User');
+const CreditNote = require('../models/CreditNote');
+const Receipt = require('../models/Receipt');
+const Settlement = require('../models/Settlement');
+const PeriodLock = require('../models/PeriodLock');
+const NumberSeries = require('../models/NumberSeries');
+const { Stock } = require('../models/Stock');
+const voucherRouter = require('../routes/voucher');
+
+const userId = new mongoose.Types.ObjectId();
+
+// Chainable stand-in for a mongoose query resolving to `value`
+const query = (value) => {
+  const chain = {
+    session: () => chain,
+    select: () => chain,
+    lean: () => chain,
+    sort: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+// The route's own handler, past auth, licence and permission middleware
+const getHandler = (method, path) => {
+  const layer = voucherRouter.stack.find((entry) => entry.route?.path === path && entry.route.methods[method]);
+  const { stack } = layer.route;
+  return stack[stack.length - 1].handle;
+};
+
+const invoke = async (method, path, { params = {}, body }) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+  await getHandler(method, path)({ userId, params, body, query: {} }, res);
+  return res;
+};
+
+const blockingLedger = () => new Ledger({
+  name: 'Ravi',
+  userId,
+  balances: { goldFineWeight: 0, silverFineWeight: 0, cashBalance: 0, creditBalance: 0, amount: 0 },
+  creditTerms: { goldLimit: 5, limitAction: 'block' }
+});
+
+const saleBody = (ledgerId) => ({
+  ledgerId,
+  date: new Date('2026-10-19'),
+  paymentType: 'credit',
+  goldRate: 7000,
+  silverRate: 90,
+  items: [{
+    itemName: 'Chain', metalType: 'gold', grossWeight: 10, netWeight: 10, melting: 100, fineWeight: 10
+  }]
+});
+
+// Record every write to stock and the numbering series
+const trackWrites = () => {
+  const writes = [];
+  const record = (name) => () => {
+    writes.push(name);
+    throw new Error(`unexpected ${name}`);
+  };
+  ['findOne', 'findOneAndUpdate', 'updateOne', 'create'].forEach((method) => {
+    mock.method(Stock, method, record(`Stock.${method}`));
+  });
+  ['find', 'findOne', 'findOneAndUpdate', 'updateOne'].forEach((method) => {
+    mock.method(NumberSeries, method, record(`NumberSeries.${method}`));
+  });
+  return writes;
+};
+
+const stubUser = () => mock.method(User, 'findById', () => query(new User({
+  phoneNumber: '9999999999', shopName: 'Shop', stockMode: 'bulk', voucherSettings: { autoIncrement: true }
+})));
+
+afterEach(() => mock.restoreAll());
+
+test('a credit sale refused by the credit limit leaves stock and the series counter unchanged', async () => {
+  const ledger = blockingLedger();
+  const writes = trackWrites();
+  stubUser();
+  mock.method(PeriodLock, 'findOne', () => query(null));
+  mock.method(Ledger, 'findOne', () => query(ledger));
+  const ledgerSave = mock.method(ledger, 'save', async () => ledger);
+  const voucherSave = mock.method(Voucher.prototype, 'save', async function save() { return this; });
+
+  const res = await invoke('post', '/', { body: saleBody(ledger._id) });
+
+  assert.strictEqual(res.statusCode, 409);
+  assert.match(res.body.message, /credit limit/);
+  assert.deepStrictEqual(writes, []);
+  assert.strictEqual(ledgerSave.mock.callCount(), 0);
+  assert.strictEqual(voucherSave.mock.callCount(), 0);
+});
+
+test('an edit refused by the credit limit leaves the old voucher, its ledger and stock unchanged', async () => {
+  const ledger = blockingLedger();
+  const existing = new Voucher({
+    voucherNumber: '7',
+    userId,
+    ledgerId: ledger._id,
+    customerName: ledger.name,
+    date: new Date('2026-10-19'),
+    paymentType: 'cash',
+    voucherType: 'sale',
+    total: 0,
+    items: [],
+    stockAdjustment: { gold: 1, silver: 0 },
+    previousLedgerState: { goldFineWeight: 0, silverFineWeight: 0, cashBalance: 0, creditBalance: 0, amount: 0 },
+    createdAt: new Date()
+  });
+  const writes = trackWrites();
+  stubUser();
+  mock.method(PeriodLock, 'findOne', () => query(null));
+  mock.method(Ledger, 'findOne', () => query(ledger));
+  mock.method(Voucher, 'findOne', (filter) => query(String(filter._id) === String(existing._id) ? existing : null));
+  [Voucher, Receipt, Settlement, CreditNote].forEach((model) => mock.method(model, 'countDocuments', () => query(0)));
+  const ledgerSave = mock.method(ledger, 'save', async () => ledger);
+  const voucherSave = mock.method(existing, 'save', async () => existing);
+
+  const res = await invoke('put', '/:id', { params: { id: existing._id }, body: saleBody(ledger._id) });
+
+  assert.strictEqual(res.statusCode, 409);
+  assert.deepStrictEqual(writes, []);
+  assert.strictEqual(ledgerSave.mock.callCount(), 0);
+  assert.strictEqual(voucherSave.mock.callCount(), 0);
+  assert.strictEqual(existing.paymentType, 'cash');
+});
@@ -0,0 +1,222 @@
+/**
+ * Receivables ageing.
+ *
+ * Splits what each customer owes (amount, gold fine, silver fine) by how old
+ * it is. Everything posted to the ledger is replayed in date order with the
+ * statement's signs (./ledgerStatement): amounts that raise the balance open
+ * debits, and receipts, settlements and credit notes clear the oldest open
+ * debits first (FIFO). Whatever is left open is aged from its own date into
+ * the AGEING.BUCKET_DAYS bands. A receipt with nothing left to clear is kept
+ * as an advance and absorbs the next debits. Opening balances are dated when
+ * the ledger was created. GST ledgers carry no running balance and are left out.
+ */
+
+const Ledger = require('../models/Ledger');
+const Voucher = require('../models/Voucher');
+const Settlement = require('../models/Settlement');
+const CreditNote = require('../models/CreditNote');
+const Receipt = require('../models/Receipt');
+const CONSTANTS = require('./constants');
+const { toNumber } = require('./helpers');
+const { toEntries } = require('./ledgerStatement');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const EPSILON = 1e-9;
+const DIMENSIONS = [
+    { key: 'amount', digits: 2 },
+    { key: 'gold', digits: 3 },
+    { key: 'silver', digits: 3 }
+];
+
+const round = (value, digits) => {
+    const factor = 10 ** digits;
+    return Math.round(toNumber(value) * factor) / factor;
+};
+
+/**
+ * Band labels, e.g. ['0-30', '31-60', '61-90', '90+'].
+ */
+const getBucketLabels = () => {
+    const days = CONSTANTS.AGEING.BUCKET_DAYS;
+    return [
+        ...days.map((limit, index) => `${index === 0 ? 0 : days[index - 1] + 1}-${limit}`),
+        `${days[days.length - 1]}+`
+    ];
+};
+
+const getBucketIndex = (ageDays) => {
+    const index = CONSTANTS.AGEING.BUCKET_DAYS.findIndex((limit) => ageDays <= limit);
+    return index === -1 ? CONSTANTS.AGEING.BUCKET_DAYS.length : index;
+};
+
+const startOfDay = (value) => {
+    const date = new Date(value);
+    date.setHours(0, 0, 0, 0);
+    return date;
+};
+
+/**
+ * FIFO-match one balance (amount, gold or silver) and age what stays open.
+ * @param {Array<{ date: Date, value: number }>} movements In date order; + owes, - paid.
+ * @param {Date} asOf
+ * @param {number} digits Rounding of the result.
+ * @returns {{ buckets: object, total: number, advance: number, oldestDate: Date|null }}
+ */
+const ageMovements = (movements, asOf, digits) => {
+    const open = [];
+    let advance = 0;
+
+    movements.forEach(({ date, value }) => {
+        if (value > EPSILON) {
+            const absorbed = Math.min(advance, value);
+            advance -= absorbed;
+            if (value - absorbed > EPSILON) open.push({ date, remaining: value - absorbed });
+        } else if (value < -EPSILON) {
+            let toClear = -value;
+            while (toClear > EPSILON && open.length > 0) {
+                const oldest = open[0];
+                const cleared = Math.min(oldest.remaining, toClear);
+                oldest.remaining -= cleared;
+                toClear -= cleared;
+                if (oldest.remaining <= EPSILON) open.shift();
+            }
+            advance += toClear;
+        }
+    });
+
+    const labels = getBucketLabels();
+    const amounts = labels.map(() => 0);
+    const asOfDay = startOfDay(asOf);
+    open.forEach(({ date, remaining }) => {
+        const ageDays = Math.max(0, Math.round((asOfDay - startOfDay(date)) / MS_PER_DAY));
+        amounts[getBucketIndex(ageDays)] += remaining;
+    });
+
+    return {
+        buckets: Object.fromEntries(labels.map((label, index) => [label, round(amounts[index], digits)])),
+        total: round(open.reduce((sum, { remaining }) => sum + remaining, 0), digits),
+        advance: round(advance, digits),
+        oldestDate: open[0]?.date || null
+    };
+};
+
+/**
+ * Ageing of one ledger from its entries.
+ * @param {object} ledger
+ * @param {{ vouchers: Array, settlements: Array, creditNotes: Array, receipts: Array }} postings
+ * @param {Date} asOf
+ */
+const ageLedger = (ledger, postings, asOf) => {
+    const ob = ledger.openingBalance || {};
+    const entries = [
+        {
+            date: ledger.createdAt,
+            effect: {
+                amount: toNumber(ob.amount),
+                gold: toNumber(ob.goldFineWeight),
+                silver: toNumber(ob.silverFineWeight)
+            }
+        },
+        ...toEntries(postings)
+    ];
+
+    return Object.fromEntries(DIMENSIONS.map(({ key, digits }) => [
+        key,
+        ageMovements(entries.map((entry) => ({ date: entry.date, value: entry.effect[key] })), asOf, digits)
+    ]));
+};
+
+const groupByLedger = (docs) => docs.reduce((map, doc) => {
+    const key = String(doc.ledgerId);
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(doc);
+    return map;
+}, new Map());
+
+/**
+ * Ageing for every regular ledger of the shop that owes something or holds an advance.
+ * @param {mongoose.Types.ObjectId} userId
+ * @param {{ asOf: Date, ledgerId?: string }} options `asOf` is the end of the last day counted.
+ * @returns {Promise<{ buckets: Array<string>, ledgers: Array<object>, totals: object }>}
+ */
+const buildAgeing = async (userId, { asOf, ledgerId }) => {
+    const ledgerFilter = { userId, ledgerType: { $ne: 'gst' } };
+    if (ledgerId) ledgerFilter._id = ledgerId;
+    const postingFilter = { userId, date: { $lte: asOf }, ...(ledgerId ? { ledgerId } : {}) };
+
+    const [ledgers, vouchers, settlements, creditNotes, receipts] = await Promise.all([
+        Ledger.find(ledgerFilter).select('name phoneNumber openingBalance createdAt').lean(),
+        Voucher.find({ ...postingFilter, invoiceType: { $ne: 'gst' }, status: 'active' }).lean(),
+        Settlement.find(postingFilter).lean(),
+        CreditNote.find({ ...postingFilter, invoiceType: { $ne: 'gst' }, status: 'active' }).lean(),
+        Receipt.find({ ...postingFilter, status: 'active' }).lean()
+    ]);
+    const vouchersByLedger = groupByLedger(vouchers);
+    const settlementsByLedger = groupByLedger(settlements);
+    const creditNotesByLedger = groupByLedger(creditNotes);
+    const receiptsByLedger = groupByLedger(receipts);
+
+    const labels = getBucketLabels();
+    const emptyTotals = () => ({ buckets: Object.fromEntries(labels.map((label) => [label, 0])), total: 0, advance: 0 });
+    const totals = Object.fromEntries(DIMENSIONS.map(({ key }) => [key, emptyTotals()]));
+
+    const rows = ledgers
+        .filter((ledger) => new Date(ledger.createdAt) <= asOf)
+        .map((ledger) => {
+            const key = String(ledger._id);
+            const ageing = ageLedger(ledger, {
+                vouchers: vouchersByLedger.get(key) || [],
+                settlements: settlementsByLedger.get(key) || [],
+                creditNotes: creditNotesByLedger.get(key) || [],
+                receipts: receiptsByLedger.get(key) || []
+            }, asOf);
+            return { ledgerId: ledger._id, name: ledger.name, phoneNumber: ledger.phoneNumber || '', ...ageing };
+        })
+        .filter((row) => DIMENSIONS.some(({ key }) => row[key].total > 0 || row[key].advance > 0));
+
+    rows.forEach((row) => {
+        DIMENSIONS.forEach(({ key, digits }) => {
+            labels.forEach((label) => {
+                totals[key].buckets[label] = round(totals[key].buckets[label] + row[key].buckets[label], digits);
+            });
+            totals[key].total = round(totals[key].total + row[key].total, digits);
+            totals[key].advance = round(totals[key].advance + row[key].advance, digits);
+        });
+    });
+
+    // Oldest money owed first
+    rows.sort((a, b) => (a.amount.oldestDate ? new Date(a.amount.oldestDate) : Infinity)
+        - (b.amount.oldestDate ? new Date(b.amount.oldestDate) : Infinity));
+
+    return { buckets: labels, ledgers: rows, totals };
+};
+
+const DIMENSION_LABELS = { amount: 'Amount', gold: 'Gold Fine (g)', silver: 'Silver Fine (g)' };
+
+/**
+ * CSV columns; one row per ledger and balance that has something open.
+ */
+const getAgeingCsvColumns = (labels) => [
+    { header: 'Ledger', key: 'name' },
+    { header: 'Phone', key: 'phoneNumber' },
+    { header: 'Balance', key: 'balance' },
+    ...labels.map((label) => ({ header: `${label} days`, key: (row) => row.buckets[label] })),
+    { header: 'Total', key: 'total' },
+    { header: 'Advance', key: 'advance' }
+];
+
+const getAgeingCsvRows = (ageing) => ageing.ledgers.flatMap((row) => DIMENSIONS
+    .filter(({ key }) => row[key].total > 0 || row[key].advance > 0)
+    .map(({ key }) => ({
+        name: row.name,
+        phoneNumber: row.phoneNumber,
+        balance: DIMENSION_LABELS[key],
+        ...row[key]
+    })));
+
+module.exports = {
+    ageMovements,
+    buildAgeing,
+    getAgeingCsvColumns,
+    getAgeingCsvRows
+};
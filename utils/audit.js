@@ -0,0 +1,63 @@
+/**
+ * Audit trail.
+ *
+ * `recordAudit` appends one AuditLog entry for a change made through the API:
+ * who made it (shop login or staff member), from where, and the document
+ * before and after. Call it once the change is committed. It never throws, so
+ * a logging failure cannot block or undo the change itself.
+ */
+
+const AuditLog = require('../models/AuditLog');
+
+const SECRET_FIELDS = ['password', 'tokenHash'];
+
+/**
+ * Plain copy of a document (or object) safe to store in the trail.
+ * Take the "before" snapshot before mutating the document.
+ */
+const toSnapshot = (doc) => {
+    if (!doc) return null;
+    const plain = typeof doc.toObject === 'function'
+        ? doc.toObject({ depopulate: true })
+        : { ...doc };
+    SECRET_FIELDS.forEach((field) => delete plain[field]);
+    return plain;
+};
+
+/**
+ * @param {import('express').Request} req Authenticated request (req.userId, req.actor).
+ * @param {object} entry
+ * @param {string} entry.entityType One of CONSTANTS.AUDIT.ENTITY_TYPES.
+ * @param {string} entry.action     e.g. 'create', 'update', 'cancel', 'delete'.
+ * @param {*} [entry.entityId]      Defaults to the _id of `after` or `before`.
+ * @param {object} [entry.before]
+ * @param {object} [entry.after]
+ * @param {string} [entry.reason]
+ */
+const recordAudit = async (req, {
+    entityType, action, entityId, before, after, reason
+}) => {
+    try {
+        const beforeSnapshot = toSnapshot(before);
+        const afterSnapshot = toSnapshot(after);
+        await AuditLog.create({
+            userId: req.userId,
+            entityType,
+            entityId: entityId || afterSnapshot?._id || beforeSnapshot?._id,
+            action,
+            actor: req.actor,
+            before: beforeSnapshot,
+            after: afterSnapshot,
+            reason: reason || undefined,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        });
+    } catch (error) {
+        console.error('Error recording audit entry:', error.message);
+    }
+};
+
+module.exports = {
+    toSnapshot,
+    recordAudit
+};
@@ -0,0 +1,221 @@
+/**
+ * Bank book.
+ *
+ * Money that moved through the bank rather than the drawer: the UPI, card,
+ * bank transfer and cheque lines of voucher payments (in on sales, out on
+ * purchases), of payment receipts and of pledge transactions (out on loans and
+ * auction surplus refunds, in on collections), and expenses paid online. Each entry
+ * carries the running bank balance, starting from everything dated before the
+ * range.
+ */
+
+const Voucher = require('../models/Voucher');
+const Expense = require('../models/Expense');
+const Receipt = require('../models/Receipt');
+const PledgeTransaction = require('../models/PledgeTransaction');
+const CONSTANTS = require('./constants');
+const { toNumber } = require('./helpers');
+const { PAYMENT_MODE_LABELS } = require('./payments');
+const { toDayKey } = require('./cashBook');
+const { PLEDGE_TRANSACTION_LABELS, isOutgoing } = require('./pledges');
+
+const BANK_MODES = CONSTANTS.VOUCHER_PAYMENT.MODES.filter((mode) => mode !== 'cash');
+
+const getModes = (mode) => (mode ? [mode] : BANK_MODES);
+
+/**
+ * Bank balance from everything dated before `before`.
+ * @param {mongoose.Types.ObjectId} userId
+ * @param {Date} before
+ * @param {string} [mode] Only this payment mode; online expenses are then left out.
+ */
+const getBankBefore = async (userId, before, mode) => {
+    const date = { $lt: before };
+    const modes = getModes(mode);
+    const [[voucherResult], [receiptResult], [pledgeResult], [expenseResult]] = await Promise.all([
+        Voucher.aggregate([
+            { $match: { userId, status: 'active', date, 'payments.mode': { $in: modes } } },
+            { $unwind: '$payments' },
+            { $match: { 'payments.mode': { $in: modes } } },
+            {
+                $group: {
+                    _id: null,
+                    total: {
+                        $sum: {
+                            $cond: [
+                                { $eq: ['$voucherType', 'purchase'] },
+                                { $multiply: ['$payments.amount', -1] },
+                                '$payments.amount'
+                            ]
+                        }
+                    }
+                }
+            }
+        ]),
+        Receipt.aggregate([
+            { $match: { userId, status: 'active', date, 'payments.mode': { $in: modes } } },
+            { $unwind: '$payments' },
+            { $match: { 'payments.mode': { $in: modes } } },
+            { $group: { _id: null, total: { $sum: '$payments.amount' } } }
+        ]),
+        PledgeTransaction.aggregate([
+            { $match: { userId, status: 'active', date, 'payments.mode': { $in: modes } } },
+            { $unwind: '$payments' },
+            { $match: { 'payments.mode': { $in: modes } } },
+            {
+                $group: {
+                    _id: null,
+                    total: {
+                        $sum: {
+                            $cond: [
+                                { $in: ['$type', CONSTANTS.PLEDGE.OUTGOING_TYPES] },
+                                { $multiply: ['$payments.amount', -1] },
+                                '$payments.amount'
+                            ]
+                        }
+                    }
+                }
+            }
+        ]),
+        mode
+            ? Promise.resolve([])
+            : Expense.aggregate([
+                { $match: { userId, date, paymentMethod: 'online' } },
+                { $group: { _id: null, total: { $sum: { $convert: { input: '$amount', to: 'double', onError: 0, onNull: 0 } } } } }
+            ])
+    ]);
+    return toNumber(voucherResult?.total) + toNumber(receiptResult?.total) + toNumber(pledgeResult?.total)
+        - toNumber(expenseResult?.total);
+};
+
+const describePayment = (payment) => [
+    PAYMENT_MODE_LABELS[payment.mode] || payment.mode,
+    payment.chequeNumber ? `No. ${payment.chequeNumber}` : null,
+    payment.bankName || null
+].filter(Boolean).join(' - ');
+
+/**
+ * Build the bank book for a date range.
+ * @param {mongoose.Types.ObjectId} userId
+ * @param {{ start: Date, end: Date, mode?: string }} range
+ * @returns {Promise<{ openingBalance: number, entries: Array<object>, totals: { amountIn: number, amountOut: number }, closingBalance: number }>}
+ */
+const buildBankBook = async (userId, { start, end, mode }) => {
+    const date = { $gte: start, $lte: end };
+    const modes = getModes(mode);
+    const [openingBalance, vouchers, receipts, pledgeTransactions, expenses] = await Promise.all([
+        getBankBefore(userId, start, mode),
+        Voucher.find({ userId, status: 'active', date, 'payments.mode': { $in: modes } }).lean(),
+        Receipt.find({ userId, status: 'active', date, 'payments.mode': { $in: modes } }).lean(),
+        PledgeTransaction.find({ userId, status: 'active', date, 'payments.mode': { $in: modes } }).lean(),
+        mode ? Promise.resolve([]) : Expense.find({ userId, date, paymentMethod: 'online' }).lean()
+    ]);
+
+    const rows = [
+        ...vouchers.flatMap((voucher) => voucher.payments
+            .filter((payment) => modes.includes(payment.mode))
+            .map((payment) => ({
+                date: voucher.date,
+                createdAt: voucher.createdAt,
+                type: 'voucher',
+                id: voucher._id,
+                reference: voucher.voucherNumber,
+                party: voucher.customerName,
+                mode: payment.mode,
+                particulars: describePayment(payment),
+                instrumentRef: payment.reference || '',
+                chequeDate: payment.chequeDate || null,
+                amountIn: voucher.voucherType === 'purchase' ? 0 : toNumber(payment.amount),
+                amountOut: voucher.voucherType === 'purchase' ? toNumber(payment.amount) : 0
+            }))),
+        ...receipts.flatMap((receipt) => receipt.payments
+            .filter((payment) => modes.includes(payment.mode))
+            .map((payment) => ({
+                date: receipt.date,
+                createdAt: receipt.createdAt,
+                type: 'receipt',
+                id: receipt._id,
+                reference: receipt.receiptNumber,
+                party: receipt.customerName,
+                mode: payment.mode,
+                particulars: describePayment(payment),
+                instrumentRef: payment.reference || '',
+                chequeDate: payment.chequeDate || null,
+                amountIn: toNumber(payment.amount),
+                amountOut: 0
+            }))),
+        ...pledgeTransactions.flatMap((transaction) => transaction.payments
+            .filter((payment) => modes.includes(payment.mode))
+            .map((payment) => ({
+                date: transaction.date,
+                createdAt: transaction.createdAt,
+                type: 'pledge',
+                id: transaction._id,
+                reference: transaction.pledgeNumber,
+                party: transaction.customerName,
+                mode: payment.mode,
+                particulars: `${PLEDGE_TRANSACTION_LABELS[transaction.type] || transaction.type} - ${describePayment(payment)}`,
+                instrumentRef: payment.reference || '',
+                chequeDate: payment.chequeDate || null,
+                amountIn: isOutgoing(transaction) ? 0 : toNumber(payment.amount),
+                amountOut: isOutgoing(transaction) ? toNumber(payment.amount) : 0
+            }))),
+        ...expenses.map((expense) => ({
+            date: expense.date,
+            createdAt: expense.createdAt,
+            type: 'expense',
+            id: expense._id,
+            reference: '',
+            party: '',
+            mode: 'online',
+            particulars: `Expense - ${expense.category}`,
+            instrumentRef: expense.description || '',
+            chequeDate: null,
+            amountIn: 0,
+            amountOut: toNumber(expense.amount)
+        }))
+    ].sort((a, b) => (new Date(a.date) - new Date(b.date)) || (new Date(a.createdAt) - new Date(b.createdAt)));
+
+    const totals = { amountIn: 0, amountOut: 0 };
+    let balance = openingBalance;
+    const entries = rows.map((row) => {
+        totals.amountIn += row.amountIn;
+        totals.amountOut += row.amountOut;
+        balance += row.amountIn - row.amountOut;
+        return { ...row, bankBalance: balance };
+    });
+
+    return {
+        openingBalance,
+        entries,
+        totals,
+        closingBalance: balance
+    };
+};
+
+const formatAmount = (value) => (toNumber(value) ? toNumber(value).toFixed(2) : '');
+
+const BANK_BOOK_CSV_COLUMNS = [
+    { header: 'Date', key: (row) => (row.date ? toDayKey(row.date) : '') },
+    { header: 'Reference', key: 'reference' },
+    { header: 'Party', key: 'party' },
+    { header: 'Particulars', key: 'particulars' },
+    { header: 'Instrument Ref', key: 'instrumentRef' },
+    { header: 'In', key: (row) => formatAmount(row.amountIn) },
+    { header: 'Out', key: (row) => formatAmount(row.amountOut) },
+    { header: 'Bank Balance', key: (row) => toNumber(row.bankBalance).toFixed(2) }
+];
+
+// Opening row, one row per entry, then closing totals
+const getBankBookCsvRows = (bankBook) => [
+    { particulars: 'Opening Balance', bankBalance: bankBook.openingBalance },
+    ...bankBook.entries,
+    { particulars: 'Closing Balance', ...bankBook.totals, bankBalance: bankBook.closingBalance }
+];
+
+module.exports = {
+    BANK_MODES,
+    buildBankBook,
+    BANK_BOOK_CSV_COLUMNS,
+    getBankBookCsvRows
+};
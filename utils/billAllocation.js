@@ -0,0 +1,265 @@
+/**
+ * Bill-wise settlement.
+ *
+ * A bill is an active, non-GST sale voucher that added to what the customer
+ * owes: the whole total of a credit or interest bill, the unpaid part of a
+ * cash bill. Money coming in can be applied to particular bills: payment
+ * receipts, add_cash / money_to_gold / money_to_silver vouchers and
+ * settlements that lower the credit balance each carry `allocations`, and an
+ * active credit note settles what it took off its bill. Whatever is not
+ * applied stays on account.
+ *
+ * The allocations are the source of truth. Whatever posts, cancels, deletes
+ * or restores one calls `refreshBillSettlement` for the bills it touches,
+ * which stores the result on the voucher as `billSettlement` so due-credits
+ * and bill lists can filter on it.
+ */
+
+const mongoose = require('mongoose');
+const Voucher = require('../models/Voucher');
+const Receipt = require('../models/Receipt');
+const Settlement = require('../models/Settlement');
+const CreditNote = require('../models/CreditNote');
+const CONSTANTS = require('./constants');
+const { toNumber, badRequest } = require('./helpers');
+
+const BILL_PAYMENT_TYPES = ['credit', 'cash', 'interest'];
+const { ALLOCATING_PAYMENT_TYPES } = CONSTANTS.BILL_SETTLEMENT;
+const AMOUNT_EPSILON = 0.005;
+
+// Vouchers whose bill status is tracked
+const BILL_FILTER = {
+    status: 'active',
+    invoiceType: { $ne: 'gst' },
+    voucherType: { $ne: 'purchase' },
+    paymentType: { $in: BILL_PAYMENT_TYPES }
+};
+
+const roundAmount = (value) => Math.round(toNumber(value) * 100) / 100;
+
+const toObjectIds = (ids) => [...new Set(ids.filter(Boolean).map(String))]
+    .map((id) => new mongoose.Types.ObjectId(id));
+
+/**
+ * What a sale voucher added to the amount the customer owes.
+ */
+const getBillAmount = (voucher) => {
+    if (voucher.paymentType === 'cash') {
+        return Math.max(0, roundAmount(toNumber(voucher.total) - toNumber(voucher.cashReceived)));
+    }
+    return roundAmount(voucher.total);
+};
+
+const isBill = (voucher) => voucher.status === 'active'
+    && voucher.invoiceType !== 'gst'
+    && voucher.voucherType !== 'purchase'
+    && BILL_PAYMENT_TYPES.includes(voucher.paymentType);
+
+/**
+ * The `billSettlement` stored on a bill once `settledAmount` has been applied to it.
+ * @returns {{ status: 'unpaid'|'partial'|'paid', billAmount: number, settledAmount: number, outstanding: number }}
+ */
+const toBillSettlement = (voucher, settledAmount = 0) => {
+    const billAmount = getBillAmount(voucher);
+    const settled = roundAmount(settledAmount);
+    const outstanding = Math.max(0, roundAmount(billAmount - settled));
+
+    let status = 'partial';
+    if (outstanding <= AMOUNT_EPSILON) status = 'paid';
+    else if (settled <= AMOUNT_EPSILON) status = 'unpaid';
+
+    return {
+        status, billAmount, settledAmount: settled, outstanding
+    };
+};
+
+const sumAllocations = (model, match, voucherIds, session) => model.aggregate([
+    { $match: match },
+    { $unwind: '$allocations' },
+    { $match: { 'allocations.voucherId': { $in: voucherIds } } },
+    { $group: { _id: '$allocations.voucherId', total: { $sum: '$allocations.amount' } } }
+]).session(session);
+
+/**
+ * Amount settled on each bill: applied receipts, vouchers and settlements plus
+ * active credit notes.
+ * @param {mongoose.Types.ObjectId} userId
+ * @param {Array<mongoose.Types.ObjectId>} voucherIds
+ * @param {import('mongoose').ClientSession|null} [session]
+ * @param {{ receiptId?, voucherId?, settlementId? }} [exclude] Leave this document's own allocations out, when re-allocating it.
+ * @returns {Promise<Map<string, number>>} Keyed by voucher id.
+ */
+const loadSettledAmounts = async (userId, voucherIds, session = null, exclude = {}) => {
+    const applied = { userId, 'allocations.voucherId': { $in: voucherIds } };
+    const notSelf = (id) => (id ? { _id: { $ne: id } } : {});
+
+    const results = await Promise.all([
+        sumAllocations(Receipt, { ...applied, status: 'active', ...notSelf(exclude.receiptId) }, voucherIds, session),
+        sumAllocations(Voucher, { ...applied, status: 'active', ...notSelf(exclude.voucherId) }, voucherIds, session),
+        sumAllocations(Settlement, { ...applied, ...notSelf(exclude.settlementId) }, voucherIds, session),
+        CreditNote.aggregate([
+            { $match: { userId, status: 'active', voucherId: { $in: voucherIds } } },
+            { $group: { _id: '$voucherId', total: { $sum: { $subtract: ['$total', { $ifNull: ['$cashSettled', 0] }] } } } }
+        ]).session(session)
+    ]);
+
+    const settled = new Map();
+    results.flat().forEach((row) => {
+        const key = String(row._id);
+        settled.set(key, toNumber(settled.get(key)) + toNumber(row.total));
+    });
+    return settled;
+};
+
+/**
+ * Bills of a ledger that still have something outstanding, oldest first.
+ * @param {mongoose.Types.ObjectId} userId
+ * @param {mongoose.Types.ObjectId} ledgerId
+ * @param {import('mongoose').ClientSession|null} [session]
+ * @param {{ receiptId?, voucherId?, settlementId? }} [exclude] See `loadSettledAmounts`.
+ * @returns {Promise<Array<{ voucherId, voucherNumber: string, date: Date, status: string, billAmount: number, settledAmount: number, outstanding: number }>>}
+ */
+const loadOutstandingBills = async (userId, ledgerId, session = null, exclude = {}) => {
+    const vouchers = await Voucher.find({ userId, ledgerId, ...BILL_FILTER })
+        .select('voucherNumber date createdAt paymentType total cashReceived')
+        .sort({ date: 1, createdAt: 1 })
+        .session(session)
+        .lean();
+    const bills = vouchers.filter((voucher) => getBillAmount(voucher) > 0);
+    const settled = await loadSettledAmounts(userId, bills.map((voucher) => voucher._id), session, exclude);
+
+    return bills
+        .map((voucher) => ({
+            voucherId: voucher._id,
+            voucherNumber: voucher.voucherNumber,
+            date: voucher.date,
+            ...toBillSettlement(voucher, settled.get(String(voucher._id)))
+        }))
+        .filter((bill) => bill.outstanding > AMOUNT_EPSILON);
+};
+
+/**
+ * Recompute and store `billSettlement` on the given vouchers. Ids that are no
+ * longer bills (cancelled, deleted, turned into a purchase) lose it.
+ * @param {mongoose.Types.ObjectId} userId
+ * @param {Array<mongoose.Types.ObjectId|string>} voucherIds
+ * @param {import('mongoose').ClientSession|null} [session]
+ */
+const refreshBillSettlement = async (userId, voucherIds, session = null) => {
+    const ids = toObjectIds(voucherIds);
+    if (ids.length === 0) return;
+
+    const vouchers = await Voucher.find({ _id: { $in: ids }, userId, ...BILL_FILTER })
+        .select('paymentType total cashReceived')
+        .session(session)
+        .lean();
+    const settled = await loadSettledAmounts(userId, vouchers.map((voucher) => voucher._id), session);
+    const billIds = new Set(vouchers.map((voucher) => String(voucher._id)));
+
+    await Voucher.bulkWrite([
+        ...vouchers.map((voucher) => ({
+            updateOne: {
+                filter: { _id: voucher._id },
+                update: { $set: { billSettlement: toBillSettlement(voucher, settled.get(String(voucher._id))) } }
+            }
+        })),
+        ...ids.filter((id) => !billIds.has(String(id))).map((id) => ({
+            updateOne: { filter: { _id: id }, update: { $unset: { billSettlement: '' } } }
+        }))
+    ], { session });
+};
+
+/**
+ * Bills a document's allocations point at, for `refreshBillSettlement`.
+ */
+const getAllocatedVoucherIds = (doc) => (doc?.allocations || []).map((allocation) => allocation.voucherId);
+
+/**
+ * Number of active receipts, vouchers and settlements applied to a bill.
+ */
+const countAppliedPayments = async (userId, voucherId, session = null) => {
+    const applied = { userId, 'allocations.voucherId': voucherId };
+    const counts = await Promise.all([
+        Receipt.countDocuments({ ...applied, status: 'active' }).session(session),
+        Voucher.countDocuments({ ...applied, status: 'active' }).session(session),
+        Settlement.countDocuments(applied).session(session)
+    ]);
+    return counts.reduce((sum, count) => sum + count, 0);
+};
+
+const toAllocation = (bill, amount) => ({
+    voucherId: bill.voucherId,
+    voucherNumber: bill.voucherNumber,
+    voucherDate: bill.date,
+    billAmount: bill.billAmount,
+    amount
+});
+
+/**
+ * Apply money received to bills.
+ * @param {number} amount The amount received.
+ * @param {Array<{ voucherId: string, amount: number }>|'auto'|undefined} requested
+ *   Explicit lines, 'auto' for oldest bills first, or nothing to keep it all on account.
+ * @param {Array<object>} bills From `loadOutstandingBills`.
+ * @returns {{ allocations: Array<object>, unallocatedAmount: number }}
+ */
+const allocatePayment = (amount, requested, bills) => {
+    if (requested === undefined || requested === null) {
+        return { allocations: [], unallocatedAmount: amount };
+    }
+
+    let allocations;
+    if (requested === 'auto') {
+        let remaining = amount;
+        allocations = [];
+        for (const bill of bills) {
+            if (remaining <= AMOUNT_EPSILON) break;
+            const applied = roundAmount(Math.min(remaining, bill.outstanding));
+            allocations.push(toAllocation(bill, applied));
+            remaining = roundAmount(remaining - applied);
+        }
+    } else {
+        if (!Array.isArray(requested)) {
+            throw badRequest("allocations must be an array or 'auto'");
+        }
+        const seen = new Set();
+        allocations = requested.map((line, index) => {
+            const row = `Allocation ${index + 1}`;
+            const key = String(line?.voucherId || '');
+            const bill = bills.find((candidate) => String(candidate.voucherId) === key);
+            if (!bill) {
+                throw badRequest(`${row}: bill not found or nothing outstanding on it`);
+            }
+            if (seen.has(key)) {
+                throw badRequest(`${row}: bill is listed more than once`);
+            }
+            seen.add(key);
+
+            const applied = roundAmount(line.amount === undefined ? bill.outstanding : line.amount);
+            if (!(applied > 0) || applied > bill.outstanding + AMOUNT_EPSILON) {
+                throw badRequest(`${row}: amount must be between 0 and ${bill.outstanding.toFixed(2)} for ${bill.voucherNumber}`);
+            }
+            return toAllocation(bill, applied);
+        });
+    }
+
+    const allocatedTotal = roundAmount(allocations.reduce((sum, line) => sum + line.amount, 0));
+    if (allocatedTotal > amount + AMOUNT_EPSILON) {
+        throw badRequest(`Allocations (${allocatedTotal.toFixed(2)}) cannot exceed the amount received (${amount.toFixed(2)})`);
+    }
+    return { allocations, unallocatedAmount: roundAmount(amount - allocatedTotal) };
+};
+
+module.exports = {
+    ALLOCATING_PAYMENT_TYPES,
+    BILL_FILTER,
+    getBillAmount,
+    isBill,
+    toBillSettlement,
+    loadSettledAmounts,
+    loadOutstandingBills,
+    refreshBillSettlement,
+    getAllocatedVoucherIds,
+    countAppliedPayments,
+    allocatePayment
+};
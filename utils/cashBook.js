@@ -0,0 +1,369 @@
+/**
+ * Day book and cash book.
+ *
+ * Lists everything posted on one day (vouchers, receipts, settlements, pledge
+ * transactions, karigar transactions, expenses and stock inputs) in time order with the drawer cash
+ * and the gold / silver fine each entry moved, plus the drawer cash carried in
+ * from earlier days and out to the next.
+ *
+ * Drawer cash follows the same rules as the `cashBreakdown` on GET /api/stock:
+ *   in  — cash received on sale vouchers (cash, add_cash, money_to_*),
+ *         payment receipts and pledge collections (interest, release,
+ *         redemption, auction sale)
+ *   out — cash paid on purchase vouchers, pledge loans and auction surplus
+ *         refunds, karigar charges, cash expenses, cash paid for stock inputs
+ * Only the cash lines of split-payment vouchers, receipts and pledge
+ * transactions count (see ./payments). A forfeited pledge brings its fine into stock.
+ * Settlements convert balances between metal and money and move no cash.
+ */
+
+const Voucher = require('../models/Voucher');
+const Settlement = require('../models/Settlement');
+const Receipt = require('../models/Receipt');
+const PledgeTransaction = require('../models/PledgeTransaction');
+const Karigar = require('../models/Karigar');
+const Expense = require('../models/Expense');
+const { StockInput } = require('../models/Stock');
+const CONSTANTS = require('./constants');
+const { toNumber } = require('./helpers');
+const { PAYMENT_TYPE_LABELS } = require('./ledgerStatement');
+const { getCashPortion, CASH_PORTION_EXPRESSION } = require('./payments');
+const { PLEDGE_TRANSACTION_LABELS, isOutgoing } = require('./pledges');
+
+const SALE_CASH_TYPES = ['cash', 'add_cash', 'money_to_gold', 'money_to_silver'];
+
+/**
+ * Parse `YYYY-MM-DD` into the bounds of that day (server time). Defaults to today.
+ * @returns {{ start: Date, end: Date, key: string }|null} null when malformed.
+ */
+const parseDay = (value) => {
+    let year;
+    let monthIndex;
+    let day;
+    if (value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+        if (!match) return null;
+        [year, monthIndex, day] = [Number(match[1]), Number(match[2]) - 1, Number(match[3])];
+    } else {
+        const today = new Date();
+        [year, monthIndex, day] = [today.getFullYear(), today.getMonth(), today.getDate()];
+    }
+
+    const start = new Date(year, monthIndex, day, 0, 0, 0, 0);
+    if (start.getMonth() !== monthIndex || start.getDate() !== day) return null;
+    const end = new Date(year, monthIndex, day, 23, 59, 59, 999);
+    const key = `${year}-${String(monthIndex + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    return { start, end, key };
+};
+
+const emptyMovement = () => ({
+    cashIn: 0, cashOut: 0, goldIn: 0, goldOut: 0, silverIn: 0, silverOut: 0
+});
+
+// Signed fine into stock (+) or out of it (-) as in/out columns
+const addFine = (movement, metal, signed) => {
+    if (signed > 0) movement[`${metal}In`] += signed;
+    if (signed < 0) movement[`${metal}Out`] += -signed;
+};
+
+const getVoucherMovement = (voucher) => {
+    const movement = emptyMovement();
+    const isPurchase = voucher.voucherType === 'purchase';
+    const cash = getCashPortion(voucher);
+
+    if (isPurchase) {
+        movement.cashOut = cash;
+    } else if (SALE_CASH_TYPES.includes(voucher.paymentType)) {
+        movement.cashIn = cash;
+    }
+
+    // stockAdjustment is the fine the voucher took out of stock (sale) or put in (purchase)
+    const direction = isPurchase ? 1 : -1;
+    addFine(movement, 'gold', direction * toNumber(voucher.stockAdjustment?.gold));
+    addFine(movement, 'silver', direction * toNumber(voucher.stockAdjustment?.silver));
+    return movement;
+};
+
+const getReceiptMovement = (receipt) => ({ ...emptyMovement(), cashIn: getCashPortion(receipt) });
+
+// Loans and surplus refunds pay cash out; collections bring it in
+const getPledgeMovement = (transaction) => {
+    const movement = emptyMovement();
+    if (isOutgoing(transaction)) {
+        movement.cashOut = getCashPortion(transaction);
+    } else {
+        movement.cashIn = getCashPortion(transaction);
+    }
+    addFine(movement, 'gold', toNumber(transaction.fine?.gold));
+    addFine(movement, 'silver', toNumber(transaction.fine?.silver));
+    return movement;
+};
+
+// Payments send fine out of stock; receipts and money conversions bring it in
+const getSettlementMovement = (settlement) => {
+    const movement = emptyMovement();
+    const direction = settlement.direction === 'payment' ? -1 : 1;
+    addFine(movement, settlement.metalType, direction * toNumber(settlement.fineGiven));
+    return movement;
+};
+
+const getKarigarMovement = (transaction) => {
+    const movement = emptyMovement();
+    const direction = transaction.type === 'given' ? -1 : 1;
+    addFine(movement, transaction.metalType, direction * toNumber(transaction.fineWeight));
+    movement.cashOut = toNumber(transaction.chargeAmount);
+    return movement;
+};
+
+const getExpenseMovement = (expense) => {
+    const movement = emptyMovement();
+    if ((expense.paymentMethod || 'cash') === 'cash') {
+        movement.cashOut = toNumber(expense.amount);
+    }
+    return movement;
+};
+
+const getStockInputMovement = (input) => {
+    const movement = emptyMovement();
+    addFine(movement, 'gold', toNumber(input.gold));
+    addFine(movement, 'silver', toNumber(input.silver));
+    movement.cashOut = toNumber(input.cashAmount);
+    return movement;
+};
+
+const toEntries = ({
+    vouchers = [], receipts = [], pledgeTransactions = [], settlements = [], karigarTransactions = [], expenses = [], stockInputs = []
+}) => [
+    ...vouchers.map((voucher) => ({
+        date: voucher.date,
+        createdAt: voucher.createdAt,
+        type: 'voucher',
+        id: voucher._id,
+        reference: voucher.voucherNumber,
+        party: voucher.customerName,
+        particulars: [
+            voucher.voucherType === 'purchase' ? 'Purchase' : null,
+            PAYMENT_TYPE_LABELS[voucher.paymentType] || voucher.paymentType
+        ].filter(Boolean).join(' - '),
+        narration: voucher.narration || '',
+        ...getVoucherMovement(voucher)
+    })),
+    ...receipts.map((receipt) => ({
+        date: receipt.date,
+        createdAt: receipt.createdAt,
+        type: 'receipt',
+        id: receipt._id,
+        reference: receipt.receiptNumber,
+        party: receipt.customerName,
+        particulars: 'Payment Received',
+        narration: receipt.narration || '',
+        ...getReceiptMovement(receipt)
+    })),
+    ...pledgeTransactions.map((transaction) => ({
+        date: transaction.date,
+        createdAt: transaction.createdAt,
+        type: 'pledge',
+        id: transaction._id,
+        reference: transaction.pledgeNumber,
+        party: transaction.customerName,
+        particulars: PLEDGE_TRANSACTION_LABELS[transaction.type] || transaction.type,
+        narration: transaction.narration || '',
+        ...getPledgeMovement(transaction)
+    })),
+    ...settlements.map((settlement) => ({
+        date: settlement.date,
+        createdAt: settlement.createdAt,
+        type: 'settlement',
+        id: settlement._id,
+        reference: '',
+        party: settlement.customerName,
+        particulars: `Settlement (${settlement.metalType} ${settlement.direction || 'payment'})`,
+        narration: settlement.narration || '',
+        ...getSettlementMovement(settlement)
+    })),
+    ...karigarTransactions.map((transaction) => ({
+        date: transaction.date,
+        createdAt: transaction.createdAt,
+        type: 'karigar',
+        id: transaction._id,
+        reference: '',
+        party: transaction.karigarName,
+        particulars: `Karigar ${transaction.type} - ${transaction.itemName}`,
+        narration: transaction.narration || '',
+        ...getKarigarMovement(transaction)
+    })),
+    ...expenses.map((expense) => ({
+        date: expense.date,
+        createdAt: expense.createdAt,
+        type: 'expense',
+        id: expense._id,
+        reference: '',
+        party: '',
+        particulars: `Expense - ${expense.category}${expense.paymentMethod === 'online' ? ' (online)' : ''}`,
+        narration: expense.description || '',
+        ...getExpenseMovement(expense)
+    })),
+    ...stockInputs.map((input) => ({
+        date: input.date,
+        createdAt: input.createdAt,
+        type: 'stock_input',
+        id: input._id,
+        reference: '',
+        party: '',
+        particulars: 'Stock added',
+        narration: '',
+        ...getStockInputMovement(input)
+    }))
+].sort((a, b) => (new Date(a.date) - new Date(b.date)) || (new Date(a.createdAt) - new Date(b.createdAt)));
+
+// `value` is a field path such as '$amount' or an aggregation expression
+const sumCash = async (model, match, value) => {
+    const [result] = await model.aggregate([
+        { $match: match },
+        { $group: { _id: null, total: { $sum: { $convert: { input: value, to: 'double', onError: 0, onNull: 0 } } } } }
+    ]);
+    return toNumber(result?.total);
+};
+
+/**
+ * Drawer cash from everything dated before `before`. Mirrors the entry rules above.
+ */
+const getCashBefore = async (userId, before) => {
+    const date = { $lt: before };
+    const pledge = { userId, status: 'active', date };
+    const [saleCash, receiptCash, pledgeCashIn, purchaseCash, pledgeCashOut, karigarCharges, cashExpenses, stockCash] = await Promise.all([
+        sumCash(Voucher, {
+            userId, status: 'active', date, voucherType: { $ne: 'purchase' }, paymentType: { $in: SALE_CASH_TYPES }
+        }, CASH_PORTION_EXPRESSION),
+        sumCash(Receipt, { userId, status: 'active', date }, CASH_PORTION_EXPRESSION),
+        sumCash(PledgeTransaction, { ...pledge, type: { $nin: CONSTANTS.PLEDGE.OUTGOING_TYPES } }, CASH_PORTION_EXPRESSION),
+        sumCash(Voucher, { userId, status: 'active', date, voucherType: 'purchase' }, CASH_PORTION_EXPRESSION),
+        sumCash(PledgeTransaction, { ...pledge, type: { $in: CONSTANTS.PLEDGE.OUTGOING_TYPES } }, CASH_PORTION_EXPRESSION),
+        sumCash(Karigar, { userId, date, isDeleted: { $ne: true } }, '$chargeAmount'),
+        sumCash(Expense, { userId, date, paymentMethod: { $ne: 'online' } }, '$amount'),
+        sumCash(StockInput, { userId, date }, '$cashAmount')
+    ]);
+    return saleCash + receiptCash + pledgeCashIn - purchaseCash - pledgeCashOut - karigarCharges - cashExpenses - stockCash;
+};
+
+const loadEntries = async (userId, start, end) => {
+    const date = { $gte: start, $lte: end };
+    const [vouchers, receipts, pledgeTransactions, settlements, karigarTransactions, expenses, stockInputs] = await Promise.all([
+        Voucher.find({ userId, date, status: 'active' }).lean(),
+        Receipt.find({ userId, date, status: 'active' }).lean(),
+        PledgeTransaction.find({ userId, date, status: 'active' }).lean(),
+        Settlement.find({ userId, date }).lean(),
+        Karigar.find({ userId, date, isDeleted: { $ne: true } }).lean(),
+        Expense.find({ userId, date }).lean(),
+        StockInput.find({ userId, date }).lean()
+    ]);
+    return toEntries({
+        vouchers, receipts, pledgeTransactions, settlements, karigarTransactions, expenses, stockInputs
+    });
+};
+
+// Local `YYYY-MM-DD` of a date, matching the keys `parseDay` produces
+const toDayKey = (value) => {
+    const date = new Date(value);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Build the day book for one shop and day.
+ * @param {mongoose.Types.ObjectId} userId
+ * @param {{ start: Date, end: Date }} day From `parseDay`.
+ * @returns {Promise<{ openingCash: number, entries: Array<object>, totals: object, closingCash: number }>}
+ */
+const buildDayBook = async (userId, { start, end }) => {
+    const [openingCash, dayEntries] = await Promise.all([
+        getCashBefore(userId, start),
+        loadEntries(userId, start, end)
+    ]);
+
+    const totals = emptyMovement();
+    let cash = openingCash;
+    const entries = dayEntries.map((entry) => {
+        Object.keys(totals).forEach((key) => { totals[key] += entry[key]; });
+        cash += entry.cashIn - entry.cashOut;
+        return { ...entry, cashBalance: cash };
+    });
+
+    return {
+        openingCash,
+        entries,
+        totals,
+        closingCash: cash
+    };
+};
+
+/**
+ * Drawer cash day by day over a range: opening, cash in / out and closing for
+ * every day from `start` to `end`, including days with no entries.
+ * @param {mongoose.Types.ObjectId} userId
+ * @param {Date} start Start of the first day.
+ * @param {Date} end   End of the last day.
+ * @returns {Promise<Array<{ date: string, openingCash: number, cashIn: number, cashOut: number, closingCash: number }>>}
+ */
+const buildDailyCash = async (userId, start, end) => {
+    const [openingCash, entries] = await Promise.all([
+        getCashBefore(userId, start),
+        loadEntries(userId, start, end)
+    ]);
+
+    const byDay = new Map();
+    entries.forEach((entry) => {
+        const key = toDayKey(entry.date);
+        const day = byDay.get(key) || { cashIn: 0, cashOut: 0 };
+        day.cashIn += entry.cashIn;
+        day.cashOut += entry.cashOut;
+        byDay.set(key, day);
+    });
+
+    const days = [];
+    let cash = openingCash;
+    for (let day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
+        const key = toDayKey(day);
+        const { cashIn, cashOut } = byDay.get(key) || { cashIn: 0, cashOut: 0 };
+        const opening = cash;
+        cash += cashIn - cashOut;
+        days.push({ date: key, openingCash: opening, cashIn, cashOut, closingCash: cash });
+    }
+    return days;
+};
+
+const formatTime = (value) => (value ? new Date(value).toTimeString().slice(0, 5) : '');
+const formatCell = (value, digits) => (toNumber(value) ? toNumber(value).toFixed(digits) : '');
+
+const DAY_BOOK_CSV_COLUMNS = [
+    { header: 'Time', key: (row) => formatTime(row.createdAt) },
+    { header: 'Type', key: 'type' },
+    { header: 'Reference', key: 'reference' },
+    { header: 'Party', key: 'party' },
+    { header: 'Particulars', key: 'particulars' },
+    { header: 'Narration', key: 'narration' },
+    { header: 'Cash In', key: (row) => formatCell(row.cashIn, 2) },
+    { header: 'Cash Out', key: (row) => formatCell(row.cashOut, 2) },
+    { header: 'Gold In', key: (row) => formatCell(row.goldIn, 3) },
+    { header: 'Gold Out', key: (row) => formatCell(row.goldOut, 3) },
+    { header: 'Silver In', key: (row) => formatCell(row.silverIn, 3) },
+    { header: 'Silver Out', key: (row) => formatCell(row.silverOut, 3) },
+    { header: 'Cash Balance', key: (row) => toNumber(row.cashBalance).toFixed(2) }
+];
+
+// Opening row, one row per entry, then closing totals
+const getDayBookCsvRows = (dayBook) => [
+    { particulars: 'Opening Cash', cashBalance: dayBook.openingCash },
+    ...dayBook.entries,
+    { particulars: 'Closing Cash', ...dayBook.totals, cashBalance: dayBook.closingCash }
+];
+
+module.exports = {
+    parseDay,
+    toDayKey,
+    getVoucherMovement,
+    getCashBefore,
+    buildDayBook,
+    buildDailyCash,
+    DAY_BOOK_CSV_COLUMNS,
+    getDayBookCsvRows
+};
@@ -15,12 +15,157 @@ module.exports = {
     DEFAULT_INTEREST_RATE: 0
   },
 
+  // Per-ledger credit days and limits
+  CREDIT_TERMS: {
+    LIMIT_ACTIONS: ['warn', 'block'],
+    MAX_CREDIT_DAYS: 365
+  },
+
+  // Receivables ageing bands: 0-30, 31-60, 61-90 and 90+ days
+  AGEING: {
+    BUCKET_DAYS: [30, 60, 90]
+  },
+
+  // Interest on overdue cash balances; rates are percent per month
+  INTEREST: {
+    METHODS: ['simple', 'compound'],
+    DAYS_PER_MONTH: 30,
+    MAX_MONTHLY_RATE: 10
+  },
+
   // Reversal Policy
   // Set REVERSAL_WINDOW_HOURS in environment (e.g., 24 or 48).
   REVERSAL_POLICY: {
     WINDOW_HOURS: Number(process.env.REVERSAL_WINDOW_HOURS || 48)
   },
 
+  // Customer-shareable statement links
+  STATEMENT_LINK: {
+    DEFAULT_EXPIRY_DAYS: 7,
+    MAX_EXPIRY_DAYS: 90,
+    ACCESS_LOG_LIMIT: 100
+  },
+
+  // Purity master seeded for every shop (fineness is parts per thousand)
+  PURITY: {
+    DEFAULTS: [
+      { name: '24K', metal: 'gold', fineness: 999 },
+      { name: '22K', metal: 'gold', fineness: 916 },
+      { name: '18K', metal: 'gold', fineness: 750 },
+      { name: '14K', metal: 'gold', fineness: 585 },
+      { name: '999', metal: 'silver', fineness: 999 },
+      { name: '925', metal: 'silver', fineness: 925 }
+    ]
+  },
+
+  // Server-side voucher line calculation
+  VOUCHER_CALCULATION: {
+    MODES: ['flag', 'reject'],
+    DEFAULT_MODE: 'flag',
+    WEIGHT_TOLERANCE: 0.005, // grams
+    AMOUNT_TOLERANCE: 1 // rupees
+  },
+
+  // Staff logins under a shop. The shop's own login always has every permission.
+  STAFF: {
+    ROLES: ['owner', 'manager', 'cashier', 'karigar_desk'],
+    PERMISSIONS: [
+      'voucher:create',
+      'voucher:edit',
+      'voucher:cancel',
+      'voucher:delete',
+      'purchase:view_cost',
+      'rates:edit',
+      'ledger:manage',
+      'settlement:manage',
+      'stock:manage',
+      'karigar:manage',
+      'expense:manage',
+      'reports:view',
+      'settings:manage',
+      'staff:manage',
+      'audit:view',
+      'period:close',
+      'cash:count',
+      'reminder:send',
+      'pledge:manage'
+    ],
+    ROLE_PERMISSIONS: {
+      manager: [
+        'voucher:create', 'voucher:edit', 'voucher:cancel', 'voucher:delete',
+        'purchase:view_cost', 'rates:edit', 'ledger:manage', 'settlement:manage',
+        'stock:manage', 'karigar:manage', 'expense:manage', 'reports:view', 'audit:view',
+        'period:close', 'cash:count', 'reminder:send', 'pledge:manage'
+      ],
+      cashier: ['voucher:create', 'ledger:manage', 'settlement:manage', 'cash:count', 'pledge:manage'],
+      karigar_desk: ['karigar:manage', 'stock:manage']
+    }
+  },
+
+  // Deleted vouchers and settlements stay restorable for this many days
+  RECYCLE_BIN: {
+    DEFAULT_RETENTION_DAYS: 30,
+    MAX_RETENTION_DAYS: 365,
+    PURGE_INTERVAL_HOURS: 6
+  },
+
+  AUDIT: {
+    ENTITY_TYPES: [
+      'voucher', 'credit_note', 'ledger', 'settlement', 'stock', 'rates', 'expense',
+      'karigar', 'category', 'purity', 'number_series', 'staff', 'settings', 'period_lock',
+      'cash_count', 'receipt', 'pledge', 'item', 'reminder', 'user'
+    ]
+  },
+
+  // Physical drawer counts
+  CASH_COUNT: {
+    DENOMINATIONS: [2000, 500, 200, 100, 50, 20, 10, 5, 2, 1],
+    MAX_REPORT_DAYS: 62
+  },
+
+  // Split payments on vouchers; every mode but cash goes to the bank book
+  VOUCHER_PAYMENT: {
+    MODES: ['cash', 'upi', 'card', 'bank_transfer', 'cheque'],
+    MAX_BANK_BOOK_DAYS: 366
+  },
+
+  // Bill-wise settlement of sale bills, see utils/billAllocation
+  BILL_SETTLEMENT: {
+    STATUSES: ['unpaid', 'partial', 'paid'],
+    // Item-less vouchers whose money can be applied to bills
+    ALLOCATING_PAYMENT_TYPES: ['add_cash', 'money_to_gold', 'money_to_silver']
+  },
+
+  // Loans against pledged ornaments (girvi), see utils/pledges
+  PLEDGE: {
+    STATUSES: ['active', 'redeemed', 'forfeited', 'auctioned', 'cancelled'],
+    ITEM_STATUSES: ['pledged', 'released', 'forfeited', 'auctioned'],
+    // disbursement pays the loan out and refund pays back an auction surplus; forfeit moves no money
+    TRANSACTION_TYPES: ['disbursement', 'interest', 'release', 'redemption', 'auction', 'refund', 'forfeit'],
+    OUTGOING_TYPES: ['disbursement', 'refund'],
+    DEFAULT_MONTHLY_RATE: 2,
+    DEFAULT_LTV_PERCENT: 75,
+    DEFAULT_TENURE_MONTHS: 12,
+    // Interest is charged for at least this many days when a loan is closed early
+    DEFAULT_MINIMUM_DAYS: 30
+  },
+
+  // Payment reminders to overdue customers, sent from an outbox by jobs/dispatchReminders
+  REMINDER: {
+    CHANNELS: ['whatsapp', 'sms'],
+    STATUSES: ['queued', 'sending', 'sent', 'failed', 'cancelled'],
+    MAX_ATTEMPTS: 3,
+    // Doubles after every failed attempt
+    RETRY_DELAY_MINUTES: 15,
+    // A message left 'sending' this long (e.g. the server stopped mid-send) is queued again
+    STALE_SENDING_MINUTES: 10,
+    DISPATCH_INTERVAL_MINUTES: 5,
+    DISPATCH_BATCH_SIZE: 50,
+    MAX_TEMPLATE_LENGTH: 1000,
+    DEFAULT_TEMPLATE: 'Dear {name}, {amountOwed} at {shopName} was due on {dueDate} ({daysOverdue} days overdue). '
+      + 'Kindly clear it at the earliest.'
+  },
+
   // Stock Configuration
   STOCK: {
     MIN_ALLOWED: 0,
@@ -57,7 +202,26 @@ module.exports = {
     DEFAULT_RATE: 18,
     FORMAT_REGEX: /^\d{2}[A-Z]{5}\d{4}[A-Z0-9]{4}$/,
     LENGTH: 15,
-    STATE_CODE_LENGTH: 2
+    STATE_CODE_LENGTH: 2,
+    // Inter-state B2C invoices above this value are reported invoice-wise (B2CL)
+    B2CL_INVOICE_LIMIT: 100000,
+    HSN_DESCRIPTIONS: {
+      7106: 'Silver',
+      7108: 'Gold',
+      7113: 'Articles of jewellery',
+      7114: 'Articles of goldsmiths or silversmiths wares'
+    },
+    STATE_NAMES: {
+      '01': 'Jammu & Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+      '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh',
+      '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur',
+      '15': 'Mizoram', '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal',
+      '20': 'Jharkhand', '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+      '25': 'Daman & Diu', '26': 'Dadra & Nagar Haveli & Daman & Diu', '27': 'Maharashtra',
+      '28': 'Andhra Pradesh (Old)', '29': 'Karnataka', '30': 'Goa', '31': 'Lakshadweep', '32': 'Kerala',
+      '33': 'Tamil Nadu', '34': 'Puducherry', '35': 'Andaman & Nicobar Islands', '36': 'Telangana',
+      '37': 'Andhra Pradesh', '38': 'Ladakh', '97': 'Other Territory', '99': 'Centre Jurisdiction'
+    }
   },
 
   // Pagination
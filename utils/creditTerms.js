@@ -0,0 +1,120 @@
+/**
+ * Credit terms per customer ledger.
+ *
+ * A ledger may carry its own credit days (how long a credit bill stays
+ * undue) and credit limits on the amount and on gold / silver fine owed.
+ * Unset fields fall back to CREDIT_PAYMENT.DUE_DAYS and "no limit". A sale
+ * that takes a balance over its limit is either allowed with a warning or
+ * refused, per the ledger's `limitAction`.
+ */
+
+const CONSTANTS = require('./constants');
+const { toNumber, createError, calculateUnifiedAmount } = require('./helpers');
+
+const LIMIT_FIELDS = [
+    { key: 'amountLimit', label: 'amount', getBalance: (balances) => calculateUnifiedAmount(balances), unit: '' },
+    { key: 'goldLimit', label: 'gold fine', getBalance: (balances) => toNumber(balances.goldFineWeight), unit: ' g' },
+    { key: 'silverLimit', label: 'silver fine', getBalance: (balances) => toNumber(balances.silverFineWeight), unit: ' g' }
+];
+
+const isSet = (value) => value !== undefined && value !== null;
+
+/**
+ * Days a credit bill on this ledger stays undue.
+ */
+const getCreditDays = (ledger) => {
+    const days = ledger?.creditTerms?.creditDays;
+    return isSet(days) ? toNumber(days) : toNumber(CONSTANTS.CREDIT_PAYMENT.DUE_DAYS, 5);
+};
+
+/**
+ * Due date of a credit bill dated `date` on this ledger.
+ */
+const getCreditDueDate = (ledger, date = new Date()) => {
+    const dueDate = new Date(date);
+    dueDate.setDate(dueDate.getDate() + getCreditDays(ledger));
+    return dueDate;
+};
+
+/**
+ * Validate credit terms from a request. null clears a field.
+ * @returns {{ value?: object, error?: string }}
+ */
+const parseCreditTerms = (input) => {
+    if (!input || typeof input !== 'object') {
+        return { error: 'creditTerms must be an object' };
+    }
+    const value = {};
+
+    if (input.creditDays !== undefined) {
+        const days = input.creditDays === null ? null : Number(input.creditDays);
+        if (days !== null && (!Number.isInteger(days) || days < 0 || days > CONSTANTS.CREDIT_TERMS.MAX_CREDIT_DAYS)) {
+            return { error: `creditTerms.creditDays must be a whole number from 0 to ${CONSTANTS.CREDIT_TERMS.MAX_CREDIT_DAYS}` };
+        }
+        value.creditDays = days;
+    }
+    for (const { key } of LIMIT_FIELDS) {
+        if (input[key] === undefined) continue;
+        const limit = input[key] === null ? null : Number(input[key]);
+        if (limit !== null && (!Number.isFinite(limit) || limit < 0)) {
+            return { error: `creditTerms.${key} must be a non-negative number` };
+        }
+        value[key] = limit;
+    }
+    if (input.limitAction !== undefined) {
+        if (!CONSTANTS.CREDIT_TERMS.LIMIT_ACTIONS.includes(input.limitAction)) {
+            return { error: `creditTerms.limitAction must be one of ${CONSTANTS.CREDIT_TERMS.LIMIT_ACTIONS.join(', ')}` };
+        }
+        value.limitAction = input.limitAction;
+    }
+    return { value };
+};
+
+/**
+ * Limits the ledger's new balances break. Only balances the voucher raised
+ * count, so a sale that lowers what is owed is never stopped.
+ * @param {object} ledger With its balances already updated.
+ * @param {object} previousBalances Balances before the voucher.
+ * @returns {Array<{ field: string, limit: number, balance: number, message: string }>}
+ */
+const getCreditLimitBreaches = (ledger, previousBalances) => {
+    const terms = ledger?.creditTerms || {};
+    return LIMIT_FIELDS
+        .filter(({ key }) => isSet(terms[key]))
+        .map(({ key, label, getBalance, unit }) => {
+            const balance = getBalance(ledger.balances);
+            const limit = toNumber(terms[key]);
+            if (balance <= limit || balance <= getBalance(previousBalances)) return null;
+            return {
+                field: key,
+                limit,
+                balance,
+                message: `${ledger.name}'s ${label} balance ${balance.toFixed(unit ? 3 : 2)}${unit} `
+                    + `exceeds the credit limit of ${limit.toFixed(unit ? 3 : 2)}${unit}`
+            };
+        })
+        .filter(Boolean);
+};
+
+/**
+ * Apply the ledger's limit action: throw 409 CREDIT_LIMIT_EXCEEDED when it
+ * blocks, otherwise return the breaches as warnings.
+ */
+const checkCreditLimit = (ledger, previousBalances) => {
+    const breaches = getCreditLimitBreaches(ledger, previousBalances);
+    if (breaches.length > 0 && ledger.creditTerms?.limitAction === 'block') {
+        throw createError(
+            CONSTANTS.HTTP_STATUS.CONFLICT,
+            breaches.map((breach) => breach.message).join('. '),
+            'CREDIT_LIMIT_EXCEEDED'
+        );
+    }
+    return breaches;
+};
+
+module.exports = {
+    getCreditDays,
+    getCreditDueDate,
+    parseCreditTerms,
+    checkCreditLimit
+};
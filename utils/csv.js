@@ -0,0 +1,52 @@
+/**
+ * Minimal RFC 4180 CSV writer used by report exports.
+ *
+ * Text that a spreadsheet would read as a formula (a customer name like
+ * `=HYPERLINK(...)`) is prefixed with `'` so it opens as plain text. Plain
+ * numbers, including ones already formatted with `toFixed`, are left alone so
+ * negative balances stay numeric.
+ */
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^-?\d+(\.\d+)?$/;
+
+const escapeCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text) && !PLAIN_NUMBER.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialise rows to CSV.
+ * @param {Array<{header: string, key: string|function}>} columns
+ *   `key` is either a property name or a function `(row) => value`.
+ * @param {Array<object>} rows
+ * @returns {string}
+ */
+const toCsv = (columns, rows = []) => {
+    const lines = [columns.map((col) => escapeCell(col.header)).join(',')];
+    rows.forEach((row) => {
+        lines.push(columns.map((col) => escapeCell(
+            typeof col.key === 'function' ? col.key(row) : row[col.key]
+        )).join(','));
+    });
+    return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Send CSV text as a file download.
+ */
+const sendCsv = (res, csv, filename) => {
+    const safeName = String(filename || 'export').replace(/[^A-Za-z0-9._-]/g, '_');
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${safeName}.csv"`);
+    return res.send(csv);
+};
+
+module.exports = {
+    toCsv,
+    sendCsv
+};
@@ -0,0 +1,250 @@
+/**
+ * Due dates of credit balances.
+ *
+ * A ledger falls due on the earliest due date of its active credit vouchers.
+ * A bill is due its ledger's credit days after the bill date when the ledger
+ * has its own credit terms (see ./creditTerms); otherwise on the stored
+ * `creditDueDate`, or CREDIT_PAYMENT.DUE_DAYS after the bill date for older
+ * bills. Ledgers with only an opening balance fall due that many days after
+ * the ledger was created. GST invoices never move the running balance and are
+ * ignored, and so are bills already paid in full (see ./billAllocation).
+ *
+ * `buildDueCredits` lists the overdue ledgers for the due-credits screen and
+ * for payment reminders, each with the bills still unpaid on it. Bills posted
+ * before bill-wise tracking have no `billSettlement` and count as unpaid.
+ */
+
+const Voucher = require('../models/Voucher');
+const Ledger = require('../models/Ledger');
+const { toNumber } = require('./helpers');
+const { getCreditDays, getCreditDueDate } = require('./creditTerms');
+const { BILL_FILTER, toBillSettlement } = require('./billAllocation');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const addDays = (value, days) => {
+    const date = value ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) return null;
+    date.setDate(date.getDate() + days);
+    return date;
+};
+
+const loadTermsByLedger = async (userId) => {
+    const ledgersWithTerms = await Ledger.find({ userId, 'creditTerms.creditDays': { $ne: null } }).select('creditTerms').lean();
+    return new Map(ledgersWithTerms.map((ledger) => [String(ledger._id), ledger]));
+};
+
+/**
+ * Due date of one bill: its ledger's credit terms, then the stored
+ * `creditDueDate`, then the default credit days.
+ * @param {object} voucher Needs `date` and `creditDueDate`.
+ * @param {object} [ledgerWithTerms] Its ledger, when that has credit terms.
+ * @returns {Date|null}
+ */
+const getBillDueDate = (voucher, ledgerWithTerms) => {
+    if (ledgerWithTerms && voucher.date) {
+        return getCreditDueDate(ledgerWithTerms, voucher.date);
+    }
+    const dueDate = voucher.creditDueDate ? new Date(voucher.creditDueDate) : null;
+    if (dueDate && !Number.isNaN(dueDate.getTime())) return dueDate;
+    return addDays(voucher.date, getCreditDays(null));
+};
+
+/**
+ * Earliest due date per ledger from the shop's active credit vouchers that are not yet paid.
+ * @param {mongoose.Types.ObjectId} userId
+ * @param {object} [filter] Extra voucher filter, e.g. `{ ledgerId }`.
+ * @returns {Promise<Map<string, Date>>} Keyed by ledger id.
+ */
+const loadDueDates = async (userId, filter = {}) => {
+    const [creditVouchers, termsByLedger] = await Promise.all([
+        Voucher.find({
+            userId,
+            paymentType: 'credit',
+            status: 'active',
+            invoiceType: { $ne: 'gst' },
+            'billSettlement.status': { $ne: 'paid' },
+            ...filter
+        }).select('ledgerId date creditDueDate').lean(),
+        loadTermsByLedger(userId)
+    ]);
+
+    const dueDateByLedger = new Map();
+    for (const voucher of creditVouchers) {
+        if (!voucher?.ledgerId) continue;
+
+        const dueDate = getBillDueDate(voucher, termsByLedger.get(String(voucher.ledgerId)));
+        if (!dueDate) continue;
+
+        const ledgerId = String(voucher.ledgerId);
+        const existing = dueDateByLedger.get(ledgerId);
+        if (!existing || dueDate.getTime() < existing.getTime()) {
+            dueDateByLedger.set(ledgerId, dueDate);
+        }
+    }
+    return dueDateByLedger;
+};
+
+/**
+ * Bills not yet paid in full, per ledger, oldest first.
+ * @param {mongoose.Types.ObjectId} userId
+ * @param {object} [filter] Extra voucher filter, e.g. `{ ledgerId }`.
+ * @param {Date} [asOf] For `daysOverdue`.
+ * @returns {Promise<Map<string, Array<object>>>} Keyed by ledger id.
+ */
+const loadUnpaidBills = async (userId, filter = {}, asOf = new Date()) => {
+    const [vouchers, termsByLedger] = await Promise.all([
+        Voucher.find({
+            userId,
+            ...BILL_FILTER,
+            'billSettlement.status': { $ne: 'paid' },
+            ...filter
+        })
+            .select('ledgerId voucherNumber date createdAt paymentType total cashReceived creditDueDate billSettlement')
+            .sort({ date: 1, createdAt: 1 })
+            .lean(),
+        loadTermsByLedger(userId)
+    ]);
+
+    const startOfDay = new Date(asOf);
+    startOfDay.setHours(0, 0, 0, 0);
+
+    const billsByLedger = new Map();
+    for (const voucher of vouchers) {
+        const settlement = voucher.billSettlement?.status ? voucher.billSettlement : toBillSettlement(voucher);
+        if (!(settlement.outstanding > 0)) continue;
+
+        const ledgerId = String(voucher.ledgerId);
+        const dueDate = getBillDueDate(voucher, termsByLedger.get(ledgerId));
+        const dueDateStart = dueDate ? new Date(dueDate) : null;
+        dueDateStart?.setHours(0, 0, 0, 0);
+
+        if (!billsByLedger.has(ledgerId)) billsByLedger.set(ledgerId, []);
+        billsByLedger.get(ledgerId).push({
+            voucherId: voucher._id,
+            voucherNumber: voucher.voucherNumber,
+            paymentType: voucher.paymentType,
+            date: voucher.date,
+            dueDate,
+            daysOverdue: dueDateStart
+                ? Math.max(0, Math.floor((startOfDay.getTime() - dueDateStart.getTime()) / MS_PER_DAY))
+                : 0,
+            status: settlement.status,
+            billAmount: settlement.billAmount,
+            settledAmount: settlement.settledAmount,
+            outstanding: settlement.outstanding
+        });
+    }
+    return billsByLedger;
+};
+
+/**
+ * Due date of one ledger: its credit vouchers first, then the age of its
+ * opening balance (`getOpeningBalanceDueDate`). Null when nothing is due.
+ * @param {object} ledger Needs `openingBalance`, `createdAt` and `creditTerms`.
+ * @param {Map<string, Date>} dueDateByLedger From `loadDueDates`.
+ * @returns {Date|null}
+ */
+const getLedgerDueDate = (ledger, dueDateByLedger) => (
+    dueDateByLedger.get(String(ledger._id)) || getOpeningBalanceDueDate(ledger)
+);
+
+/**
+ * Due date of a ledger's opening balance: its credit days after the ledger
+ * was created. Null when it opened with nothing owed.
+ * @param {object} ledger Needs `openingBalance`, `createdAt` and `creditTerms`.
+ * @returns {Date|null}
+ */
+const getOpeningBalanceDueDate = (ledger) => {
+    const openingAmount = toNumber(ledger?.openingBalance?.amount);
+    const openingGold = toNumber(ledger?.openingBalance?.goldFineWeight);
+    const openingSilver = toNumber(ledger?.openingBalance?.silverFineWeight);
+    const hasOpeningBalance = openingAmount > 0 || openingGold > 0 || openingSilver > 0;
+    if (!hasOpeningBalance) return null;
+
+    return addDays(ledger.createdAt, getCreditDays(ledger));
+};
+
+/**
+ * Regular ledgers that are due by the end of `asOf` and still owe cash or fine,
+ * earliest due date first.
+ * @param {object} user Needs `_id` and `interestSettings`.
+ * @param {{ ledgerIds?: Array<mongoose.Types.ObjectId>, asOf?: Date }} [options]
+ * @returns {Promise<Array<object>>}
+ */
+const buildDueCredits = async (user, { ledgerIds, asOf = new Date() } = {}) => {
+    // ./interest builds on this module, so it is loaded on first use
+    const { resolveInterestSettings, loadChargedUntil, getAccruedInterest } = require('./interest');
+
+    const startOfDay = new Date(asOf);
+    startOfDay.setHours(0, 0, 0, 0);
+    const endOfDay = new Date(startOfDay);
+    endOfDay.setHours(23, 59, 59, 999);
+
+    const ledgerFilter = ledgerIds ? { ledgerId: { $in: ledgerIds } } : {};
+    const [dueDateByLedger, unpaidBillsByLedger, chargedUntil, ledgers] = await Promise.all([
+        loadDueDates(user._id, ledgerFilter),
+        loadUnpaidBills(user._id, ledgerFilter, startOfDay),
+        loadChargedUntil(user._id, ledgerIds),
+        // Evaluate all regular ledgers (including older ledgers with missing ledgerType).
+        Ledger.find({
+            userId: user._id,
+            ledgerType: { $ne: 'gst' },
+            ...(ledgerIds ? { _id: { $in: ledgerIds } } : {})
+        }).select('name phoneNumber balances openingBalance createdAt creditTerms interestSettings').lean()
+    ]);
+
+    const dueCredits = [];
+    for (const ledger of ledgers) {
+        const ledgerId = String(ledger._id);
+
+        // Prefer credit voucher due date. If none, fall back to opening balance age.
+        const dueDate = getLedgerDueDate(ledger, dueDateByLedger);
+        if (!dueDate || dueDate.getTime() > endOfDay.getTime()) continue;
+
+        const cashBalance = toNumber(ledger?.balances?.cashBalance);
+        const creditBalance = toNumber(ledger?.balances?.creditBalance);
+        const balanceAmount = cashBalance + creditBalance;
+        const goldFineWeight = toNumber(ledger?.balances?.goldFineWeight);
+        const silverFineWeight = toNumber(ledger?.balances?.silverFineWeight);
+
+        // Auto-remove from due list once all dues are cleared.
+        if (balanceAmount <= 0 && goldFineWeight <= 0 && silverFineWeight <= 0) continue;
+
+        const dueDateStart = new Date(dueDate);
+        dueDateStart.setHours(0, 0, 0, 0);
+        const daysOverdue = Math.max(0, Math.floor((startOfDay.getTime() - dueDateStart.getTime()) / MS_PER_DAY));
+
+        const unpaidBills = unpaidBillsByLedger.get(ledgerId) || [];
+
+        // Interest accrued so far and not yet posted (0 when interest is off for the ledger)
+        const accrual = getAccruedInterest(
+            resolveInterestSettings(user, ledger), ledger, unpaidBills, chargedUntil.get(ledgerId) || null, startOfDay
+        );
+
+        dueCredits.push({
+            ledgerId,
+            name: ledger.name,
+            phoneNumber: ledger.phoneNumber || '',
+            balanceAmount,
+            goldFineWeight,
+            silverFineWeight,
+            dueDate,
+            daysOverdue,
+            creditDays: getCreditDays(ledger),
+            accruedInterest: accrual?.interest || 0,
+            unpaidBills
+        });
+    }
+
+    return dueCredits.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+};
+
+module.exports = {
+    getBillDueDate,
+    loadDueDates,
+    loadUnpaidBills,
+    getLedgerDueDate,
+    getOpeningBalanceDueDate,
+    buildDueCredits
+};
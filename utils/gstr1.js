@@ -0,0 +1,421 @@
+/**
+ * GSTR-1 builder.
+ *
+ * Turns stored GST vouchers into the sections of the GSTR-1 return in the
+ * shape accepted by the GST offline tool (JSON) plus flat per-section rows
+ * that mirror the offline tool's CSV templates.
+ */
+
+const CONSTANTS = require('./constants');
+const { toNumber } = require('./helpers');
+
+const MONTH_SHORT = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const round2 = (value) => Math.round((toNumber(value) + Number.EPSILON) * 100) / 100;
+
+const pad2 = (value) => String(value).padStart(2, '0');
+
+// Portal JSON dates are dd-mm-yyyy
+const formatPortalDate = (value) => {
+    const date = new Date(value);
+    return `${pad2(date.getDate())}-${pad2(date.getMonth() + 1)}-${date.getFullYear()}`;
+};
+
+// Offline tool CSV dates are dd-Mmm-yyyy
+const formatCsvDate = (value) => {
+    const date = new Date(value);
+    return `${pad2(date.getDate())}-${MONTH_SHORT[date.getMonth()]}-${date.getFullYear()}`;
+};
+
+const formatStateForCsv = (code) => {
+    const name = CONSTANTS.GST.STATE_NAMES[code];
+    return name ? `${code}-${name}` : code;
+};
+
+/**
+ * Parse `YYYY-MM` into an inclusive date range plus the GSTR-1 `fp` code.
+ */
+const parseReturnPeriod = (month) => {
+    const match = /^(\d{4})-(\d{2})$/.exec(String(month || ''));
+    if (!match) return null;
+    const year = Number(match[1]);
+    const monthIndex = Number(match[2]) - 1;
+    if (monthIndex < 0 || monthIndex > 11) return null;
+
+    const start = new Date(year, monthIndex, 1, 0, 0, 0, 0);
+    const end = new Date(year, monthIndex + 1, 0, 23, 59, 59, 999);
+    return { start, end, fp: `${pad2(monthIndex + 1)}${year}` };
+};
+
+const getInvoiceNumber = (voucher) => voucher.invoiceNumber || voucher.voucherNumber;
+
+const getPlaceOfSupply = (voucher, sellerState) => {
+    const gst = voucher.gstDetails || {};
+    const fromGstin = gst.customerGSTNumber ? String(gst.customerGSTNumber).slice(0, 2) : '';
+    return pad2(gst.customerState || fromGstin || gst.sellerState || sellerState || '');
+};
+
+const isInterState = (voucher) => voucher.gstDetails?.gstType === 'IGST';
+
+// Old metal taken in exchange is paid for after tax, so it is added back to
+// get the value of the supply
+const getInvoiceValue = (voucher) => round2(toNumber(voucher.total) + toNumber(voucher.receipt?.amount));
+
+const isIssueLine = (item) => item.lineType !== 'receipt';
+
+const getItemDetails = (gst = {}) => ({
+    rt: toNumber(gst.gstRate),
+    txval: round2(gst.taxableValue),
+    iamt: round2(gst.igst),
+    camt: round2(gst.cgst),
+    samt: round2(gst.sgst),
+    csamt: 0
+});
+
+/**
+ * Classify an invoice into B2B, B2CL or B2CS.
+ */
+const classifyVoucher = (voucher) => {
+    if (voucher.gstDetails?.customerGSTNumber) return 'b2b';
+    if (isInterState(voucher) && getInvoiceValue(voucher) > CONSTANTS.GST.B2CL_INVOICE_LIMIT) return 'b2cl';
+    return 'b2cs';
+};
+
+/**
+ * Credit notes follow the section of the invoice they reverse: registered
+ * customers go to CDNR, large inter-state B2C invoices to CDNUR and the rest
+ * are netted off B2CS.
+ */
+const classifyCreditNote = (creditNote) => {
+    if (creditNote.gstDetails?.customerGSTNumber) return 'cdnr';
+    const originalTotal = toNumber(creditNote.originalInvoice?.total);
+    if (isInterState(creditNote) && originalTotal > CONSTANTS.GST.B2CL_INVOICE_LIMIT) return 'cdnur';
+    return 'b2cs';
+};
+
+/**
+ * Spread a document's taxable value and taxes over its item lines by amount so
+ * the HSN summary adds up to the invoice totals.
+ */
+const apportionToHsn = (hsnMap, items, gst, sign = 1) => {
+    if (!items?.length) return;
+    const totalAmount = items.reduce((sum, item) => sum + toNumber(item.amount), 0);
+
+    items.forEach((item) => {
+        const share = totalAmount ? toNumber(item.amount) / totalAmount : 1 / items.length;
+        const hsn = String(item.hsnCode || (item.metalType === 'silver' ? '7106' : '7108')).trim();
+        const rate = toNumber(gst.gstRate);
+        const key = `${hsn}|${rate}`;
+        const entry = hsnMap.get(key) || {
+            hsn_sc: hsn,
+            desc: CONSTANTS.GST.HSN_DESCRIPTIONS[hsn] || '',
+            uqc: 'GMS',
+            qty: 0,
+            rt: rate,
+            txval: 0,
+            iamt: 0,
+            camt: 0,
+            samt: 0,
+            csamt: 0
+        };
+        entry.qty += sign * toNumber(item.netWeight);
+        entry.txval += sign * toNumber(gst.taxableValue) * share;
+        entry.iamt += sign * toNumber(gst.igst) * share;
+        entry.camt += sign * toNumber(gst.cgst) * share;
+        entry.samt += sign * toNumber(gst.sgst) * share;
+        hsnMap.set(key, entry);
+    });
+};
+
+/**
+ * Build the GSTR-1 return.
+ * @param {object} params
+ * @param {string} params.gstin        Seller GSTIN.
+ * @param {string} params.fp           Return period (MMYYYY).
+ * @param {string} [params.sellerState] Seller state code, used when a voucher has none.
+ * @param {Array<object>} params.vouchers Active GST vouchers of the period.
+ * @param {Array<object>} [params.creditNotes] Active GST credit notes of the period.
+ * @returns {{ json: object, rows: object, summary: object }}
+ */
+const buildGstr1 = ({ gstin, fp, sellerState, vouchers = [], creditNotes = [] }) => {
+    const b2bByCustomer = new Map();
+    const b2cl = new Map();
+    const b2csMap = new Map();
+    const cdnrByCustomer = new Map();
+    const cdnur = [];
+    const hsnMap = new Map();
+    const rows = { b2b: [], b2cl: [], b2cs: [], cdnr: [], cdnur: [], hsn: [] };
+    const summary = {
+        invoiceCount: 0,
+        invoiceValue: 0,
+        creditNoteCount: 0,
+        creditNoteValue: 0,
+        taxableValue: 0,
+        igst: 0,
+        cgst: 0,
+        sgst: 0,
+        totalTax: 0
+    };
+
+    const addToB2cs = (document, itm, pos, sign) => {
+        const splyTy = isInterState(document) ? 'INTER' : 'INTRA';
+        const key = `${splyTy}|${pos}|${itm.rt}`;
+        const entry = b2csMap.get(key) || {
+            sply_ty: splyTy, pos, typ: 'OE', rt: itm.rt, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0
+        };
+        entry.txval += sign * itm.txval;
+        entry.iamt += sign * itm.iamt;
+        entry.camt += sign * itm.camt;
+        entry.samt += sign * itm.samt;
+        b2csMap.set(key, entry);
+    };
+
+    vouchers.forEach((voucher) => {
+        const gst = voucher.gstDetails || {};
+        const itm = getItemDetails(gst);
+        const pos = getPlaceOfSupply(voucher, sellerState);
+        const invoiceValue = getInvoiceValue(voucher);
+        const section = classifyVoucher(voucher);
+
+        summary.invoiceCount += 1;
+        summary.invoiceValue += invoiceValue;
+        summary.taxableValue += itm.txval;
+        summary.igst += itm.iamt;
+        summary.cgst += itm.camt;
+        summary.sgst += itm.samt;
+
+        const invoice = {
+            inum: getInvoiceNumber(voucher),
+            idt: formatPortalDate(voucher.date),
+            val: invoiceValue,
+            pos,
+            itms: [{ num: 1, itm_det: itm }]
+        };
+
+        if (section === 'b2b') {
+            const ctin = String(gst.customerGSTNumber).toUpperCase();
+            const entry = b2bByCustomer.get(ctin) || { ctin, inv: [] };
+            entry.inv.push({ ...invoice, rchrg: 'N', inv_typ: 'R' });
+            b2bByCustomer.set(ctin, entry);
+            rows.b2b.push({
+                ctin,
+                receiverName: voucher.customerName,
+                inum: invoice.inum,
+                idt: formatCsvDate(voucher.date),
+                val: invoiceValue,
+                pos: formatStateForCsv(pos),
+                rchrg: 'N',
+                invType: 'Regular B2B',
+                rt: itm.rt,
+                txval: itm.txval,
+                csamt: 0
+            });
+        } else if (section === 'b2cl') {
+            const entry = b2cl.get(pos) || { pos, inv: [] };
+            entry.inv.push(invoice);
+            b2cl.set(pos, entry);
+            rows.b2cl.push({
+                inum: invoice.inum,
+                idt: formatCsvDate(voucher.date),
+                val: invoiceValue,
+                pos: formatStateForCsv(pos),
+                rt: itm.rt,
+                txval: itm.txval,
+                csamt: 0
+            });
+        } else {
+            addToB2cs(voucher, itm, pos, 1);
+        }
+
+        apportionToHsn(hsnMap, (voucher.items || []).filter(isIssueLine), gst);
+    });
+
+    creditNotes.forEach((creditNote) => {
+        const gst = creditNote.gstDetails || {};
+        const itm = getItemDetails(gst);
+        const pos = getPlaceOfSupply(creditNote, sellerState);
+        const noteValue = round2(creditNote.total);
+        const section = classifyCreditNote(creditNote);
+
+        summary.creditNoteCount += 1;
+        summary.creditNoteValue += noteValue;
+        summary.taxableValue -= itm.txval;
+        summary.igst -= itm.iamt;
+        summary.cgst -= itm.camt;
+        summary.sgst -= itm.samt;
+
+        const note = {
+            ntty: 'C',
+            nt_num: creditNote.creditNoteNumber,
+            nt_dt: formatPortalDate(creditNote.date),
+            val: noteValue,
+            pos,
+            itms: [{ num: 1, itm_det: itm }]
+        };
+        const csvRow = {
+            ntNum: note.nt_num,
+            ntDt: formatCsvDate(creditNote.date),
+            ntty: 'C',
+            pos: formatStateForCsv(pos),
+            val: noteValue,
+            rt: itm.rt,
+            txval: itm.txval,
+            csamt: 0
+        };
+
+        if (section === 'cdnr') {
+            const ctin = String(gst.customerGSTNumber).toUpperCase();
+            const entry = cdnrByCustomer.get(ctin) || { ctin, nt: [] };
+            entry.nt.push({ ...note, rchrg: 'N', inv_typ: 'R' });
+            cdnrByCustomer.set(ctin, entry);
+            rows.cdnr.push({
+                ctin,
+                receiverName: creditNote.customerName,
+                ...csvRow,
+                rchrg: 'N',
+                supplyType: 'Regular B2B'
+            });
+        } else if (section === 'cdnur') {
+            cdnur.push({ typ: 'B2CL', ...note });
+            rows.cdnur.push({ urType: 'B2CL', ...csvRow });
+        } else {
+            addToB2cs(creditNote, itm, pos, -1);
+        }
+
+        apportionToHsn(hsnMap, creditNote.items, gst, -1);
+    });
+
+    const b2cs = [...b2csMap.values()].map((entry) => ({
+        ...entry,
+        txval: round2(entry.txval),
+        iamt: round2(entry.iamt),
+        camt: round2(entry.camt),
+        samt: round2(entry.samt)
+    }));
+    rows.b2cs = b2cs.map((entry) => ({
+        type: 'OE',
+        pos: formatStateForCsv(entry.pos),
+        rt: entry.rt,
+        txval: entry.txval,
+        csamt: 0
+    }));
+
+    const hsnData = [...hsnMap.values()].map((entry, index) => ({
+        num: index + 1,
+        ...entry,
+        qty: Math.round(entry.qty * 1000) / 1000,
+        txval: round2(entry.txval),
+        iamt: round2(entry.iamt),
+        camt: round2(entry.camt),
+        samt: round2(entry.samt)
+    }));
+    rows.hsn = hsnData.map((entry) => ({
+        ...entry,
+        uqc: 'GMS-GRAMMES',
+        val: round2(entry.txval + entry.iamt + entry.camt + entry.samt)
+    }));
+
+    Object.keys(summary).forEach((key) => {
+        if (!key.endsWith('Count')) summary[key] = round2(summary[key]);
+    });
+    summary.totalTax = round2(summary.igst + summary.cgst + summary.sgst);
+
+    const json = {
+        gstin,
+        fp,
+        hash: 'hash',
+        b2b: [...b2bByCustomer.values()],
+        b2cl: [...b2cl.values()],
+        b2cs,
+        cdnr: [...cdnrByCustomer.values()],
+        cdnur,
+        hsn: { data: hsnData }
+    };
+
+    return { json, rows, summary };
+};
+
+// Column layouts of the offline tool CSV templates
+const CSV_COLUMNS = {
+    b2b: [
+        { header: 'GSTIN/UIN of Recipient', key: 'ctin' },
+        { header: 'Receiver Name', key: 'receiverName' },
+        { header: 'Invoice Number', key: 'inum' },
+        { header: 'Invoice date', key: 'idt' },
+        { header: 'Invoice Value', key: 'val' },
+        { header: 'Place Of Supply', key: 'pos' },
+        { header: 'Reverse Charge', key: 'rchrg' },
+        { header: 'Applicable % of Tax Rate', key: () => '' },
+        { header: 'Invoice Type', key: 'invType' },
+        { header: 'E-Commerce GSTIN', key: () => '' },
+        { header: 'Rate', key: 'rt' },
+        { header: 'Taxable Value', key: 'txval' },
+        { header: 'Cess Amount', key: 'csamt' }
+    ],
+    b2cl: [
+        { header: 'Invoice Number', key: 'inum' },
+        { header: 'Invoice date', key: 'idt' },
+        { header: 'Invoice Value', key: 'val' },
+        { header: 'Place Of Supply', key: 'pos' },
+        { header: 'Applicable % of Tax Rate', key: () => '' },
+        { header: 'Rate', key: 'rt' },
+        { header: 'Taxable Value', key: 'txval' },
+        { header: 'Cess Amount', key: 'csamt' },
+        { header: 'E-Commerce GSTIN', key: () => '' }
+    ],
+    b2cs: [
+        { header: 'Type', key: 'type' },
+        { header: 'Place Of Supply', key: 'pos' },
+        { header: 'Rate', key: 'rt' },
+        { header: 'Applicable % of Tax Rate', key: () => '' },
+        { header: 'Taxable Value', key: 'txval' },
+        { header: 'Cess Amount', key: 'csamt' },
+        { header: 'E-Commerce GSTIN', key: () => '' }
+    ],
+    cdnr: [
+        { header: 'GSTIN/UIN of Recipient', key: 'ctin' },
+        { header: 'Receiver Name', key: 'receiverName' },
+        { header: 'Note Number', key: 'ntNum' },
+        { header: 'Note Date', key: 'ntDt' },
+        { header: 'Note Type', key: 'ntty' },
+        { header: 'Place Of Supply', key: 'pos' },
+        { header: 'Reverse Charge', key: 'rchrg' },
+        { header: 'Note Supply Type', key: 'supplyType' },
+        { header: 'Note Value', key: 'val' },
+        { header: 'Applicable % of Tax Rate', key: () => '' },
+        { header: 'Rate', key: 'rt' },
+        { header: 'Taxable Value', key: 'txval' },
+        { header: 'Cess Amount', key: 'csamt' }
+    ],
+    cdnur: [
+        { header: 'UR Type', key: 'urType' },
+        { header: 'Note Number', key: 'ntNum' },
+        { header: 'Note Date', key: 'ntDt' },
+        { header: 'Note Type', key: 'ntty' },
+        { header: 'Place Of Supply', key: 'pos' },
+        { header: 'Note Value', key: 'val' },
+        { header: 'Applicable % of Tax Rate', key: () => '' },
+        { header: 'Rate', key: 'rt' },
+        { header: 'Taxable Value', key: 'txval' },
+        { header: 'Cess Amount', key: 'csamt' }
+    ],
+    hsn: [
+        { header: 'HSN', key: 'hsn_sc' },
+        { header: 'Description', key: 'desc' },
+        { header: 'UQC', key: 'uqc' },
+        { header: 'Total Quantity', key: 'qty' },
+        { header: 'Total Value', key: 'val' },
+        { header: 'Rate', key: 'rt' },
+        { header: 'Taxable Value', key: 'txval' },
+        { header: 'Integrated Tax Amount', key: 'iamt' },
+        { header: 'Central Tax Amount', key: 'camt' },
+        { header: 'State/UT Tax Amount', key: 'samt' },
+        { header: 'Cess Amount', key: 'csamt' }
+    ]
+};
+
+module.exports = {
+    parseReturnPeriod,
+    buildGstr1,
+    CSV_COLUMNS
+};
@@ -0,0 +1,252 @@
+/**
+ * Interest on overdue cash balances.
+ *
+ * Interest runs bill by bill: on what is still outstanding on each unpaid bill
+ * (see ./billAllocation) once it is `graceDays` past that bill's own due date
+ * (see ./dueCredits), at a monthly rate counted in 30-day months, simple or
+ * compounded monthly. Bills not yet overdue and interest vouchers themselves
+ * are never charged. The part of an opening balance not yet paid off counts as
+ * one more bill, due the ledger's credit days after it was created. Each bill
+ * is charged from its overdue date or from where the last active interest
+ * voucher stopped, whichever is later. Posting books an 'interest' voucher
+ * that raises the ledger's cash balance; cancelling or deleting that voucher
+ * reopens its period for the next run.
+ *
+ * The shop's `interestSettings` apply to every ledger; a ledger's own
+ * `interestSettings` override them field by field (null = use the shop's).
+ */
+
+const Voucher = require('../models/Voucher');
+const Ledger = require('../models/Ledger');
+const CONSTANTS = require('./constants');
+const { toNumber, calculateUnifiedAmount } = require('./helpers');
+const { loadUnpaidBills, getOpeningBalanceDueDate } = require('./dueCredits');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const roundAmount = (value) => Math.round(toNumber(value) * 100) / 100;
+
+const startOfDay = (value) => {
+    const date = new Date(value);
+    date.setHours(0, 0, 0, 0);
+    return date;
+};
+
+/**
+ * Settings in effect for one ledger.
+ * @returns {{ enabled: boolean, monthlyRate: number, graceDays: number, method: 'simple'|'compound' }}
+ */
+const resolveInterestSettings = (user, ledger) => {
+    const shop = user?.interestSettings || {};
+    const own = ledger?.interestSettings || {};
+    const pick = (key, fallback) => {
+        if (own[key] !== undefined && own[key] !== null) return own[key];
+        if (shop[key] !== undefined && shop[key] !== null) return shop[key];
+        return fallback;
+    };
+    return {
+        enabled: pick('enabled', false) === true,
+        monthlyRate: toNumber(pick('monthlyRate', CONSTANTS.CREDIT_PAYMENT.DEFAULT_INTEREST_RATE)),
+        graceDays: Math.max(0, Math.floor(toNumber(pick('graceDays', 0)))),
+        method: pick('method', 'simple')
+    };
+};
+
+/**
+ * Validate interest settings from a request.
+ * @param {object} input
+ * @param {{ allowInherit?: boolean }} [options] Ledger overrides may send null to inherit.
+ * @returns {{ value?: object, error?: string }}
+ */
+const parseInterestSettings = (input, { allowInherit = false } = {}) => {
+    if (!input || typeof input !== 'object') {
+        return { error: 'interestSettings must be an object' };
+    }
+    const value = {};
+    const isInherit = (field) => allowInherit && input[field] === null;
+    const emptyField = ['enabled', 'monthlyRate', 'graceDays', 'method']
+        .find((field) => input[field] === null && !allowInherit);
+    if (emptyField) {
+        return { error: `interestSettings.${emptyField} cannot be empty` };
+    }
+
+    if (input.enabled !== undefined) {
+        if (!isInherit('enabled') && typeof input.enabled !== 'boolean') {
+            return { error: 'interestSettings.enabled must be a boolean' };
+        }
+        value.enabled = input.enabled;
+    }
+    if (input.monthlyRate !== undefined) {
+        const rate = Number(input.monthlyRate);
+        if (!isInherit('monthlyRate')
+            && (!Number.isFinite(rate) || rate < 0 || rate > CONSTANTS.INTEREST.MAX_MONTHLY_RATE)) {
+            return { error: `interestSettings.monthlyRate must be from 0 to ${CONSTANTS.INTEREST.MAX_MONTHLY_RATE} (% per month)` };
+        }
+        value.monthlyRate = isInherit('monthlyRate') ? null : rate;
+    }
+    if (input.graceDays !== undefined) {
+        const days = Number(input.graceDays);
+        if (!isInherit('graceDays') && (!Number.isInteger(days) || days < 0)) {
+            return { error: 'interestSettings.graceDays must be a whole number of days' };
+        }
+        value.graceDays = isInherit('graceDays') ? null : days;
+    }
+    if (input.method !== undefined) {
+        if (!isInherit('method') && !CONSTANTS.INTEREST.METHODS.includes(input.method)) {
+            return { error: `interestSettings.method must be one of ${CONSTANTS.INTEREST.METHODS.join(', ')}` };
+        }
+        value.method = input.method;
+    }
+    return { value };
+};
+
+/**
+ * Interest on `principal` for `days` at `monthlyRate` percent per month.
+ */
+const calculateInterest = (principal, monthlyRate, days, method = 'simple') => {
+    const months = days / CONSTANTS.INTEREST.DAYS_PER_MONTH;
+    const rate = toNumber(monthlyRate) / 100;
+    const interest = method === 'compound'
+        ? principal * ((1 + rate) ** months - 1)
+        : principal * rate * months;
+    return roundAmount(interest);
+};
+
+/**
+ * Where the latest active interest voucher of each ledger stopped.
+ * @param {mongoose.Types.ObjectId} userId
+ * @param {Array<mongoose.Types.ObjectId>} [ledgerIds] Limit to these ledgers.
+ * @returns {Promise<Map<string, Date>>}
+ */
+const loadChargedUntil = async (userId, ledgerIds = null) => {
+    const match = { userId, paymentType: 'interest', status: 'active' };
+    if (ledgerIds) match.ledgerId = { $in: ledgerIds };
+    const rows = await Voucher.aggregate([
+        { $match: match },
+        { $group: { _id: '$ledgerId', chargedUntil: { $max: '$interestDetails.to' } } }
+    ]);
+    return new Map(rows.filter((row) => row.chargedUntil).map((row) => [String(row._id), row.chargedUntil]));
+};
+
+/**
+ * The bills interest can run on: unpaid bills other than interest vouchers,
+ * plus the part of the opening balance they do not account for.
+ * @param {object} ledger
+ * @param {Array<object>} unpaidBills From `loadUnpaidBills`, for this ledger.
+ */
+const getChargeableBills = (ledger, unpaidBills = []) => {
+    const bills = unpaidBills.filter((bill) => bill.paymentType !== 'interest');
+    const billed = unpaidBills.reduce((sum, bill) => sum + toNumber(bill.outstanding), 0);
+    const openingUnpaid = roundAmount(Math.min(
+        toNumber(ledger.openingBalance?.amount),
+        calculateUnifiedAmount(ledger.balances || {}) - billed
+    ));
+    const openingDueDate = getOpeningBalanceDueDate(ledger);
+    if (openingUnpaid > 0 && openingDueDate) {
+        bills.push({ voucherNumber: 'Opening Balance', dueDate: openingDueDate, outstanding: openingUnpaid });
+    }
+    return bills;
+};
+
+/**
+ * Interest accrued on one ledger up to `asOf`, or null when none is due.
+ * @param {object} settings From `resolveInterestSettings`.
+ * @param {object} ledger Needs `balances`, `openingBalance`, `createdAt` and `creditTerms`.
+ * @param {Array<object>} unpaidBills From `loadUnpaidBills`, for this ledger.
+ * @param {Date|null} chargedUntil From `loadChargedUntil`.
+ * @param {Date} asOf
+ * @returns {object|null} Totals, with `principal` the outstanding charged, `from` /
+ *   `days` for the longest-overdue bill, and the per-bill breakdown in `bills`.
+ */
+const getAccruedInterest = (settings, ledger, unpaidBills, chargedUntil, asOf) => {
+    if (!settings.enabled || settings.monthlyRate <= 0) return null;
+    if (ledger.ledgerType === 'gst') return null;
+
+    const to = startOfDay(asOf);
+    const charged = chargedUntil ? startOfDay(chargedUntil) : null;
+    const bills = getChargeableBills(ledger, unpaidBills)
+        .map((bill) => {
+            const principal = roundAmount(bill.outstanding);
+            if (principal <= 0 || !bill.dueDate) return null;
+
+            const overdueFrom = startOfDay(bill.dueDate);
+            overdueFrom.setDate(overdueFrom.getDate() + settings.graceDays);
+            const from = charged && charged > overdueFrom ? charged : overdueFrom;
+            const days = Math.round((to - from) / MS_PER_DAY);
+            if (days <= 0) return null;
+
+            const interest = calculateInterest(principal, settings.monthlyRate, days, settings.method);
+            return interest > 0 && {
+                voucherId: bill.voucherId,
+                voucherNumber: bill.voucherNumber,
+                dueDate: bill.dueDate,
+                principal,
+                from,
+                days,
+                interest
+            };
+        })
+        .filter(Boolean);
+    if (bills.length === 0) return null;
+
+    const earliest = bills.reduce((first, bill) => (bill.from < first.from ? bill : first));
+    return {
+        principal: roundAmount(bills.reduce((sum, bill) => sum + bill.principal, 0)),
+        monthlyRate: settings.monthlyRate,
+        method: settings.method,
+        dueDate: earliest.dueDate,
+        from: earliest.from,
+        to,
+        days: earliest.days,
+        interest: roundAmount(bills.reduce((sum, bill) => sum + bill.interest, 0)),
+        bills
+    };
+};
+
+/**
+ * Accrued interest for every ledger of the shop that has some.
+ * @param {object} user Shop owner with `interestSettings`.
+ * @param {Date} asOf
+ * @param {Array<mongoose.Types.ObjectId>} [ledgerIds] Limit to these ledgers.
+ * @returns {Promise<Array<object>>} One row per ledger, largest interest first.
+ */
+const loadAccruals = async (user, asOf, ledgerIds = null) => {
+    const ledgerFilter = { userId: user._id, ledgerType: { $ne: 'gst' } };
+    if (ledgerIds) ledgerFilter._id = { $in: ledgerIds };
+
+    const [ledgers, unpaidBills, chargedUntil] = await Promise.all([
+        Ledger.find(ledgerFilter)
+            .select('name phoneNumber balances openingBalance createdAt ledgerType creditTerms interestSettings')
+            .lean(),
+        loadUnpaidBills(user._id, ledgerIds ? { ledgerId: { $in: ledgerIds } } : {}, asOf),
+        loadChargedUntil(user._id, ledgerIds)
+    ]);
+
+    return ledgers
+        .map((ledger) => {
+            const accrual = getAccruedInterest(
+                resolveInterestSettings(user, ledger),
+                ledger,
+                unpaidBills.get(String(ledger._id)) || [],
+                chargedUntil.get(String(ledger._id)) || null,
+                asOf
+            );
+            return accrual && {
+                ledgerId: ledger._id,
+                name: ledger.name,
+                phoneNumber: ledger.phoneNumber || '',
+                ...accrual
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.interest - a.interest);
+};
+
+module.exports = {
+    resolveInterestSettings,
+    parseInterestSettings,
+    calculateInterest,
+    loadChargedUntil,
+    getAccruedInterest,
+    loadAccruals
+};
@@ -0,0 +1,381 @@
+/**
+ * Authoritative invoice / voucher renderer.
+ *
+ * Builds the printable bill straight from the stored Voucher document so every
+ * device prints the same numbers. Old metal taken in exchange ('receipt'
+ * lines) prints as its own section and is deducted after tax. Two layouts are
+ * supported:
+ *   - 'a4'      full tax invoice / estimate
+ *   - 'thermal' 80mm counter receipt
+ */
+
+const { toNumber } = require('./helpers');
+const { getLineSign } = require('./voucherCalculator');
+const { PAYMENT_MODE_LABELS } = require('./payments');
+const {
+    createPdfDocument,
+    resolveFormat,
+    formatAmount,
+    formatCurrency,
+    formatWeight,
+    formatDate,
+    drawRule,
+    drawKeyValue,
+    drawTable
+} = require('./pdfHelpers');
+
+const PAYMENT_TYPE_LABELS = {
+    cash: 'Cash',
+    credit: 'Credit',
+    add_cash: 'Cash Received',
+    add_gold: 'Gold Received',
+    add_silver: 'Silver Received',
+    money_to_gold: 'Cash to Gold',
+    money_to_silver: 'Cash to Silver',
+    interest: 'Interest'
+};
+
+const getDocumentTitle = (voucher) => {
+    if (voucher.invoiceType === 'gst') return 'TAX INVOICE';
+    if (voucher.voucherType === 'purchase') return 'PURCHASE VOUCHER';
+    if (voucher.paymentType === 'interest') return 'INTEREST DEBIT NOTE';
+    if (!voucher.items?.length) return 'RECEIPT VOUCHER';
+    return 'ESTIMATE';
+};
+
+const getShopDetails = (user) => ({
+    name: user?.shopName || '',
+    phoneNumber: user?.phoneNumber || '',
+    gstNumber: user?.gstSettings?.gstNumber || '',
+    businessState: user?.gstSettings?.businessState || ''
+});
+
+const getCustomerDetails = (voucher) => {
+    const ledger = voucher.ledgerId && typeof voucher.ledgerId === 'object' ? voucher.ledgerId : null;
+    return {
+        name: voucher.customerName || ledger?.name || '',
+        phoneNumber: ledger?.phoneNumber || '',
+        gstNumber: voucher.gstDetails?.customerGSTNumber || ledger?.gstDetails?.gstNumber || '',
+        state: voucher.gstDetails?.customerState || ledger?.gstDetails?.stateCode || ''
+    };
+};
+
+const getTaxLines = (voucher) => {
+    if (voucher.invoiceType !== 'gst' || !voucher.gstDetails) return [];
+    const gst = voucher.gstDetails;
+    const rate = toNumber(gst.gstRate);
+    if (gst.gstType === 'IGST') {
+        return [[`IGST @ ${rate}%`, gst.igst]];
+    }
+    return [
+        [`CGST @ ${rate / 2}%`, gst.cgst],
+        [`SGST @ ${rate / 2}%`, gst.sgst]
+    ];
+};
+
+const getPaymentLines = (voucher) => {
+    const lines = [];
+    if (voucher.bankName) lines.push(['Bank', voucher.bankName]);
+    if (voucher.accountNumber) lines.push(['A/c No.', voucher.accountNumber]);
+    if (voucher.ifscCode) lines.push(['IFSC', voucher.ifscCode]);
+    if (voucher.upiId) lines.push(['UPI', voucher.upiId]);
+    return lines;
+};
+
+const splitLines = (voucher) => {
+    const items = voucher.items || [];
+    return {
+        issueLines: items.filter((item) => getLineSign(item) > 0),
+        receiptLines: items.filter((item) => getLineSign(item) < 0)
+    };
+};
+
+const sumPrintedLines = (lines) => lines.reduce((acc, item) => ({
+    pieces: acc.pieces + toNumber(item.pieces),
+    grossWeight: acc.grossWeight + toNumber(item.grossWeight),
+    lessWeight: acc.lessWeight + toNumber(item.lessWeight),
+    netWeight: acc.netWeight + toNumber(item.netWeight),
+    fineWeight: acc.fineWeight + toNumber(item.fineWeight),
+    amount: acc.amount + toNumber(item.amount)
+}), { pieces: 0, grossWeight: 0, lessWeight: 0, netWeight: 0, fineWeight: 0, amount: 0 });
+
+// ───────────────────────── A4 layout ──────────────────────────────
+
+const getItemColumns = (isGST) => [
+    { header: '#', key: 'index', width: 3 },
+    { header: 'Item', key: 'itemName', width: 16 },
+    ...(isGST ? [{ header: 'HSN', key: 'hsnCode', width: 6 }] : []),
+    { header: 'Pcs', key: 'pieces', width: 4, align: 'right' },
+    { header: 'Gross', key: 'grossWeight', width: 8, align: 'right' },
+    { header: 'Less', key: 'lessWeight', width: 7, align: 'right' },
+    { header: 'Net', key: 'netWeight', width: 8, align: 'right' },
+    { header: 'Tunch', key: 'tunch', width: 7, align: 'right' },
+    { header: 'Fine', key: 'fineWeight', width: 8, align: 'right' },
+    { header: 'Labour', key: 'labourRate', width: 8, align: 'right' },
+    { header: 'Amount', key: 'amount', width: 11, align: 'right' }
+];
+
+const getItemRows = (lines, totalLabel, totals = sumPrintedLines(lines)) => [
+    ...lines.map((item, index) => ({
+        index: index + 1,
+        itemName: `${item.itemName} (${item.metalType === 'silver' ? 'S' : 'G'})`,
+        hsnCode: item.hsnCode,
+        pieces: item.pieces,
+        grossWeight: formatWeight(item.grossWeight),
+        lessWeight: formatWeight(item.lessWeight),
+        netWeight: formatWeight(item.netWeight),
+        tunch: formatAmount(toNumber(item.melting) + toNumber(item.wastage)),
+        fineWeight: formatWeight(item.fineWeight),
+        labourRate: formatAmount(item.labourRate),
+        amount: formatAmount(item.amount)
+    })),
+    {
+        _bold: true,
+        itemName: totalLabel,
+        pieces: totals.pieces,
+        grossWeight: formatWeight(totals.grossWeight),
+        lessWeight: formatWeight(totals.lessWeight),
+        netWeight: formatWeight(totals.netWeight),
+        fineWeight: formatWeight(totals.fineWeight),
+        amount: formatAmount(totals.amount)
+    }
+];
+
+const renderA4 = (doc, voucher, shop, customer, upiQr) => {
+    const isGST = voucher.invoiceType === 'gst';
+
+    doc.font('Helvetica-Bold').fontSize(16).text(shop.name, { align: 'center' });
+    doc.font('Helvetica').fontSize(9);
+    const shopMeta = [
+        shop.phoneNumber && `Phone: ${shop.phoneNumber}`,
+        shop.gstNumber && `GSTIN: ${shop.gstNumber}`,
+        shop.businessState && `State Code: ${shop.businessState}`
+    ].filter(Boolean).join('   |   ');
+    if (shopMeta) doc.text(shopMeta, { align: 'center' });
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(12).text(getDocumentTitle(voucher), { align: 'center' });
+    doc.font('Helvetica').fontSize(9);
+    doc.moveDown(0.5);
+    drawRule(doc);
+
+    drawKeyValue(doc, `Customer: ${customer.name}`, `Voucher No: ${voucher.voucherNumber}`, { bold: true });
+    drawKeyValue(doc, customer.phoneNumber ? `Phone: ${customer.phoneNumber}` : '', `Date: ${formatDate(voucher.date)}`);
+    if (isGST) {
+        drawKeyValue(doc, customer.gstNumber ? `GSTIN: ${customer.gstNumber}` : 'Unregistered', `Invoice No: ${voucher.invoiceNumber || voucher.voucherNumber}`);
+        drawKeyValue(doc, customer.state ? `State Code: ${customer.state}` : '', voucher.gstDetails?.gstType === 'IGST' ? 'Inter-state supply' : 'Intra-state supply');
+    }
+    drawKeyValue(doc, `Payment: ${PAYMENT_TYPE_LABELS[voucher.paymentType] || voucher.paymentType}`, voucher.referenceNo ? `Ref: ${voucher.referenceNo}` : '');
+    doc.moveDown(0.5);
+
+    const { issueLines, receiptLines } = splitLines(voucher);
+    if (receiptLines.length) {
+        const columns = getItemColumns(isGST);
+        drawTable(doc, columns, getItemRows(issueLines, 'Issue Total'));
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Bold').text('Old Metal Received (Exchange)');
+        doc.font('Helvetica');
+        drawTable(doc, columns, getItemRows(receiptLines, 'Exchange Total'));
+    } else if (issueLines.length) {
+        drawTable(doc, getItemColumns(isGST), getItemRows(issueLines, 'Total', voucher.totals || {}));
+    }
+
+    doc.moveDown(0.5);
+    renderSummary(doc, voucher);
+    renderBalances(doc, voucher);
+
+    const paymentLines = getPaymentLines(voucher);
+    if (paymentLines.length) {
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Bold').text('Payment Details');
+        doc.font('Helvetica');
+        paymentLines.forEach(([label, value]) => doc.text(`${label}: ${value}`));
+    }
+    renderUpiQr(doc, upiQr, A4_QR_SIZE);
+
+    if (voucher.narration) {
+        doc.moveDown(0.5);
+        doc.text(`Narration: ${voucher.narration}`);
+    }
+
+    if (voucher.status === 'cancelled') {
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Bold').text(`CANCELLED${voucher.cancelledReason ? ` - ${voucher.cancelledReason}` : ''}`);
+        doc.font('Helvetica');
+    }
+
+    doc.moveDown(3);
+    drawKeyValue(doc, 'Customer Signature', `For ${shop.name}`);
+};
+
+const A4_QR_SIZE = 110;
+const THERMAL_QR_SIZE = 100;
+
+// Scan-to-pay QR for the amount still outstanding, centred under the totals
+const renderUpiQr = (doc, upiQr, size) => {
+    if (!upiQr?.png) return;
+    doc.moveDown(0.5);
+    if (doc.y + size + 20 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    const top = doc.y;
+    doc.image(upiQr.png, (doc.page.width - size) / 2, top, { width: size, height: size });
+    doc.y = top + size + 2;
+    doc.text(`Scan to pay ${formatCurrency(upiQr.amount)} by UPI`, doc.page.margins.left, doc.y, { align: 'center' });
+};
+
+// One line per mode of a split payment
+const renderPayments = (doc, voucher) => {
+    (voucher.payments || []).forEach((payment) => {
+        const detail = payment.chequeNumber || payment.reference;
+        const label = `${PAYMENT_MODE_LABELS[payment.mode] || payment.mode}${detail ? ` (${detail})` : ''}`;
+        drawKeyValue(doc, `  ${label}`, formatCurrency(payment.amount));
+    });
+};
+
+const renderSummary = (doc, voucher) => {
+    const isSettlement = !voucher.items?.length;
+
+    if (voucher.paymentType === 'interest') {
+        const details = voucher.interestDetails || {};
+        drawKeyValue(doc, 'Overdue Balance', formatCurrency(details.principal));
+        drawKeyValue(doc, `Interest @ ${toNumber(details.monthlyRate)}% p.m. (${details.method || 'simple'})`,
+            `${toNumber(details.days)} days`);
+        drawKeyValue(doc, 'Period', `${formatDate(details.from)} - ${formatDate(details.to)}`);
+        drawKeyValue(doc, 'Interest', formatCurrency(voucher.total), { bold: true });
+        return;
+    }
+
+    if (isSettlement) {
+        const isFine = ['add_gold', 'add_silver'].includes(voucher.paymentType);
+        drawKeyValue(doc, PAYMENT_TYPE_LABELS[voucher.paymentType] || 'Received',
+            isFine ? `${formatWeight(voucher.cashReceived)} g` : formatCurrency(voucher.cashReceived), { bold: true });
+        renderPayments(doc, voucher);
+        if (voucher.paymentType === 'money_to_gold') drawKeyValue(doc, 'Gold Rate', formatCurrency(voucher.goldRate));
+        if (voucher.paymentType === 'money_to_silver') drawKeyValue(doc, 'Silver Rate', formatCurrency(voucher.silverRate));
+        return;
+    }
+
+    const { issueLines, receiptLines } = splitLines(voucher);
+    const itemsAmount = receiptLines.length
+        ? sumPrintedLines(issueLines).amount
+        : toNumber(voucher.totals?.amount);
+    drawKeyValue(doc, 'Items Amount', formatCurrency(itemsAmount));
+    if (toNumber(voucher.stoneAmount)) drawKeyValue(doc, 'Stone Amount', formatCurrency(voucher.stoneAmount));
+    if (voucher.invoiceType === 'gst') {
+        drawKeyValue(doc, 'Taxable Value', formatCurrency(voucher.gstDetails?.taxableValue));
+        getTaxLines(voucher).forEach(([label, value]) => drawKeyValue(doc, label, formatCurrency(value)));
+    }
+    if (toNumber(voucher.fineAmount)) drawKeyValue(doc, 'Fine Amount', formatCurrency(voucher.fineAmount));
+    if (receiptLines.length) {
+        drawKeyValue(doc, 'Less: Old Metal Exchange', `- ${formatCurrency(sumPrintedLines(receiptLines).amount)}`);
+    }
+    drawKeyValue(doc, 'Grand Total', formatCurrency(voucher.total), { bold: true });
+    if (voucher.paymentType === 'cash') {
+        const isSplit = voucher.payments?.length > 0;
+        const label = voucher.voucherType === 'purchase'
+            ? (isSplit ? 'Amount Paid' : 'Cash Paid')
+            : (isSplit ? 'Amount Received' : 'Cash Received');
+        drawKeyValue(doc, label, formatCurrency(voucher.cashReceived));
+        renderPayments(doc, voucher);
+    }
+};
+
+const renderBalances = (doc, voucher) => {
+    // GST invoices never move the running ledger balance
+    if (voucher.invoiceType === 'gst') return;
+
+    const snapshot = voucher.balanceSnapshot || {};
+    const oldBalance = snapshot.oldBalance || {};
+    const currentBalance = snapshot.currentBalance || {};
+
+    doc.moveDown(0.5);
+    drawRule(doc);
+    drawKeyValue(doc, 'Old Balance', formatCurrency(oldBalance.totalAmount));
+    drawKeyValue(doc, 'Old Gold Fine / Silver Fine',
+        `${formatWeight(oldBalance.goldFineWeight)} g / ${formatWeight(oldBalance.silverFineWeight)} g`);
+    drawKeyValue(doc, 'Current Balance', formatCurrency(currentBalance.amount), { bold: true });
+    drawKeyValue(doc, 'Current Gold Fine / Silver Fine',
+        `${formatWeight(currentBalance.goldFineWeight)} g / ${formatWeight(currentBalance.silverFineWeight)} g`, { bold: true });
+    drawRule(doc);
+};
+
+// ───────────────────────── Thermal layout ─────────────────────────
+
+const renderThermal = (doc, voucher, shop, customer, upiQr) => {
+    doc.font('Helvetica-Bold').fontSize(10).text(shop.name, { align: 'center' });
+    doc.font('Helvetica').fontSize(7.5);
+    if (shop.phoneNumber) doc.text(`Ph: ${shop.phoneNumber}`, { align: 'center' });
+    if (shop.gstNumber) doc.text(`GSTIN: ${shop.gstNumber}`, { align: 'center' });
+    doc.font('Helvetica-Bold').text(getDocumentTitle(voucher), { align: 'center' });
+    doc.font('Helvetica');
+    drawRule(doc);
+
+    drawKeyValue(doc, `No: ${voucher.voucherNumber}`, formatDate(voucher.date));
+    doc.text(`Customer: ${customer.name}`);
+    if (customer.gstNumber) doc.text(`GSTIN: ${customer.gstNumber}`);
+    drawRule(doc);
+
+    const printLine = (item) => {
+        doc.font('Helvetica-Bold').text(item.itemName);
+        doc.font('Helvetica');
+        drawKeyValue(doc, `Net ${formatWeight(item.netWeight)} x ${formatAmount(toNumber(item.melting) + toNumber(item.wastage))}`,
+            `Fine ${formatWeight(item.fineWeight)}`);
+        drawKeyValue(doc, `Labour ${formatAmount(item.labourRate)}`, formatAmount(item.amount));
+    };
+    const { issueLines, receiptLines } = splitLines(voucher);
+    issueLines.forEach(printLine);
+    if (receiptLines.length) {
+        drawRule(doc);
+        doc.font('Helvetica-Bold').text('Old Metal Received (Exchange)');
+        doc.font('Helvetica');
+        receiptLines.forEach(printLine);
+    }
+    if (voucher.items?.length) drawRule(doc);
+
+    renderSummary(doc, voucher);
+    renderBalances(doc, voucher);
+
+    if (voucher.upiId) doc.text(`UPI: ${voucher.upiId}`, { align: 'center' });
+    renderUpiQr(doc, upiQr, THERMAL_QR_SIZE);
+    doc.moveDown(0.5);
+    doc.text('Thank you!', { align: 'center' });
+};
+
+// Thermal rolls are a single long page: reserve space per printed line.
+const estimateThermalHeight = (voucher, upiQr) => {
+    const itemLines = (voucher.items?.length || 0) * 3 + (splitLines(voucher).receiptLines.length ? 4 : 0);
+    const taxLines = voucher.invoiceType === 'gst' ? 4 : 0;
+    const paymentLines = voucher.payments?.length || 0;
+    return 260 + (itemLines + taxLines + paymentLines) * 11 + (upiQr?.png ? THERMAL_QR_SIZE + 30 : 0);
+};
+
+/**
+ * Build a PDF document for a voucher.
+ * @param {object} voucher Voucher document (ledgerId optionally populated).
+ * @param {object} user    Shop owner (User) — supplies shop name and GSTIN.
+ * @param {object} [options]
+ * @param {'a4'|'thermal'} [options.format='a4']
+ * @param {{ png: Buffer, amount: number }} [options.upiQr] Payment QR to print, see utils/upiQr.
+ * @returns {PDFDocument} Un-ended document; pass to `sendPdf`.
+ */
+const buildVoucherPdf = (voucher, user, options = {}) => {
+    const format = resolveFormat(options.format);
+    const shop = getShopDetails(user);
+    const customer = getCustomerDetails(voucher);
+
+    const doc = createPdfDocument(format, {
+        estimatedHeight: estimateThermalHeight(voucher, options.upiQr),
+        info: { Title: `${getDocumentTitle(voucher)} ${voucher.voucherNumber}`, Author: shop.name }
+    });
+
+    if (format === 'thermal') {
+        renderThermal(doc, voucher, shop, customer, options.upiQr);
+    } else {
+        renderA4(doc, voucher, shop, customer, options.upiQr);
+    }
+
+    return doc;
+};
+
+module.exports = {
+    buildVoucherPdf,
+    getDocumentTitle
+};
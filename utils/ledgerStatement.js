@@ -0,0 +1,302 @@
+/**
+ * Ledger account statement.
+ *
+ * Replays vouchers, settlements, credit notes and receipts in date order with the same
+ * signs the posting routes apply to Ledger.balances, so the running balance
+ * on the statement ends where the ledger's stored balance does.
+ *
+ * Sign convention: a positive amount / fine means the customer owes the shop.
+ */
+
+const Voucher = require('../models/Voucher');
+const Settlement = require('../models/Settlement');
+const CreditNote = require('../models/CreditNote');
+const Receipt = require('../models/Receipt');
+const { toNumber } = require('./helpers');
+const { formatDate } = require('./pdfHelpers');
+const { getLineSign } = require('./voucherCalculator');
+
+const PAYMENT_TYPE_LABELS = {
+    cash: 'Cash Bill',
+    credit: 'Credit Bill',
+    add_cash: 'Cash Received',
+    add_gold: 'Gold Received',
+    add_silver: 'Silver Received',
+    money_to_gold: 'Cash to Gold',
+    money_to_silver: 'Cash to Silver',
+    interest: 'Interest'
+};
+
+const emptyEffect = () => ({ amount: 0, gold: 0, silver: 0 });
+
+/**
+ * Balance effect of a voucher. Mirrors POST /api/voucher.
+ */
+const getVoucherEffect = (voucher) => {
+    const effect = emptyEffect();
+    if (voucher.status && voucher.status !== 'active') return effect;
+
+    const sign = voucher.voucherType === 'purchase' ? -1 : 1;
+    const total = toNumber(voucher.total);
+    const cashReceived = toNumber(voucher.cashReceived);
+
+    switch (voucher.paymentType) {
+        case 'credit':
+            effect.amount = sign * total;
+            (voucher.items || []).forEach((item) => {
+                const fine = sign * getLineSign(item) * toNumber(item.fineWeight);
+                if (item.metalType === 'gold') effect.gold += fine;
+                if (item.metalType === 'silver') effect.silver += fine;
+            });
+            break;
+        case 'cash':
+            effect.amount = sign * (total - cashReceived);
+            break;
+        case 'add_cash':
+            effect.amount = -cashReceived;
+            break;
+        case 'add_gold':
+            effect.gold = -cashReceived;
+            break;
+        case 'add_silver':
+            effect.silver = -cashReceived;
+            break;
+        case 'money_to_gold':
+            effect.gold = -(cashReceived / (toNumber(voucher.goldRate) || 1));
+            break;
+        case 'money_to_silver':
+            effect.silver = -(cashReceived / (toNumber(voucher.silverRate) || 1));
+            break;
+        case 'interest':
+            effect.amount = total;
+            break;
+        default:
+            break;
+    }
+    return effect;
+};
+
+/**
+ * Balance effect of a settlement. Mirrors the ledger recalculation:
+ * receipts add, payments subtract.
+ */
+const getSettlementEffect = (settlement) => {
+    const effect = emptyEffect();
+    const multiplier = (settlement.direction || 'payment') === 'receipt' ? 1 : -1;
+    const fine = multiplier * toNumber(settlement.fineGiven);
+
+    effect.amount = multiplier * toNumber(settlement.amount);
+    if (settlement.metalType === 'gold') effect.gold = fine;
+    if (settlement.metalType === 'silver') effect.silver = fine;
+    return effect;
+};
+
+/**
+ * Balance effect of a credit note: the deltas it stored when it was posted.
+ */
+const getCreditNoteEffect = (creditNote) => {
+    if (creditNote.status && creditNote.status !== 'active') return emptyEffect();
+    const adjustment = creditNote.ledgerAdjustment || {};
+    return {
+        amount: toNumber(adjustment.cashBalance),
+        gold: toNumber(adjustment.goldFineWeight),
+        silver: toNumber(adjustment.silverFineWeight)
+    };
+};
+
+/**
+ * Balance effect of a payment receipt: the delta it stored when it was posted.
+ */
+const getReceiptEffect = (receipt) => {
+    if (receipt.status && receipt.status !== 'active') return emptyEffect();
+    return { ...emptyEffect(), amount: toNumber(receipt.ledgerAdjustment?.cashBalance) };
+};
+
+const toEntries = ({
+    vouchers = [], settlements = [], creditNotes = [], receipts = []
+}) => [
+    ...vouchers.map((voucher) => ({
+        date: voucher.date,
+        createdAt: voucher.createdAt,
+        type: 'voucher',
+        id: voucher._id,
+        reference: voucher.voucherNumber,
+        particulars: [
+            voucher.voucherType === 'purchase' ? 'Purchase' : null,
+            PAYMENT_TYPE_LABELS[voucher.paymentType] || voucher.paymentType
+        ].filter(Boolean).join(' - '),
+        narration: voucher.narration || '',
+        effect: getVoucherEffect(voucher)
+    })),
+    ...settlements.map((settlement) => ({
+        date: settlement.date,
+        createdAt: settlement.createdAt,
+        type: 'settlement',
+        id: settlement._id,
+        reference: '',
+        particulars: `Settlement (${settlement.metalType} ${settlement.direction || 'payment'})`,
+        narration: settlement.narration || '',
+        effect: getSettlementEffect(settlement)
+    })),
+    ...creditNotes.map((creditNote) => ({
+        date: creditNote.date,
+        createdAt: creditNote.createdAt,
+        type: 'credit_note',
+        id: creditNote._id,
+        reference: creditNote.creditNoteNumber,
+        particulars: `Credit Note against ${creditNote.originalInvoice?.voucherNumber || ''}`.trim(),
+        narration: creditNote.reason || '',
+        effect: getCreditNoteEffect(creditNote)
+    })),
+    ...receipts.map((receipt) => ({
+        date: receipt.date,
+        createdAt: receipt.createdAt,
+        type: 'receipt',
+        id: receipt._id,
+        reference: receipt.receiptNumber,
+        particulars: receipt.allocations?.length
+            ? `Payment Received against ${receipt.allocations.map((allocation) => allocation.voucherNumber).join(', ')}`
+            : 'Payment Received',
+        narration: receipt.narration || '',
+        effect: getReceiptEffect(receipt)
+    }))
+].sort((a, b) => (new Date(a.date) - new Date(b.date)) || (new Date(a.createdAt) - new Date(b.createdAt)));
+
+const addEffect = (balance, effect) => ({
+    amount: balance.amount + effect.amount,
+    gold: balance.gold + effect.gold,
+    silver: balance.silver + effect.silver
+});
+
+/**
+ * Build the statement for a ledger.
+ * @param {object} params
+ * @param {object} params.ledger
+ * @param {Array<object>} params.vouchers    All vouchers up to `endDate` (including before `startDate`).
+ * @param {Array<object>} params.settlements All settlements up to `endDate`.
+ * @param {Array<object>} [params.creditNotes] All credit notes up to `endDate`.
+ * @param {Array<object>} [params.receipts]    All receipts up to `endDate`.
+ * @param {Date} [params.startDate]
+ * @returns {{ openingBalance: object, lines: Array<object>, totals: object, closingBalance: object }}
+ */
+const buildLedgerStatement = ({
+    ledger, vouchers, settlements, creditNotes, receipts, startDate
+}) => {
+    const ob = ledger.ledgerType === 'gst' ? {} : (ledger.openingBalance || {});
+    let balance = {
+        amount: toNumber(ob.amount),
+        gold: toNumber(ob.goldFineWeight),
+        silver: toNumber(ob.silverFineWeight)
+    };
+
+    const start = startDate ? new Date(startDate) : null;
+    const isBeforeStart = (entry) => Boolean(start) && new Date(entry.date) < start;
+    const entries = toEntries({
+        vouchers, settlements, creditNotes, receipts
+    });
+
+    entries.filter(isBeforeStart).forEach((entry) => {
+        balance = addEffect(balance, entry.effect);
+    });
+    const openingBalance = { ...balance };
+
+    const totals = { debit: 0, credit: 0, goldIn: 0, goldOut: 0, silverIn: 0, silverOut: 0 };
+    const lines = entries.filter((entry) => !isBeforeStart(entry)).map((entry) => {
+        const { effect } = entry;
+        balance = addEffect(balance, effect);
+        totals.debit += Math.max(effect.amount, 0);
+        totals.credit += Math.max(-effect.amount, 0);
+        totals.goldIn += Math.max(effect.gold, 0);
+        totals.goldOut += Math.max(-effect.gold, 0);
+        totals.silverIn += Math.max(effect.silver, 0);
+        totals.silverOut += Math.max(-effect.silver, 0);
+
+        return {
+            date: entry.date,
+            type: entry.type,
+            id: entry.id,
+            reference: entry.reference,
+            particulars: entry.particulars,
+            narration: entry.narration,
+            debit: Math.max(effect.amount, 0),
+            credit: Math.max(-effect.amount, 0),
+            goldFine: effect.gold,
+            silverFine: effect.silver,
+            balance: { ...balance }
+        };
+    });
+
+    return {
+        openingBalance,
+        lines,
+        totals,
+        closingBalance: { ...balance }
+    };
+};
+
+/**
+ * Load everything posted to a ledger up to `endDate` and build its statement.
+ * GST ledgers only carry GST invoices; regular ledgers exclude them.
+ * @param {object} ledger
+ * @param {{ startDate?: Date|string, endDate?: Date }} [range]
+ */
+const loadLedgerStatement = async (ledger, { startDate, endDate } = {}) => {
+    const base = { userId: ledger.userId, ledgerId: ledger._id };
+    const invoiceType = ledger.ledgerType === 'gst' ? 'gst' : { $ne: 'gst' };
+    const range = endDate ? { date: { $lte: endDate } } : {};
+
+    const [vouchers, settlements, creditNotes, receipts] = await Promise.all([
+        Voucher.find({ ...base, ...range, invoiceType, status: 'active' }).lean(),
+        Settlement.find({ ...base, ...range }).lean(),
+        CreditNote.find({ ...base, ...range, invoiceType, status: 'active' }).lean(),
+        Receipt.find({ ...base, ...range, status: 'active' }).lean()
+    ]);
+
+    return buildLedgerStatement({
+        ledger, vouchers, settlements, creditNotes, receipts, startDate
+    });
+};
+
+const formatOptional = (value, digits) => (value === undefined ? '' : toNumber(value).toFixed(digits));
+
+const STATEMENT_CSV_COLUMNS = [
+    { header: 'Date', key: (row) => (row.date ? formatDate(row.date) : '') },
+    { header: 'Type', key: 'type' },
+    { header: 'Reference', key: 'reference' },
+    { header: 'Particulars', key: 'particulars' },
+    { header: 'Narration', key: 'narration' },
+    { header: 'Debit', key: (row) => formatOptional(row.debit, 2) },
+    { header: 'Credit', key: (row) => formatOptional(row.credit, 2) },
+    { header: 'Gold Fine', key: (row) => formatOptional(row.goldFine, 3) },
+    { header: 'Silver Fine', key: (row) => formatOptional(row.silverFine, 3) },
+    { header: 'Balance', key: (row) => toNumber(row.balance.amount).toFixed(2) },
+    { header: 'Gold Balance', key: (row) => toNumber(row.balance.gold).toFixed(3) },
+    { header: 'Silver Balance', key: (row) => toNumber(row.balance.silver).toFixed(3) }
+];
+
+// Opening row, one row per line, then closing totals
+const getStatementCsvRows = (statement) => [
+    { particulars: 'Opening Balance', balance: statement.openingBalance },
+    ...statement.lines,
+    {
+        particulars: 'Closing Balance',
+        debit: statement.totals.debit,
+        credit: statement.totals.credit,
+        goldFine: statement.totals.goldIn - statement.totals.goldOut,
+        silverFine: statement.totals.silverIn - statement.totals.silverOut,
+        balance: statement.closingBalance
+    }
+];
+
+module.exports = {
+    PAYMENT_TYPE_LABELS,
+    toEntries,
+    getVoucherEffect,
+    getSettlementEffect,
+    getCreditNoteEffect,
+    getReceiptEffect,
+    buildLedgerStatement,
+    loadLedgerStatement,
+    STATEMENT_CSV_COLUMNS,
+    getStatementCsvRows
+};
@@ -0,0 +1,154 @@
+/**
+ * Document numbering series.
+ *
+ * Numbers are allocated with a single atomic `$inc` on the series document so
+ * two counters billing at the same time can never receive the same number.
+ */
+
+const NumberSeries = require('../models/NumberSeries');
+const User = require('../models/User');
+const { toNumber, badRequest, notFound } = require('./helpers');
+
+const ALL_TIME_PERIOD = 'all';
+
+/**
+ * Indian financial year (April–March) of a date.
+ * @returns {{ short: string, full: string }} e.g. { short: '25-26', full: '2025-26' }
+ */
+const getFinancialYear = (value = new Date()) => {
+    const date = new Date(value);
+    const safeDate = Number.isFinite(date.getTime()) ? date : new Date();
+    const startYear = safeDate.getMonth() >= 3 ? safeDate.getFullYear() : safeDate.getFullYear() - 1;
+    const endYear = startYear + 1;
+    return {
+        short: `${String(startYear).slice(-2)}-${String(endYear).slice(-2)}`,
+        full: `${startYear}-${String(endYear).slice(-2)}`
+    };
+};
+
+const getPeriodKey = (series, date) => (series.resetYearly ? getFinancialYear(date).full : ALL_TIME_PERIOD);
+
+const formatNumber = (series, seq, date) => {
+    const fy = getFinancialYear(date);
+    const padded = String(seq).padStart(toNumber(series.padding), '0');
+    return String(series.format || '{PREFIX}{SEQ}')
+        .replace(/\{PREFIX\}/g, series.prefix || '')
+        .replace(/\{FYFULL\}/g, fy.full)
+        .replace(/\{FY\}/g, fy.short)
+        .replace(/\{SEQ\}/g, padded);
+};
+
+const validateFormat = (format) => {
+    if (!String(format || '').includes('{SEQ}')) {
+        throw badRequest('Format must contain the {SEQ} token');
+    }
+};
+
+/**
+ * Create the default series for a document type the first time it is needed,
+ * carrying over the legacy counters stored on the user.
+ */
+const ensureDefaultSeries = async (userId, documentType, session) => {
+    const existing = await NumberSeries.findOne({ userId, documentType, isDefault: true }).session(session);
+    if (existing) return existing;
+
+    const user = await User.findById(userId).select('voucherSettings').session(session);
+    const seeds = {
+        credit_note: { name: 'Credit Note', prefix: 'CN-', padding: 0, lastIssued: toNumber(user?.voucherSettings?.lastCreditNoteNumber) },
+        receipt: { name: 'Receipt', prefix: 'RCT-', padding: 0, lastIssued: 0 },
+        pledge: { name: 'Pledge', prefix: 'GRV-', padding: 0, lastIssued: 0 }
+    };
+    const seed = seeds[documentType]
+        || { name: 'Default', prefix: '', padding: 0, lastIssued: toNumber(user?.voucherSettings?.currentVoucherNumber, 1) - 1 };
+
+    try {
+        return await NumberSeries.findOneAndUpdate(
+            { userId, documentType, name: seed.name },
+            {
+                $setOnInsert: {
+                    prefix: seed.prefix,
+                    format: '{PREFIX}{SEQ}',
+                    padding: seed.padding,
+                    resetYearly: false,
+                    isDefault: true,
+                    counters: { [ALL_TIME_PERIOD]: Math.max(0, seed.lastIssued) }
+                }
+            },
+            { upsert: true, new: true, session }
+        );
+    } catch (error) {
+        // Another request seeded it first
+        if (error.code === 11000) {
+            return NumberSeries.findOne({ userId, documentType, name: seed.name }).session(session);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Pick the series for a document: an explicit `seriesId`, otherwise the most
+ * specific active series matching invoice/voucher type, falling back to the default.
+ */
+const resolveSeries = async (userId, documentType, { seriesId, invoiceType, voucherType } = {}, session) => {
+    if (seriesId) {
+        const series = await NumberSeries.findOne({ _id: seriesId, userId, documentType }).session(session);
+        if (!series) throw notFound('Numbering series not found');
+        if (!series.isActive) throw badRequest('Numbering series is inactive');
+        return series;
+    }
+
+    const candidates = await NumberSeries.find({
+        userId,
+        documentType,
+        isActive: true,
+        invoiceType: { $in: ['any', invoiceType || 'normal'] },
+        voucherType: { $in: ['any', voucherType || 'sale'] }
+    }).session(session);
+
+    const specificity = (series) => (series.invoiceType !== 'any' ? 2 : 0) + (series.voucherType !== 'any' ? 1 : 0);
+    candidates.sort((a, b) => (specificity(b) - specificity(a)) || (Number(b.isDefault) - Number(a.isDefault)));
+
+    return candidates[0] || ensureDefaultSeries(userId, documentType, session);
+};
+
+/**
+ * Atomically allocate the next number of the series matching the document.
+ * @param {string} userId
+ * @param {'voucher'|'credit_note'|'receipt'|'pledge'} documentType
+ * @param {{ seriesId?: string, invoiceType?: string, voucherType?: string, date?: Date }} [options]
+ * @param {import('mongoose').ClientSession|null} [session]
+ * @returns {Promise<{ number: string, seriesId: string }>}
+ */
+const allocateNumber = async (userId, documentType, options = {}, session = null) => {
+    const series = await resolveSeries(userId, documentType, options, session);
+    const period = getPeriodKey(series, options.date);
+
+    const updated = await NumberSeries.findOneAndUpdate(
+        { _id: series._id },
+        { $inc: { [`counters.${period}`]: 1 } },
+        { new: true, session }
+    );
+    const seq = toNumber(updated.counters.get(period));
+
+    return { number: formatNumber(updated, seq, options.date), seriesId: updated._id };
+};
+
+/**
+ * The number the series would issue next, without consuming it.
+ */
+const previewNextNumber = (series, date = new Date()) => {
+    const period = getPeriodKey(series, date);
+    const lastIssued = toNumber(series.counters?.get ? series.counters.get(period) : series.counters?.[period]);
+    return formatNumber(series, lastIssued + 1, date);
+};
+
+module.exports = {
+    getFinancialYear,
+    getPeriodKey,
+    formatNumber,
+    validateFormat,
+    ensureDefaultSeries,
+    resolveSeries,
+    allocateNumber,
+    previewNextNumber
+};
@@ -0,0 +1,125 @@
+/**
+ * Split payments on vouchers.
+ *
+ * A money voucher can be paid in several modes at once: cash, UPI, card, bank
+ * transfer or cheque. `cashReceived` stays the total of all the lines, so the
+ * ledger maths is unchanged. Only the cash lines reach the drawer (cash book,
+ * GET /api/stock); the rest go to the bank book. Vouchers without `payments`
+ * (paid wholly in cash, or saved before split payments) count as all cash.
+ */
+
+const CONSTANTS = require('./constants');
+const { toNumber, badRequest } = require('./helpers');
+
+// Payment types where `cashReceived` is money; for add_gold / add_silver it is fine weight
+const MONEY_PAYMENT_TYPES = ['cash', 'add_cash', 'money_to_gold', 'money_to_silver'];
+
+const PAYMENT_MODE_LABELS = {
+    cash: 'Cash',
+    upi: 'UPI',
+    card: 'Card',
+    bank_transfer: 'Bank Transfer',
+    cheque: 'Cheque'
+};
+
+const roundAmount = (value) => Math.round(toNumber(value) * 100) / 100;
+
+const cleanPayment = (payment, index) => {
+    const row = `Payment ${index + 1}`;
+    const mode = payment?.mode;
+    if (!CONSTANTS.VOUCHER_PAYMENT.MODES.includes(mode)) {
+        throw badRequest(`${row}: mode must be one of ${CONSTANTS.VOUCHER_PAYMENT.MODES.join(', ')}`);
+    }
+    const amount = roundAmount(payment.amount);
+    if (!(amount > 0)) {
+        throw badRequest(`${row}: amount must be greater than zero`);
+    }
+
+    const cleaned = {
+        mode,
+        amount,
+        reference: String(payment.reference || '').trim()
+    };
+    if (mode === 'cheque') {
+        const chequeNumber = String(payment.chequeNumber || '').trim();
+        const chequeDate = new Date(payment.chequeDate);
+        if (!chequeNumber || Number.isNaN(chequeDate.getTime())) {
+            throw badRequest(`${row}: cheque number and date are required`);
+        }
+        cleaned.chequeNumber = chequeNumber;
+        cleaned.chequeDate = chequeDate;
+    }
+    if (mode === 'cheque' || mode === 'bank_transfer') {
+        cleaned.bankName = String(payment.bankName || '').trim();
+    }
+    return cleaned;
+};
+
+/**
+ * Validate the payment lines of a voucher request and derive `cashReceived`.
+ * Without `payments` the request's `cashReceived` is kept as is (all cash).
+ * When both are sent they must agree.
+ * @param {string} paymentType
+ * @param {Array<object>|undefined} payments
+ * @param {number|string|undefined} cashReceived
+ * @returns {{ payments: Array<object>, cashReceived: number|string|undefined }}
+ */
+const resolvePayments = (paymentType, payments, cashReceived) => {
+    if (payments === undefined || payments === null) {
+        return { payments: [], cashReceived };
+    }
+    if (!Array.isArray(payments)) {
+        throw badRequest('payments must be an array');
+    }
+    if (payments.length === 0) {
+        return { payments: [], cashReceived };
+    }
+    if (!MONEY_PAYMENT_TYPES.includes(paymentType)) {
+        throw badRequest(`Split payments are not allowed on ${paymentType} vouchers`);
+    }
+
+    const cleaned = payments.map(cleanPayment);
+    const total = roundAmount(cleaned.reduce((sum, payment) => sum + payment.amount, 0));
+    const hasCashReceived = cashReceived !== undefined && cashReceived !== null && cashReceived !== '';
+    if (hasCashReceived && Math.abs(roundAmount(cashReceived) - total) > 0.005) {
+        throw badRequest(`cashReceived ${roundAmount(cashReceived)} does not match the payments total (${total})`);
+    }
+    return { payments: cleaned, cashReceived: total };
+};
+
+/**
+ * The part of `cashReceived` that was paid in cash.
+ */
+const getCashPortion = (voucher) => {
+    if (!voucher.payments?.length) return toNumber(voucher.cashReceived);
+    return voucher.payments
+        .filter((payment) => payment.mode === 'cash')
+        .reduce((sum, payment) => sum + toNumber(payment.amount), 0);
+};
+
+/**
+ * Aggregation expression for the cash part of a voucher; the same rule as
+ * `getCashPortion`.
+ */
+const CASH_PORTION_EXPRESSION = {
+    $cond: [
+        { $gt: [{ $size: { $ifNull: ['$payments', []] } }, 0] },
+        {
+            $sum: {
+                $map: {
+                    input: { $filter: { input: '$payments', cond: { $eq: ['$$this.mode', 'cash'] } } },
+                    in: '$$this.amount'
+                }
+            }
+        },
+        { $convert: { input: '$cashReceived', to: 'double', onError: 0, onNull: 0 } }
+    ]
+};
+
+module.exports = {
+    MONEY_PAYMENT_TYPES,
+    PAYMENT_MODE_LABELS,
+    resolvePayments,
+    getCashPortion,
+    CASH_PORTION_EXPRESSION
+};
@@ -0,0 +1,170 @@
+/**
+ * Shared PDF building blocks (pdfkit).
+ *
+ * Every printable document (invoices, statements, tickets) goes through these
+ * helpers so page formats, number formatting and table layout stay identical
+ * across devices instead of being rebuilt by each frontend.
+ */
+
+const PDFDocument = require('pdfkit');
+const { toNumber } = require('./helpers');
+
+const MM_TO_PT = 72 / 25.4;
+
+const PAGE_FORMATS = {
+    a4: { size: 'A4', margin: 36, fontSize: 9 },
+    // 80mm roll, ~72mm printable width on most counter printers
+    thermal: { width: 80 * MM_TO_PT, margin: 4 * MM_TO_PT, fontSize: 7.5 }
+};
+
+const resolveFormat = (format) => (PAGE_FORMATS[format] ? format : 'a4');
+
+/**
+ * Create a pdfkit document for the requested format.
+ * Thermal rolls have no fixed page length, so the caller passes an estimated
+ * height (in points) that fits the whole receipt on a single page.
+ * @param {'a4'|'thermal'} [format='a4']
+ * @param {object} [options]
+ * @param {number} [options.estimatedHeight] Page height for thermal receipts.
+ * @param {object} [options.info] PDF metadata (Title, Author, ...).
+ */
+const createPdfDocument = (format = 'a4', options = {}) => {
+    const key = resolveFormat(format);
+    const config = PAGE_FORMATS[key];
+    const size = key === 'thermal'
+        ? [config.width, Math.max(200, toNumber(options.estimatedHeight, 600))]
+        : config.size;
+
+    const doc = new PDFDocument({
+        size,
+        margin: config.margin,
+        bufferPages: key === 'a4',
+        info: options.info
+    });
+    doc.fontSize(config.fontSize);
+    doc.layoutFormat = key;
+    return doc;
+};
+
+// ───────────────────────── Formatting ─────────────────────────────
+
+// Built-in PDF fonts have no ₹ glyph, so amounts are prefixed with "Rs."
+const formatAmount = (value) => toNumber(value).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+});
+
+const formatCurrency = (value) => `Rs. ${formatAmount(value)}`;
+
+const formatWeight = (value) => toNumber(value).toFixed(3);
+
+const formatDate = (value) => {
+    const date = value ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) return '';
+    const dd = String(date.getDate()).padStart(2, '0');
+    const mm = String(date.getMonth() + 1).padStart(2, '0');
+    return `${dd}/${mm}/${date.getFullYear()}`;
+};
+
+// ───────────────────────── Layout ─────────────────────────────────
+
+const contentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+const drawRule = (doc, options = {}) => {
+    const y = options.y ?? doc.y;
+    doc.save()
+        .lineWidth(options.width ?? 0.5)
+        .moveTo(doc.page.margins.left, y)
+        .lineTo(doc.page.width - doc.page.margins.right, y)
+        .stroke()
+        .restore();
+    doc.moveDown(0.3);
+};
+
+/**
+ * Print "label ....... value" on one line, value right-aligned.
+ */
+const drawKeyValue = (doc, label, value, options = {}) => {
+    const x = doc.page.margins.left;
+    const width = contentWidth(doc);
+    const y = doc.y;
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(label, x, y, { width: width * 0.6 });
+    const labelBottom = doc.y;
+    doc.text(String(value ?? ''), x, y, { width, align: 'right' });
+    doc.y = Math.max(labelBottom, doc.y);
+    doc.font('Helvetica');
+};
+
+/**
+ * Draw a simple ruled table with automatic page breaks.
+ * @param {PDFDocument} doc
+ * @param {Array<{header: string, key: string, width: number, align?: string}>} columns
+ *   `width` is a relative weight; columns are scaled to the printable width.
+ * @param {Array<object>} rows Plain objects keyed by column `key`. A row with
+ *   `_bold: true` is printed in bold (used for totals).
+ */
+const drawTable = (doc, columns, rows, options = {}) => {
+    const x = doc.page.margins.left;
+    const width = contentWidth(doc);
+    const totalWeight = columns.reduce((sum, col) => sum + col.width, 0);
+    const widths = columns.map((col) => (col.width / totalWeight) * width);
+    const padding = options.padding ?? 2;
+
+    const drawRow = (cells, bold) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+        const heights = cells.map((cell, index) => doc.heightOfString(String(cell ?? ''), {
+            width: widths[index] - padding * 2
+        }));
+        const rowHeight = Math.max(...heights) + padding * 2;
+
+        if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+        }
+
+        const y = doc.y;
+        let cursor = x;
+        cells.forEach((cell, index) => {
+            doc.text(String(cell ?? ''), cursor + padding, y + padding, {
+                width: widths[index] - padding * 2,
+                align: columns[index].align || 'left'
+            });
+            cursor += widths[index];
+        });
+        doc.y = y + rowHeight;
+        doc.font('Helvetica');
+    };
+
+    drawRule(doc);
+    drawRow(columns.map((col) => col.header), true);
+    drawRule(doc);
+    rows.forEach((row) => drawRow(columns.map((col) => row[col.key]), row._bold));
+    drawRule(doc);
+    doc.x = x;
+};
+
+/**
+ * Stream a finished document to the response as an inline PDF.
+ */
+const sendPdf = (res, doc, filename) => {
+    const safeName = String(filename || 'document').replace(/[^A-Za-z0-9._-]/g, '_');
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${safeName}.pdf"`);
+    doc.pipe(res);
+    doc.end();
+};
+
+module.exports = {
+    PAGE_FORMATS,
+    resolveFormat,
+    createPdfDocument,
+    formatAmount,
+    formatCurrency,
+    formatWeight,
+    formatDate,
+    contentWidth,
+    drawRule,
+    drawKeyValue,
+    drawTable,
+    sendPdf
+};
@@ -0,0 +1,104 @@
+/**
+ * Period locking.
+ *
+ * Once a day or month is closed, nothing dated inside it may be created,
+ * edited or deleted until it is unlocked. The check keys off the entry's
+ * business `date`, not `createdAt`, so back-dated entries are caught too.
+ */
+
+const PeriodLock = require('../models/PeriodLock');
+const CONSTANTS = require('./constants');
+const { createError } = require('./helpers');
+const { parseDay } = require('./cashBook');
+
+/**
+ * Parse `YYYY-MM` into the bounds of that month (server time).
+ * @returns {{ start: Date, end: Date, key: string }|null}
+ */
+const parseMonth = (value) => {
+    const match = /^(\d{4})-(\d{2})$/.exec(String(value || ''));
+    if (!match) return null;
+    const year = Number(match[1]);
+    const monthIndex = Number(match[2]) - 1;
+    if (monthIndex < 0 || monthIndex > 11) return null;
+    return {
+        start: new Date(year, monthIndex, 1, 0, 0, 0, 0),
+        end: new Date(year, monthIndex + 1, 0, 23, 59, 59, 999),
+        key: String(value)
+    };
+};
+
+/**
+ * Bounds and key of the period to close.
+ * @param {'day'|'month'} periodType
+ * @param {string} value 'YYYY-MM-DD' or 'YYYY-MM'.
+ */
+const parsePeriod = (periodType, value) => {
+    if (periodType === 'day') return parseDay(value);
+    if (periodType === 'month') return parseMonth(value);
+    return null;
+};
+
+const toValidDates = (dates) => dates
+    .filter((value) => value !== undefined && value !== null && value !== '')
+    .map((value) => new Date(value))
+    .filter((date) => !Number.isNaN(date.getTime()));
+
+/**
+ * The lock covering any of `dates`, if one exists.
+ */
+const findLock = async (userId, dates, session = null) => {
+    const valid = toValidDates(dates);
+    if (valid.length === 0) return null;
+    return PeriodLock.findOne({
+        userId,
+        status: 'locked',
+        $or: valid.map((date) => ({ start: { $lte: date }, end: { $gte: date } }))
+    }).session(session);
+};
+
+const lockedError = (lock) => createError(
+    CONSTANTS.HTTP_STATUS.CONFLICT,
+    `The ${lock.periodType} ${lock.periodKey} is closed. Unlock it before making changes`,
+    'PERIOD_LOCKED'
+);
+
+/**
+ * Throw 409 PERIOD_LOCKED when any of the dates falls in a closed period.
+ * Pass every date a change touches, e.g. both the old and new date of an edit.
+ * @param {mongoose.Types.ObjectId} userId
+ * @param {Array<Date|string>} dates
+ * @param {ClientSession} [session]
+ */
+const assertPeriodOpen = async (userId, dates, session = null) => {
+    const lock = await findLock(userId, dates, session);
+    if (lock) throw lockedError(lock);
+};
+
+/**
+ * Throw 409 PERIOD_LOCKED when any document matching `filter` in one of the
+ * models is dated inside a closed period. For bulk changes such as clearing a
+ * ledger's history.
+ * @param {mongoose.Types.ObjectId} userId
+ * @param {Array<mongoose.Model>} models
+ * @param {object} filter
+ */
+const assertNoneLocked = async (userId, models, filter) => {
+    const locks = await PeriodLock.find({ userId, status: 'locked' }).lean();
+    if (locks.length === 0) return;
+
+    const inLockedPeriod = { $or: locks.map((lock) => ({ date: { $gte: lock.start, $lte: lock.end } })) };
+    for (const model of models) {
+        const doc = await model.findOne({ ...filter, ...inLockedPeriod }).select('date').lean();
+        if (doc) {
+            const date = new Date(doc.date);
+            throw lockedError(locks.find((lock) => lock.start <= date && lock.end >= date));
+        }
+    }
+};
+
+module.exports = {
+    parsePeriod,
+    assertPeriodOpen,
+    assertNoneLocked
+};
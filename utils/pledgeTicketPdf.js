@@ -0,0 +1,217 @@
+/**
+ * Pledge ticket.
+ *
+ * Handed to the customer when ornaments are pledged and shown again to take
+ * them back: the items with their weights, touch and value at the pledge
+ * date's rate, the loan and its interest terms, the maturity date and, once
+ * money has moved, what has been collected and what is still due. Printed on
+ * A4 or the 80mm roll.
+ */
+
+const {
+    createPdfDocument,
+    resolveFormat,
+    formatCurrency,
+    formatWeight,
+    formatDate,
+    drawRule,
+    drawKeyValue,
+    drawTable
+} = require('./pdfHelpers');
+const { PLEDGE_TRANSACTION_LABELS } = require('./pledges');
+
+const TITLE = 'PLEDGE TICKET';
+
+const STATUS_LABELS = {
+    active: 'Active',
+    redeemed: 'Redeemed',
+    forfeited: 'Forfeited',
+    auctioned: 'Auctioned',
+    cancelled: 'Cancelled'
+};
+
+const TERMS = [
+    'Pledged items are returned only against this ticket, on payment of the principal and interest due.',
+    'Interest is charged for at least the minimum period even when the loan is closed early.',
+    'Items not redeemed by the maturity date may be forfeited or auctioned; any surplus from an auction is paid to the customer.'
+];
+
+const ITEM_COLUMNS = [
+    { header: 'Item', key: 'itemName', width: 4 },
+    { header: 'Pcs', key: 'pieces', width: 1, align: 'right' },
+    { header: 'Gross (g)', key: 'grossWeight', width: 2, align: 'right' },
+    { header: 'Net (g)', key: 'netWeight', width: 2, align: 'right' },
+    { header: 'Touch %', key: 'melting', width: 1.5, align: 'right' },
+    { header: 'Fine (g)', key: 'fineWeight', width: 2, align: 'right' },
+    { header: 'Value', key: 'value', width: 2.5, align: 'right' }
+];
+
+const getItemLabel = (item) => [
+    item.itemName,
+    item.purity ? `(${item.purity})` : null,
+    item.status !== 'pledged' ? `- ${item.status}` : null
+].filter(Boolean).join(' ');
+
+const getItemRows = (pledge) => [
+    ...pledge.items.map((item) => ({
+        itemName: getItemLabel(item),
+        pieces: item.pieces,
+        grossWeight: formatWeight(item.grossWeight),
+        netWeight: formatWeight(item.netWeight),
+        melting: Number(item.melting).toFixed(2),
+        fineWeight: formatWeight(item.fineWeight),
+        value: formatCurrency(item.value)
+    })),
+    {
+        _bold: true,
+        itemName: 'Total',
+        pieces: pledge.items.reduce((sum, item) => sum + (item.pieces || 0), 0),
+        grossWeight: formatWeight(pledge.items.reduce((sum, item) => sum + item.grossWeight, 0)),
+        netWeight: formatWeight(pledge.items.reduce((sum, item) => sum + item.netWeight, 0)),
+        fineWeight: formatWeight(pledge.items.reduce((sum, item) => sum + item.fineWeight, 0)),
+        value: formatCurrency(pledge.valuation)
+    }
+];
+
+const getRatesLine = (pledge) => {
+    const metals = new Set(pledge.items.map((item) => item.metalType));
+    return [
+        metals.has('gold') ? `Gold ${formatCurrency(pledge.goldRate)}/g fine` : null,
+        metals.has('silver') ? `Silver ${formatCurrency(pledge.silverRate)}/g fine` : null
+    ].filter(Boolean).join(', ');
+};
+
+const renderLoan = (doc, pledge) => {
+    drawKeyValue(doc, 'Loan Amount', formatCurrency(pledge.loanAmount), { bold: true });
+    drawKeyValue(doc, 'Interest', `${pledge.interest.monthlyRate}% per month (${pledge.interest.method})`);
+    if (pledge.interest.minimumDays > 0) {
+        drawKeyValue(doc, 'Minimum Interest Period', `${pledge.interest.minimumDays} days`);
+    }
+    drawKeyValue(doc, 'Maturity Date', formatDate(pledge.maturityDate), { bold: true });
+};
+
+// Money that moved after the loan was paid out, and where the loan stands
+const renderAccount = (doc, pledge, transactions, position) => {
+    const collections = transactions.filter((transaction) => transaction.type !== 'disbursement');
+    if (collections.length) {
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Bold').text('Transactions');
+        doc.font('Helvetica');
+        collections.forEach((transaction) => {
+            drawKeyValue(doc, `  ${formatDate(transaction.date)} ${PLEDGE_TRANSACTION_LABELS[transaction.type] || transaction.type}`,
+                formatCurrency(transaction.amount));
+        });
+    }
+
+    doc.moveDown(0.5);
+    drawRule(doc);
+    drawKeyValue(doc, 'Status', STATUS_LABELS[pledge.status] || pledge.status, { bold: true });
+    if (pledge.status === 'active' && position) {
+        drawKeyValue(doc, 'Principal Outstanding', formatCurrency(position.principal));
+        drawKeyValue(doc, `Interest up to ${formatDate(position.interestUntil)}`, formatCurrency(position.interestDue));
+        drawKeyValue(doc, 'Total Due', formatCurrency(position.totalDue), { bold: true });
+    }
+    if (pledge.closure?.dues !== undefined && pledge.closure?.dues !== null) {
+        drawKeyValue(doc, 'Dues at Closure', formatCurrency(pledge.closure.dues));
+        if (pledge.closure.saleAmount) drawKeyValue(doc, 'Auction Sale', formatCurrency(pledge.closure.saleAmount));
+        if (pledge.closure.surplus) drawKeyValue(doc, 'Surplus Paid to Customer', formatCurrency(pledge.closure.surplus));
+        if (pledge.closure.shortfall) drawKeyValue(doc, 'Shortfall', formatCurrency(pledge.closure.shortfall));
+    }
+    if (pledge.status === 'cancelled' && pledge.cancelledReason) {
+        doc.text(`Reason: ${pledge.cancelledReason}`);
+    }
+    drawRule(doc);
+};
+
+const renderA4 = (doc, pledge, transactions, position, user, ledger) => {
+    const shopName = user?.shopName || '';
+    doc.font('Helvetica-Bold').fontSize(16).text(shopName, { align: 'center' });
+    doc.font('Helvetica').fontSize(9);
+    if (user?.phoneNumber) doc.text(`Phone: ${user.phoneNumber}`, { align: 'center' });
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(12).text(TITLE, { align: 'center' });
+    doc.font('Helvetica').fontSize(9);
+    doc.moveDown(0.5);
+    drawRule(doc);
+
+    drawKeyValue(doc, `Pledged by: ${pledge.customerName}`, `Ticket No: ${pledge.pledgeNumber}`, { bold: true });
+    drawKeyValue(doc, ledger?.phoneNumber ? `Phone: ${ledger.phoneNumber}` : '', `Date: ${formatDate(pledge.date)}`);
+    doc.moveDown(0.5);
+
+    drawTable(doc, ITEM_COLUMNS, getItemRows(pledge));
+    doc.text(`Valued at ${getRatesLine(pledge)}`);
+    doc.moveDown(0.5);
+
+    renderLoan(doc, pledge);
+    renderAccount(doc, pledge, transactions, position);
+
+    if (pledge.narration) {
+        doc.text(`Narration: ${pledge.narration}`);
+    }
+    doc.moveDown(0.5);
+    doc.fontSize(8);
+    TERMS.forEach((term, index) => doc.text(`${index + 1}. ${term}`));
+    doc.fontSize(9);
+
+    doc.moveDown(3);
+    drawKeyValue(doc, 'Customer Signature', `For ${shopName}`);
+};
+
+const renderThermal = (doc, pledge, transactions, position, user) => {
+    doc.font('Helvetica-Bold').fontSize(10).text(user?.shopName || '', { align: 'center' });
+    doc.font('Helvetica').fontSize(7.5);
+    if (user?.phoneNumber) doc.text(`Ph: ${user.phoneNumber}`, { align: 'center' });
+    doc.font('Helvetica-Bold').text(TITLE, { align: 'center' });
+    doc.font('Helvetica');
+    drawRule(doc);
+
+    drawKeyValue(doc, `No: ${pledge.pledgeNumber}`, formatDate(pledge.date));
+    doc.text(`Pledged by: ${pledge.customerName}`);
+    drawRule(doc);
+
+    pledge.items.forEach((item) => {
+        doc.text(getItemLabel(item));
+        drawKeyValue(doc, `  ${formatWeight(item.netWeight)}g @ ${Number(item.melting).toFixed(2)}% = ${formatWeight(item.fineWeight)}g`,
+            formatCurrency(item.value));
+    });
+    drawKeyValue(doc, 'Valuation', formatCurrency(pledge.valuation), { bold: true });
+    drawRule(doc);
+
+    renderLoan(doc, pledge);
+    renderAccount(doc, pledge, transactions, position);
+
+    doc.text('Keep this ticket safe', { align: 'center' });
+};
+
+const estimateThermalHeight = (pledge, transactions) => 330
+    + pledge.items.length * 22
+    + transactions.length * 11;
+
+/**
+ * Build the pledge ticket.
+ * @param {object} pledge Pledge document.
+ * @param {Array<object>} transactions Its active PledgeTransactions, oldest first.
+ * @param {object|null} position From `getPledgePosition`, for active pledges.
+ * @param {object} user    Shop owner (User).
+ * @param {object} [ledger] For the customer's phone number.
+ * @param {{ format?: 'a4'|'thermal' }} [options]
+ * @returns {PDFDocument} Un-ended document; pass to `sendPdf`.
+ */
+const buildPledgeTicketPdf = (pledge, transactions, position, user, ledger, options = {}) => {
+    const format = resolveFormat(options.format);
+    const doc = createPdfDocument(format, {
+        estimatedHeight: estimateThermalHeight(pledge, transactions),
+        info: { Title: `Pledge ${pledge.pledgeNumber}`, Author: user?.shopName || '' }
+    });
+
+    if (format === 'thermal') {
+        renderThermal(doc, pledge, transactions, position, user);
+    } else {
+        renderA4(doc, pledge, transactions, position, user, ledger);
+    }
+    return doc;
+};
+
+module.exports = {
+    buildPledgeTicketPdf
+};
@@ -0,0 +1,344 @@
+/**
+ * Pledge loans (girvi).
+ *
+ * A customer leaves ornaments with the shop against a cash loan. Each item is
+ * valued at its fine weight times the day's fine rate (or the rate set for its
+ * purity, see ./purity `getPurityFineRate`), and the loan can be up
+ * to `ltvPercent` of that valuation. Interest runs on the principal still
+ * outstanding at the pledge's own monthly rate (30-day months, simple or
+ * compounded monthly as in ./interest). Each collection first works interest
+ * out into `interestDue` up to its date, then settles interest before
+ * principal. A loan closed early still pays `minimumDays` of interest.
+ *
+ * Items can be released part way through as long as the remaining items still
+ * cover the principal left. Redemption repays everything and hands every item
+ * back. Once the maturity date has passed the shop can forfeit the items into
+ * its own stock, or auction them and pay any surplus back.
+ *
+ * Pledges never touch Ledger.balances: their money moves through
+ * PledgeTransaction, which the cash and bank books read.
+ */
+
+const CONSTANTS = require('./constants');
+const { toNumber, badRequest } = require('./helpers');
+const { calculateInterest } = require('./interest');
+const {
+    loadPurities, applyPurity, computeFineWeight, getPurityFineRate
+} = require('./purity');
+const { resolvePayments } = require('./payments');
+const { formatDate } = require('./pdfHelpers');
+
+const { PLEDGE } = CONSTANTS;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const PLEDGE_TRANSACTION_LABELS = {
+    disbursement: 'Pledge Loan Given',
+    interest: 'Pledge Interest',
+    release: 'Pledge Part Release',
+    redemption: 'Pledge Redeemed',
+    auction: 'Pledge Auction Sale',
+    refund: 'Pledge Auction Surplus Paid',
+    forfeit: 'Pledge Forfeited'
+};
+
+const roundAmount = (value) => Math.round(toNumber(value) * 100) / 100;
+const roundWeight = (value) => Math.round(toNumber(value) * 1000) / 1000;
+
+const startOfDay = (value) => {
+    const date = new Date(value);
+    date.setHours(0, 0, 0, 0);
+    return date;
+};
+
+const daysBetween = (from, to) => Math.max(0, Math.round((startOfDay(to) - startOfDay(from)) / MS_PER_DAY));
+
+const isOutgoing = (transaction) => PLEDGE.OUTGOING_TYPES.includes(transaction.type);
+
+/**
+ * Validate pledge settings: the shop's defaults or one loan's terms.
+ * @param {object} input
+ * @returns {{ value?: object, error?: string }}
+ */
+const parsePledgeSettings = (input) => {
+    if (!input || typeof input !== 'object') {
+        return { error: 'pledgeSettings must be an object' };
+    }
+    const value = {};
+
+    if (input.monthlyRate !== undefined) {
+        const rate = Number(input.monthlyRate);
+        if (!Number.isFinite(rate) || rate < 0 || rate > CONSTANTS.INTEREST.MAX_MONTHLY_RATE) {
+            return { error: `monthlyRate must be from 0 to ${CONSTANTS.INTEREST.MAX_MONTHLY_RATE} (% per month)` };
+        }
+        value.monthlyRate = rate;
+    }
+    if (input.method !== undefined) {
+        if (!CONSTANTS.INTEREST.METHODS.includes(input.method)) {
+            return { error: `method must be one of ${CONSTANTS.INTEREST.METHODS.join(', ')}` };
+        }
+        value.method = input.method;
+    }
+    if (input.minimumDays !== undefined) {
+        const days = Number(input.minimumDays);
+        if (!Number.isInteger(days) || days < 0) {
+            return { error: 'minimumDays must be a whole number of days' };
+        }
+        value.minimumDays = days;
+    }
+    if (input.ltvPercent !== undefined) {
+        const percent = Number(input.ltvPercent);
+        if (!Number.isFinite(percent) || percent <= 0 || percent > 100) {
+            return { error: 'ltvPercent must be more than 0 and at most 100' };
+        }
+        value.ltvPercent = percent;
+    }
+    if (input.tenureMonths !== undefined) {
+        const months = Number(input.tenureMonths);
+        if (!Number.isInteger(months) || months < 1) {
+            return { error: 'tenureMonths must be a whole number of months, at least 1' };
+        }
+        value.tenureMonths = months;
+    }
+    return { value };
+};
+
+/**
+ * Terms of a new pledge: what the request sent over the shop's `pledgeSettings`.
+ * @returns {{ monthlyRate: number, method: string, minimumDays: number, ltvPercent: number, tenureMonths: number }}
+ */
+const resolvePledgeTerms = (user, input = {}) => {
+    const shop = user?.pledgeSettings || {};
+    const pick = (key, fallback) => {
+        if (input?.[key] !== undefined && input[key] !== null && input[key] !== '') return input[key];
+        if (shop[key] !== undefined && shop[key] !== null) return shop[key];
+        return fallback;
+    };
+    const parsed = parsePledgeSettings({
+        monthlyRate: pick('monthlyRate', PLEDGE.DEFAULT_MONTHLY_RATE),
+        method: pick('method', 'simple'),
+        minimumDays: pick('minimumDays', PLEDGE.DEFAULT_MINIMUM_DAYS),
+        ltvPercent: pick('ltvPercent', PLEDGE.DEFAULT_LTV_PERCENT),
+        tenureMonths: pick('tenureMonths', PLEDGE.DEFAULT_TENURE_MONTHS)
+    });
+    if (parsed.error) {
+        throw badRequest(parsed.error);
+    }
+    return parsed.value;
+};
+
+/**
+ * Validate the pledged items and value them at the given fine rates.
+ * @param {mongoose.Types.ObjectId} userId
+ * @param {Array<object>} items { itemName, description, metalType, pieces, grossWeight, netWeight, purityId, melting }
+ * @param {{ goldRate: number, silverRate: number, purityRates?: Array<object> }} rates Per gram of fine, plus the day's purity rates.
+ * @param {import('mongoose').ClientSession|null} [session]
+ * @returns {Promise<{ items: Array<object>, valuation: number }>}
+ */
+const buildPledgeItems = async (userId, items, rates, session = null) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw badRequest('At least one pledged item is required');
+    }
+    const purities = await loadPurities(userId, items, session);
+
+    const built = items.map((item, index) => {
+        const row = `Item ${index + 1}`;
+        const itemName = String(item?.itemName || '').trim();
+        if (!itemName) {
+            throw badRequest(`${row}: item name is required`);
+        }
+        if (!['gold', 'silver'].includes(item.metalType)) {
+            throw badRequest(`${row}: metalType must be gold or silver`);
+        }
+        const grossWeight = roundWeight(item.grossWeight);
+        const netWeight = roundWeight(item.netWeight ?? item.grossWeight);
+        if (!(grossWeight > 0) || !(netWeight > 0) || netWeight > grossWeight) {
+            throw badRequest(`${row}: net weight must be more than 0 and no more than the gross weight`);
+        }
+
+        const purity = item.purityId ? purities.get(String(item.purityId)) : null;
+        let melting = toNumber(item.melting);
+        let fineWeight;
+        if (purity) {
+            ({ melting, fineWeight } = applyPurity({ metalType: item.metalType, netWeight, melting }, purity, row));
+        } else {
+            if (!(melting > 0) || melting > 100) {
+                throw badRequest(`${row}: melting (touch %) must be more than 0 and at most 100`);
+            }
+            fineWeight = computeFineWeight(netWeight, melting);
+        }
+
+        const rate = getPurityFineRate(rates.purityRates, purity?._id)
+            ?? toNumber(item.metalType === 'gold' ? rates.goldRate : rates.silverRate);
+        if (!(rate > 0)) {
+            throw badRequest(`${row}: no ${item.metalType} rate for the pledge date. Set the day's rates first`);
+        }
+        return {
+            itemName,
+            description: String(item.description || '').trim(),
+            metalType: item.metalType,
+            pieces: Math.max(0, Math.floor(toNumber(item.pieces, 1))),
+            grossWeight,
+            netWeight,
+            purityId: purity?._id,
+            purity: purity?.name || '',
+            melting,
+            fineWeight,
+            rate,
+            value: roundAmount(fineWeight * rate)
+        };
+    });
+
+    return {
+        items: built,
+        valuation: roundAmount(built.reduce((sum, item) => sum + item.value, 0))
+    };
+};
+
+const getPledgedItems = (pledge) => (pledge.items || []).filter((item) => item.status === 'pledged');
+
+/**
+ * Fine weight of the given items by metal.
+ */
+const sumFine = (items) => items.reduce((fine, item) => ({
+    gold: roundWeight(fine.gold + (item.metalType === 'gold' ? toNumber(item.fineWeight) : 0)),
+    silver: roundWeight(fine.silver + (item.metalType === 'silver' ? toNumber(item.fineWeight) : 0))
+}), { gold: 0, silver: 0 });
+
+/**
+ * Most that can be lent against the given items.
+ */
+const getMaxLoan = (items, ltvPercent) => roundAmount(
+    items.reduce((sum, item) => sum + toNumber(item.value), 0) * toNumber(ltvPercent) / 100
+);
+
+/**
+ * Day interest is charged up to when collecting on `date`. Closing a loan
+ * (redemption, auction, forfeit) charges at least `minimumDays` from the pledge date.
+ */
+const getChargeUntil = (pledge, date, closing = false) => {
+    const until = startOfDay(date);
+    if (!closing) return until;
+    const minimum = startOfDay(pledge.date);
+    minimum.setDate(minimum.getDate() + toNumber(pledge.interest?.minimumDays));
+    return minimum > until ? minimum : until;
+};
+
+const getAccruedSince = (pledge) => startOfDay(pledge.interestAccruedUntil || pledge.date);
+
+// Interest on the outstanding principal from where it was last worked out to `until`
+const getAccrual = (pledge, until) => {
+    const days = daysBetween(getAccruedSince(pledge), until);
+    const interest = days > 0
+        ? calculateInterest(toNumber(pledge.principalOutstanding), pledge.interest?.monthlyRate, days, pledge.interest?.method)
+        : 0;
+    return { days, interest };
+};
+
+/**
+ * What the customer owes on `asOf`, without changing the pledge.
+ * @param {object} pledge
+ * @param {Date} [asOf]
+ * @param {{ closing?: boolean }} [options] Charge the minimum period, as redemption would.
+ */
+const getPledgePosition = (pledge, asOf = new Date(), { closing = false } = {}) => {
+    const until = getChargeUntil(pledge, asOf, closing);
+    const { interest } = pledge.status === 'active' ? getAccrual(pledge, until) : { interest: 0 };
+    const principal = roundAmount(pledge.principalOutstanding);
+    const interestDue = roundAmount(toNumber(pledge.interestDue) + interest);
+    const pledgedItems = getPledgedItems(pledge);
+    const maturity = startOfDay(pledge.maturityDate);
+
+    return {
+        principal,
+        interestDue,
+        totalDue: roundAmount(principal + interestDue),
+        interestUntil: until,
+        daysElapsed: daysBetween(pledge.date, asOf),
+        isMatured: startOfDay(asOf) > maturity,
+        daysOverdue: startOfDay(asOf) > maturity ? daysBetween(maturity, asOf) : 0,
+        pledgedValue: roundAmount(pledgedItems.reduce((sum, item) => sum + toNumber(item.value), 0)),
+        pledgedFine: sumFine(pledgedItems)
+    };
+};
+
+/**
+ * Reject collections dated before the pledge, or before the day interest has
+ * already been worked out to.
+ */
+const assertCollectionDate = (pledge, date) => {
+    if (startOfDay(date) < getAccruedSince(pledge)) {
+        throw badRequest(`Date must be on or after ${formatDate(getAccruedSince(pledge))}; interest is already worked out up to then`);
+    }
+};
+
+/**
+ * Work interest out into `interestDue` up to `date`. Changes the pledge.
+ */
+const accrueInterest = (pledge, date, { closing = false } = {}) => {
+    const until = getChargeUntil(pledge, date, closing);
+    if (until <= getAccruedSince(pledge)) return;
+    const { interest } = getAccrual(pledge, until);
+    pledge.interestDue = roundAmount(toNumber(pledge.interestDue) + interest);
+    pledge.interestAccruedUntil = until;
+};
+
+/**
+ * Apply money collected: interest due first, then principal. Changes the pledge.
+ * @returns {{ interestAmount: number, principalAmount: number }}
+ */
+const applyCollection = (pledge, amount) => {
+    const interestAmount = roundAmount(Math.min(amount, toNumber(pledge.interestDue)));
+    const principalAmount = roundAmount(amount - interestAmount);
+    if (principalAmount > roundAmount(pledge.principalOutstanding) + 0.005) {
+        throw badRequest(`Amount is more than the ${roundAmount(toNumber(pledge.principalOutstanding) + toNumber(pledge.interestDue)).toFixed(2)} due`);
+    }
+    pledge.interestDue = roundAmount(toNumber(pledge.interestDue) - interestAmount);
+    pledge.interestCollected = roundAmount(toNumber(pledge.interestCollected) + interestAmount);
+    pledge.principalOutstanding = roundAmount(toNumber(pledge.principalOutstanding) - principalAmount);
+    return { interestAmount, principalAmount };
+};
+
+/**
+ * Payment lines for money moved on a pledge. Without `payments` it is all cash:
+ * `amount` when sent, otherwise `defaultAmount`.
+ * @returns {{ amount: number, payments: Array<object> }}
+ */
+const resolvePledgePayments = (amount, payments, defaultAmount = 0) => {
+    const hasAmount = amount !== undefined && amount !== null && amount !== '';
+    const hasPayments = Array.isArray(payments) && payments.length > 0;
+    const resolved = resolvePayments('add_cash', payments, hasAmount || hasPayments ? amount : defaultAmount);
+    const total = roundAmount(resolved.cashReceived);
+    if (total < 0) {
+        throw badRequest('Amount cannot be negative');
+    }
+    if (resolved.payments.length > 0) {
+        return { amount: total, payments: resolved.payments };
+    }
+    return { amount: total, payments: total > 0 ? [{ mode: 'cash', amount: total, reference: '' }] : [] };
+};
+
+/**
+ * Add `months` calendar months to a date.
+ */
+const addMonths = (value, months) => {
+    const date = new Date(value);
+    date.setMonth(date.getMonth() + months);
+    return date;
+};
+
+module.exports = {
+    PLEDGE_TRANSACTION_LABELS,
+    isOutgoing,
+    parsePledgeSettings,
+    resolvePledgeTerms,
+    buildPledgeItems,
+    getPledgedItems,
+    sumFine,
+    getMaxLoan,
+    getPledgePosition,
+    assertCollectionDate,
+    accrueInterest,
+    applyCollection,
+    resolvePledgePayments,
+    addMonths
+};
@@ -0,0 +1,103 @@
+/**
+ * Purity master helpers.
+ *
+ * Fine weight is always derived on the server from the line's net weight and
+ * its melting (touch) and wastage percentages:
+ *   fine = net × (melting + wastage) / 100
+ */
+
+const mongoose = require('mongoose');
+const Purity = require('../models/Purity');
+const CONSTANTS = require('./constants');
+const { toNumber, badRequest } = require('./helpers');
+
+const roundWeight = (value) => Math.round(toNumber(value) * 1000) / 1000;
+
+const computeFineWeight = (netWeight, melting, wastage = 0) => roundWeight(
+    toNumber(netWeight) * (toNumber(melting) + toNumber(wastage)) / 100
+);
+
+/**
+ * Seed the standard purities the first time a shop opens the master.
+ */
+const ensureDefaultPurities = async (userId) => {
+    const count = await Purity.countDocuments({ userId });
+    if (count > 0) return;
+
+    try {
+        await Purity.insertMany(
+            CONSTANTS.PURITY.DEFAULTS.map((purity) => ({
+                ...purity,
+                userId,
+                defaultMelting: purity.fineness / 10
+            })),
+            { ordered: false }
+        );
+    } catch (error) {
+        // A concurrent request seeded some of them already
+        if (error.code !== 11000) throw error;
+    }
+};
+
+/**
+ * Load the purities referenced by `purityId` on the given rows, keyed by id.
+ * Throws 400 when an id is unknown, inactive or belongs to another shop.
+ */
+const loadPurities = async (userId, rows, session = null) => {
+    const ids = [...new Set(rows.map((row) => row?.purityId).filter(Boolean).map(String))];
+    if (ids.length === 0) return new Map();
+
+    if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+        throw badRequest('Invalid purity');
+    }
+
+    const purities = await Purity.find({ _id: { $in: ids }, userId, isActive: true }).session(session);
+    if (purities.length !== ids.length) {
+        throw badRequest('Purity not found');
+    }
+    return new Map(purities.map((purity) => [String(purity._id), purity]));
+};
+
+/**
+ * Apply a purity to a line: check the metal, default melting from the master
+ * when none was entered and recompute the fine weight.
+ * @param {object} line   { metalType|metal, netWeight, melting|meltingPercent, wastage }
+ * @param {object} purity Purity document.
+ * @param {string} label  Row label used in error messages.
+ * @returns {{ melting: number, fineWeight: number }}
+ */
+const applyPurity = (line, purity, label) => {
+    const metal = line.metalType || line.metal;
+    if (metal !== purity.metal) {
+        throw badRequest(`${label}: purity ${purity.name} is for ${purity.metal}`);
+    }
+    const entered = toNumber(line.melting ?? line.meltingPercent);
+    const melting = entered > 0 ? entered : toNumber(purity.defaultMelting);
+    return {
+        melting,
+        fineWeight: computeFineWeight(line.netWeight, melting, line.wastage)
+    };
+};
+
+/**
+ * Fine rate implied by the rate set for a purity on the day, or null when
+ * none was set and the metal's fine rate applies. A purity rate is per gram
+ * of that purity, so it is scaled up by the purity's fineness.
+ * @param {Array<object>} purityRates From `getEffectiveRates`.
+ * @param {*} purityId
+ * @returns {number|null}
+ */
+const getPurityFineRate = (purityRates, purityId) => {
+    if (!purityId) return null;
+    const entry = (purityRates || []).find((rate) => !rate.derived && String(rate.purityId) === String(purityId));
+    if (!entry || !(toNumber(entry.fineness) > 0)) return null;
+    return Math.round(toNumber(entry.rate) * 1000 / toNumber(entry.fineness) * 100) / 100;
+};
+
+module.exports = {
+    computeFineWeight,
+    ensureDefaultPurities,
+    loadPurities,
+    applyPurity,
+    getPurityFineRate
+};
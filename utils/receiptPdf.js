@@ -0,0 +1,137 @@
+/**
+ * Payment receipt slip.
+ *
+ * What the customer takes home when they pay against their balance: the
+ * amount received by mode, the bills it was applied to, anything left on
+ * account and the balance before and after. Printed on A4 or the 80mm roll.
+ */
+
+const { PAYMENT_MODE_LABELS } = require('./payments');
+const {
+    createPdfDocument,
+    resolveFormat,
+    formatCurrency,
+    formatDate,
+    drawRule,
+    drawKeyValue
+} = require('./pdfHelpers');
+
+const TITLE = 'PAYMENT RECEIPT';
+
+// Positive balances are receivable (Dr), negative are payable (Cr)
+const formatBalance = (value) => {
+    if (Math.abs(value) < 0.005) return formatCurrency(0);
+    return `${formatCurrency(Math.abs(value))} ${value > 0 ? 'Dr' : 'Cr'}`;
+};
+
+const getPaymentLabel = (payment) => {
+    const detail = payment.chequeNumber ? `No. ${payment.chequeNumber}` : payment.reference;
+    return `${PAYMENT_MODE_LABELS[payment.mode] || payment.mode}${detail ? ` (${detail})` : ''}`;
+};
+
+const renderBody = (doc, receipt) => {
+    drawKeyValue(doc, 'Amount Received', formatCurrency(receipt.amount), { bold: true });
+    (receipt.payments || []).forEach((payment) => {
+        drawKeyValue(doc, `  ${getPaymentLabel(payment)}`, formatCurrency(payment.amount));
+    });
+
+    if (receipt.allocations?.length) {
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Bold').text('Against Bills');
+        doc.font('Helvetica');
+        receipt.allocations.forEach((allocation) => {
+            drawKeyValue(doc, `  ${allocation.voucherNumber || ''} dated ${formatDate(allocation.voucherDate)}`,
+                formatCurrency(allocation.amount));
+        });
+    }
+    if (receipt.unallocatedAmount > 0.005) {
+        drawKeyValue(doc, receipt.allocations?.length ? '  On Account' : 'Against running balance',
+            formatCurrency(receipt.unallocatedAmount));
+    }
+
+    doc.moveDown(0.5);
+    drawRule(doc);
+    drawKeyValue(doc, 'Balance Before', formatBalance(receipt.balanceBefore));
+    drawKeyValue(doc, 'Balance After', formatBalance(receipt.balanceAfter), { bold: true });
+    drawRule(doc);
+
+    if (receipt.narration) {
+        doc.text(`Narration: ${receipt.narration}`);
+    }
+    if (receipt.status === 'cancelled') {
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Bold').text(`CANCELLED${receipt.cancelledReason ? ` - ${receipt.cancelledReason}` : ''}`);
+        doc.font('Helvetica');
+    }
+};
+
+const renderA4 = (doc, receipt, user, ledger) => {
+    const shopName = user?.shopName || '';
+    doc.font('Helvetica-Bold').fontSize(16).text(shopName, { align: 'center' });
+    doc.font('Helvetica').fontSize(9);
+    if (user?.phoneNumber) doc.text(`Phone: ${user.phoneNumber}`, { align: 'center' });
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(12).text(TITLE, { align: 'center' });
+    doc.font('Helvetica').fontSize(9);
+    doc.moveDown(0.5);
+    drawRule(doc);
+
+    drawKeyValue(doc, `Received from: ${receipt.customerName}`, `Receipt No: ${receipt.receiptNumber}`, { bold: true });
+    drawKeyValue(doc, ledger?.phoneNumber ? `Phone: ${ledger.phoneNumber}` : '', `Date: ${formatDate(receipt.date)}`);
+    doc.moveDown(0.5);
+
+    renderBody(doc, receipt);
+
+    doc.moveDown(3);
+    drawKeyValue(doc, 'Customer Signature', `For ${shopName}`);
+};
+
+const renderThermal = (doc, receipt, user) => {
+    doc.font('Helvetica-Bold').fontSize(10).text(user?.shopName || '', { align: 'center' });
+    doc.font('Helvetica').fontSize(7.5);
+    if (user?.phoneNumber) doc.text(`Ph: ${user.phoneNumber}`, { align: 'center' });
+    doc.font('Helvetica-Bold').text(TITLE, { align: 'center' });
+    doc.font('Helvetica');
+    drawRule(doc);
+
+    drawKeyValue(doc, `No: ${receipt.receiptNumber}`, formatDate(receipt.date));
+    doc.text(`Received from: ${receipt.customerName}`);
+    drawRule(doc);
+
+    renderBody(doc, receipt);
+
+    doc.moveDown(0.5);
+    doc.text('Thank you!', { align: 'center' });
+};
+
+const estimateThermalHeight = (receipt) => {
+    const lines = (receipt.payments?.length || 0) + (receipt.allocations?.length || 0);
+    return 220 + lines * 11;
+};
+
+/**
+ * Build the receipt slip.
+ * @param {object} receipt Receipt document.
+ * @param {object} user    Shop owner (User).
+ * @param {object} [ledger] For the customer's phone number.
+ * @param {{ format?: 'a4'|'thermal' }} [options]
+ * @returns {PDFDocument} Un-ended document; pass to `sendPdf`.
+ */
+const buildReceiptPdf = (receipt, user, ledger, options = {}) => {
+    const format = resolveFormat(options.format);
+    const doc = createPdfDocument(format, {
+        estimatedHeight: estimateThermalHeight(receipt),
+        info: { Title: `Receipt ${receipt.receiptNumber}`, Author: user?.shopName || '' }
+    });
+
+    if (format === 'thermal') {
+        renderThermal(doc, receipt, user);
+    } else {
+        renderA4(doc, receipt, user, ledger);
+    }
+    return doc;
+};
+
+module.exports = {
+    buildReceiptPdf
+};
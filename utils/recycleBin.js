@@ -0,0 +1,90 @@
+/**
+ * Recycle bin helpers.
+ *
+ * Deleting a voucher or settlement only marks it (see models/plugins/softDelete).
+ * The delete records exactly what it changed on the ledger and in stock, so a
+ * restore can re-apply those effects without replaying the ledger's history.
+ * Deleted documents are purged for good once the shop's retention period passes.
+ */
+
+const CONSTANTS = require('./constants');
+const { toNumber, calculateUnifiedAmount } = require('./helpers');
+const { getCurrentActor } = require('./requestContext');
+
+const BALANCE_FIELDS = ['cashBalance', 'creditBalance', 'goldFineWeight', 'silverFineWeight'];
+
+const getRetentionDays = (user) => {
+    const days = toNumber(user?.recycleBinSettings?.retentionDays);
+    return days > 0 ? days : CONSTANTS.RECYCLE_BIN.DEFAULT_RETENTION_DAYS;
+};
+
+/**
+ * Date on which a document deleted at `deletedAt` is purged.
+ */
+const getPurgeDate = (deletedAt, retentionDays) => (
+    new Date(new Date(deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000)
+);
+
+/**
+ * Copy of the ledger balances that deletes adjust. Take it before reversing.
+ */
+const captureBalances = (ledger) => Object.fromEntries(
+    BALANCE_FIELDS.map((field) => [field, toNumber(ledger?.balances?.[field])])
+);
+
+/**
+ * What a delete changed on the ledger: balances before minus balances now.
+ * Adding it back (see `applyBalanceDelta`) undoes the delete.
+ */
+const getBalanceDelta = (before, ledger) => Object.fromEntries(
+    BALANCE_FIELDS.map((field) => [field, toNumber(before?.[field]) - toNumber(ledger?.balances?.[field])])
+);
+
+const applyBalanceDelta = (ledger, delta = {}) => {
+    BALANCE_FIELDS.forEach((field) => {
+        ledger.balances[field] = toNumber(ledger.balances[field]) + toNumber(delta[field]);
+    });
+    ledger.balances.amount = calculateUnifiedAmount(ledger.balances);
+};
+
+/**
+ * `deletion.by` stamp for the current request's actor.
+ */
+const buildDeletedBy = () => {
+    const actor = getCurrentActor();
+    return actor ? { type: actor.type, id: actor.id, name: actor.name } : undefined;
+};
+
+/**
+ * Move a loaded document into the recycle bin. The caller saves it.
+ * @param {mongoose.Document} doc Voucher or Settlement.
+ * @param {object} [details]
+ * @param {object} [details.ledgerDelta] From `getBalanceDelta`.
+ * @param {{ gold: number, silver: number }} [details.stockDelta] Net fine the delete put back into stock.
+ * @param {string} [details.reason]
+ */
+const markDeleted = (doc, { ledgerDelta, stockDelta, reason } = {}) => {
+    doc.deletedAt = new Date();
+    doc.deletion = {
+        by: buildDeletedBy(),
+        reason: reason || undefined,
+        ledgerDelta: ledgerDelta || {},
+        stockDelta: stockDelta || { gold: 0, silver: 0 }
+    };
+};
+
+const clearDeleted = (doc) => {
+    doc.deletedAt = null;
+    doc.deletion = undefined;
+};
+
+module.exports = {
+    getRetentionDays,
+    getPurgeDate,
+    captureBalances,
+    getBalanceDelta,
+    applyBalanceDelta,
+    markDeleted,
+    buildDeletedBy,
+    clearDeleted
+};
@@ -0,0 +1,135 @@
+/**
+ * Transports that deliver payment reminders.
+ *
+ * A transport is `{ name, send(message) }`: `send` gets the outbox document
+ * (`channel`, `to`, `body`) and resolves to `{ providerMessageId }`, or throws.
+ * Errors with `retryable: false` (bad number, rejected credentials) fail the
+ * message at once; anything else is retried by the dispatcher.
+ *
+ * Each channel has a provider adapter configured from the environment:
+ *
+ *   sms       SMS_API_URL, SMS_API_KEY, SMS_SENDER_ID (generic JSON HTTP gateway)
+ *   whatsapp  WHATSAPP_ACCESS_TOKEN, WHATSAPP_PHONE_NUMBER_ID (WhatsApp Cloud API)
+ *
+ * With REMINDER_TRANSPORT=console, or outside production unless it is set to
+ * `provider`, every channel goes to the console transport instead, which logs the message and appends it to
+ * REMINDER_OUTBOX_FILE when that is set. Other adapters can be added with
+ * `registerTransport`.
+ */
+
+const fs = require('fs/promises');
+
+const WHATSAPP_API_URL = 'https://graph.facebook.com/v19.0';
+
+const transportError = (message, retryable = true) => Object.assign(new Error(message), { retryable });
+
+// 4xx other than 429 means the request itself is wrong; sending it again will not help
+const checkResponse = async (response, provider) => {
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const detail = data?.error?.message || data?.message || response.statusText;
+        const retryable = response.status >= 500 || response.status === 429;
+        throw transportError(`${provider} returned ${response.status}: ${detail}`, retryable);
+    }
+    return data;
+};
+
+const requireEnv = (...names) => {
+    const missing = names.filter((name) => !process.env[name]);
+    if (missing.length > 0) {
+        throw transportError(`Reminder transport is not configured: set ${missing.join(', ')}`, false);
+    }
+};
+
+const consoleTransport = {
+    name: 'console',
+    send: async (message) => {
+        const line = { at: new Date().toISOString(), channel: message.channel, to: message.to, body: message.body };
+        console.log(`[reminder:${message.channel}] to ${message.to}: ${message.body}`);
+        if (process.env.REMINDER_OUTBOX_FILE) {
+            await fs.appendFile(process.env.REMINDER_OUTBOX_FILE, `${JSON.stringify(line)}\n`);
+        }
+        return { providerMessageId: `console-${message._id}` };
+    }
+};
+
+const smsHttpTransport = {
+    name: 'sms_http',
+    send: async (message) => {
+        requireEnv('SMS_API_URL', 'SMS_API_KEY');
+        const response = await fetch(process.env.SMS_API_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${process.env.SMS_API_KEY}`
+            },
+            body: JSON.stringify({
+                to: message.to,
+                sender: process.env.SMS_SENDER_ID || undefined,
+                message: message.body
+            })
+        });
+        const data = await checkResponse(response, 'SMS gateway');
+        return { providerMessageId: String(data.messageId || data.id || data.request_id || '') };
+    }
+};
+
+// Free-form text is only delivered inside WhatsApp's customer service window;
+// shops messaging cold contacts need an approved template on their account.
+const whatsappCloudTransport = {
+    name: 'whatsapp_cloud',
+    send: async (message) => {
+        requireEnv('WHATSAPP_ACCESS_TOKEN', 'WHATSAPP_PHONE_NUMBER_ID');
+        const response = await fetch(`${WHATSAPP_API_URL}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`
+            },
+            body: JSON.stringify({
+                messaging_product: 'whatsapp',
+                to: message.to,
+                type: 'text',
+                text: { body: message.body }
+            })
+        });
+        const data = await checkResponse(response, 'WhatsApp');
+        return { providerMessageId: String(data.messages?.[0]?.id || '') };
+    }
+};
+
+const transports = new Map([consoleTransport, smsHttpTransport, whatsappCloudTransport]
+    .map((transport) => [transport.name, transport]));
+const channelTransports = new Map([['sms', 'sms_http'], ['whatsapp', 'whatsapp_cloud']]);
+
+/**
+ * Add a transport, optionally making it the one used for `channel`.
+ * @param {{ name: string, send: function }} transport
+ * @param {string} [channel]
+ */
+const registerTransport = (transport, channel) => {
+    if (!transport?.name || typeof transport.send !== 'function') {
+        throw new Error('A reminder transport needs a name and a send function');
+    }
+    transports.set(transport.name, transport);
+    if (channel) channelTransports.set(channel, transport.name);
+};
+
+/**
+ * @param {string} channel
+ * @returns {{ name: string, send: function }}
+ */
+const getTransport = (channel) => {
+    const useConsole = process.env.REMINDER_TRANSPORT === 'console'
+        || (process.env.REMINDER_TRANSPORT !== 'provider' && process.env.NODE_ENV !== 'production');
+    const transport = transports.get(useConsole ? 'console' : channelTransports.get(channel));
+    if (!transport) {
+        throw transportError(`No reminder transport for channel ${channel}`, false);
+    }
+    return transport;
+};
+
+module.exports = {
+    registerTransport,
+    getTransport
+};
@@ -0,0 +1,87 @@
+/**
+ * Payment reminder messages.
+ *
+ * A shop's template (`reminderSettings.template`, or REMINDER.DEFAULT_TEMPLATE)
+ * is filled in per overdue ledger from the due-credits list (./dueCredits).
+ * Placeholders are written in braces, e.g. "Dear {name}"; `{amountOwed}`
+ * reads like "Rs. 12,500.00 and 4.250 g gold fine" and leaves out anything
+ * not owed.
+ */
+
+const CONSTANTS = require('./constants');
+const { toNumber, sanitizePhone } = require('./helpers');
+const { formatAmount, formatCurrency, formatWeight, formatDate } = require('./pdfHelpers');
+
+const PLACEHOLDERS = [
+    'name', 'shopName', 'amountOwed', 'balance', 'goldFine', 'silverFine', 'dueDate', 'daysOverdue', 'interest'
+];
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+const getTemplate = (user) => user?.reminderSettings?.template || CONSTANTS.REMINDER.DEFAULT_TEMPLATE;
+
+/**
+ * @param {string} template
+ * @returns {string|null} Error message, or null when the template is usable.
+ */
+const validateTemplate = (template) => {
+    if (typeof template !== 'string') return 'template must be text';
+    if (template.length > CONSTANTS.REMINDER.MAX_TEMPLATE_LENGTH) {
+        return `template cannot be longer than ${CONSTANTS.REMINDER.MAX_TEMPLATE_LENGTH} characters`;
+    }
+    const unknown = [...template.matchAll(PLACEHOLDER_PATTERN)]
+        .map((match) => match[1])
+        .filter((key) => !PLACEHOLDERS.includes(key));
+    if (unknown.length > 0) {
+        return `Unknown placeholder {${unknown[0]}}. Use ${PLACEHOLDERS.map((key) => `{${key}}`).join(', ')}`;
+    }
+    return null;
+};
+
+const describeAmountOwed = ({ balanceAmount, goldFineWeight, silverFineWeight }) => {
+    const parts = [];
+    if (toNumber(balanceAmount) > 0) parts.push(formatCurrency(balanceAmount));
+    if (toNumber(goldFineWeight) > 0) parts.push(`${formatWeight(goldFineWeight)} g gold fine`);
+    if (toNumber(silverFineWeight) > 0) parts.push(`${formatWeight(silverFineWeight)} g silver fine`);
+    if (parts.length <= 1) return parts[0] || '';
+    return `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+};
+
+/**
+ * Placeholder values for one row of `buildDueCredits`.
+ */
+const getTemplateValues = (shopName, dueCredit) => ({
+    name: dueCredit.name,
+    shopName: shopName || '',
+    amountOwed: describeAmountOwed(dueCredit),
+    balance: formatAmount(Math.max(0, toNumber(dueCredit.balanceAmount))),
+    goldFine: formatWeight(Math.max(0, toNumber(dueCredit.goldFineWeight))),
+    silverFine: formatWeight(Math.max(0, toNumber(dueCredit.silverFineWeight))),
+    dueDate: formatDate(dueCredit.dueDate),
+    daysOverdue: String(dueCredit.daysOverdue),
+    interest: formatAmount(dueCredit.accruedInterest)
+});
+
+const renderReminder = (template, values) => template.replace(
+    PLACEHOLDER_PATTERN,
+    (match, key) => (Object.prototype.hasOwnProperty.call(values, key) ? values[key] : match)
+);
+
+/**
+ * Ledger phone numbers are stored as 10 digits; providers want the country code.
+ * @returns {string} Empty when the number cannot be used.
+ */
+const toRecipient = (phoneNumber) => {
+    const digits = sanitizePhone(phoneNumber);
+    if (digits.length === 10) return `91${digits}`;
+    if (digits.length === 12 && digits.startsWith('91')) return digits;
+    return '';
+};
+
+module.exports = {
+    PLACEHOLDERS,
+    getTemplate,
+    validateTemplate,
+    getTemplateValues,
+    renderReminder,
+    toRecipient
+};
@@ -0,0 +1,26 @@
+/**
+ * Per-request context carried across async calls.
+ *
+ * `auth` opens a context holding the acting person (shop login or staff
+ * member) so code far from the request — e.g. model hooks — can tell who is
+ * making a change without threading `req` through every call.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+const runWithContext = (context, callback) => storage.run(context, callback);
+
+const getRequestContext = () => storage.getStore() || {};
+
+/**
+ * @returns {{ type: 'user'|'staff', id: import('mongoose').Types.ObjectId, name: string, role: string }|null}
+ */
+const getCurrentActor = () => getRequestContext().actor || null;
+
+module.exports = {
+    runWithContext,
+    getRequestContext,
+    getCurrentActor
+};
@@ -0,0 +1,45 @@
+/**
+ * Tokens for customer-shareable statement links.
+ *
+ * A token is `<random>.<signature>` where the signature is an HMAC of the
+ * random part keyed with the server secret, so forged tokens are rejected
+ * without a database lookup. Only a SHA-256 hash of the token is stored.
+ * These are deliberately not JWTs: a statement token must never be accepted
+ * where a login token is expected.
+ */
+
+const crypto = require('crypto');
+
+const sign = (value) => crypto
+    .createHmac('sha256', `${process.env.JWT_SECRET}:statement-link`)
+    .update(value)
+    .digest('base64url');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const generateStatementToken = () => {
+    const random = crypto.randomBytes(24).toString('base64url');
+    return `${random}.${sign(random)}`;
+};
+
+/**
+ * Check the token's signature. Returns the hash to look the link up by, or
+ * null when the token is malformed or was not issued by this server.
+ */
+const verifyStatementToken = (token) => {
+    const [random, signature, extra] = String(token || '').split('.');
+    if (!random || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(sign(random));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+    return hashToken(token);
+};
+
+module.exports = {
+    hashToken,
+    generateStatementToken,
+    verifyStatementToken
+};
@@ -0,0 +1,106 @@
+/**
+ * Ledger statement renderer (A4).
+ *
+ * Prints the output of `buildLedgerStatement` — opening balance, one row per
+ * transaction with the running balance, and closing totals.
+ */
+
+const {
+    createPdfDocument,
+    formatAmount,
+    formatWeight,
+    formatDate,
+    drawRule,
+    drawKeyValue,
+    drawTable
+} = require('./pdfHelpers');
+
+// Positive balances are receivable (Dr), negative are payable (Cr)
+const formatBalance = (value) => {
+    if (Math.abs(value) < 0.005) return '0.00';
+    return `${formatAmount(Math.abs(value))} ${value > 0 ? 'Dr' : 'Cr'}`;
+};
+
+const formatSignedWeight = (value) => (Math.abs(value) < 0.0005 ? '' : formatWeight(value));
+
+const COLUMNS = [
+    { header: 'Date', key: 'date', width: 8 },
+    { header: 'Ref', key: 'reference', width: 6 },
+    { header: 'Particulars', key: 'particulars', width: 15 },
+    { header: 'Debit', key: 'debit', width: 9, align: 'right' },
+    { header: 'Credit', key: 'credit', width: 9, align: 'right' },
+    { header: 'Gold', key: 'goldFine', width: 7, align: 'right' },
+    { header: 'Silver', key: 'silverFine', width: 7, align: 'right' },
+    { header: 'Balance', key: 'balance', width: 11, align: 'right' },
+    { header: 'Gold Bal', key: 'goldBalance', width: 7, align: 'right' },
+    { header: 'Silver Bal', key: 'silverBalance', width: 7, align: 'right' }
+];
+
+const toBalanceCells = (balance) => ({
+    balance: formatBalance(balance.amount),
+    goldBalance: formatWeight(balance.gold),
+    silverBalance: formatWeight(balance.silver)
+});
+
+/**
+ * Build the statement PDF.
+ * @param {object} statement Result of `buildLedgerStatement`.
+ * @param {object} ledger
+ * @param {object} user      Shop owner (User).
+ * @param {{ startDate?: Date, endDate?: Date }} [period]
+ * @returns {PDFDocument} Un-ended document; pass to `sendPdf`.
+ */
+const buildStatementPdf = (statement, ledger, user, period = {}) => {
+    const shopName = user?.shopName || '';
+    const doc = createPdfDocument('a4', {
+        info: { Title: `Statement ${ledger.name}`, Author: shopName }
+    });
+
+    doc.font('Helvetica-Bold').fontSize(16).text(shopName, { align: 'center' });
+    doc.font('Helvetica').fontSize(9);
+    if (user?.phoneNumber) doc.text(`Phone: ${user.phoneNumber}`, { align: 'center' });
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(12).text('ACCOUNT STATEMENT', { align: 'center' });
+    doc.font('Helvetica').fontSize(9);
+    doc.moveDown(0.5);
+    drawRule(doc);
+
+    const from = period.startDate ? formatDate(period.startDate) : 'Beginning';
+    const to = formatDate(period.endDate || new Date());
+    drawKeyValue(doc, `Account: ${ledger.name}`, `Period: ${from} to ${to}`, { bold: true });
+    drawKeyValue(doc, ledger.phoneNumber ? `Phone: ${ledger.phoneNumber}` : '', `Printed: ${formatDate(new Date())}`);
+    doc.moveDown(0.5);
+
+    const rows = [
+        { date: '', reference: '', particulars: 'Opening Balance', ...toBalanceCells(statement.openingBalance), _bold: true },
+        ...statement.lines.map((line) => ({
+            date: formatDate(line.date),
+            reference: line.reference || '',
+            particulars: line.narration ? `${line.particulars}\n${line.narration}` : line.particulars,
+            debit: line.debit ? formatAmount(line.debit) : '',
+            credit: line.credit ? formatAmount(line.credit) : '',
+            goldFine: formatSignedWeight(line.goldFine),
+            silverFine: formatSignedWeight(line.silverFine),
+            ...toBalanceCells(line.balance)
+        })),
+        {
+            date: '',
+            reference: '',
+            particulars: 'Closing Balance',
+            debit: formatAmount(statement.totals.debit),
+            credit: formatAmount(statement.totals.credit),
+            goldFine: formatWeight(statement.totals.goldIn - statement.totals.goldOut),
+            silverFine: formatWeight(statement.totals.silverIn - statement.totals.silverOut),
+            ...toBalanceCells(statement.closingBalance),
+            _bold: true
+        }
+    ];
+
+    drawTable(doc, COLUMNS, rows);
+
+    return doc;
+};
+
+module.exports = {
+    buildStatementPdf
+};
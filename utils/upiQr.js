@@ -0,0 +1,132 @@
+/**
+ * UPI payment QR codes.
+ *
+ * Encodes a UPI intent (`upi://pay?pa=...&am=...&tn=...`) for the amount a
+ * customer still owes, either on one voucher or on their whole ledger, so it
+ * can be scanned and paid at the counter. The payee is the shop's UPI ID from
+ * `paymentSettings`, falling back to the UPI ID printed on the voucher.
+ */
+
+const QRCode = require('qrcode');
+const Ledger = require('../models/Ledger');
+const CreditNote = require('../models/CreditNote');
+const { toNumber, calculateUnifiedAmount } = require('./helpers');
+
+const UPI_ID_PATTERN = /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9]{1,64}$/;
+
+const QR_OPTIONS = {
+    errorCorrectionLevel: 'M',
+    margin: 1,
+    width: 240
+};
+
+const roundAmount = (value) => Math.round(toNumber(value) * 100) / 100;
+
+const isValidUpiId = (value) => UPI_ID_PATTERN.test(String(value || '').trim());
+
+/**
+ * Payee for the QR, or null when the shop has no usable UPI ID.
+ * @param {object} user Shop owner (User).
+ * @param {object} [voucher]
+ * @returns {{ upiId: string, name: string }|null}
+ */
+const getPayee = (user, voucher = null) => {
+    const upiId = String(user?.paymentSettings?.upiId || voucher?.upiId || '').trim();
+    if (!isValidUpiId(upiId)) return null;
+    return {
+        upiId,
+        name: String(user?.paymentSettings?.payeeName || user?.shopName || '').trim()
+    };
+};
+
+/**
+ * What the customer still owes on a ledger (never negative).
+ */
+const getLedgerOutstanding = (ledger) => Math.max(0, roundAmount(calculateUnifiedAmount(ledger?.balances || {})));
+
+/**
+ * What the customer still owes on a sale voucher: the bill's settlement
+ * outstanding when it is tracked, otherwise the unpaid part of a cash bill, or
+ * a credit bill (or interest charge) less its credit notes. Capped at the
+ * ledger balance so later receipts are not asked for twice. GST bills do not
+ * move ledger balances, so they are not capped.
+ * @param {object} voucher
+ * @param {object} ledger
+ * @param {number} [creditNoteTotal=0] Total of the voucher's active credit notes.
+ */
+const getVoucherOutstanding = (voucher, ledger, creditNoteTotal = 0) => {
+    if (voucher.status !== 'active' || voucher.voucherType === 'purchase') return 0;
+
+    let unpaid = 0;
+    if (voucher.billSettlement?.status) {
+        // Already net of receipts, settlements and credit notes allocated to the bill
+        unpaid = toNumber(voucher.billSettlement.outstanding);
+    } else if (voucher.paymentType === 'cash') {
+        unpaid = toNumber(voucher.total) - toNumber(voucher.cashReceived);
+    } else if (voucher.paymentType === 'credit' || voucher.paymentType === 'interest') {
+        unpaid = toNumber(voucher.total) - toNumber(creditNoteTotal);
+    }
+    unpaid = Math.max(0, roundAmount(unpaid));
+
+    const tracksBalance = voucher.invoiceType !== 'gst' && ledger?.ledgerType !== 'gst';
+    return tracksBalance ? Math.min(unpaid, getLedgerOutstanding(ledger)) : unpaid;
+};
+
+/**
+ * Load the ledger and credit notes of a voucher and return its outstanding amount.
+ * @param {object} voucher `ledgerId` may be populated or a plain id.
+ * @returns {Promise<number>}
+ */
+const loadVoucherOutstanding = async (voucher) => {
+    const ledgerId = voucher.ledgerId?._id || voucher.ledgerId;
+    const [ledger, [creditNotes]] = await Promise.all([
+        Ledger.findOne({ _id: ledgerId, userId: voucher.userId }).select('balances ledgerType').lean(),
+        CreditNote.aggregate([
+            { $match: { userId: voucher.userId, voucherId: voucher._id, status: 'active' } },
+            { $group: { _id: null, total: { $sum: '$total' } } }
+        ])
+    ]);
+    return getVoucherOutstanding(voucher, ledger, creditNotes?.total);
+};
+
+/**
+ * UPI intent URI.
+ * @param {{ upiId: string, name: string }} payee
+ * @param {number} amount Rupees; sent with two decimals.
+ * @param {string} [note] Transaction note, e.g. the voucher number.
+ */
+const buildUpiUri = (payee, amount, note = '') => {
+    const params = [
+        ['pa', payee.upiId],
+        ['pn', payee.name],
+        ['am', roundAmount(amount).toFixed(2)],
+        ['cu', 'INR'],
+        ['tn', note]
+    ].filter(([, value]) => value);
+    // UPI apps expect the '@' of the payee address unescaped
+    const query = params.map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`);
+    return `upi://pay?${query.join('&')}`;
+};
+
+/**
+ * PNG image of the QR.
+ * @returns {Promise<Buffer>}
+ */
+const generateUpiQrPng = (uri) => QRCode.toBuffer(uri, { ...QR_OPTIONS, type: 'png' });
+
+/**
+ * The QR as a `data:image/png;base64,...` URL for the frontend.
+ * @returns {Promise<string>}
+ */
+const generateUpiQrDataUrl = (uri) => QRCode.toDataURL(uri, QR_OPTIONS);
+
+module.exports = {
+    isValidUpiId,
+    getPayee,
+    getLedgerOutstanding,
+    getVoucherOutstanding,
+    loadVoucherOutstanding,
+    buildUpiUri,
+    generateUpiQrPng,
+    generateUpiQrDataUrl
+};
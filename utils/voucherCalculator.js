@@ -0,0 +1,134 @@
+/**
+ * Voucher line calculation engine.
+ *
+ * The server is the source of truth for every derived number on a bill line:
+ *   net    = gross − less
+ *   fine   = net × (melting + wastage) / 100
+ *   amount = fine × rate + labour + stone
+ * where rate is the line's own rate, else the day's rate set for its purity
+ * (as a fine rate, see `getPurityFineRate`), else the fine gold or silver
+ * rate, and labour is the line's labourRate as a flat charge ('full') or per gram
+ * of net weight ('per-gram'), following User.labourChargeSettings.type.
+ * Credit bills carry the fine on the customer's metal balance, so their lines
+ * are not priced: amount = labour + stone (`priceFine: false`).
+ *
+ * Numbers the client sent are compared with the computed ones; differences
+ * beyond the tolerances in CONSTANTS.VOUCHER_CALCULATION are reported so the
+ * caller can flag or reject the voucher. When flagging, the client's amounts
+ * are kept (`keepSubmittedAmounts`); weights are always the computed ones.
+ *
+ * Lines are stored with positive numbers. A 'receipt' line (old metal taken
+ * back in exchange) counts against the voucher's 'issue' lines, so anything
+ * that nets lines together goes through `getLineSign`.
+ */
+
+const CONSTANTS = require('./constants');
+const { toNumber } = require('./helpers');
+const { computeFineWeight, getPurityFineRate } = require('./purity');
+
+const roundWeight = (value) => Math.round(toNumber(value) * 1000) / 1000;
+const roundAmount = (value) => Math.round(toNumber(value) * 100) / 100;
+
+const getLineSign = (item) => (item?.lineType === 'receipt' ? -1 : 1);
+
+const isProvided = (value) => value !== undefined && value !== null && value !== '';
+
+const getLineRate = (item, rates) => {
+    if (isProvided(item.rate)) return toNumber(item.rate);
+    const purityRate = getPurityFineRate(rates.purityRates, item.purityId);
+    if (purityRate !== null) return purityRate;
+    return item.metalType === 'silver' ? toNumber(rates.silverRate) : toNumber(rates.goldRate);
+};
+
+/**
+ * Compute one line.
+ * @param {object} item  Cleaned voucher line.
+ * @param {{ goldRate: number, silverRate: number, purityRates?: Array<object>, labourType?: 'full'|'per-gram', priceFine?: boolean }} options
+ *   priceFine defaults to true; pass false when the fine is owed as metal.
+ */
+const calculateLine = (item, options) => {
+    const netWeight = roundWeight(toNumber(item.grossWeight) - toNumber(item.lessWeight));
+    const fineWeight = computeFineWeight(netWeight, item.melting, item.wastage);
+    const rate = getLineRate(item, options);
+    const labour = options.labourType === 'per-gram'
+        ? toNumber(item.labourRate) * netWeight
+        : toNumber(item.labourRate);
+    const stoneAmount = toNumber(item.stoneAmount);
+    const fineValue = options.priceFine === false ? 0 : fineWeight * rate;
+
+    return {
+        ...item,
+        netWeight,
+        fineWeight,
+        rate,
+        stoneAmount,
+        amount: roundAmount(fineValue + labour + stoneAmount)
+    };
+};
+
+const CHECKED_FIELDS = [
+    { field: 'netWeight', tolerance: CONSTANTS.VOUCHER_CALCULATION.WEIGHT_TOLERANCE },
+    { field: 'fineWeight', tolerance: CONSTANTS.VOUCHER_CALCULATION.WEIGHT_TOLERANCE },
+    { field: 'amount', tolerance: CONSTANTS.VOUCHER_CALCULATION.AMOUNT_TOLERANCE }
+];
+
+/**
+ * Split lines into the issue and receipt sides of an exchange bill.
+ * @returns {{ issue: object, receipt: object }} Per side: gross, netWeight, fineWeight, amount
+ */
+const summarizeExchange = (items = []) => {
+    const empty = () => ({ gross: 0, netWeight: 0, fineWeight: 0, amount: 0 });
+    return items.reduce((acc, item) => {
+        const side = getLineSign(item) < 0 ? acc.receipt : acc.issue;
+        side.gross += toNumber(item.grossWeight);
+        side.netWeight += toNumber(item.netWeight);
+        side.fineWeight += toNumber(item.fineWeight);
+        side.amount += toNumber(item.amount);
+        return acc;
+    }, { issue: empty(), receipt: empty() });
+};
+
+/**
+ * Compute every line and collect mismatches against what the client submitted.
+ * @param {Array<object>} items     Cleaned lines (computed values are taken from these).
+ * @param {Array<object>} submitted Raw request lines, same order.
+ * @param {object} options          See `calculateLine`, plus `keepSubmittedAmounts`.
+ * @returns {{ items: Array<object>, warnings: Array<{ row: number, field: string, submitted: number, computed: number }> }}
+ */
+const calculateVoucherLines = (items, submitted = [], options = {}) => {
+    const warnings = [];
+    const calculated = items.map((item, index) => {
+        const line = calculateLine(item, options);
+        const raw = submitted[index] || {};
+
+        CHECKED_FIELDS.forEach(({ field, tolerance }) => {
+            if (!isProvided(raw[field])) return;
+            const sent = toNumber(raw[field]);
+            if (Math.abs(sent - line[field]) > tolerance) {
+                warnings.push({ row: index + 1, field, submitted: sent, computed: line[field] });
+                if (field === 'amount' && options.keepSubmittedAmounts) {
+                    line.amount = roundAmount(sent);
+                }
+            }
+        });
+
+        return line;
+    });
+
+    return { items: calculated, warnings };
+};
+
+const describeWarnings = (warnings, limit = 3) => {
+    const shown = warnings.slice(0, limit)
+        .map((w) => `Row ${w.row}: ${w.field} ${w.submitted} does not match computed ${w.computed}`);
+    const more = warnings.length > limit ? ` (+${warnings.length - limit} more)` : '';
+    return `${shown.join('; ')}${more}`;
+};
+
+module.exports = {
+    getLineSign,
+    summarizeExchange,
+    calculateLine,
+    calculateVoucherLines,
+    describeWarnings
+};